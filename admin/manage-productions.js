@@ -11,6 +11,9 @@
  *   node manage-productions.js remove <productionId> <email>  — remove from production
  *   node manage-productions.js delete <productionId>          — delete production + all subcollections
  *   node manage-productions.js migrate                        — one-time migration (see below)
+ *   node manage-productions.js migrate-tracking [productionId] [--dry-run]
+ *                                                             — rewrite legacy SL/SR/ON codes and prop enters/exits
+ *   node manage-productions.js migrate-note-casts [productionId] — add actorCastIds to line notes written before it existed
  *
  * Requires: serviceAccountKey.json in this directory (gitignored).
  */
@@ -179,6 +182,135 @@ async function migrateExistingData() {
   console.log('  Verify the migration, then delete them manually if desired.');
 }
 
+/**
+ * Migration: moves tracking docs onto the shared tracking model.
+ *
+ *   - legacy location codes 'SL' / 'SR' / 'ON' become the canonical location
+ *     IDs the app uses everywhere else (backstage-left, backstage-right, on-stage)
+ *   - props still stored as enters[] / exits[] / endLocation get an equivalent
+ *     cues[] array, and the legacy fields are removed
+ *
+ * Covers props, actorCues, costumes, scenicPieces and scenicCueGroups for one
+ * production, or every production when no ID is given. Safe to re-run.
+ */
+const LEGACY_LOCATIONS = { 'SL': 'backstage-left', 'SR': 'backstage-right', 'ON': 'on-stage' };
+const TRACKING_COLLECTIONS = ['props', 'actorCues', 'costumes', 'scenicPieces', 'scenicCueGroups'];
+const ITEM_LOCATION_FIELDS = ['start', 'defaultHoldLocation', 'presetLocation'];
+const ROW_LOCATION_FIELDS = ['enterLocation', 'exitLocation', 'holdLocation', 'changeLocation', 'location'];
+
+function canonicalLocation(value) {
+  return LEGACY_LOCATIONS[value] || value;
+}
+
+/** Returns the fields to update on one tracking doc, or null when it is already current. */
+function migrateTrackingDoc(sub, data) {
+  const update = {};
+
+  for (const field of ITEM_LOCATION_FIELDS) {
+    if (LEGACY_LOCATIONS[data[field]]) update[field] = canonicalLocation(data[field]);
+  }
+
+  let cues = data.cues;
+  if (sub === 'props' && (data.enters || data.exits || data.endLocation !== undefined)) {
+    if (!(cues && cues.length) && data.enters?.length) {
+      // Legacy props only knew where they ended up after each exit; an enter
+      // with no exit stays on for the rest of the show, as getItemStatus() reads it
+      cues = data.enters.map((enterPage, i) => ({
+        enterPage, exitPage: data.exits?.[i] || 9999,
+        enterLocation: '', exitLocation: data.endLocation || 'backstage-left',
+        carrierOn: '', carrierOnCastId: '', carrierOff: '', carrierOffCastId: '', mover: '', moverCastId: '',
+      }));
+    }
+    update.enters = admin.firestore.FieldValue.delete();
+    update.exits = admin.firestore.FieldValue.delete();
+    update.endLocation = admin.firestore.FieldValue.delete();
+  }
+
+  const rewriteRows = rows => {
+    let changed = false;
+    const out = rows.map(row => {
+      const next = { ...row };
+      for (const field of ROW_LOCATION_FIELDS) {
+        if (LEGACY_LOCATIONS[next[field]]) { next[field] = canonicalLocation(next[field]); changed = true; }
+      }
+      return next;
+    });
+    return { out, changed };
+  };
+
+  if (Array.isArray(cues)) {
+    const { out, changed } = rewriteRows(cues);
+    if (changed || cues !== data.cues) update.cues = out;
+  }
+  if (Array.isArray(data.moves)) {
+    const { out, changed } = rewriteRows(data.moves);
+    if (changed) update.moves = out;
+  }
+
+  return Object.keys(update).length > 0 ? update : null;
+}
+
+async function migrateTrackingData(productionId, dryRun) {
+  const productionIds = productionId
+    ? [productionId]
+    : (await db.collection('productions').get()).docs.map(d => d.id);
+
+  console.log(`Migrating tracking data for ${productionIds.length} production(s)${dryRun ? ' (dry run)' : ''}...`);
+  let total = 0;
+  for (const pid of productionIds) {
+    for (const sub of TRACKING_COLLECTIONS) {
+      const snap = await db.collection('productions').doc(pid).collection(sub).get();
+      let batch = db.batch();
+      let pending = 0;
+      let count = 0;
+      for (const doc of snap.docs) {
+        const update = migrateTrackingDoc(sub, doc.data());
+        if (!update) continue;
+        count++;
+        if (dryRun) { console.log(`    [${pid}/${sub}/${doc.id}] ${Object.keys(update).join(', ')}`); continue; }
+        batch.update(doc.ref, update);
+        // Firestore batches are capped at 500 writes
+        if (++pending === 450) { await batch.commit(); batch = db.batch(); pending = 0; }
+      }
+      if (pending > 0) await batch.commit();
+      if (count > 0) console.log(`  ${pid}: ${dryRun ? 'would update' : 'updated'} ${count} ${sub} docs`);
+      total += count;
+    }
+  }
+  console.log(`✓ Tracking migration ${dryRun ? 'dry run ' : ''}complete — ${total} docs ${dryRun ? 'need updating' : 'updated'}.`);
+}
+
+/**
+ * Migration: line notes written before actor acknowledgements have no
+ * actorCastIds, so secondary actors on multi-actor notes can't find or
+ * acknowledge them. Backfills it from actors[] / castId / charId.
+ */
+async function migrateNoteCastIds(productionId) {
+  const productionIds = productionId
+    ? [productionId]
+    : (await db.collection('productions').get()).docs.map(d => d.id);
+
+  let total = 0;
+  for (const pid of productionIds) {
+    const snap = await db.collection('productions').doc(pid).collection('lineNotes').get();
+    let batch = db.batch();
+    let pending = 0;
+    let count = 0;
+    for (const doc of snap.docs) {
+      const n = doc.data();
+      if (Array.isArray(n.actorCastIds)) continue;
+      const ids = n.actors?.length ? n.actors.map(a => a.castId) : [n.castId || n.charId];
+      batch.update(doc.ref, { actorCastIds: [...new Set(ids.filter(Boolean))] });
+      count++;
+      if (++pending === 450) { await batch.commit(); batch = db.batch(); pending = 0; }
+    }
+    if (pending > 0) await batch.commit();
+    if (count > 0) console.log(`  ${pid}: updated ${count} lineNotes`);
+    total += count;
+  }
+  console.log(`✓ Note cast migration complete — ${total} notes updated.`);
+}
+
 async function main() {
   try {
     switch (command) {
@@ -208,6 +340,15 @@ async function main() {
       case 'migrate':
         await migrateExistingData();
         break;
+      case 'migrate-tracking': {
+        const dryRun = args.includes('--dry-run');
+        const productionId = args.slice(1).find(a => !a.startsWith('--'));
+        await migrateTrackingData(productionId, dryRun);
+        break;
+      }
+      case 'migrate-note-casts':
+        await migrateNoteCastIds(args[1]);
+        break;
       default:
         console.log(`CUE Admin — Manage Productions
 
@@ -218,7 +359,10 @@ Usage:
   node manage-productions.js demote <productionId> <email>  — demote to member
   node manage-productions.js remove <productionId> <email>  — remove from production
   node manage-productions.js delete <productionId>          — delete production + all subcollections
-  node manage-productions.js migrate                        — one-time migration (see below)`);
+  node manage-productions.js migrate                        — one-time migration (see below)
+  node manage-productions.js migrate-tracking [productionId] [--dry-run]
+                                                            — rewrite legacy SL/SR/ON codes and prop enters/exits
+  node manage-productions.js migrate-note-casts [productionId] — add actorCastIds to line notes written before it existed`);
     }
   } catch (e) {
     console.error('Error:', e.message);
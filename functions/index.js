@@ -74,3 +74,376 @@ exports.joinProduction = onCall(async (request) => {
 
   return { success: true, productionId, title: prod.title };
 });
+
+/* ═══════════════════════════════════════════════════════════
+   RUN REPORT DISTRIBUTION
+   Sends the run report to the production's distribution list
+   (productions/{id}.reportDistribution — array of email addresses) and
+   each actor their own line notes. Per-recipient delivery status is
+   written to the session as reportDelivery.
+
+   Both emails are rendered here from the session and note docs, with every
+   field escaped. The client-written reportHtml / showReportHtml is never
+   mailed: any member can write it, and it would go out from the
+   production's mail account. For performances the show report is rendered
+   from the saved session.showReport fields instead.
+
+   Left out of the mailed report on purpose, though the saved report in
+   Reports has them:
+     - cue-call timing — it lives in the session's cueLog subcollection and
+       is a calling-team detail, not a distribution-list one
+     - recurring-note flags — they need every earlier session's notes, which
+       this function would have to read on each send
+     - actor ack status — the report goes out right after the run, before
+       any actor has seen their notes
+   ═══════════════════════════════════════════════════════════ */
+
+const { getTransport, mailFrom } = require('./mail-transport');
+
+// Functions deploy from functions/ alone, so the client's shared helpers can't
+// be required here. Keep these in step with src/shared/note-types.js,
+// src/shared/script-pages.js and src/runshow/show-report.js.
+const NOTE_TYPE_LABELS = { skp: 'SKIPPED', para: 'PARAPHRASE', line: 'CALLED', add: 'ADDED WORDS', gen: 'GENERAL', jmp: 'JUMPED', mw: 'MISSED WORDS' };
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const HOLD_CATEGORY_LABELS = { technical: 'Technical', safety: 'Safety', actor: 'Actor', audience: 'Audience', other: 'Other' };
+const ACK_HINT = 'Sign in to CUE and open Cast & Crew → My Notes to acknowledge these notes or ask a question.';
+
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/** Script page label — mirrors scriptPageLabel in src/shared/script-pages.js. */
+function scriptPageLabel(prod, pdfPage, half) {
+  const startPage = prod.scriptPageStartPage || 1;
+  const startHalf = prod.scriptPageStartHalf || '';
+  let offset;
+  if (half) {
+    const halfPos = (p, h) => (p - 1) * 2 + (h === 'R' ? 1 : 0);
+    offset = halfPos(pdfPage, half) - halfPos(startPage, startHalf || 'L');
+  } else {
+    offset = pdfPage - startPage;
+  }
+  return offset < 0 ? ('i' + offset) : String(offset + 1);
+}
+
+/** Group notes by cast member; multi-actor notes land in each actor's bucket. */
+function groupNotesByCast(notes, castById) {
+  const byCastId = {};
+  notes.forEach(n => {
+    const entries = n.actors?.length > 0
+      ? n.actors
+      : [{ castId: n.castId || n.charId, characterName: n.characterName || n.charName }];
+    entries.forEach(({ castId, characterName }) => {
+      if (!castId) return;
+      if (!byCastId[castId]) {
+        const member = castById[castId];
+        byCastId[castId] = {
+          actorName: member?.name || characterName || '?',
+          actorEmail: member?.email || '',
+          notes: [],
+        };
+      }
+      byCastId[castId].notes.push(n);
+    });
+  });
+  return byCastId;
+}
+
+/** "HH:MM" as the SM typed it, shown as "7:30 PM"; "—" when blank. */
+function formatClock(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || ''));
+  if (!m) return '—';
+  const h = Number(m[1]);
+  return ((h % 12) || 12) + ':' + m[2] + ' ' + (h < 12 ? 'AM' : 'PM');
+}
+
+/** The production's show report template merged over the defaults — mirrors getShowReportTemplate. */
+function showReportTemplate(prod) {
+  const t = prod.showReportTemplate || {};
+  const sections = { times: true, acts: true, houseCount: true, departments: true, incidents: true, audience: true, holds: true };
+  return {
+    title: t.title || 'Performance Report',
+    sections: { ...sections, ...(t.sections || {}) },
+    departments: Array.isArray(t.departments) ? t.departments : ['LX', 'SQ', 'Props', 'Wardrobe', 'Scenic'],
+    customFields: Array.isArray(t.customFields) ? t.customFields : [],
+  };
+}
+
+/**
+ * The performance show report fields (sessions/{sid}.showReport) as rows of
+ * times and titled text sections. Holds are left to the run report's own
+ * Holds table. Returns null when no show report has been filled in.
+ */
+function showReportSections(prod, session) {
+  const data = session.showReport;
+  if (!data || typeof data !== 'object') return null;
+  const template = showReportTemplate(prod);
+  const on = template.sections;
+  const times = [];
+  if (on.times) {
+    times.push(['House Open', formatClock(data.houseOpen)]);
+    times.push(['Curtain', formatClock(data.curtain)]);
+  }
+  if (on.acts && Array.isArray(data.acts)) {
+    data.acts.forEach(a => times.push([String(a.act || ''), formatClock(a.up) + ' – ' + formatClock(a.down)]));
+  }
+  if (on.houseCount) times.push(['House Count', String(data.houseCount || '—')]);
+  const text = [];
+  const str = v => String(v ?? '').trim();
+  if (on.incidents) text.push(['Incidents', str(data.incidents)]);
+  if (on.departments) template.departments.forEach(d => text.push([String(d), str(data.departmentNotes?.[d])]));
+  if (on.audience) text.push(['Audience Notes', str(data.audience)]);
+  template.customFields.forEach(f => text.push([String(f), str(data.custom?.[f])]));
+  return { title: template.title, times, text };
+}
+
+function formatDuration(sec) {
+  const s = Math.round(Number(sec) || 0);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return (h > 0 ? h + 'h ' : '') + m + 'm ' + String(s % 60).padStart(2, '0') + 's';
+}
+
+/**
+ * The distribution-list report: run stats, the show report for performances,
+ * holds, SM notes and notes by actor.
+ */
+function renderRunReport(prod, session, notes, castById, dateStr) {
+  const show = prod.title || '';
+  const title = session.title || 'Run';
+  const holdLog = Array.isArray(session.holdLog) ? session.holdLog : [];
+  const stats = [
+    ['Total Duration', formatDuration(session.durationSeconds)],
+    ['Hold Time', formatDuration(session.totalHoldSeconds) + ' (' + holdLog.length + ' hold' + (holdLog.length !== 1 ? 's' : '') + ')'],
+    ['Page Count', session.totalPages ? String(session.totalPages) : '—'],
+    ['Note Count', String(notes.length)],
+  ];
+
+  const holdTotals = {};
+  holdLog.forEach(h => {
+    const label = HOLD_CATEGORY_LABELS[h.category] || 'Uncategorized';
+    holdTotals[label] = holdTotals[label] || { count: 0, seconds: 0 };
+    holdTotals[label].count++;
+    holdTotals[label].seconds += Number(h.durationSeconds) || 0;
+  });
+  const holds = Object.entries(holdTotals).sort((a, b) => b[1].seconds - a[1].seconds);
+
+  const actors = Object.values(groupNotesByCast(notes, castById))
+    .sort((a, b) => a.actorName.localeCompare(b.actorName))
+    .map(a => ({
+      name: a.actorName,
+      rows: [...a.notes]
+        .sort((x, y) => x.page !== y.page ? x.page - y.page : (x.bounds?.y || 0) - (y.bounds?.y || 0))
+        .map(n => ({
+          page: scriptPageLabel(prod, n.page, n.half),
+          type: NOTE_TYPE_LABELS[n.type] || String(n.type || '').toUpperCase(),
+          line: n.lineText || '',
+        })),
+    }));
+  const scratch = String(session.scratchpadNotes || '').trim();
+  const showReport = session.kind === 'performance' ? showReportSections(prod, session) : null;
+
+  let text = 'Run Report — ' + show + ' — ' + title + ' — ' + dateStr + '\n\n';
+  stats.forEach(([k, v]) => { text += k + ': ' + v + '\n'; });
+  if (showReport) {
+    text += '\n' + showReport.title + '\n';
+    showReport.times.forEach(([k, v]) => { text += '  ' + k + ': ' + v + '\n'; });
+    showReport.text.forEach(([k, v]) => { text += '\n' + k + '\n' + (v || 'Nothing to report.') + '\n'; });
+  }
+  if (holds.length) {
+    text += '\nHolds\n';
+    holds.forEach(([label, h]) => { text += '  ' + label + ': ' + h.count + ' · ' + formatDuration(h.seconds) + '\n'; });
+  }
+  if (scratch) text += '\nSM Notes\n' + scratch + '\n';
+  text += '\nLine Notes by Actor\n';
+  if (!actors.length) text += '  No notes recorded during this session.\n';
+  actors.forEach(a => {
+    text += '\n' + a.name + '\n';
+    a.rows.forEach(r => { text += '  p.' + r.page + '  ' + r.type + (r.line ? '  "' + r.line + '"' : '') + '\n'; });
+  });
+
+  const th = 'style="padding:6px;border-bottom:2px solid #ccc;text-align:left;"';
+  const td = 'style="padding:6px;border-bottom:1px solid #eee;vertical-align:top;"';
+  const html = `<div style="font-family:Georgia,serif;color:#1a1814;max-width:680px;">
+<h1 style="font-size:26px;margin:0 0 4px;">Run Report</h1>
+<p style="color:#777;margin:0 0 16px;">${escapeHtml(show)} · ${escapeHtml(title)} · ${escapeHtml(dateStr)}</p>
+<table style="border-collapse:collapse;width:100%;font-size:14px;margin-bottom:20px;">
+<tbody>${stats.map(([k, v]) => `<tr><td ${td}>${escapeHtml(k)}</td><td ${td}>${escapeHtml(v)}</td></tr>`).join('')}</tbody>
+</table>
+${showReport ? `<h2 style="font-size:18px;">${escapeHtml(showReport.title)}</h2>
+${showReport.times.length ? `<table style="border-collapse:collapse;width:100%;font-size:14px;margin-bottom:12px;">
+<tbody>${showReport.times.map(([k, v]) => `<tr><td ${td}>${escapeHtml(k)}</td><td ${td}>${escapeHtml(v)}</td></tr>`).join('')}</tbody>
+</table>` : ''}
+${showReport.text.map(([k, v]) => `<h3 style="font-size:15px;margin:16px 0 6px;">${escapeHtml(k)}</h3>
+<p style="white-space:pre-wrap;font-size:14px;margin:0 0 12px;${v ? '' : 'color:#777;'}">${escapeHtml(v || 'Nothing to report.')}</p>`).join('')}` : ''}
+${holds.length ? `<h2 style="font-size:18px;">Holds</h2>
+<table style="border-collapse:collapse;width:100%;font-size:14px;margin-bottom:20px;">
+<thead><tr><th ${th}>Category</th><th ${th}>Holds</th><th ${th}>Time</th></tr></thead>
+<tbody>${holds.map(([label, h]) => `<tr><td ${td}>${escapeHtml(label)}</td><td ${td}>${h.count}</td><td ${td}>${escapeHtml(formatDuration(h.seconds))}</td></tr>`).join('')}</tbody>
+</table>` : ''}
+${scratch ? `<h2 style="font-size:18px;">SM Notes</h2><p style="white-space:pre-wrap;font-size:14px;">${escapeHtml(scratch)}</p>` : ''}
+<h2 style="font-size:18px;">Line Notes by Actor</h2>
+${actors.length ? actors.map(a => `<h3 style="font-size:15px;margin:16px 0 6px;">${escapeHtml(a.name)}</h3>
+<table style="border-collapse:collapse;width:100%;font-size:14px;">
+<tbody>${a.rows.map(r => `<tr><td ${td} width="60">p.${escapeHtml(r.page)}</td><td ${td} width="120">${escapeHtml(r.type)}</td><td ${td}>${r.line ? `“${escapeHtml(r.line)}”` : ''}</td></tr>`).join('')}</tbody>
+</table>`).join('') : '<p style="color:#777;">No notes recorded during this session.</p>'}
+</div>`;
+  return { text, html };
+}
+
+function renderActorNotes(prod, actorName, notes, dateStr) {
+  const show = prod.title || '';
+  const sorted = [...notes].sort((a, b) =>
+    a.page !== b.page ? a.page - b.page : (a.bounds?.y || 0) - (b.bounds?.y || 0)
+  );
+  const rows = sorted.map(n => ({
+    page: scriptPageLabel(prod, n.page, n.half),
+    type: NOTE_TYPE_LABELS[n.type] || String(n.type || '').toUpperCase(),
+    line: n.lineText || '',
+    note: (n.noteBody || '').trim(),
+  }));
+  const count = sorted.length + ' note' + (sorted.length !== 1 ? 's' : '') + ' total.';
+  const signoff = '— ' + show + ' Stage Management';
+
+  let text = 'Hi ' + actorName + ',\n\nHere are your line notes from ' + show + ' on ' + dateStr + ':\n';
+  rows.forEach(r => {
+    text += '\n---------\nPage: ' + r.page + '\nType: ' + r.type;
+    if (r.line) text += '\nLine: "' + r.line + '"';
+    if (r.note) text += '\nNote: ' + r.note;
+  });
+  text += '\n---------\n\n' + count + '\n\n' + ACK_HINT + '\n\n' + signoff;
+
+  const html = `<div style="font-family:Georgia,serif;color:#1a1814;max-width:620px;">
+<p>Hi ${escapeHtml(actorName)},</p>
+<p>Here are your line notes from <strong>${escapeHtml(show)}</strong> on ${escapeHtml(dateStr)}:</p>
+<table style="border-collapse:collapse;width:100%;font-size:14px;">
+<thead><tr><th align="left" style="padding:6px;border-bottom:2px solid #ccc;">Page</th><th align="left" style="padding:6px;border-bottom:2px solid #ccc;">Type</th><th align="left" style="padding:6px;border-bottom:2px solid #ccc;">Line / Note</th></tr></thead>
+<tbody>${rows.map(r => `<tr>
+<td style="padding:6px;border-bottom:1px solid #eee;vertical-align:top;">${escapeHtml(r.page)}</td>
+<td style="padding:6px;border-bottom:1px solid #eee;vertical-align:top;white-space:nowrap;">${escapeHtml(r.type)}</td>
+<td style="padding:6px;border-bottom:1px solid #eee;">${r.line ? `“${escapeHtml(r.line)}”` : ''}${r.note ? `<div style="color:#555;margin-top:4px;">${escapeHtml(r.note)}</div>` : ''}</td>
+</tr>`).join('')}</tbody>
+</table>
+<p>${escapeHtml(count)}</p>
+<p style="color:#555;">${escapeHtml(ACK_HINT)}</p>
+<p>${escapeHtml(signoff)}</p>
+</div>`;
+  return { text, html };
+}
+
+exports.sendRunReport = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Must be signed in.');
+  }
+
+  const { productionId, sessionId, dateLabel } = request.data || {};
+  if (!productionId || typeof productionId !== 'string' || !sessionId || typeof sessionId !== 'string') {
+    throw new HttpsError('invalid-argument', 'productionId and sessionId required.');
+  }
+
+  const db = admin.firestore();
+  const uid = request.auth.uid;
+  const prodRef = db.collection('productions').doc(productionId);
+  const sessionRef = prodRef.collection('sessions').doc(sessionId);
+
+  const [prodDoc, memberDoc, sessionDoc] = await Promise.all([
+    prodRef.get(),
+    prodRef.collection('members').doc(uid).get(),
+    sessionRef.get(),
+  ]);
+  if (!prodDoc.exists || !sessionDoc.exists) {
+    throw new HttpsError('not-found', 'Production or session not found.');
+  }
+  const prod = prodDoc.data();
+  const session = sessionDoc.data();
+
+  // Same rule as session updates: the owner or whoever ran the session
+  const isOwner = memberDoc.exists && memberDoc.data().role === 'owner';
+  if (!isOwner && session.createdBy !== uid) {
+    throw new HttpsError('permission-denied', 'Only the production owner or the session creator can send reports.');
+  }
+  if (session.status !== 'ended') {
+    throw new HttpsError('failed-precondition', 'End the run before sending its report.');
+  }
+
+  const [notesSnap, castSnap] = await Promise.all([
+    prodRef.collection('lineNotes').where('sessionId', '==', sessionId).get(),
+    prodRef.collection('cast').get(),
+  ]);
+  const notes = notesSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+  const castById = {};
+  castSnap.docs.forEach(d => { castById[d.id] = d.data(); });
+
+  const show = prod.title || 'Production';
+  const dateStr = (typeof dateLabel === 'string' && dateLabel.trim())
+    ? dateLabel.trim().slice(0, 80)
+    : (session.date?.toDate ? session.date.toDate() : new Date())
+      .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+  // Build the outbox: full report to the distribution list, notes to each actor
+  const outbox = [];
+  const distribution = [...new Set((prod.reportDistribution || [])
+    .map(e => String(e).trim().toLowerCase())
+    .filter(e => EMAIL_RE.test(e)))];
+  const report = distribution.length ? renderRunReport(prod, session, notes, castById, dateStr) : null;
+  distribution.forEach(to => outbox.push({
+    to, kind: 'report',
+    subject: 'Run Report — ' + show + ' — ' + dateStr,
+    html: report.html,
+    text: report.text,
+  }));
+
+  const skipped = [];
+  Object.entries(groupNotesByCast(notes, castById)).forEach(([castId, data]) => {
+    if (!EMAIL_RE.test(data.actorEmail || '')) {
+      skipped.push({ castId, actorName: data.actorName, reason: 'no-email' });
+      return;
+    }
+    const { text, html } = renderActorNotes(prod, data.actorName, data.notes, dateStr);
+    outbox.push({
+      to: data.actorEmail, kind: 'notes', castId, actorName: data.actorName,
+      subject: 'Line Notes — ' + show + ' — ' + dateStr,
+      html, text,
+    });
+  });
+
+  if (!outbox.length) {
+    throw new HttpsError('failed-precondition', 'No recipients — add a distribution list or cast emails.');
+  }
+
+  const transport = getTransport();
+  const from = mailFrom();
+  const results = [];
+  for (const msg of outbox) {
+    const result = { to: msg.to, kind: msg.kind };
+    if (msg.castId) { result.castId = msg.castId; result.actorName = msg.actorName; }
+    try {
+      const info = await transport.send({ from, to: msg.to, subject: msg.subject, text: msg.text, html: msg.html });
+      result.status = 'sent';
+      result.messageId = info?.messageId || null;
+    } catch (e) {
+      console.error(`sendRunReport: delivery to ${msg.to} failed:`, e);
+      result.status = 'failed';
+      result.error = String(e?.message || e).slice(0, 300);
+    }
+    results.push(result);
+  }
+
+  const sentCount = results.filter(r => r.status === 'sent').length;
+  const failedCount = results.length - sentCount;
+  await sessionRef.update({
+    reportDelivery: {
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      sentBy: uid,
+      transport: transport.name,
+      results,
+      skipped,
+      sentCount,
+      failedCount,
+    },
+  });
+
+  return { sentCount, failedCount, skippedCount: skipped.length, transport: transport.name };
+});
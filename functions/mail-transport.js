@@ -0,0 +1,66 @@
+/**
+ * mail-transport.js — Pluggable outbound mail for report distribution
+ *
+ * Every transport exposes the same shape:
+ *
+ *   { name, send({ from, to, subject, text, html }) → Promise<{ messageId }> }
+ *
+ * Selected by the MAIL_TRANSPORT environment variable:
+ *
+ *   smtp  — nodemailer over SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *           (SMTP_SECURE=true for implicit TLS). Point it at a local stand-in
+ *           such as MailHog or smtp4dev (localhost:1025) to test delivery.
+ *   log   — writes each message to the function log and delivers nothing.
+ *           Default when no SMTP host is configured.
+ */
+const nodemailer = require('nodemailer');
+
+let _cached = null;
+
+function createSmtpTransport(env) {
+  const port = Number(env.SMTP_PORT) || 1025;
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST || 'localhost',
+    port,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined,
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId || null };
+    },
+  };
+}
+
+function createLogTransport() {
+  return {
+    name: 'log',
+    async send({ to, subject }) {
+      console.log(`[mail:log] to=${to} subject=${subject}`);
+      return { messageId: null };
+    },
+  };
+}
+
+/** Build a transport from environment settings. */
+function createTransport(env = process.env) {
+  const kind = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'log');
+  if (kind === 'smtp') return createSmtpTransport(env);
+  if (kind === 'log') return createLogTransport();
+  throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`);
+}
+
+/** The active transport, selected from the environment on first use. */
+function getTransport() {
+  if (!_cached) _cached = createTransport();
+  return _cached;
+}
+
+/** Sender address for outbound mail. */
+function mailFrom(env = process.env) {
+  return env.MAIL_FROM || 'CUE Stage Management <no-reply@localhost>';
+}
+
+module.exports = { createTransport, getTransport, mailFrom };
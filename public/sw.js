@@ -0,0 +1,57 @@
+/**
+ * sw.js — Offline cache for Run Show
+ *
+ * Network-first with cache fallback for:
+ *   - the app shell (same-origin GETs: index.html, built JS/CSS)
+ *   - pdf.js from cdnjs
+ *   - script PDFs from Firebase Storage — script.pdf and revisions/{id}.pdf
+ *     (download URLs carry a token, so the exact URL is the cache key —
+ *     pdf-service.js remembers the last one)
+ *
+ * Firestore data (zones, notes, sessions) is not handled here — the SDK's
+ * persistent IndexedDB cache covers it.
+ */
+const CACHE = 'cue-offline-v1';
+
+self.addEventListener('install', event => {
+  // Precache the shell; hashed assets are picked up on the next controlled load
+  event.waitUntil(caches.open(CACHE).then(c => c.add('/')).catch(() => {}).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+function isCacheable(url) {
+  if (url.origin === self.location.origin) return true;
+  if (url.hostname === 'cdnjs.cloudflare.com' && url.pathname.includes('/pdf.js/')) return true;
+  if (url.hostname === 'firebasestorage.googleapis.com'
+    && (url.pathname.endsWith('script.pdf') || url.pathname.includes('%2Frevisions%2F'))) return true;
+  return false;
+}
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if (req.method !== 'GET' || req.headers.has('range')) return;
+  const url = new URL(req.url);
+  if (!isCacheable(url)) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    try {
+      const res = await fetch(req);
+      if (res.ok && res.status === 200) cache.put(req, res.clone());
+      return res;
+    } catch (e) {
+      const cached = await cache.match(req)
+        // SPA navigation: any route falls back to the cached shell
+        || (req.mode === 'navigate' ? await cache.match('/') : null);
+      if (cached) return cached;
+      throw e;
+    }
+  })());
+});
@@ -3,6 +3,10 @@ import { state } from '../shared/state.js';
 import { isOwner } from '../shared/roles.js';
 import { toast } from '../shared/toast.js';
 import { escapeHtml, sanitizeName, confirmDialog } from '../shared/ui.js';
+import { getMyCastMember, openMyNotes } from './note-acks.js';
+import { openDrillList } from '../runshow/recurring-notes.js';
+import { openCharacterPlot } from './character-plot.js';
+import { openLineStats, countWords } from './line-stats.js';
 import {
   collection, doc, addDoc, updateDoc, deleteDoc, onSnapshot, getDocs,
   serverTimestamp
@@ -90,7 +94,8 @@ export function renderCastTab() {
                   <button class="cast-action-btn" data-action="edit" data-id="${escapeHtml(m.id)}">Edit</button>
                   <button class="cast-action-btn cast-action-btn--danger" data-action="remove" data-id="${escapeHtml(m.id)}">Remove</button>
                   <button class="cast-lines-btn" data-lines-id="${escapeHtml(m.id)}" style="font-size:10px;padding:3px 8px;background:var(--bg-raised);border:1px solid var(--bg-border);color:var(--text-secondary);border-radius:4px;cursor:pointer;font-family:'DM Mono',monospace;" title="View assigned script lines">Lines</button>
-                </td>` : `<td><button class="cast-lines-btn" data-lines-id="${escapeHtml(m.id)}" style="font-size:10px;padding:3px 8px;background:var(--bg-raised);border:1px solid var(--bg-border);color:var(--text-secondary);border-radius:4px;cursor:pointer;font-family:'DM Mono',monospace;" title="View assigned script lines">Lines</button></td>`}
+                  <button class="cast-drill-btn" data-drill-id="${escapeHtml(m.id)}" style="font-size:10px;padding:3px 8px;background:var(--bg-raised);border:1px solid var(--bg-border);color:var(--text-secondary);border-radius:4px;cursor:pointer;font-family:'DM Mono',monospace;" title="Lines noted in several recent runs">Drill</button>
+                </td>` : `<td><button class="cast-lines-btn" data-lines-id="${escapeHtml(m.id)}" style="font-size:10px;padding:3px 8px;background:var(--bg-raised);border:1px solid var(--bg-border);color:var(--text-secondary);border-radius:4px;cursor:pointer;font-family:'DM Mono',monospace;" title="View assigned script lines">Lines</button> <button class="cast-drill-btn" data-drill-id="${escapeHtml(m.id)}" style="font-size:10px;padding:3px 8px;background:var(--bg-raised);border:1px solid var(--bg-border);color:var(--text-secondary);border-radius:4px;cursor:pointer;font-family:'DM Mono',monospace;" title="Lines noted in several recent runs">Drill</button></td>`}
               </tr>`;
             }).join('')}
           </tbody>
@@ -101,7 +106,12 @@ export function renderCastTab() {
     container.innerHTML = `
       <div class="cast-header-row">
         <h2 style="font-family:'Instrument Serif',serif;font-size:22px;color:var(--text-primary)">Cast &amp; Crew</h2>
-        ${owner ? '<button class="cast-add-btn" id="cast-add-btn">+ Add Member</button>' : ''}
+        <div style="display:flex;gap:8px;">
+          ${getMyCastMember() ? '<button class="cast-add-btn" id="cast-my-notes-btn">My Notes</button>' : ''}
+          <button class="cast-add-btn" id="cast-stats-btn">Line Stats</button>
+          <button class="cast-add-btn" id="cast-plot-btn">Character Plot</button>
+          ${owner ? '<button class="cast-add-btn" id="cast-add-btn">+ Add Member</button>' : ''}
+        </div>
       </div>
       ${tableHtml}`;
   }
@@ -125,16 +135,24 @@ export function renderCastTab() {
     );
   }
 
+  container.querySelector('#cast-my-notes-btn')?.addEventListener('click', openMyNotes);
+  container.querySelector('#cast-stats-btn')?.addEventListener('click', openLineStats);
+  container.querySelector('#cast-plot-btn')?.addEventListener('click', openCharacterPlot);
+
   // Lines button handler — all users, not just owners
   container.querySelectorAll('.cast-lines-btn').forEach(btn => {
     btn.addEventListener('click', () => showActorLineReport(btn.dataset.linesId));
   });
+  container.querySelectorAll('.cast-drill-btn').forEach(btn => {
+    btn.addEventListener('click', () => openDrillList(btn.dataset.drillId));
+  });
 }
 
 /**
  * Build a line report for a single cast member.
  * Reads all zone documents, filters for zones assigned to the given castId,
- * groups by page, and returns { pageKey: string, lines: string[] }[].
+ * groups by page, and returns { pageKey: string, lines: string[], words: number }[].
+ * Character cue zones count as lines but not as words.
  */
 async function buildActorLineReport(castId, charNames) {
   const pid = state.activeProduction?.id;
@@ -156,7 +174,9 @@ async function buildActorLineReport(castId, charNames) {
       if (matching.length > 0) {
         pages.push({
           pageKey,
-          lines: matching.map(z => z.text || '[no text]')
+          lines: matching.map(z => z.text || '[no text]'),
+          words: matching.filter(z => !z.isCharName)
+            .reduce((sum, z) => sum + countWords(z.text), 0)
         });
       }
     });
@@ -210,9 +230,11 @@ async function showActorLineReport(memberId) {
   }
 
   const totalLines = pages.reduce((sum, p) => sum + p.lines.length, 0);
+  const totalWords = pages.reduce((sum, p) => sum + p.words, 0);
   let html = '<div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:10px;">'
     + '<span style="font-family:\'DM Mono\',monospace;font-size:11px;color:var(--gold);">'
     + totalLines + ' line' + (totalLines !== 1 ? 's' : '') + ' across ' + pages.length + ' page' + (pages.length !== 1 ? 's' : '')
+    + ' \u00b7 ' + totalWords.toLocaleString() + ' word' + (totalWords !== 1 ? 's' : '')
     + '</span>'
     + '<button class="ln-header-btn" data-close-report="' + escapeHtml(memberId) + '" style="font-size:10px;">Close</button></div>';
 
@@ -220,7 +242,7 @@ async function showActorLineReport(memberId) {
     html += '<details class="cast-line-page-group" style="margin-bottom:6px;">'
       + '<summary style="cursor:pointer;font-family:\'DM Mono\',monospace;font-size:12px;color:var(--text-primary);padding:4px 0;user-select:none;">'
       + '<span style="color:var(--gold);">p.' + escapeHtml(p.pageKey) + '</span>'
-      + ' \u00b7 ' + p.lines.length + ' line' + (p.lines.length !== 1 ? 's' : '')
+      + ' \u00b7 ' + p.lines.length + ' line' + (p.lines.length !== 1 ? 's' : '') + ' \u00b7 ' + p.words + ' words'
       + '</summary>'
       + '<div style="padding:4px 0 8px 16px;">';
     p.lines.forEach(line => {
@@ -0,0 +1,361 @@
+/**
+ * character-plot.js — Character Plot / French Scene Breakdown
+ *
+ * Generated from the script's zones (saved zone docs, and the text of pages
+ * never opened in the zone editor): a grid of characters against scenes (or page
+ * ranges, or French scenes) showing who speaks and who is onstage.
+ *
+ *   speaks   — a zone assigned to the character (speeches counted as runs of
+ *              consecutive zones, so a cue plus its dialogue block is one)
+ *   onstage  — the character has spoken in the scene, or a stage direction
+ *              brings them on ("Enter HAMLET", "Hamlet enters"), until one
+ *              takes them off ("Exit", "Exeunt", "HAMLET leaves"). The stage
+ *              clears at every marked scene start.
+ *
+ * Scenes come from the markers set in the zone editor (scene-markers.js).
+ * French scenes split a scene wherever a stage direction changes who is on;
+ * speakers with no entrance direction join the French scene they speak in.
+ * Without markers the plot falls back to page ranges.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml, downloadCSV } from '../shared/ui.js';
+import { scriptPageLabel, isSplitScript } from '../shared/script-pages.js';
+import { getCastMembers } from './cast.js';
+import { sortedSceneMarkers, scenePosition } from '../linenotes/scene-markers.js';
+import { loadScriptZones } from '../shared/script-zones.js';
+import { openScriptDocument } from '../shared/pdf-service.js';
+import { collection, getDocs } from 'firebase/firestore';
+
+const MODES = {
+  scenes: 'Scenes',
+  french: 'French scenes',
+  pages:  'Page ranges',
+};
+const PAGE_RANGE_SIZES = [1, 2, 5, 10];
+const SCAN_SCALE = 1.4;
+
+const ENTER_RE = /\b(re-?)?enter(s|ing)?\b|\bcomes? (in|on)\b|\bappears?\b/i;
+const EXIT_RE = /\bexit(s|ing)?\b|\bexeunt\b|\bleaves?\b|\bgoes (off|out)\b|\b(runs?|storms?|hurries?) off\b/i;
+
+/* ── MODEL ────────────────────────────────────── */
+
+export function normCharacter(name) {
+  return (name || '').replace(/\(.*?\)/g, '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/** Normalized names of the characters a zone is assigned to. */
+export function zoneCharacters(zone) {
+  const actors = zone.assignedActors?.length
+    ? zone.assignedActors
+    : (zone.assignedCastId && zone.assignedCharName ? [{ castId: zone.assignedCastId, charName: zone.assignedCharName }] : []);
+  return [...new Set(actors.map(a => normCharacter(a.charName)).filter(Boolean))];
+}
+
+/** Cast characters as plot rows, in cast order. */
+export function characterRows() {
+  const rows = new Map();
+  getCastMembers().forEach(m => {
+    (m.characters || []).forEach(ch => {
+      const name = normCharacter(ch);
+      if (!name) return;
+      const row = rows.get(name) || { name, label: ch, actors: [], castIds: [], color: m.color || '#888' };
+      if (!row.castIds.includes(m.id)) { row.castIds.push(m.id); row.actors.push(m.name); }
+      rows.set(name, row);
+    });
+  });
+  return rows;
+}
+
+/**
+ * Every zone in reading order, in the layout the script is numbered in.
+ * Pages never opened in the zone editor are extracted the way auto-assign
+ * does, so the sequence covers the whole script.
+ * @returns {{ split: boolean, sequence: Array<{ key, page, half, order, pos, zone }> }}
+ */
+export async function loadScriptSequence() {
+  const prod = state.activeProduction;
+  const split = isSplitScript();
+  let pages = {};
+  if (prod.scriptPath) {
+    const pdf = await openScriptDocument(prod.scriptPath);
+    try {
+      ({ pages } = await loadScriptZones(pdf, split, SCAN_SCALE));
+    } finally {
+      pdf.destroy();
+    }
+  } else {
+    const snap = await getDocs(collection(db, 'productions', prod.id, 'zones'));
+    snap.docs.forEach(d => { if (d.data().zones?.length) pages[d.id] = d.data().zones; });
+  }
+
+  const docs = [];
+  Object.entries(pages).forEach(([key, zones]) => {
+    const m = /^(\d+)([LR]?)$/.exec(key);
+    if (m && zones?.length) docs.push({ key, page: Number(m[1]), half: m[2], zones });
+  });
+  const sequence = [];
+  docs
+    .filter(d => !!d.half === split)
+    .map(d => ({ ...d, order: split ? (d.page - 1) * 2 + (d.half === 'R' ? 1 : 0) : d.page }))
+    .sort((a, b) => a.order - b.order)
+    .forEach(d => {
+      d.zones.forEach(zone => {
+        sequence.push({ key: d.key, page: d.page, half: d.half, order: d.order, pos: d.order * 1000 + (zone.y || 0), zone });
+      });
+    });
+  return { split, sequence };
+}
+
+function _namesIn(text, names) {
+  return names.filter(n => new RegExp(`\\b${n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text));
+}
+
+/**
+ * Apply one stage direction to the onstage set.
+ * @returns {boolean} whether anyone entered or left
+ */
+function _applyDirection(text, onstage, names, lastSpeakers) {
+  let changed = false;
+  (text || '').split(/[.;]\s+|\)\s*\(/).forEach(clause => {
+    const mentioned = _namesIn(clause, names);
+    if (EXIT_RE.test(clause)) {
+      const leaving = mentioned.length ? mentioned
+        : /\bexeunt\b/i.test(clause) ? [...onstage]
+        : [...lastSpeakers];
+      leaving.forEach(n => { if (onstage.delete(n)) changed = true; });
+    } else if (ENTER_RE.test(clause)) {
+      mentioned.forEach(n => { if (!onstage.has(n)) { onstage.add(n); changed = true; } });
+    }
+  });
+  return changed;
+}
+
+/**
+ * Build the plot.
+ * @param {{ split, sequence }} script
+ * @param {Map} rows — from characterRows()
+ * @param {{ mode: 'scenes'|'french'|'pages', pageSize: number }} opts
+ * @returns {Array<{ label, from, to, cells: Map<name, { speeches, onstage }> }>}
+ */
+export function buildCharacterPlot({ split, sequence }, rows, { mode, pageSize }) {
+  const names = [...rows.keys()];
+  const markers = sortedSceneMarkers(split).map(m => ({ ...m, pos: scenePosition(m, split) }));
+  const segments = [];
+  const onstage = new Set();
+  let lastSpeakers = [];
+  let sceneIdx = -1;
+  let french = 0;
+  let current = null;
+  const firstOrder = sequence[0]?.order ?? 0;
+
+  const sceneLabel = () => (sceneIdx >= 0 ? markers[sceneIdx].label || `Scene ${sceneIdx + 1}` : 'Opening');
+  const open = (label, entry, keep = false) => {
+    current = { label, from: entry, to: entry, cells: new Map(), keep };
+    onstage.forEach(n => _cell(n).onstage = true);
+    segments.push(current);
+  };
+  const _cell = name => {
+    let c = current.cells.get(name);
+    if (!c) { c = { speeches: 0, onstage: false }; current.cells.set(name, c); }
+    return c;
+  };
+
+  sequence.forEach(entry => {
+    // Scene boundaries clear the stage
+    let newScene = false;
+    while (sceneIdx + 1 < markers.length && markers[sceneIdx + 1].pos <= entry.pos) {
+      sceneIdx++;
+      newScene = true;
+    }
+    if (newScene) { onstage.clear(); lastSpeakers = []; french = 0; }
+
+    if (mode === 'pages') {
+      const chunk = Math.floor((entry.order - firstOrder) / pageSize);
+      if (!current || current.chunk !== chunk) { open('', entry); current.chunk = chunk; }
+    } else if (!current || newScene) {
+      french = 1;
+      open(mode === 'french' ? `${sceneLabel()} · 1` : sceneLabel(), entry, sceneIdx >= 0);
+    }
+    current.to = entry;
+
+    const zone = entry.zone;
+    if (zone.isStageDirection) {
+      const before = current.cells.size || onstage.size;
+      const changed = _applyDirection(zone.text, onstage, names, lastSpeakers);
+      if (changed && mode === 'french' && before) {
+        french++;
+        open(`${sceneLabel()} · ${french}`, entry);
+      } else {
+        onstage.forEach(n => _cell(n).onstage = true);
+      }
+      return;
+    }
+
+    const speakers = zoneCharacters(zone).filter(n => rows.has(n));
+    if (!speakers.length) return;
+    speakers.forEach(n => {
+      const c = _cell(n);
+      if (!lastSpeakers.includes(n)) c.speeches++;
+      c.onstage = true;
+      onstage.add(n);
+    });
+    lastSpeakers = speakers;
+  });
+
+  segments.forEach(s => {
+    if (!s.label) s.label = `pp. ${scriptPageLabel(s.from.page, s.from.half)}–${scriptPageLabel(s.to.page, s.to.half)}`;
+  });
+  // Marked scenes always show; empty ranges and French scenes do not
+  return segments.filter(s => s.keep || [...s.cells.values()].some(c => c.onstage || c.speeches));
+}
+
+/* ═══════════════════════════════════════════════════════════
+   RENDERING & EXPORT
+   ═══════════════════════════════════════════════════════════ */
+
+function _rangeLabel(s) {
+  const from = scriptPageLabel(s.from.page, s.from.half);
+  const to = scriptPageLabel(s.to.page, s.to.half);
+  return from === to ? `p.${from}` : `pp.${from}–${to}`;
+}
+
+/** Rows in order of first appearance, then characters who never appear. */
+function _orderedRows(rows, segments) {
+  const seen = [];
+  segments.forEach(s => s.cells.forEach((c, name) => { if (!seen.includes(name)) seen.push(name); }));
+  return [...seen, ...[...rows.keys()].filter(n => !seen.includes(n))].map(n => rows.get(n));
+}
+
+function _cellText(c) {
+  if (!c) return '';
+  if (c.speeches) return `S${c.speeches > 1 ? ` (${c.speeches})` : ''}`;
+  return c.onstage ? 'O' : '';
+}
+
+function _gridHtml(rows, segments) {
+  const head = segments.map(s => `<th><div>${escapeHtml(s.label)}</div><div class="cp-range">${escapeHtml(_rangeLabel(s))}</div></th>`).join('');
+  const body = _orderedRows(rows, segments).map(r => {
+    const count = segments.filter(s => s.cells.get(r.name)?.onstage).length;
+    const cells = segments.map(s => {
+      const c = s.cells.get(r.name);
+      if (c?.speeches) return `<td class="cp-speaks" style="background:${escapeHtml(r.color)};" title="${c.speeches} speech${c.speeches !== 1 ? 'es' : ''}">${c.speeches}</td>`;
+      if (c?.onstage) return '<td class="cp-onstage" title="Onstage, silent">○</td>';
+      return '<td></td>';
+    }).join('');
+    return `<tr${count ? '' : ' class="cp-absent"'}>
+      <th class="cp-name"><div>${escapeHtml(r.label)}</div><div class="cp-range">${escapeHtml(r.actors.join(', '))}</div></th>
+      <td class="cp-count">${count}</td>${cells}
+    </tr>`;
+  }).join('');
+  return `<table class="cp-grid"><thead><tr><th class="cp-name">Character</th><th class="cp-count">#</th>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function _csvRows(rows, segments) {
+  const header = ['Character', 'Actor', 'Appearances', ...segments.map(s => `${s.label} (${_rangeLabel(s)})`)];
+  return [header, ..._orderedRows(rows, segments).map(r => [
+    r.label, r.actors.join(', '),
+    segments.filter(s => s.cells.get(r.name)?.onstage).length,
+    ...segments.map(s => _cellText(s.cells.get(r.name))),
+  ])];
+}
+
+function _printHtml(rows, segments, modeLabel) {
+  const show = state.activeProduction?.title || '';
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Character Plot — ${escapeHtml(show)}</title>
+<style>
+@import url('https://fonts.googleapis.com/css2?family=DM+Mono:wght@400;500&family=Instrument+Serif:ital@0;1&family=DM+Sans:wght@400;500&display=swap');
+*{box-sizing:border-box;margin:0;padding:0}body{font-family:'DM Sans',sans-serif;color:#1a1814;padding:24px 28px}
+h1{font-family:'Instrument Serif',serif;font-size:26px;margin-bottom:4px}
+.meta{font-family:'DM Mono',monospace;font-size:11px;color:#999;margin-bottom:16px}
+table{border-collapse:collapse;font-size:11px}th,td{border:1px solid #e0dcd2;padding:4px 6px;text-align:center;vertical-align:middle}
+thead th{font-family:'DM Mono',monospace;font-size:9px;font-weight:500;text-transform:uppercase;color:#666;max-width:90px}
+.cp-name{text-align:left;white-space:nowrap;font-weight:500}.cp-range{font-family:'DM Mono',monospace;font-size:9px;color:#999;font-weight:400}
+.cp-speaks{color:#fff;font-weight:600;-webkit-print-color-adjust:exact;print-color-adjust:exact}.cp-onstage{color:#888}
+.cp-absent{color:#bbb}.cp-count{font-family:'DM Mono',monospace;color:#999}
+@media print{body{padding:8px}@page{size:landscape}}
+</style></head><body>
+<h1>Character Plot</h1>
+<div class="meta">${escapeHtml(show)} · ${escapeHtml(modeLabel)} · number = speeches, ○ = onstage, silent</div>
+${_gridHtml(rows, segments)}
+</body></html>`;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   MODAL
+   ═══════════════════════════════════════════════════════════ */
+
+/** Open the character plot for the active production. */
+export async function openCharacterPlot() {
+  const rows = characterRows();
+  if (!rows.size) { toast('Add characters to your cast members first.', 'error'); return; }
+
+  let script;
+  try {
+    script = await loadScriptSequence();
+  } catch (e) {
+    console.error('Character plot load error:', e);
+    toast('Could not read the script.', 'error');
+    return;
+  }
+  if (!script.sequence.length) { toast('No script text yet — upload a script first.', 'error'); return; }
+
+  const hasScenes = sortedSceneMarkers(script.split).length > 0;
+  const opts = { mode: hasScenes ? 'scenes' : 'pages', pageSize: 5 };
+
+  document.getElementById('character-plot-modal')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  backdrop.id = 'character-plot-modal';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="max-width:none;width:95vw;max-height:90vh;display:flex;flex-direction:column;">
+      <h2 style="margin-bottom:4px;">Character Plot</h2>
+      <div style="font-size:12px;color:var(--text-muted);margin-bottom:12px;">
+        ${hasScenes ? 'Number = speeches · ○ = onstage, silent' : 'No scenes marked yet — use § Scene in Edit Script to mark scene starts. Showing page ranges.'}
+      </div>
+      <div style="display:flex;gap:6px;align-items:center;margin-bottom:12px;">
+        ${Object.entries(MODES).map(([k, label]) => `<button class="settings-btn cp-mode" data-mode="${k}">${label}</button>`).join('')}
+        <select id="cp-page-size" class="form-input" style="width:auto;padding:5px 8px;font-size:12px;">
+          ${PAGE_RANGE_SIZES.map(n => `<option value="${n}"${n === opts.pageSize ? ' selected' : ''}>${n} page${n !== 1 ? 's' : ''}</option>`).join('')}
+        </select>
+      </div>
+      <div id="cp-grid" class="cp-scroll"></div>
+      <div class="modal-btns">
+        <button class="modal-btn-cancel" id="cp-close">Close</button>
+        <button class="settings-btn" id="cp-csv">Export CSV</button>
+        <button class="modal-btn-primary" id="cp-print">Print</button>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  const gridEl = backdrop.querySelector('#cp-grid');
+  const sizeEl = backdrop.querySelector('#cp-page-size');
+  let segments = [];
+  const render = () => {
+    backdrop.querySelectorAll('.cp-mode').forEach(b => b.classList.toggle('settings-btn--primary', b.dataset.mode === opts.mode));
+    sizeEl.style.display = opts.mode === 'pages' ? '' : 'none';
+    segments = buildCharacterPlot(script, rows, opts);
+    gridEl.innerHTML = segments.length
+      ? _gridHtml(rows, segments)
+      : '<div style="color:var(--text-muted);font-size:13px;padding:20px 0;text-align:center;">No character assignments in the script yet — assign zones in Edit Script.</div>';
+  };
+
+  const close = () => backdrop.remove();
+  backdrop.querySelector('#cp-close').addEventListener('click', close);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+  backdrop.querySelectorAll('.cp-mode').forEach(b => b.addEventListener('click', () => { opts.mode = b.dataset.mode; render(); }));
+  sizeEl.addEventListener('change', () => { opts.pageSize = Number(sizeEl.value); render(); });
+  backdrop.querySelector('#cp-csv').addEventListener('click', () => {
+    const slug = (state.activeProduction?.title || 'show').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    downloadCSV(_csvRows(rows, segments), `${slug}-character-plot-${opts.mode}.csv`);
+  });
+  backdrop.querySelector('#cp-print').addEventListener('click', () => {
+    const w = window.open('', '_blank');
+    if (!w) { toast('Allow popups to print.', 'error'); return; }
+    w.document.write(_printHtml(rows, segments, MODES[opts.mode]));
+    w.document.close();
+  });
+  render();
+}
@@ -0,0 +1,287 @@
+/**
+ * line-stats.js — Line Counts & Stage Time per Actor
+ *
+ * Per character, from the script's zones (see loadScriptSequence):
+ *   speeches       — runs of consecutive zones assigned to the character
+ *   words          — dialogue words (character cue zones not counted)
+ *   dialogue pages — script pages with at least one of their zones
+ *
+ * And with recorded page times (session pageLog, holds excluded):
+ *   onstage        — time spent on pages where the character is onstage, as
+ *                    worked out for the character plot (character-plot.js).
+ *                    Whole pages count, so this is an estimate.
+ *   longest gap    — the longest offstage stretch between two appearances,
+ *                    the window for a quick change or a line run
+ *
+ * Timing is the average across recorded runs, or one chosen run. Actor totals
+ * add up speeches and words across their characters; onstage time and gaps
+ * use the pages where any of their characters is on.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml, downloadCSV } from '../shared/ui.js';
+import { getCastMembers } from './cast.js';
+import { scriptPageLabel } from '../shared/script-pages.js';
+import {
+  characterRows, loadScriptSequence, zoneCharacters, buildCharacterPlot,
+} from './character-plot.js';
+import { pageOrder, runLabel } from '../runshow/run-analytics.js';
+import { pageDwellTimes } from '../runshow/session-compare.js';
+import { collection, getDocs } from 'firebase/firestore';
+
+/* ── MODEL ────────────────────────────────────── */
+
+/** Words in a line of dialogue. */
+export function countWords(text) {
+  return (String(text || '').match(/[\p{L}\p{N}'’-]+/gu) || []).length;
+}
+
+function _timingKey(page, half) {
+  return pageOrder(page, half || 'L');
+}
+
+/**
+ * Average page dwell across runs.
+ * @returns {Map<number, number>} ms keyed by run-analytics pageOrder
+ */
+function _averageDwell(sessions) {
+  const sums = new Map();
+  sessions.forEach(s => {
+    pageDwellTimes(s).forEach((d, order) => {
+      const acc = sums.get(order) || { ms: 0, n: 0 };
+      acc.ms += d.ms;
+      acc.n++;
+      sums.set(order, acc);
+    });
+  });
+  return new Map([...sums].map(([order, acc]) => [order, acc.ms / acc.n]));
+}
+
+/**
+ * Onstage time and the longest gap for a set of onstage pages.
+ * @param {Array<{ page, half }>} pages — every script page, in order
+ * @param {Set<number>} onstage        — indices into pages
+ * @param {Map|null} dwell
+ */
+function _stageTime(pages, onstage, dwell) {
+  const ms = i => dwell?.get(_timingKey(pages[i].page, pages[i].half)) ?? null;
+  let onstageMs = dwell ? 0 : null;
+  let gap = null;
+  let last = -1;
+  pages.forEach((p, i) => {
+    if (!onstage.has(i)) return;
+    if (dwell) onstageMs += ms(i) || 0;
+    if (last >= 0 && i - last > 1) {
+      const between = [];
+      for (let j = last + 1; j < i; j++) between.push(j);
+      const gapMs = dwell ? between.reduce((sum, j) => sum + (ms(j) || 0), 0) : null;
+      const longer = gap === null || (dwell ? gapMs > gap.ms : between.length > gap.pages);
+      if (longer) gap = { ms: gapMs, pages: between.length, from: pages[between[0]], to: pages[between[between.length - 1]] };
+    }
+    last = i;
+  });
+  return { onstageMs, gap };
+}
+
+/**
+ * Build per-character and per-actor stats.
+ * @param {{ split, sequence }} script — from loadScriptSequence()
+ * @param {Map|null} dwell — page dwell ms (null without recorded runs)
+ * @returns {{ characters: Array, actors: Array }}
+ */
+export function buildLineStats(script, dwell) {
+  const rows = characterRows();
+  const stats = new Map([...rows.values()].map(r => [r.name, {
+    ...r, speeches: 0, words: 0, dialoguePages: [], onstage: new Set(),
+  }]));
+
+  let last = [];
+  script.sequence.forEach(entry => {
+    const zone = entry.zone;
+    if (zone.isStageDirection) return;
+    const speakers = zoneCharacters(zone).filter(n => stats.has(n));
+    if (!speakers.length) return;
+    speakers.forEach(n => {
+      const s = stats.get(n);
+      if (!last.includes(n)) s.speeches++;
+      if (!zone.isCharName) s.words += countWords(zone.text);
+      if (!s.dialoguePages.includes(entry.key)) s.dialoguePages.push(entry.key);
+    });
+    last = speakers;
+  });
+
+  // One plot column per page gives who is onstage where
+  const pages = [];
+  const pageIdx = new Map();
+  script.sequence.forEach(e => {
+    if (!pageIdx.has(e.key)) { pageIdx.set(e.key, pages.length); pages.push({ page: e.page, half: e.half, key: e.key }); }
+  });
+  buildCharacterPlot(script, rows, { mode: 'pages', pageSize: 1 }).forEach(seg => {
+    seg.cells.forEach((c, name) => { if (c.onstage) stats.get(name)?.onstage.add(pageIdx.get(seg.from.key)); });
+  });
+
+  const characters = [...stats.values()].map(s => ({
+    ...s,
+    dialoguePages: s.dialoguePages.map(k => pages[pageIdx.get(k)]),
+    ..._stageTime(pages, s.onstage, dwell),
+  }));
+
+  const actors = getCastMembers()
+    .filter(m => m.characters?.length)
+    .map(m => {
+      const chars = characters.filter(c => c.castIds.includes(m.id));
+      const onstage = new Set(chars.flatMap(c => [...c.onstage]));
+      const dialogueKeys = new Set(chars.flatMap(c => c.dialoguePages.map(p => p.key)));
+      return {
+        castId: m.id, name: m.name, color: m.color || '#888', characters: chars,
+        speeches: chars.reduce((sum, c) => sum + c.speeches, 0),
+        words: chars.reduce((sum, c) => sum + c.words, 0),
+        dialoguePages: pages.filter(p => dialogueKeys.has(p.key)),
+        ..._stageTime(pages, onstage, dwell),
+      };
+    });
+  return { characters, actors };
+}
+
+/* ── FORMATTING ───────────────────────────────── */
+
+function _fmtMin(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const min = ms / 60000;
+  return min < 10 ? min.toFixed(1) : String(Math.round(min));
+}
+
+function _pagesLabel(pages) {
+  // Collapse consecutive runs: 1–3, 5, 7–8
+  const labels = pages.map(p => scriptPageLabel(p.page, p.half));
+  const out = [];
+  let start = 0;
+  for (let i = 1; i <= labels.length; i++) {
+    const contiguous = i < labels.length && Number(labels[i]) === Number(labels[i - 1]) + 1;
+    if (contiguous) continue;
+    out.push(i - 1 > start ? `${labels[start]}–${labels[i - 1]}` : labels[start]);
+    start = i;
+  }
+  return out.join(', ');
+}
+
+function _gapLabel(gap, timed) {
+  if (!gap) return '—';
+  const range = `pp.${scriptPageLabel(gap.from.page, gap.from.half)}–${scriptPageLabel(gap.to.page, gap.to.half)}`;
+  return timed ? `${_fmtMin(gap.ms)} min (${range})` : `${gap.pages} pg (${range})`;
+}
+
+function _rowHtml(r, timed, sub) {
+  const name = sub
+    ? `<span style="padding-left:14px;color:var(--text-secondary);">${escapeHtml(r.label)}</span>`
+    : `<span class="char-chip-dot" style="background:${escapeHtml(r.color)};display:inline-block;margin-right:6px;"></span>${escapeHtml(r.name)}`;
+  return `<tr${sub ? '' : ' style="font-weight:500;"'}>
+    <td>${name}</td>
+    <td class="ls-num">${r.speeches}</td>
+    <td class="ls-num">${r.words.toLocaleString()}</td>
+    <td class="ls-num" title="${escapeHtml(_pagesLabel(r.dialoguePages))}">${r.dialoguePages.length}</td>
+    ${timed ? `<td class="ls-num">${_fmtMin(r.onstageMs)}</td>` : ''}
+    <td class="ls-gap">${escapeHtml(_gapLabel(r.gap, timed))}</td>
+  </tr>`;
+}
+
+function _tableHtml(stats, timed) {
+  if (!stats.actors.length) return '<div style="color:var(--text-muted);font-size:13px;padding:20px 0;text-align:center;">No cast members with characters yet.</div>';
+  const body = stats.actors.map(a =>
+    _rowHtml(a, timed, false) + (a.characters.length > 1 ? a.characters.map(c => _rowHtml(c, timed, true)).join('') : '')
+  ).join('');
+  return `<table class="cast-table ls-table">
+    <thead><tr><th>Actor / Character</th><th class="ls-num">Speeches</th><th class="ls-num">Words</th><th class="ls-num">Pages</th>${timed ? '<th class="ls-num">Onstage (min)</th>' : ''}<th>Longest gap</th></tr></thead>
+    <tbody>${body}</tbody>
+  </table>`;
+}
+
+function _csvRows(stats, timed) {
+  const row = (actor, character, r) => [
+    actor, character, r.speeches, r.words, r.dialoguePages.length, _pagesLabel(r.dialoguePages),
+    ...(timed ? [_fmtMin(r.onstageMs)] : []),
+    r.gap ? (timed ? _fmtMin(r.gap.ms) : r.gap.pages) : '',
+    r.gap ? `${scriptPageLabel(r.gap.from.page, r.gap.from.half)}–${scriptPageLabel(r.gap.to.page, r.gap.to.half)}` : '',
+  ];
+  return [
+    ['Actor', 'Character', 'Speeches', 'Words', 'Dialogue Pages', 'Pages',
+      ...(timed ? ['Onstage (min)'] : []), timed ? 'Longest Gap (min)' : 'Longest Gap (pages)', 'Gap Pages'],
+    ...stats.actors.flatMap(a => [
+      row(a.name, '', a),
+      ...a.characters.map(c => row(a.name, c.label, c)),
+    ]),
+  ];
+}
+
+/* ═══════════════════════════════════════════════════════════
+   MODAL
+   ═══════════════════════════════════════════════════════════ */
+
+async function _loadRecordedSessions() {
+  const snap = await getDocs(collection(db, 'productions', state.activeProduction.id, 'sessions'));
+  return snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(s => s.status === 'ended' && s.pageLog?.length > 0)
+    .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+}
+
+/** Open the line count & stage time table for the cast. */
+export async function openLineStats() {
+  let script, sessions;
+  try {
+    [script, sessions] = await Promise.all([loadScriptSequence(), _loadRecordedSessions()]);
+  } catch (e) {
+    console.error('Line stats load error:', e);
+    toast('Could not load line stats.', 'error');
+    return;
+  }
+  if (!script.sequence.length) { toast('No script text yet — upload a script first.', 'error'); return; }
+
+  let source = sessions.length ? 'avg' : '';
+  let stats;
+
+  document.getElementById('line-stats-modal')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  backdrop.id = 'line-stats-modal';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="width:860px;max-width:95vw;max-height:90vh;display:flex;flex-direction:column;">
+      <h2 style="margin-bottom:4px;">Line Stats</h2>
+      <div style="font-size:12px;color:var(--text-muted);margin-bottom:12px;">
+        ${sessions.length
+          ? `Stage time from recorded page times ·
+             <select id="ls-source" class="form-input" style="width:auto;padding:4px 8px;font-size:12px;">
+               <option value="avg">Average of ${sessions.length} run${sessions.length !== 1 ? 's' : ''}</option>
+               ${sessions.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(runLabel(s))}</option>`).join('')}
+             </select>`
+          : 'Record page times in Run Show to estimate stage time. Gaps are shown in pages.'}
+      </div>
+      <div id="ls-table" style="overflow-y:auto;flex:1;min-height:0;"></div>
+      <div class="modal-btns">
+        <button class="modal-btn-cancel" id="ls-close">Close</button>
+        <button class="modal-btn-primary" id="ls-csv">Export CSV</button>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  const render = () => {
+    const dwell = !source ? null
+      : source === 'avg' ? _averageDwell(sessions)
+      : pageDwellTimes(sessions.find(s => s.id === source));
+    const plain = dwell && new Map([...dwell].map(([k, v]) => [k, typeof v === 'number' ? v : v.ms]));
+    stats = buildLineStats(script, plain);
+    backdrop.querySelector('#ls-table').innerHTML = _tableHtml(stats, !!source);
+  };
+
+  const close = () => backdrop.remove();
+  backdrop.querySelector('#ls-close').addEventListener('click', close);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+  backdrop.querySelector('#ls-source')?.addEventListener('change', e => { source = e.target.value; render(); });
+  backdrop.querySelector('#ls-csv').addEventListener('click', () => {
+    const slug = (state.activeProduction?.title || 'show').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    downloadCSV(_csvRows(stats, !!source), `${slug}-line-stats.csv`);
+  });
+  render();
+}
@@ -0,0 +1,212 @@
+/**
+ * note-acks.js — Actor Note Acknowledgement
+ *
+ * A signed-in user whose email matches a cast member's email can open
+ * "My Notes" from the Cast & Crew tab: every line note about them, across
+ * sessions, with Acknowledge / Question and an optional reply.
+ *
+ * Acknowledgements live on the lineNotes doc, keyed by the actor's uid so
+ * Firestore rules can restrict each actor to their own entry:
+ *
+ *   acks: { [uid]: { castId, status: 'acknowledged' | 'questioned', reply, at } }
+ *   actorCastIds: string[]   — every castId the note is about (rules check
+ *                              ack.castId against this, or legacy castId/charId;
+ *                              manage-productions.js migrate-note-casts backfills it)
+ *
+ * The SM sees the status per note in the Run Show sidebar and run report.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml } from '../shared/ui.js';
+import { scriptPageLabel } from '../shared/script-pages.js';
+import { noteTypeLabel } from '../shared/note-types.js';
+import { getCastMembers } from './cast.js';
+import { openDrillList } from '../runshow/recurring-notes.js';
+import {
+  collection, doc, updateDoc, onSnapshot, getDocs, serverTimestamp, query, where
+} from 'firebase/firestore';
+
+export const ACK_STATUSES = {
+  acknowledged: { label: 'Acknowledged', short: '✓', color: '#7ab87a' },
+  questioned:   { label: 'Question',     short: '?', color: '#d4844a' },
+};
+
+/** The cast member linked to the signed-in user (by email), or null. */
+export function getMyCastMember() {
+  const email = (state.currentUser?.email || '').toLowerCase();
+  if (!email) return null;
+  return getCastMembers().find(m => (m.email || '').toLowerCase() === email) || null;
+}
+
+/** Every castId a note is about — multi-actor notes list each actor. */
+export function noteCastIds(note) {
+  const ids = note.actors?.length ? note.actors.map(a => a.castId) : [note.castId || note.charId];
+  return [...new Set(ids.filter(Boolean))];
+}
+
+/** Acks on a note as an array, optionally limited to one cast member. */
+export function noteAcks(note, castId) {
+  const acks = Object.values(note.acks || {});
+  return castId ? acks.filter(a => a.castId === castId) : acks;
+}
+
+/** A note stays open until every actor on it has acknowledged it. */
+export function isNoteOpen(note) {
+  return noteCastIds(note).some(castId => !noteAcks(note, castId).some(a => a.status === 'acknowledged'));
+}
+
+/** Compact status pills for the dark-theme Run Show sidebar. */
+export function ackBadgesHtml(note) {
+  const cast = getCastMembers();
+  return noteAcks(note).map(a => {
+    const s = ACK_STATUSES[a.status];
+    if (!s) return '';
+    const who = cast.find(m => m.id === a.castId)?.name || '';
+    const title = `${who ? who + ': ' : ''}${s.label}${a.reply ? ' — ' + a.reply : ''}`;
+    return `<span class="note-ack note-ack--${a.status}" title="${escapeHtml(title)}">${s.short}</span>`;
+  }).join('');
+}
+
+/** Ack status line for one actor's note in the printable run report (light theme). */
+export function ackReportHtml(note, castId) {
+  const a = noteAcks(note, castId)[0];
+  if (!a || !ACK_STATUSES[a.status]) return '<div style="font-family:\'DM Mono\',monospace;font-size:10px;color:#bbb;">Not yet acknowledged</div>';
+  const s = ACK_STATUSES[a.status];
+  return `<div style="font-family:'DM Mono',monospace;font-size:10px;color:${s.color};">${s.short} ${escapeHtml(s.label.toUpperCase())}</div>`
+    + (a.reply ? `<div style="font-size:13px;color:#555;border-left:2px solid ${s.color};padding-left:8px;">${escapeHtml(a.reply)}</div>` : '');
+}
+
+/** Write the signed-in actor's acknowledgement on a note. */
+async function saveAck(note, castId, status, reply) {
+  const pid = state.activeProduction.id;
+  const uid = state.currentUser.uid;
+  await updateDoc(doc(db, 'productions', pid, 'lineNotes', note.id), {
+    [`acks.${uid}`]: { castId, status, reply: reply.slice(0, 1000), at: serverTimestamp() },
+  });
+}
+
+/* ═══════════════════════════════════════════════════════════
+   MY NOTES PORTAL
+   ═══════════════════════════════════════════════════════════ */
+
+/** Open the signed-in actor's notes across all sessions. */
+export async function openMyNotes() {
+  const me = getMyCastMember();
+  if (!me) { toast('Your email is not on the cast list.', 'error'); return; }
+  const pid = state.activeProduction.id;
+
+  // Session titles for grouping
+  const sessionTitles = {};
+  try {
+    const snap = await getDocs(collection(db, 'productions', pid, 'sessions'));
+    snap.docs.forEach(d => {
+      const s = d.data();
+      const date = s.date?.toDate ? s.date.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '';
+      sessionTitles[d.id] = { title: s.title || 'Untitled', date, startedAt: s.startedAt || 0 };
+    });
+  } catch (e) { console.warn('Could not load sessions for My Notes:', e); }
+
+  document.getElementById('my-notes-modal')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  backdrop.id = 'my-notes-modal';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="max-width:680px;width:95vw;max-height:85vh;display:flex;flex-direction:column;">
+      <h2 style="margin-bottom:4px;">My Notes</h2>
+      <div style="font-size:12px;color:var(--text-muted);margin-bottom:12px;">${escapeHtml(me.name)} · acknowledge each note or ask a question</div>
+      <div style="display:flex;gap:6px;margin-bottom:12px;">
+        <button class="settings-btn mn-filter" data-filter="open">Needs reply</button>
+        <button class="settings-btn mn-filter" data-filter="all">All</button>
+        <button class="settings-btn" id="mn-drill" style="margin-left:auto;">Drill List</button>
+      </div>
+      <div id="mn-list" style="overflow-y:auto;flex:1;"><div style="color:var(--text-muted);font-size:13px;">Loading…</div></div>
+      <div class="modal-btns"><button class="modal-btn-cancel" id="mn-close">Close</button></div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  let notes = [];
+  let filter = 'open';
+  const listEl = backdrop.querySelector('#mn-list');
+
+  const render = () => {
+    backdrop.querySelectorAll('.mn-filter').forEach(b => b.classList.toggle('settings-btn--primary', b.dataset.filter === filter));
+    const visible = notes.filter(n => filter === 'all' || !noteAcks(n, me.id).length);
+    if (!visible.length) {
+      listEl.innerHTML = `<div style="color:var(--text-muted);font-size:13px;padding:20px 0;text-align:center;">${filter === 'open' ? 'All caught up — no notes waiting on you.' : 'No notes yet.'}</div>`;
+      return;
+    }
+    // Group by session, newest first
+    const groups = {};
+    visible.forEach(n => { (groups[n.sessionId || ''] = groups[n.sessionId || ''] || []).push(n); });
+    const order = Object.keys(groups).sort((a, b) => (sessionTitles[b]?.startedAt || 0) - (sessionTitles[a]?.startedAt || 0));
+    listEl.innerHTML = order.map(sid => {
+      const s = sessionTitles[sid];
+      const rows = groups[sid].sort((a, b) => a.page - b.page || (a.bounds?.y || 0) - (b.bounds?.y || 0)).map(n => {
+        const ack = noteAcks(n, me.id)[0];
+        const character = n.actors?.find(a => a.castId === me.id)?.characterName || n.characterName || n.charName || '';
+        return `<div class="mn-note" data-id="${escapeHtml(n.id)}" style="padding:10px 0;border-bottom:1px solid var(--bg-border);">
+          <div style="display:flex;gap:8px;align-items:center;font-size:12px;">
+            <span style="font-family:'DM Mono',monospace;color:var(--text-muted);">p.${escapeHtml(scriptPageLabel(n.page, n.half))}</span>
+            <span style="color:var(--gold);">${escapeHtml(character)}</span>
+            <span style="color:var(--text-secondary);">${escapeHtml(noteTypeLabel(n.type))}</span>
+            ${ack ? `<span style="margin-left:auto;color:${ACK_STATUSES[ack.status]?.color};font-family:'DM Mono',monospace;font-size:10px;">${escapeHtml(ACK_STATUSES[ack.status]?.label || '')}</span>` : ''}
+          </div>
+          ${n.lineText ? `<div style="font-family:'Instrument Serif',serif;font-style:italic;font-size:15px;color:var(--text-primary);margin-top:4px;">“${escapeHtml(n.lineText)}”</div>` : ''}
+          ${n.noteBody ? `<div style="font-size:12px;color:var(--text-secondary);margin-top:4px;">${escapeHtml(n.noteBody)}</div>` : ''}
+          <div style="display:flex;gap:6px;margin-top:8px;align-items:center;">
+            <input type="text" class="form-input mn-reply" maxlength="1000" placeholder="Reply (optional)" value="${escapeHtml(ack?.reply || '')}" style="flex:1;padding:6px 8px;font-size:12px;" />
+            <button class="settings-btn${ack?.status === 'acknowledged' ? ' settings-btn--primary' : ''} mn-ack" data-status="acknowledged">Acknowledge</button>
+            <button class="settings-btn${ack?.status === 'questioned' ? ' settings-btn--primary' : ''} mn-ack" data-status="questioned">Question</button>
+          </div>
+        </div>`;
+      }).join('');
+      return `<div style="margin-bottom:16px;">
+        <div style="font-size:11px;text-transform:uppercase;letter-spacing:1.5px;color:var(--text-muted);margin-bottom:4px;">${escapeHtml(s ? `${s.title}${s.date ? ' · ' + s.date : ''}` : 'Unsorted')}</div>
+        ${rows}
+      </div>`;
+    }).join('');
+
+    listEl.querySelectorAll('.mn-ack').forEach(btn => btn.addEventListener('click', async () => {
+      const row = btn.closest('.mn-note');
+      const note = notes.find(n => n.id === row.dataset.id);
+      if (!note) return;
+      const reply = row.querySelector('.mn-reply').value.trim();
+      if (btn.dataset.status === 'questioned' && !reply) { toast('Add your question in the reply box.', 'error'); return; }
+      btn.disabled = true;
+      try {
+        await saveAck(note, me.id, btn.dataset.status, reply);
+        toast(btn.dataset.status === 'acknowledged' ? 'Note acknowledged.' : 'Question sent.', 'success');
+      } catch (e) {
+        console.error('Acknowledge note error:', e);
+        toast('Failed to save — ask your SM to check your cast email.', 'error');
+        btn.disabled = false;
+      }
+    }));
+  };
+
+  // Live so the list updates as the SM adds notes during a run. Notes written
+  // before actorCastIds existed only match on their primary castId / charId.
+  const notesCol = collection(db, 'productions', pid, 'lineNotes');
+  const byQuery = [new Map(), new Map(), new Map()];
+  const unsubs = [
+    query(notesCol, where('actorCastIds', 'array-contains', me.id)),
+    query(notesCol, where('castId', '==', me.id)),
+    query(notesCol, where('charId', '==', me.id)),
+  ].map((q, i) => onSnapshot(q, snap => {
+    byQuery[i] = new Map(snap.docs.map(d => [d.id, { id: d.id, ...d.data() }]));
+    const merged = new Map(byQuery.flatMap(m => [...m]));
+    notes = [...merged.values()].filter(n => noteCastIds(n).includes(me.id));
+    render();
+  }, e => {
+    console.error('My Notes subscription error:', e);
+    listEl.innerHTML = '<div style="color:var(--red);font-size:13px;">Could not load notes.</div>';
+  }));
+
+  const close = () => { unsubs.forEach(u => u()); backdrop.remove(); };
+  backdrop.querySelector('#mn-close').addEventListener('click', close);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+  backdrop.querySelectorAll('.mn-filter').forEach(b => b.addEventListener('click', () => { filter = b.dataset.filter; render(); }));
+  backdrop.querySelector('#mn-drill').addEventListener('click', () => openDrillList(me.id));
+}
@@ -1,15 +1,16 @@
-import { db, auth, storage, functions } from '../firebase.js';
+import { db, auth, functions } from '../firebase.js';
 import { state, cleanup } from '../shared/state.js';
 import { toast } from '../shared/toast.js';
 import { escapeHtml, sanitizeName, confirmDialog } from '../shared/ui.js';
 import {
-  collection, doc, getDoc, getDocs, addDoc, setDoc, updateDoc, query, where,
+  collection, doc, getDoc, getDocs, addDoc, setDoc, query, where,
   serverTimestamp, collectionGroup
 } from 'firebase/firestore';
-import { ref, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
 
 import { showApp, hideApp } from '../props/props.js';
 import { resetLineNotes } from '../linenotes/linenotes.js';
+import { uploadScriptRevision, activateRevision } from '../linenotes/script-revisions.js';
+import { SCRIPT_FILE_ACCEPT, scriptFileFormat } from '../linenotes/script-import.js';
 import { resetRunShow } from '../RunShow/Runshow.js';
 import { isOwner } from '../shared/roles.js';
 import { setRoute, navigateToDashboard } from '../shared/router.js';
@@ -134,11 +135,18 @@ async function openProduction(id, prod, role) {
     title: prod.title,
     scriptPath: prod.scriptPath || null,
     scriptPageCount: prod.scriptPageCount || null,
+    scriptRevisionId: prod.scriptRevisionId || null,
+    scriptRevision: prod.scriptRevision || null,
     joinCode: prod.joinCode || '',
     joinCodeActive: prod.joinCodeActive !== false,
     createdBy: prod.createdBy || '',
     scriptPageStartPage: prod.scriptPageStartPage || 1,
     scriptPageStartHalf: prod.scriptPageStartHalf || '',
+    scriptBookmarks: prod.scriptBookmarks || [],
+    scriptScenes: prod.scriptScenes || [],
+    timingBaselineSessionId: prod.timingBaselineSessionId || null,
+    showReportTemplate: prod.showReportTemplate || null,
+    reportDistribution: prod.reportDistribution || [],
   };
   state.activeRole = (state.isSuperAdmin) ? 'owner' : role;
   hideDashboard();
@@ -172,8 +180,8 @@ function openCreateModal() {
       <h2>Create Production</h2>
       <label>Production Title</label>
       <input type="text" id="create-title" placeholder="e.g. Hamlet — Spring 2025" maxlength="200" />
-      <label>Script PDF (optional)</label>
-      <input type="file" id="create-script" accept="application/pdf" />
+      <label>Script — PDF, Fountain or FDX (optional)</label>
+      <input type="file" id="create-script" accept="${SCRIPT_FILE_ACCEPT}" />
       <div class="upload-progress" id="create-upload-progress">
         <div class="upload-progress-bar" id="create-upload-bar"></div>
       </div>
@@ -207,6 +215,11 @@ async function doCreate(backdrop) {
     toast('Please enter a production title.', 'error');
     return;
   }
+  const file = fileInput.files[0];
+  if (file && !scriptFileFormat(file)) {
+    toast('Select a PDF, Fountain or FDX file.', 'error');
+    return;
+  }
 
   submitBtn.disabled = true;
   submitBtn.textContent = 'Creating…';
@@ -236,28 +249,19 @@ async function doCreate(backdrop) {
       addedAt: serverTimestamp(),
     });
 
-    // Upload script if selected
-    const file = fileInput.files[0];
-    if (file && file.type === 'application/pdf') {
+    // Upload script if selected — recorded as revision 1 like any later upload
+    if (file) {
       const progressDiv = backdrop.querySelector('#create-upload-progress');
       const bar = backdrop.querySelector('#create-upload-bar');
       progressDiv.style.display = 'block';
 
-      const storageRef = ref(storage, `productions/${prodRef.id}/script.pdf`);
-      const task = uploadBytesResumable(storageRef, file);
-
-      await new Promise((resolve, reject) => {
-        task.on('state_changed',
-          snap => { bar.style.width = `${(snap.bytesTransferred / snap.totalBytes) * 100}%`; },
-          reject,
-          async () => {
-            await updateDoc(doc(db, 'productions', prodRef.id), {
-              scriptPath: `productions/${prodRef.id}/script.pdf`,
-            });
-            resolve();
-          }
-        );
+      const prod = { id: prodRef.id, scriptPath: null };
+      const rev = await uploadScriptRevision(file, {
+        prod,
+        cast: [], // nobody is cast yet — don't match against the last production opened
+        onProgress: f => { bar.style.width = `${f * 100}%`; },
       });
+      await activateRevision(rev, { prod });
     }
 
     toast('Production created!', 'success');
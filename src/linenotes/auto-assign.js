@@ -0,0 +1,356 @@
+/**
+ * auto-assign.js — Character → Cast Auto-Assignment for Line Zones
+ *
+ * One pass over the whole script in the zone editor's current layout (whole
+ * pages, or split halves). Character-name zones (isCharName) are matched
+ * against the `characters` lists on cast members, and every dialogue / lyric
+ * zone after a cue is assigned to that speaker until the next cue. Stage
+ * directions are skipped without ending the speech; an all-caps heading ends
+ * it. The speaker carries across page breaks.
+ *
+ * A cue resolves with high confidence when its name is on exactly one cast
+ * member's list. Everything else goes to the review screen before saving:
+ *   - shared roles (one character on several cast members' lists)
+ *   - partial name matches ("GUARD" ↔ "GUARD 1", "LADY M" ↔ "LADY MACBETH")
+ *   - group cues: BOTH (the last two speakers), ALL / EVERYONE / COMPANY
+ *     (speakers on this and the previous page), joint cues ("A AND B")
+ *   - cues that match nobody
+ *
+ * Pages without saved zones are extracted the same way the editor does.
+ * Zones that already have actors are left alone unless the user opts in.
+ */
+
+import { isOwner } from '../shared/roles.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml } from '../shared/ui.js';
+import { getCastMembers } from '../cast/cast.js';
+import { pdfPageToScriptLabel } from './linenotes.js';
+import { cueCharacterName, loadScriptZones } from '../shared/script-zones.js';
+
+const GROUP_CUES = ['BOTH', 'ALL', 'EVERYONE', 'EVERYBODY', 'COMPANY', 'TOGETHER'];
+const JOINT_SPLIT = /\s+AND\s+|\s*&\s*|\s*\/\s*|\s*,\s*/;
+
+const REASONS = {
+  shared:  'Shared role',
+  partial: 'Partial name match',
+  both:    'BOTH cue',
+  group:   'Group cue',
+  joint:   'Joint cue',
+  none:    'No cast match',
+};
+
+/* ── MATCHING ─────────────────────────────────── */
+
+/** Every cast character as { castId, charName, key }, key normalised like a cue. */
+function _castCharacters() {
+  const out = [];
+  getCastMembers().forEach(m => {
+    const chars = m.characters?.length ? m.characters : [m.name];
+    chars.forEach(ch => out.push({ castId: m.id, charName: ch, key: cueCharacterName(ch) }));
+  });
+  return out;
+}
+
+/**
+ * Loose name match: one name's words start the other's ("GUARD" / "GUARD 1",
+ * "LADY" / "LADY MACBETH"), allowing the last word to be abbreviated
+ * ("LADY M.", "HAM").
+ */
+function _isPartial(a, b) {
+  const wa = a.replace(/\./g, '').split(' ').filter(Boolean);
+  const wb = b.replace(/\./g, '').split(' ').filter(Boolean);
+  if (!wa.length || !wb.length) return false;
+  const [short, long] = wa.length <= wb.length ? [wa, wb] : [wb, wa];
+  const last = short.length - 1;
+  return short.every((w, i) => w === long[i] || (i === last && (long[i].startsWith(w) || w.startsWith(long[i]))));
+}
+
+/** Candidates for one character name: exact matches, else partial ones. */
+function _matchName(name, chars) {
+  const exact = chars.filter(c => c.key === name);
+  if (exact.length) return { actors: exact, partial: false };
+  return { actors: chars.filter(c => _isPartial(c.key, name)), partial: true };
+}
+
+const _actor = c => ({ castId: c.castId, charName: c.charName });
+
+function _uniqueActors(list) {
+  const seen = new Set();
+  return list.filter(a => {
+    const k = `${a.castId}::${a.charName}`;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+/**
+ * Resolve a cue zone's text to actors.
+ * @param {string} text
+ * @param {{ chars, recent: Array<actor[]>, nearby: actor[] }} ctx — recent is
+ *   the speakers of previous cues, newest first; nearby the speakers on this
+ *   and the previous page
+ * @returns {{ actors: Array<{castId, charName}>, reason: string|null }} reason null = confident
+ */
+export function resolveCue(text, ctx) {
+  const name = cueCharacterName(text);
+  if (!name) return { actors: [], reason: 'none' };
+
+  const direct = _matchName(name, ctx.chars);
+  if (direct.actors.length && !direct.partial) {
+    const castIds = new Set(direct.actors.map(a => a.castId));
+    return { actors: direct.actors.map(_actor), reason: castIds.size > 1 ? 'shared' : null };
+  }
+
+  if (name === 'BOTH') {
+    const lastTwo = [];
+    ctx.recent.forEach(actors => {
+      if (lastTwo.length < 2 && actors.length && !lastTwo.some(p => p[0].castId === actors[0].castId)) lastTwo.push(actors);
+    });
+    return { actors: _uniqueActors(lastTwo.flat()), reason: 'both' };
+  }
+  if (GROUP_CUES.includes(name)) return { actors: _uniqueActors(ctx.nearby), reason: 'group' };
+
+  const parts = name.split(JOINT_SPLIT).map(p => p.trim()).filter(Boolean);
+  if (parts.length > 1) {
+    const actors = parts.flatMap(p => _matchName(p, ctx.chars).actors.map(_actor));
+    return { actors: _uniqueActors(actors), reason: 'joint' };
+  }
+
+  if (direct.actors.length) return { actors: direct.actors.map(_actor), reason: 'partial' };
+  return { actors: [], reason: 'none' };
+}
+
+/* ── SCAN ─────────────────────────────────────── */
+
+function _pageKeys(totalPages, split) {
+  const keys = [];
+  for (let n = 1; n <= totalPages; n++) {
+    if (split) keys.push(`${n}L`, `${n}R`);
+    else keys.push(`${n}`);
+  }
+  return keys;
+}
+
+function _isHeading(zone) {
+  const letters = (zone.text || '').replace(/[^a-zA-Z]/g, '');
+  return letters.length > 2 && letters === letters.toUpperCase();
+}
+
+function _hasActors(zone) {
+  return !!(zone.assignedActors?.length || zone.assignedCastId);
+}
+
+/**
+ * Walk the script in order and propose actors for every speech zone.
+ * @returns {{ groups: Array, stats }} a group is one cue and the zones it
+ *   speaks for: { key, label, cueIdx, text, actors, reason, zones: [{ key, idx }] }
+ */
+function _scan(pages, keys, split, keepExisting) {
+  const chars = _castCharacters();
+  const groups = [];
+  const recent = [];
+  const byKey = {};
+  const stats = { cues: 0, zones: 0, kept: 0, unmatched: 0 };
+  let current = null;
+
+  keys.forEach((key, pageIdx) => {
+    const zones = pages[key] || [];
+    const prevKey = keys[pageIdx - 1];
+    zones.forEach((zone, idx) => {
+      if (zone.isCharName) {
+        const nearby = [...(byKey[prevKey] || []), ...(byKey[key] || [])];
+        const { actors, reason } = resolveCue(zone.text, { chars, recent, nearby });
+        const page = parseInt(key, 10);
+        current = {
+          key, cueIdx: idx, text: (zone.text || '').trim(), actors, reason,
+          label: pdfPageToScriptLabel(page, split ? key.slice(-1) : '', split),
+          zones: [],
+        };
+        groups.push(current);
+        stats.cues++;
+        if (reason === 'none') stats.unmatched++;
+        if (actors.length) {
+          recent.unshift(actors);
+          (byKey[key] = byKey[key] || []).push(...actors);
+        }
+        if (keepExisting && _hasActors(zone)) stats.kept++;
+        else current.zones.push({ key, idx });
+        return;
+      }
+      if (zone.isStageDirection) return;
+      if (!zone.isMusicLine && _isHeading(zone)) { current = null; return; }
+      if (!current) return;
+      if (keepExisting && _hasActors(zone)) { stats.kept++; return; }
+      current.zones.push({ key, idx });
+      stats.zones++;
+    });
+  });
+  return { groups, stats };
+}
+
+/**
+ * Write the chosen actors onto copies of the zones and save every page that
+ * changed through the zone editor, which records each page's prior zones for
+ * undo and history. pages[key] only takes the new zones once that page is
+ * saved, so a retry after a failed save still snapshots the real prior zones.
+ */
+async function _save(pages, groups, saveZones) {
+  const before = {};
+  const next = {};
+  groups.forEach(g => {
+    g.zones.forEach(({ key, idx }) => {
+      if (!before[key]) {
+        before[key] = JSON.parse(JSON.stringify(pages[key]));
+        next[key] = JSON.parse(JSON.stringify(pages[key]));
+      }
+      const z = next[key][idx];
+      z.assignedActors = g.actors.map(a => ({ castId: a.castId, charName: a.charName }));
+      z.assignedCastId = g.actors[0]?.castId || null;
+      z.assignedCharName = g.actors[0]?.charName || null;
+    });
+  });
+  const keys = Object.keys(next).filter(key => JSON.stringify(next[key]) !== JSON.stringify(before[key]));
+  for (const key of keys) {
+    await saveZones(key, next[key], before[key]);
+    pages[key] = next[key];
+  }
+  return keys.length;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   REVIEW SCREEN
+   ═══════════════════════════════════════════════════════════ */
+
+function _actorOptionsHtml(group, gi) {
+  const cast = getCastMembers();
+  return cast.map(m => {
+    const chars = m.characters?.length ? m.characters : [m.name];
+    return chars.map(ch => {
+      const checked = group.actors.some(a => a.castId === m.id && a.charName === ch) ? ' checked' : '';
+      return `<label class="zd-actor-cb-row" style="display:inline-flex;margin-right:10px;">
+        <input type="checkbox" class="aa-actor" data-group="${gi}" value="${escapeHtml(m.id + '::' + ch)}"${checked}>
+        <span class="zd-actor-cb-dot" style="background:${escapeHtml(m.color || '#5b9bd4')}"></span>
+        <span class="zd-actor-cb-label">${escapeHtml(ch)} (${escapeHtml(m.name)})</span>
+      </label>`;
+    }).join('');
+  }).join('');
+}
+
+function _reviewHtml(groups) {
+  const review = groups.map((g, gi) => ({ g, gi })).filter(({ g }) => g.reason && g.zones.length);
+  if (!review.length) return '<div style="color:var(--text-muted);font-size:13px;padding:20px 0;text-align:center;">Every cue matched one cast member — nothing to review.</div>';
+  return review.map(({ g, gi }) => `<div style="padding:10px 0;border-bottom:1px solid var(--bg-border);">
+    <div style="display:flex;gap:8px;align-items:center;font-size:12px;margin-bottom:6px;">
+      <span style="font-family:'DM Mono',monospace;color:var(--text-muted);">p.${escapeHtml(g.label)}</span>
+      <span style="color:var(--gold);">${escapeHtml(g.text)}</span>
+      <span style="color:var(--state-hold);">${escapeHtml(REASONS[g.reason])}</span>
+      <span style="margin-left:auto;color:var(--text-muted);">${g.zones.length} zone${g.zones.length !== 1 ? 's' : ''}</span>
+    </div>
+    <div style="font-size:12px;">${_actorOptionsHtml(g, gi)}</div>
+  </div>`).join('');
+}
+
+/**
+ * Open the auto-assign pass for the loaded script.
+ * @param {{ pdf, split: boolean, scale: number,
+ *   saveZones: (key: string, zones: Array, before: Array) => Promise<void>,
+ *   onDone?: () => void }} opts —
+ *   the zone editor's document, layout and page save (throws on failure)
+ */
+export async function openAutoAssign({ pdf, split, scale, saveZones, onDone } = {}) {
+  if (!isOwner()) return;
+  if (!pdf) { toast('Load the script first.', 'error'); return; }
+  if (!getCastMembers().some(m => m.characters?.length)) { toast('Add characters to your cast members first.', 'error'); return; }
+
+  document.getElementById('auto-assign-modal')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  backdrop.id = 'auto-assign-modal';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="max-width:720px;width:95vw;max-height:88vh;display:flex;flex-direction:column;">
+      <h2 style="margin-bottom:4px;">Auto-assign Characters</h2>
+      <div id="aa-summary" style="font-size:12px;color:var(--text-muted);margin-bottom:8px;">Reading script…</div>
+      <label style="display:none;align-items:center;gap:6px;font-size:12px;color:var(--text-secondary);margin-bottom:10px;" id="aa-keep-row">
+        <input type="checkbox" id="aa-keep" checked> Keep zones that already have actors
+      </label>
+      <div id="aa-body" style="overflow-y:auto;flex:1;min-height:120px;"></div>
+      <div class="modal-btns">
+        <button class="modal-btn-cancel" id="aa-cancel">Cancel</button>
+        <button class="modal-btn-primary" id="aa-save" disabled>Save Assignments</button>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  const summaryEl = backdrop.querySelector('#aa-summary');
+  const bodyEl = backdrop.querySelector('#aa-body');
+  const saveBtn = backdrop.querySelector('#aa-save');
+  const keepEl = backdrop.querySelector('#aa-keep');
+  let busy = false;
+  const close = () => { if (!busy) backdrop.remove(); };
+  backdrop.querySelector('#aa-cancel').addEventListener('click', close);
+
+  let pages, extracted;
+  try {
+    ({ pages, extracted } = await loadScriptZones(pdf, split, scale, (n, total) => {
+      summaryEl.textContent = `Reading page ${n} of ${total}…`;
+    }));
+  } catch (e) {
+    console.error('Auto-assign load error:', e);
+    summaryEl.innerHTML = `<span style="color:var(--red);">Could not read the script: ${escapeHtml(e.message || '')}</span>`;
+    return;
+  }
+  if (!backdrop.isConnected) return;
+  const keys = _pageKeys(pdf.numPages, split);
+
+  let scan;
+  // Reviewer picks by cue (page key + zone index), kept when the scan re-runs
+  const picks = new Map();
+  const groupKey = g => `${g.key}/${g.cueIdx}`;
+  const render = () => {
+    scan = _scan(pages, keys, split, keepEl.checked);
+    scan.groups.forEach(g => { if (picks.has(groupKey(g))) g.actors = picks.get(groupKey(g)); });
+    const { stats } = scan;
+    const review = scan.groups.filter(g => g.reason && g.zones.length).length;
+    summaryEl.innerHTML = `${stats.cues} cue${stats.cues !== 1 ? 's' : ''} · ${stats.zones} dialogue zone${stats.zones !== 1 ? 's' : ''} to assign`
+      + (review ? ` · <span style="color:var(--state-hold);">${review} cue${review !== 1 ? 's' : ''} to review</span>` : '')
+      + (stats.kept ? ` · ${stats.kept} already assigned` : '')
+      + (extracted.size ? `<div style="margin-top:4px;">${extracted.size} page${extracted.size !== 1 ? 's' : ''} had no saved zones — read from the text layer.</div>` : '')
+      + '<div style="margin-top:4px;">Uncheck every actor to leave a cue unassigned.</div>';
+    bodyEl.innerHTML = _reviewHtml(scan.groups);
+    bodyEl.querySelectorAll('.aa-actor').forEach(cb => cb.addEventListener('change', () => {
+      const group = scan.groups[Number(cb.dataset.group)];
+      group.actors = [...bodyEl.querySelectorAll(`.aa-actor[data-group="${cb.dataset.group}"]:checked`)].map(el => {
+        const [castId, charName] = el.value.split('::');
+        return { castId, charName };
+      });
+      picks.set(groupKey(group), group.actors);
+    }));
+    saveBtn.disabled = !scan.groups.some(g => g.zones.length);
+  };
+  backdrop.querySelector('#aa-keep-row').style.display = 'flex';
+  keepEl.addEventListener('change', render);
+  render();
+
+  saveBtn.addEventListener('click', async () => {
+    busy = true;
+    saveBtn.disabled = true;
+    summaryEl.textContent = 'Saving…';
+    try {
+      // Unmatched cues stay unassigned unless the reviewer picked someone
+      const groups = scan.groups.filter(g => g.actors.length && g.zones.length);
+      const count = await _save(pages, groups, saveZones);
+      const zones = groups.reduce((sum, g) => sum + g.zones.length, 0);
+      toast(`Assigned ${zones} zone${zones !== 1 ? 's' : ''} across ${count} page${count !== 1 ? 's' : ''}.`, 'success');
+      busy = false;
+      close();
+      onDone?.();
+    } catch (e) {
+      console.error('Auto-assign save error:', e);
+      toast('Failed to save assignments.', 'error');
+      summaryEl.textContent = 'Save failed — check the console.';
+      busy = false;
+      saveBtn.disabled = false;
+    }
+  });
+}
@@ -9,7 +9,17 @@ import {
 } from 'firebase/firestore';
 import { ref, getDownloadURL, uploadBytesResumable } from 'firebase/storage';
 import { getCastMembers } from '../cast/cast.js';
+import { openScriptDocument } from '../shared/pdf-service.js';
+import { extractLineZones } from '../shared/script-zones.js';
 import { openPageTimesEditor } from '../runshow/Runshow.js';
+import { uploadScriptRevision, activateRevision, renderRevisionChip } from './script-revisions.js';
+import { scriptFileFormat } from './script-import.js';
+import { openAutoAssign } from './auto-assign.js';
+import { renderSceneMarkers, openSceneMarkerModal } from './scene-markers.js';
+import { openScriptSearch, isScriptSearchShortcut, flashZone } from '../shared/script-search.js';
+import { subscribeBlocking, renderBlockingMarkers, openBlocking } from '../shared/blocking.js';
+import { recordZoneHistory, recordZoneSave, flushZoneSaves, openZoneHistory } from './zone-history.js';
+import { subscribeAnnotations, renderAnnotations, setAnnotating, isAnnotating } from '../shared/annotations.js';
 
 /*
  * linenotes.js now contains ONLY the Zone Editor view.
@@ -45,6 +55,8 @@ let lnBookmarks = [];
 let scriptCues = [];
 let scriptCuesUnsub = null;
 let activeLnSubtab = 'zones';
+let blockingUnsub = null;
+let annotationsUnsub = null;
 
 // Feature 4: Diagrams state
 let diagrams = [];
@@ -69,6 +81,8 @@ let zeDrawing = false;
 let zeDrawStart = null;
 let zeDragState = null;
 let zeRenderGen = 0;
+let zeHistory = {};    // pageKey → { undo: string[], redo: string[] } — JSON snapshots taken before each edit
+const ZE_UNDO_LIMIT = 100;
 
 // Cue placement mode state
 let zeCueMode = false;
@@ -224,6 +238,7 @@ export async function onLineNotesTabActivated() {
     splitMode = false;
     currentHalf = 'L';
     lineZones = {};
+    zeHistory = {};
     pdfDoc = null;
     totalPages = 0;
     zeSelectedIdx = null;
@@ -236,9 +251,12 @@ export async function onLineNotesTabActivated() {
     await loadScriptPageOffset();
     document.getElementById('ln-show-name').textContent =
       state.activeProduction?.title || '';
+    renderRevisionChip(document.getElementById('ln-script-rev'));
     loadScript();
     subscribeToScriptCues();  // Feature 5
     subscribeToDiagrams();    // Feature 4
+    subscribeToBlockingLayer();
+    subscribeToAnnotationLayer();
   }
   // The Line Notes tab now opens directly to the zones view
   switchToZonesView();
@@ -271,9 +289,11 @@ async function loadScriptPageOffset() {
 }
 
 export function resetLineNotes() {
+  flushZoneSaves();
   lnInitialized = false;
   pdfDoc = null;
   lineZones = {};
+  zeHistory = {};
 }
 
 /* ═══════════════════════════════════════════════════════════
@@ -336,20 +356,18 @@ export async function loadScript(canvasId, hitOverlayId, progressFillId, dropZon
   }
   showProcessing('Loading script\u2026', _processingId, _progressFillId);
   try {
-    const url = await getDownloadURL(ref(storage, scriptPath));
-    const pdfjsLib = window.pdfjsLib;
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-    const loadingTask = pdfjsLib.getDocument({ url });
-    loadingTask.onProgress = p => {
-      const fill = document.getElementById(_progressFillId);
-      if (p.total > 0 && fill) fill.style.width = Math.round((p.loaded / p.total) * 100) + '%';
-    };
-    pdfDoc = await loadingTask.promise;
+    pdfDoc = await openScriptDocument(scriptPath, {
+      onProgress: f => {
+        const fill = document.getElementById(_progressFillId);
+        if (fill) fill.style.width = Math.round(f * 100) + '%';
+      },
+    });
     totalPages = pdfDoc.numPages;
     const totalEl = document.getElementById(_totalPagesId);
     if (totalEl) totalEl.textContent = totalPages;
     if (!state.activeProduction.scriptPageCount && isOwner()) {
-      try { await updateDoc(doc(db, 'productions', state.activeProduction.id), { scriptPageCount: totalPages }); } catch(e) {}
+      // Not awaited — offline, the write would block rendering until reconnect
+      updateDoc(doc(db, 'productions', state.activeProduction.id), { scriptPageCount: totalPages }).catch(() => {});
     }
     hideProcessing(_processingId);
     const dz = document.getElementById(_dropZoneId);
@@ -374,22 +392,21 @@ function showScriptUploadPrompt() {
   dz.querySelector('#ln-upload-btn')?.addEventListener('click', () => dz.querySelector('#ln-file-input')?.click());
   dz.querySelector('#ln-file-input')?.addEventListener('change', async function() {
     const file = this.files[0];
-    if (!file || file.type !== 'application/pdf') { toast('Select a PDF.', 'error'); return; }
-    const { uploadBytesResumable } = await import('firebase/storage');
-    const pid = state.activeProduction.id;
-    const storageRef = ref(storage, 'productions/' + pid + '/script.pdf');
+    if (!scriptFileFormat(file)) { toast('Select a PDF, Fountain or FDX file.', 'error'); return; }
     showProcessing('Uploading\u2026');
-    const task = uploadBytesResumable(storageRef, file);
-    task.on('state_changed',
-      s => { const el = document.getElementById('ln-progress-fill'); if (el) el.style.width = Math.round((s.bytesTransferred / s.totalBytes) * 100) + '%'; },
-      () => { hideProcessing(); toast('Upload failed.', 'error'); },
-      async () => {
-        await updateDoc(doc(db, 'productions', pid), { scriptPath: 'productions/' + pid + '/script.pdf', scriptPageCount: null });
-        state.activeProduction.scriptPath = 'productions/' + pid + '/script.pdf';
-        hideProcessing();
-        loadScript();
-      }
-    );
+    try {
+      const rev = await uploadScriptRevision(file, {
+        onProgress: f => { const el = document.getElementById('ln-progress-fill'); if (el) el.style.width = Math.round(f * 100) + '%'; },
+      });
+      await activateRevision(rev);
+      renderRevisionChip(document.getElementById('ln-script-rev'));
+      hideProcessing();
+      loadScript();
+    } catch (e) {
+      console.error('Script upload error:', e);
+      hideProcessing();
+      toast('Upload failed: ' + e.message, 'error');
+    }
   });
 }
 
@@ -422,7 +439,7 @@ export async function loadOrExtractZones(page, num, viewport, zKey) {
     const textContent = await page.getTextContent();
     const items = textContent.items.filter(i => i.str && i.str.trim().length > 0);
     if (items.length > 2) {
-      lineZones[zKey] = groupIntoLines(items, viewport, zKey);
+      lineZones[zKey] = extractLineZones(items, viewport, zKey, splitMode, pdfScale);
     } else {
       lineZones[zKey] = generateFallbackZones(viewport.height);
       toast(`Page ${num}: no text layer — fallback zones generated.`);
@@ -434,149 +451,6 @@ export async function loadOrExtractZones(page, num, viewport, zKey) {
   hideProcessing();
 }
 
-function groupIntoLines(items, viewport, zKey) {
-  const fullW = viewport.width;
-  const halfW = fullW / 2;
-  const scale = pdfScale;
-
-  const mapped = items.map(item => {
-    const tx = item.transform;
-    const x = tx[4] * scale;
-    const y = viewport.height - tx[5] * scale;
-    const w = Math.abs(tx[0]) * scale * (item.width / Math.abs(tx[0]) || 1);
-    const h = Math.abs(tx[3]) * scale;
-    return { x, y, w, h, str: item.str, fontName: item.fontName || '' };
-  });
-
-  let filteredMapped = mapped;
-  let canvasW = fullW;
-  if (splitMode && zKey) {
-    const half = zKey.slice(-1);
-    if (half === 'L') {
-      filteredMapped = mapped.filter(i => i.x < halfW);
-    } else {
-      filteredMapped = mapped.filter(i => i.x >= halfW).map(i => ({ ...i, x: i.x - halfW }));
-    }
-    canvasW = halfW;
-  }
-
-  const cw = canvasW, ch = viewport.height;
-  const thresh = 8 * scale;
-  filteredMapped.sort((a, b) => a.y - b.y);
-
-  const groups = [];
-  for (const item of filteredMapped) {
-    let placed = false;
-    for (const g of groups) {
-      if (Math.abs(item.y - g.cy) < thresh) {
-        g.items.push(item);
-        g.minX = Math.min(g.minX, item.x);
-        g.maxX = Math.max(g.maxX, item.x + item.w);
-        g.minY = Math.min(g.minY, item.y - item.h * 0.1);
-        g.maxY = Math.max(g.maxY, item.y + item.h);
-        g.cy = (g.minY + g.maxY) / 2;
-        placed = true; break;
-      }
-    }
-    if (!placed) {
-      groups.push({ items: [item], minX: item.x, maxX: item.x + item.w, minY: item.y - item.h * 0.1, maxY: item.y + item.h, cy: item.y });
-    }
-  }
-
-  const textLines = groups.filter(g => g.maxX - g.minX > 4).map(g => {
-    const allFonts = g.items.map(i => i.fontName || '').join(' ');
-    const isItalic = /italic|oblique|[\-,_]it[\b,\-,_,A-Z]/i.test(allFonts);
-    const textStr = g.items.map(i => i.str).join(' ');
-    const letters = textStr.replace(/[^a-zA-Z]/g, '');
-    const isAllCaps = letters.length > 2 && letters === letters.toUpperCase();
-    return {
-      x: Math.max(0, (g.minX / cw) * 100),
-      y: Math.max(0, (g.minY / ch) * 100),
-      w: Math.min(100, ((g.maxX - g.minX) / cw) * 100),
-      h: Math.max(1.2, Math.min(10, ((g.maxY - g.minY) / ch) * 100)),
-      text: textStr, isItalic, isAllCaps,
-      avgH: g.items.reduce((s, i) => s + i.h, 0) / g.items.length,
-      centerX: ((g.minX + g.maxX) / 2 / cw) * 100,
-      leftX: (g.minX / cw) * 100
-    };
-  });
-
-  return mergeIntoCharacterLines(detectCharacterNameLines(textLines), textLines);
-}
-
-function detectCharacterNameLines(textLines) {
-  if (!textLines?.length) return new Set();
-  const heights = textLines.map(l => l.avgH || 0).filter(h => h > 0).sort((a, b) => a - b);
-  const medianH = heights[Math.floor(heights.length / 2)] || 0;
-
-  const candidates = [];
-  textLines.forEach((line, idx) => {
-    const text = (line.text || '').trim();
-    if (!text || text.length < 1 || text.length > 50) return;
-    if (text.startsWith('(') && text.endsWith(')')) return;
-    if (line.isItalic) return;
-    if (/[a-z]/.test(text) && text.split(/\s+/).length > 4) return;
-    const stripped = text.replace(/[&'\-.!?,\s\d]/g, '');
-    if (stripped.length === 0 || !/^[A-Z]+$/.test(stripped)) return;
-    if (line.w > 62) return;
-    if (medianH > 0 && (line.avgH || medianH) < medianH * 0.65) return;
-    candidates.push({ idx, line });
-  });
-  if (candidates.length === 0) return new Set();
-
-  function modalBucket(values, size) {
-    const counts = {};
-    values.forEach(v => { const b = Math.round(v / size) * size; counts[b] = (counts[b] || 0) + 1; });
-    return Number(Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0]);
-  }
-  const modalLeft = modalBucket(candidates.map(c => c.line.leftX ?? 0), 4);
-  const modalCenter = modalBucket(candidates.map(c => c.line.centerX ?? 50), 4);
-
-  const nameIdxs = new Set();
-  candidates.forEach(({ idx, line }) => {
-    const ld = Math.abs((line.leftX ?? 0) - modalLeft);
-    const cd = Math.abs((line.centerX ?? 50) - modalCenter);
-    if (ld <= 8 || cd <= 8) nameIdxs.add(idx);
-  });
-
-  if (nameIdxs.size > textLines.length * 0.4) {
-    nameIdxs.clear();
-    candidates.forEach(({ idx, line }) => {
-      const ld = Math.abs((line.leftX ?? 0) - modalLeft);
-      const cd = Math.abs((line.centerX ?? 50) - modalCenter);
-      if (ld <= 4 || cd <= 4) nameIdxs.add(idx);
-    });
-  }
-  return nameIdxs;
-}
-
-function mergeIntoCharacterLines(nameIdxs, textLines) {
-  if (!textLines?.length) return textLines;
-  const result = [];
-  let currentBlock = null;
-  const flush = () => { if (currentBlock) { result.push(currentBlock); currentBlock = null; } };
-
-  for (let i = 0; i < textLines.length; i++) {
-    const line = textLines[i];
-    if (nameIdxs.has(i)) { flush(); result.push({ ...line, isCharName: true }); continue; }
-    if (line.isItalic) { flush(); result.push({ ...line, isStageDirection: true }); continue; }
-    if (line.isAllCaps) { flush(); result.push({ ...line }); continue; }
-    if (!currentBlock) {
-      currentBlock = { x: line.x, y: line.y, w: line.w, h: line.h, text: line.text || '' };
-    } else {
-      const r = Math.max(currentBlock.x + currentBlock.w, line.x + line.w);
-      const b = Math.max(currentBlock.y + currentBlock.h, line.y + line.h);
-      currentBlock.x = Math.min(currentBlock.x, line.x);
-      currentBlock.y = Math.min(currentBlock.y, line.y);
-      currentBlock.w = r - currentBlock.x;
-      currentBlock.h = b - currentBlock.y;
-      if (line.text?.trim()) currentBlock.text = currentBlock.text ? currentBlock.text + ' ' + line.text.trim() : line.text.trim();
-    }
-  }
-  flush();
-  return result;
-}
-
 function generateFallbackZones(canvasHeight) {
   const lineHeightPx = 40 * (pdfScale / 1.4);
   const count = canvasHeight ? Math.max(10, Math.floor(canvasHeight / lineHeightPx)) : 30;
@@ -691,24 +565,28 @@ function zeRenderZones() {
         const wrapper = document.getElementById('ze-page-wrapper');
         const origAllBounds = {};
         zeMultiSelected.forEach(i => { if (zones[i]) origAllBounds[i] = { ...zones[i] }; });
-        zeDragState = { type: 'move-all', idx, startX: e.clientX, startY: e.clientY, origBounds: { ...zones[idx] }, pw: wrapper.offsetWidth, ph: wrapper.offsetHeight, origAllBounds };
+        zeDragState = { type: 'move-all', idx, startX: e.clientX, startY: e.clientY, origBounds: { ...zones[idx] }, pw: wrapper.offsetWidth, ph: wrapper.offsetHeight, origAllBounds, before: zeSnapshot() };
         return;
       }
       if (zeMultiSelected.size > 0) zeClearMultiSelect();
       zeSelectZone(idx);
       const wrapper = document.getElementById('ze-page-wrapper');
-      zeDragState = { type: 'move', idx, startX: e.clientX, startY: e.clientY, origBounds: { ...zones[idx] }, pw: wrapper.offsetWidth, ph: wrapper.offsetHeight };
+      zeDragState = { type: 'move', idx, startX: e.clientX, startY: e.clientY, origBounds: { ...zones[idx] }, pw: wrapper.offsetWidth, ph: wrapper.offsetHeight, before: zeSnapshot() };
     });
 
     handle.addEventListener('mousedown', e => {
       e.stopPropagation();
       zeSelectZone(idx);
       const wrapper = document.getElementById('ze-page-wrapper');
-      zeDragState = { type: 'resize', idx, startX: e.clientX, startY: e.clientY, origBounds: { ...zones[idx] }, pw: wrapper.offsetWidth, ph: wrapper.offsetHeight };
+      zeDragState = { type: 'resize', idx, startX: e.clientX, startY: e.clientY, origBounds: { ...zones[idx] }, pw: wrapper.offsetWidth, ph: wrapper.offsetHeight, before: zeSnapshot() };
     });
 
     ovl.insertBefore(div, rb);
   });
+  renderSceneMarkers(ovl, currentPage, splitMode ? currentHalf : '', marker => openSceneMarkerModal({ marker, onSaved: zeRenderZones }));
+  renderBlockingMarkers(ovl, pk(), zones, zeOpenBlocking, rb);
+  zeRenderAnnotations();
+  zeUpdateUndoButtons();
 }
 
 function zeHandleMouseMove(e) {
@@ -781,6 +659,7 @@ function zeFinishDraw(e) {
   const pw = wrapper.offsetWidth, ph = wrapper.offsetHeight;
   const newZone = { x: (x / pw) * 100, y: (y / ph) * 100, w: (w / pw) * 100, h: (h / ph) * 100, text: '', isCharName: false };
   const zones = zeCurrentZones();
+  zePushUndo();
   zones.push(newZone);
   zeDrawStart = null;
   zeRenderZones(); zeUpdateListPanel(); zeSelectZone(zones.length - 1, true);
@@ -803,7 +682,14 @@ function globalMouseMove(e) {
 }
 
 function globalMouseUp(e) {
-  if (zeDragState) { zeDragState = null; zeUpdateListPanel(); debounceSaveZones(); return; }
+  if (zeDragState) {
+    const { before } = zeDragState;
+    zeDragState = null;
+    if (before === zeSnapshot()) return; // click without a move
+    zePushUndo(before);
+    zeUpdateListPanel(); debounceSaveZones();
+    return;
+  }
   if (zeDrawing && zeDrawStart) { zeFinishDraw(e); return; }
 }
 
@@ -881,6 +767,7 @@ function zePopulateDetail(idx, focusText = false) {
 function zeApplyDetail() {
   if (zeSelectedIdx === null) return;
   const zones = zeCurrentZones(); const z = zones[zeSelectedIdx]; if (!z) return;
+  zePushUndo();
   z.x = parseFloat(document.getElementById('zd-x')?.value) || z.x;
   z.y = parseFloat(document.getElementById('zd-y')?.value) || z.y;
   z.w = parseFloat(document.getElementById('zd-w')?.value) || z.w;
@@ -916,6 +803,7 @@ function zeApplyDetail() {
 
 function zeDeleteSelected() {
   if (zeSelectedIdx === null) return;
+  zePushUndo();
   zeCurrentZones().splice(zeSelectedIdx, 1);
   zeSelectedIdx = null;
   document.getElementById('ze-detail')?.classList.remove('visible');
@@ -925,6 +813,8 @@ function zeDeleteSelected() {
 function zeMultiDelete() {
   if (zeMultiSelected.size === 0) return;
   const zones = zeCurrentZones();
+  zePushUndo();
+  if (zeMultiSelected.size > 1) recordZoneHistory(pk(), JSON.parse(zeSnapshot()), 'Before deleting zones');
   [...zeMultiSelected].sort((a, b) => b - a).forEach(i => zones.splice(i, 1));
   const cnt = zeMultiSelected.size;
   zeMultiSelected.clear(); zeSelectedIdx = null;
@@ -935,6 +825,7 @@ function zeMultiDelete() {
 
 function zeMultiToggleCharName() {
   const zones = zeCurrentZones();
+  zePushUndo();
   const anyNon = [...zeMultiSelected].some(i => !zones[i]?.isCharName);
   zeMultiSelected.forEach(i => { if (zones[i]) { zones[i].isCharName = anyNon; if (anyNon) { zones[i].isStageDirection = false; zones[i].isMusicLine = false; } } });
   zeRenderZones(); zeUpdateListPanel(); debounceSaveZones();
@@ -942,6 +833,7 @@ function zeMultiToggleCharName() {
 
 function zeMultiToggleStagDir() {
   const zones = zeCurrentZones();
+  zePushUndo();
   const anyNon = [...zeMultiSelected].some(i => !zones[i]?.isStageDirection);
   zeMultiSelected.forEach(i => { if (zones[i]) { zones[i].isStageDirection = anyNon; if (anyNon) { zones[i].isCharName = false; zones[i].isMusicLine = false; } } });
   zeRenderZones(); zeUpdateListPanel(); debounceSaveZones();
@@ -949,6 +841,7 @@ function zeMultiToggleStagDir() {
 
 function zeMultiToggleMusicLine() {
   const zones = zeCurrentZones();
+  zePushUndo();
   const anyNon = [...zeMultiSelected].some(i => !zones[i]?.isMusicLine);
   zeMultiSelected.forEach(i => { if (zones[i]) { zones[i].isMusicLine = anyNon; if (anyNon) { zones[i].isCharName = false; zones[i].isStageDirection = false; } } });
   zeRenderZones(); zeUpdateListPanel(); debounceSaveZones();
@@ -1026,6 +919,7 @@ function zeUpdateListPanel() {
     btn.addEventListener('click', e => {
       e.stopPropagation();
       const idx = parseInt(btn.dataset.idx);
+      zePushUndo();
       zeCurrentZones().splice(idx, 1);
       if (zeSelectedIdx === idx) { zeSelectedIdx = null; document.getElementById('ze-detail')?.classList.remove('visible'); }
       else if (zeSelectedIdx > idx) zeSelectedIdx--;
@@ -1037,6 +931,15 @@ function zeUpdateListPanel() {
 function wireZeToolbar() {
   document.getElementById('ze-btn-reextract')?.addEventListener('click', zeReExtract);
   document.getElementById('ze-btn-clear')?.addEventListener('click', zeClearAll);
+  document.getElementById('ze-btn-auto-assign')?.addEventListener('click', zeAutoAssign);
+  document.getElementById('ze-btn-blocking')?.addEventListener('click', () => {
+    if (zeSelectedIdx === null) { toast('Select a zone first.'); return; }
+    zeOpenBlocking(zeSelectedIdx);
+  });
+  document.getElementById('ze-btn-scene')?.addEventListener('click', zeMarkScene);
+  document.getElementById('ze-btn-undo')?.addEventListener('click', zeUndo);
+  document.getElementById('ze-btn-redo')?.addEventListener('click', zeRedo);
+  document.getElementById('ze-btn-history')?.addEventListener('click', zeOpenHistory);
   document.getElementById('ze-btn-save')?.addEventListener('click', () => firebaseSaveZones(pk()));
   document.getElementById('ze-btn-multi-char')?.addEventListener('click', zeMultiToggleCharName);
   document.getElementById('ze-btn-multi-dir')?.addEventListener('click', zeMultiToggleStagDir);
@@ -1048,6 +951,7 @@ function wireZeToolbar() {
 
   const textArea = document.getElementById('zd-text');
   if (textArea) {
+    textArea.addEventListener('focus', () => { if (zeSelectedIdx !== null) zePushUndo(); });
     textArea.addEventListener('input', () => {
       if (zeSelectedIdx === null) return;
       const z = zeCurrentZones()[zeSelectedIdx];
@@ -1071,6 +975,8 @@ function wireZeToolbar() {
   document.getElementById('ln-prev-page')?.addEventListener('click', () => changeZonePage(-1));
   document.getElementById('ln-next-page')?.addEventListener('click', () => changeZonePage(1));
   document.getElementById('ln-split-btn')?.addEventListener('click', toggleSplitMode);
+  document.getElementById('ln-search-btn')?.addEventListener('click', zeOpenSearch);
+  document.getElementById('ln-annotate-btn')?.addEventListener('click', zeToggleAnnotating);
 
   // "Set as Page 1" — marks the currently-viewed page/half as script page 1.
   // Saved to Firestore so all production members share the same offset automatically.
@@ -1294,6 +1200,23 @@ async function changeZonePage(delta) {
   await renderZoneEditorPage(currentPage);
 }
 
+/** Script search palette — jumps to the chosen zone and selects it. */
+function zeOpenSearch() {
+  if (!pdfDoc) return;
+  openScriptSearch({ pdf: pdfDoc, split: splitMode, scale: pdfScale, pageLabel: (p, h) => pdfPageToScriptLabel(p, h), onJump: zeJumpToZone });
+}
+
+async function zeJumpToZone({ page, half, idx, zone }) {
+  if (activeLnSubtab !== 'zones') document.querySelector('.ln-subtab[data-lntab="zones"]')?.click();
+  currentPage = Math.max(1, Math.min(totalPages, page));
+  currentHalf = splitMode ? (half || 'L') : 'L';
+  const pageInput = document.getElementById('ln-page-input');
+  if (pageInput) pageInput.value = pdfPageToScriptLabel(currentPage, currentHalf);
+  await renderZoneEditorPage(currentPage);
+  if (zeCurrentZones()[idx]) zeSelectZone(idx);
+  flashZone(document.getElementById('ze-edit-overlay'), zeCurrentZones()[idx] || zone);
+}
+
 function toggleSplitMode() {
   splitMode = !splitMode;
   currentHalf = 'L';
@@ -1307,6 +1230,8 @@ function toggleSplitMode() {
 async function zeReExtract() {
   if (!pdfDoc) return;
   const zKey = pk();
+  zePushUndo();
+  recordZoneHistory(zKey, JSON.parse(zeSnapshot()), 'Before Re-extract');
   delete lineZones[zKey];
   const page = await pdfDoc.getPage(currentPage);
   const viewport = page.getViewport({ scale: pdfScale });
@@ -1315,13 +1240,116 @@ async function zeReExtract() {
   toast('Zones re-extracted from PDF text layer');
 }
 
+/** Mark a scene start at the selected zone, or at the top of the page. */
+function zeMarkScene() {
+  if (!pdfDoc) return;
+  const zone = zeSelectedIdx !== null ? zeCurrentZones()[zeSelectedIdx] : null;
+  openSceneMarkerModal({ page: currentPage, half: splitMode ? currentHalf : '', y: zone ? zone.y : 0, onSaved: zeRenderZones });
+}
+
+function zeOpenBlocking(idx) {
+  const zone = zeCurrentZones()[idx];
+  if (!zone) return;
+  openBlocking({ zoneKey: pk(), zones: zeCurrentZones(), zoneIdx: idx, pageLabel: pdfPageToScriptLabel(currentPage, currentHalf, splitMode) });
+}
+
+function zeAutoAssign() {
+  openAutoAssign({
+    pdf: pdfDoc, split: splitMode, scale: pdfScale,
+    saveZones: (zKey, zones, before) => zeReplacePageZones(zKey, zones, before, 'Before Auto-assign'),
+    onDone: () => renderZoneEditorPage(currentPage),
+  });
+}
+
+/**
+ * Replace a page's zones from a bulk edit, keeping it undoable: the prior
+ * zones go on the page's undo stack and into zone history. Throws if the
+ * save fails.
+ */
+async function zeReplacePageZones(zKey, zones, before, label) {
+  const h = zeHistory[zKey] || (zeHistory[zKey] = { undo: [], redo: [] });
+  h.undo.push(JSON.stringify(before));
+  if (h.undo.length > ZE_UNDO_LIMIT) h.undo.shift();
+  h.redo = [];
+  recordZoneHistory(zKey, before, label);
+  lineZones[zKey] = zones;
+  if (!await firebaseSaveZones(zKey)) throw new Error(`Could not save zones for ${zKey}`);
+  zeUpdateUndoButtons();
+}
+
 function zeClearAll() {
   if (!confirmDialog('Delete all zones on this page?')) return;
+  zePushUndo();
+  recordZoneHistory(pk(), JSON.parse(zeSnapshot()), 'Before Clear All');
   lineZones[pk()] = [];
   zeSelectedIdx = null;
   document.getElementById('ze-detail')?.classList.remove('visible');
   zeRenderZones(); zeUpdateListPanel(); debounceSaveZones();
-  toast('All zones cleared');
+  toast('All zones cleared — Ctrl+Z to undo');
+}
+
+/* ── Undo / redo (per page) ── */
+function zeSnapshot() {
+  return JSON.stringify(zeCurrentZones());
+}
+
+function zePageHistory() {
+  return zeHistory[pk()] || (zeHistory[pk()] = { undo: [], redo: [] });
+}
+
+/** Remember the page's zones before an edit. Clears the redo stack. */
+function zePushUndo(snapshot = zeSnapshot()) {
+  const h = zePageHistory();
+  if (h.undo[h.undo.length - 1] !== snapshot) {
+    h.undo.push(snapshot);
+    if (h.undo.length > ZE_UNDO_LIMIT) h.undo.shift();
+  }
+  h.redo = [];
+  zeUpdateUndoButtons();
+}
+
+function zeStepHistory(from, to, verb) {
+  const current = zeSnapshot();
+  // Skip snapshots that match the page as it is (e.g. a focus with no edit)
+  while (from.length && from[from.length - 1] === current) from.pop();
+  if (!from.length) { toast(`Nothing to ${verb}`); return; }
+  to.push(current);
+  lineZones[pk()] = JSON.parse(from.pop());
+  zeSelectedIdx = null;
+  zeMultiSelected.clear();
+  document.getElementById('ze-detail')?.classList.remove('visible');
+  zeRefreshMultiBar(); zeRenderZones(); zeUpdateListPanel(); debounceSaveZones();
+  zeUpdateUndoButtons();
+}
+
+function zeUndo() { const h = zePageHistory(); zeStepHistory(h.undo, h.redo, 'undo'); }
+function zeRedo() { const h = zePageHistory(); zeStepHistory(h.redo, h.undo, 'redo'); }
+
+function zeUpdateUndoButtons() {
+  const h = zeHistory[pk()];
+  const undoBtn = document.getElementById('ze-btn-undo');
+  const redoBtn = document.getElementById('ze-btn-redo');
+  if (undoBtn) undoBtn.disabled = !h?.undo.length;
+  if (redoBtn) redoBtn.disabled = !h?.redo.length;
+}
+
+function zeOpenHistory() {
+  if (!pdfDoc) return;
+  openZoneHistory({
+    zoneKey: pk(),
+    pageLabel: pdfPageToScriptLabel(currentPage, currentHalf, splitMode),
+    current: JSON.parse(zeSnapshot()),
+    onRestore: zones => {
+      zePushUndo();
+      lineZones[pk()] = zones;
+      zeSelectedIdx = null;
+      zeMultiSelected.clear();
+      document.getElementById('ze-detail')?.classList.remove('visible');
+      zeRefreshMultiBar(); zeRenderZones(); zeUpdateListPanel();
+      firebaseSaveZones(pk());
+      toast('Zones restored');
+    },
+  });
 }
 
 /* ═══════════════════════════════════════════════════════════
@@ -1332,15 +1360,22 @@ function debounceSaveZones() {
   zoneSaveTimeout = setTimeout(() => firebaseSaveZones(pk()), 500);
 }
 
+/** Save a page's zones and record the save in zone history. Resolves to whether it saved. */
 async function firebaseSaveZones(zKey) {
-  if (!isOwner()) return;
+  if (!isOwner()) return false;
   const zones = lineZones[zKey] || [];
   const pid = state.activeProduction.id;
   try {
     await setDoc(doc(db, 'productions', pid, 'zones', zKey), { zones, updatedAt: serverTimestamp(), updatedBy: state.currentUser.uid });
+    recordZoneSave(zKey, zones);
     const badge = document.getElementById('ze-saved-badge');
     if (badge) { badge.classList.add('visible'); setTimeout(() => badge.classList.remove('visible'), 1800); }
-  } catch(e) { toast('Failed to save zones', 'error'); }
+    return true;
+  } catch(e) {
+    console.error('Zone save error:', e);
+    toast('Failed to save zones', 'error');
+    return false;
+  }
 }
 
 /* ═══════════════════════════════════════════════════════════
@@ -1349,9 +1384,13 @@ async function firebaseSaveZones(zKey) {
 document.addEventListener('keydown', e => {
   if (!document.getElementById('tab-linenotes')?.classList.contains('tab-panel--active')) return;
   if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+  if (isScriptSearchShortcut(e)) { e.preventDefault(); zeOpenSearch(); return; }
+  if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'z') { e.preventDefault(); if (e.shiftKey) zeRedo(); else zeUndo(); return; }
+  if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'y') { e.preventDefault(); zeRedo(); return; }
 
   if (e.key === 'ArrowRight' || e.key === ']') changeZonePage(1);
   if (e.key === 'ArrowLeft' || e.key === '[') changeZonePage(-1);
+  if (e.key === 'Escape' && isAnnotating('ze-edit-overlay')) { zeToggleAnnotating(); return; }
   if (e.key === 'Escape') { zeSelectZone(null); zeClearMultiSelect(); }
 
   if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
@@ -1373,17 +1412,17 @@ document.addEventListener('keydown', e => {
   }
   if (e.key.toLowerCase() === 'c' && !e.metaKey && !e.ctrlKey) {
     if (zeMultiSelected.size > 0) { zeMultiToggleCharName(); return; }
-    if (zeSelectedIdx !== null) { const z = zeCurrentZones()[zeSelectedIdx]; if (z) { z.isCharName = !z.isCharName; if (z.isCharName) { z.isStageDirection = false; z.isMusicLine = false; } zeRenderZones(); zeUpdateListPanel(); zeSelectZone(zeSelectedIdx); debounceSaveZones(); } }
+    if (zeSelectedIdx !== null) { const z = zeCurrentZones()[zeSelectedIdx]; if (z) { zePushUndo(); z.isCharName = !z.isCharName; if (z.isCharName) { z.isStageDirection = false; z.isMusicLine = false; } zeRenderZones(); zeUpdateListPanel(); zeSelectZone(zeSelectedIdx); debounceSaveZones(); } }
     return;
   }
   if (e.key.toLowerCase() === 's' && !e.metaKey && !e.ctrlKey) {
     if (zeMultiSelected.size > 0) { zeMultiToggleStagDir(); return; }
-    if (zeSelectedIdx !== null) { const z = zeCurrentZones()[zeSelectedIdx]; if (z) { z.isStageDirection = !z.isStageDirection; if (z.isStageDirection) { z.isCharName = false; z.isMusicLine = false; } zeRenderZones(); zeUpdateListPanel(); zeSelectZone(zeSelectedIdx); debounceSaveZones(); } }
+    if (zeSelectedIdx !== null) { const z = zeCurrentZones()[zeSelectedIdx]; if (z) { zePushUndo(); z.isStageDirection = !z.isStageDirection; if (z.isStageDirection) { z.isCharName = false; z.isMusicLine = false; } zeRenderZones(); zeUpdateListPanel(); zeSelectZone(zeSelectedIdx); debounceSaveZones(); } }
     return;
   }
   if (e.key.toLowerCase() === 'm' && !e.metaKey && !e.ctrlKey) {
     if (zeMultiSelected.size > 0) { zeMultiToggleMusicLine(); return; }
-    if (zeSelectedIdx !== null) { const z = zeCurrentZones()[zeSelectedIdx]; if (z) { z.isMusicLine = !z.isMusicLine; if (z.isMusicLine) { z.isCharName = false; z.isStageDirection = false; } zeRenderZones(); zeUpdateListPanel(); zeSelectZone(zeSelectedIdx); debounceSaveZones(); } }
+    if (zeSelectedIdx !== null) { const z = zeCurrentZones()[zeSelectedIdx]; if (z) { zePushUndo(); z.isMusicLine = !z.isMusicLine; if (z.isMusicLine) { z.isCharName = false; z.isStageDirection = false; } zeRenderZones(); zeUpdateListPanel(); zeSelectZone(zeSelectedIdx); debounceSaveZones(); } }
     return;
   }
 });
@@ -1539,6 +1578,36 @@ function subscribeToScriptCues() {
 
 export function getScriptCues() { return scriptCues; }
 
+function subscribeToBlockingLayer() {
+  if (blockingUnsub) blockingUnsub();
+  if (!state.activeProduction?.id) return;
+  blockingUnsub = subscribeBlocking(() => { if (pdfDoc) zeRenderZones(); });
+  state.unsubscribers.push(() => { if (blockingUnsub) { blockingUnsub(); blockingUnsub = null; } });
+}
+
+function subscribeToAnnotationLayer() {
+  if (annotationsUnsub) annotationsUnsub();
+  if (!state.activeProduction?.id) return;
+  annotationsUnsub = subscribeAnnotations(() => zeRenderAnnotations());
+  state.unsubscribers.push(() => {
+    if (annotationsUnsub) { annotationsUnsub(); annotationsUnsub = null; }
+    if (isAnnotating('ze-edit-overlay')) setAnnotating(null);
+  });
+}
+
+function zeRenderAnnotations() {
+  const ovl = document.getElementById('ze-edit-overlay');
+  if (!ovl || !pdfDoc) return;
+  renderAnnotations(ovl, pk());
+  document.getElementById('ln-annotate-btn')?.classList.toggle('ln-header-btn--active', isAnnotating('ze-edit-overlay'));
+}
+
+function zeToggleAnnotating() {
+  if (!pdfDoc) return;
+  setAnnotating(isAnnotating('ze-edit-overlay') ? null : { overlayId: 'ze-edit-overlay', rerender: zeRenderAnnotations });
+  zeRenderAnnotations();
+}
+
 function renderCuesPanel() {
   const panel = document.getElementById('ln-cues-panel');
   if (!panel) return;
@@ -0,0 +1,136 @@
+/**
+ * scene-markers.js — Scene Boundaries
+ *
+ * Scene starts are marked in the zone editor and saved on the production,
+ * alongside bookmarks:
+ *
+ *   productions/{id}.scriptScenes: [{ id, page, half, y, label }]
+ *
+ * page/half are PDF positions ('' for a whole page, 'L' / 'R' for a split
+ * half) and y is the percent offset on that page where the scene begins, so a
+ * scene can start mid-page. The character plot (cast/character-plot.js)
+ * splits the script at these markers; script revisions move them with the
+ * line they sit on.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { isOwner } from '../shared/roles.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml, genId } from '../shared/ui.js';
+import { doc, updateDoc } from 'firebase/firestore';
+
+export function getSceneMarkers() {
+  return state.activeProduction?.scriptScenes || [];
+}
+
+/**
+ * A marker's place in reading order for a layout, as a sortable number.
+ * Whole-page markers read as the left half in split layouts.
+ */
+export function scenePosition(marker, split) {
+  const page = split
+    ? (marker.page - 1) * 2 + (marker.half === 'R' ? 1 : 0)
+    : marker.page;
+  return page * 1000 + (marker.y || 0);
+}
+
+/** Markers sorted in reading order for a layout. */
+export function sortedSceneMarkers(split) {
+  return getSceneMarkers().slice().sort((a, b) => scenePosition(a, split) - scenePosition(b, split));
+}
+
+async function _saveScenes(scenes) {
+  const prod = state.activeProduction;
+  await updateDoc(doc(db, 'productions', prod.id), { scriptScenes: scenes });
+  prod.scriptScenes = scenes;
+}
+
+/**
+ * Draw the markers that fall on one page (or half) of the zone editor overlay.
+ * @param {HTMLElement} overlay
+ * @param {number} page
+ * @param {string} half — '' outside split mode
+ * @param {(marker) => void} onEdit
+ */
+export function renderSceneMarkers(overlay, page, half, onEdit) {
+  if (!overlay) return;
+  const rb = overlay.querySelector('#ze-rubber-band');
+  getSceneMarkers()
+    .filter(m => m.page === page && (!half || (m.half || 'L') === half))
+    .forEach(m => {
+      const line = document.createElement('div');
+      line.className = 'ze-scene-marker';
+      line.style.top = `${m.y || 0}%`;
+      const chip = document.createElement('button');
+      chip.className = 'ze-scene-marker__label';
+      chip.textContent = `§ ${m.label || 'Scene'}`;
+      chip.title = 'Scene start — click to rename or remove';
+      chip.addEventListener('mousedown', e => e.stopPropagation());
+      chip.addEventListener('click', e => { e.stopPropagation(); onEdit(m); });
+      line.appendChild(chip);
+      overlay.insertBefore(line, rb);
+    });
+}
+
+/**
+ * Add or edit a scene marker.
+ * @param {{ page?, half?, y?, marker?, onSaved?: () => void }} opts — pass
+ *   marker to edit an existing one, page/half/y to add
+ */
+export function openSceneMarkerModal({ page, half = '', y = 0, marker = null, onSaved } = {}) {
+  if (!isOwner()) return;
+  const scenes = getSceneMarkers().slice();
+  const defaultLabel = `Scene ${scenes.length + 1}`;
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="max-width:320px;width:100%;">
+      <h2 style="margin-bottom:16px;">${marker ? 'Scene' : 'Mark Scene Start'}</h2>
+      <div style="margin-bottom:16px;">
+        <label style="display:block;font-size:11px;color:var(--text-muted);margin-bottom:6px;font-family:'DM Mono',monospace;">SCENE NAME</label>
+        <input id="sm-label" type="text" value="${escapeHtml(marker?.label || defaultLabel)}"
+          placeholder="e.g. 1.2 or Act 2 Scene 1"
+          style="width:100%;padding:8px 10px;background:var(--bg-raised);border:1px solid var(--bg-border);border-radius:6px;color:var(--text-primary);font-family:'DM Mono',monospace;font-size:12px;box-sizing:border-box;">
+      </div>
+      <div class="modal-btns" style="${marker ? 'justify-content:space-between;' : ''}">
+        ${marker ? '<button class="modal-btn-cancel" id="sm-remove" style="color:#e05252;">Remove</button>' : ''}
+        <div style="display:flex;gap:8px;">
+          <button class="modal-btn-cancel" id="sm-cancel">Cancel</button>
+          <button class="modal-btn-primary" id="sm-save">${marker ? 'Save' : 'Add Scene'}</button>
+        </div>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+  const input = backdrop.querySelector('#sm-label');
+  input.focus();
+  input.select();
+
+  const close = () => backdrop.remove();
+  const commit = async next => {
+    close();
+    try {
+      await _saveScenes(next);
+      onSaved?.();
+    } catch (e) {
+      console.error('Save scene markers error:', e);
+      toast('Failed to save scene.', 'error');
+    }
+  };
+
+  backdrop.querySelector('#sm-cancel').addEventListener('click', close);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+  backdrop.querySelector('#sm-remove')?.addEventListener('click', () => commit(scenes.filter(s => s.id !== marker.id)));
+
+  const save = () => {
+    const label = input.value.trim() || defaultLabel;
+    if (marker) commit(scenes.map(s => (s.id === marker.id ? { ...s, label } : s)));
+    else commit([...scenes, { id: genId(), page, half, y: Math.max(0, y), label }]);
+  };
+  backdrop.querySelector('#sm-save').addEventListener('click', save);
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter') save();
+    if (e.key === 'Escape') close();
+  });
+}
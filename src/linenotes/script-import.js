@@ -0,0 +1,235 @@
+/**
+ * script-import.js — Fountain / Final Draft (FDX) Script Import
+ *
+ * An alternative to PDF upload that takes structure from the markup instead
+ * of inferring it from text positions. Both formats parse to one element list:
+ *
+ *   { type: 'scene'|'action'|'character'|'dialogue'|'parenthetical'|'lyric'
+ *           |'transition'|'centered'|'pagebreak', text, character? }
+ *
+ * which rendered-script.js typesets into pages. Each page also gets its zone
+ * docs up front — character cues (isCharName), stage directions
+ * (isStageDirection), lyrics (isMusicLine) and dialogue blocks, with
+ * assignedActors filled wherever the speaking character is on exactly one
+ * cast member's `characters` list.
+ */
+
+import { getCastMembers } from '../cast/cast.js';
+import { layoutScript, blockBounds } from '../shared/rendered-script.js';
+import { cueCharacterName } from '../shared/script-zones.js';
+
+export const MARKUP_FORMATS = {
+  fountain: { label: 'Fountain', exts: ['.fountain', '.spmd'] },
+  fdx:      { label: 'Final Draft', exts: ['.fdx'] },
+};
+
+/** 'pdf', 'fountain', 'fdx', or null for anything else. */
+export function scriptFileFormat(file) {
+  const name = (file?.name || '').toLowerCase();
+  if (file?.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  return Object.keys(MARKUP_FORMATS).find(f => MARKUP_FORMATS[f].exts.some(ext => name.endsWith(ext))) || null;
+}
+
+/** `accept` attribute for script file inputs. */
+export const SCRIPT_FILE_ACCEPT = ['.pdf', ...Object.values(MARKUP_FORMATS).flatMap(f => f.exts)].join(',');
+
+/* ── CHARACTER NAMES ──────────────────────────── */
+
+/** Cast assignments for a character cue — only when exactly one cast member plays it. */
+export function actorsForCharacter(name, cast = getCastMembers()) {
+  const key = cueCharacterName(name);
+  if (!key) return [];
+  const matches = [];
+  cast.forEach(m => {
+    (m.characters || []).forEach(ch => {
+      if (cueCharacterName(ch) === key) matches.push({ castId: m.id, charName: ch });
+    });
+  });
+  return matches.length === 1 ? matches : [];
+}
+
+/* ═══════════════════════════════════════════════════════════
+   FOUNTAIN
+   ═══════════════════════════════════════════════════════════ */
+
+const SCENE_RE = /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[.\s]/i;
+
+/** Drop *bold* / _underline_ markers, keeping escaped \* and \_ as literals. */
+function _stripEmphasis(text) {
+  return text.replace(/\\([*_])/g, '\u0000$1').replace(/[*_]/g, '').replace(/\u0000/g, '');
+}
+
+function _isCue(line) {
+  const base = line.replace(/\(.*?\)/g, '').replace(/\^$/, '').trim();
+  return /[A-Z]/.test(base) && base === base.toUpperCase() && !/^[\d\s\W]+$/.test(base);
+}
+
+/**
+ * Parse Fountain markup.
+ * @returns {{ title: string, elements: Array }}
+ */
+export function parseFountain(src) {
+  const text = String(src || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\/\*[\s\S]*?\*\//g, '')   // boneyard
+    .replace(/\[\[[\s\S]*?\]\]/g, '');  // notes
+  const lines = text.split('\n');
+  const meta = {};
+  let i = 0;
+
+  // Title page: "Key: value" lines up to the first blank line
+  if (/^[A-Za-z][A-Za-z ]*:/.test(lines[0] || '')) {
+    let key = null;
+    for (; i < lines.length && lines[i].trim() !== ''; i++) {
+      const m = /^([A-Za-z][A-Za-z ]*):\s*(.*)$/.exec(lines[i]);
+      if (m) { key = m[1].toLowerCase(); meta[key] = m[2].trim(); }
+      else if (key) meta[key] = `${meta[key] ? meta[key] + ' ' : ''}${lines[i].trim()}`;
+    }
+  }
+
+  const elements = [];
+  let speaker = null;
+  const last = () => elements[elements.length - 1];
+
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const prevBlank = i === 0 || lines[i - 1].trim() === '';
+    const nextBlank = i + 1 >= lines.length || lines[i + 1].trim() === '';
+    if (!line) { speaker = null; continue; }
+    const body = _stripEmphasis(line);
+
+    if (speaker) {
+      if (/^\(.*\)$/.test(line)) elements.push({ type: 'parenthetical', text: body, character: speaker });
+      else if (line.startsWith('~')) elements.push({ type: 'lyric', text: body.slice(1).trim(), character: speaker });
+      else if (last()?.type === 'dialogue') last().text += '\n' + body;
+      else elements.push({ type: 'dialogue', text: body, character: speaker });
+      continue;
+    }
+
+    if (/^={3,}$/.test(line)) { elements.push({ type: 'pagebreak' }); continue; }
+    if (line.startsWith('#') || /^=(?!=)/.test(line)) continue; // sections, synopses
+    if (line.startsWith('~')) { elements.push({ type: 'lyric', text: body.slice(1).trim(), character: null }); continue; }
+    if (line.startsWith('!')) { elements.push({ type: 'action', text: body.slice(1) }); continue; }
+    if (/^>.*<$/.test(line)) { elements.push({ type: 'centered', text: body.slice(1, -1).trim() }); continue; }
+    if (line.startsWith('>')) { elements.push({ type: 'transition', text: body.slice(1).trim() }); continue; }
+    if (prevBlank && (/^\.[^.]/.test(line) || SCENE_RE.test(line))) {
+      elements.push({ type: 'scene', text: body.replace(/^\./, '').replace(/\s*#[^#]*#\s*$/, '').trim() });
+      continue;
+    }
+    if (prevBlank && nextBlank && /^[A-Z0-9 .'-]+TO:$/.test(line)) { elements.push({ type: 'transition', text: body }); continue; }
+    if (prevBlank && !nextBlank && (line.startsWith('@') || _isCue(line))) {
+      speaker = cueCharacterName(line);
+      elements.push({ type: 'character', text: line.replace(/^@/, '').replace(/\s*\^$/, ''), character: speaker });
+      continue;
+    }
+    if (!prevBlank && last()?.type === 'action') last().text += '\n' + body;
+    else elements.push({ type: 'action', text: body });
+  }
+  return { title: meta.title || '', elements };
+}
+
+/* ═══════════════════════════════════════════════════════════
+   FINAL DRAFT (FDX)
+   ═══════════════════════════════════════════════════════════ */
+
+const FDX_TYPES = {
+  'Scene Heading': 'scene', 'Shot': 'scene', 'New Act': 'scene', 'End of Act': 'scene',
+  'Action': 'action', 'General': 'action', 'Cast List': 'action',
+  'Character': 'character', 'Dialogue': 'dialogue', 'Parenthetical': 'parenthetical',
+  'Transition': 'transition', 'Lyrics': 'lyric', 'Lyric': 'lyric',
+};
+
+/**
+ * Parse a Final Draft .fdx (XML) file.
+ * @returns {{ title: string, elements: Array }}
+ */
+export function parseFdx(xml) {
+  const dom = new DOMParser().parseFromString(String(xml || ''), 'application/xml');
+  const content = dom.querySelector('FinalDraft > Content');
+  if (dom.querySelector('parsererror') || !content) throw new Error('Not a valid Final Draft file.');
+
+  const elements = [];
+  let speaker = null;
+  content.querySelectorAll('Paragraph').forEach(p => {
+    const texts = [...p.children].filter(c => c.tagName === 'Text');
+    // Dual-dialogue wrappers hold nested paragraphs and no text of their own
+    if (!p.getAttribute('Type') && !texts.length) return;
+    if (p.getAttribute('StartsNewPage') === 'Yes') elements.push({ type: 'pagebreak' });
+    const text = texts.map(t => t.textContent).join('').trim();
+    if (!text) return;
+
+    let type = FDX_TYPES[p.getAttribute('Type')] || 'action';
+    if (type === 'action' && p.getAttribute('Alignment') === 'Center') type = 'centered';
+    if (type === 'character') {
+      speaker = cueCharacterName(text);
+      elements.push({ type, text, character: speaker });
+    } else if (['dialogue', 'parenthetical', 'lyric'].includes(type)) {
+      elements.push({ type, text, character: speaker });
+    } else {
+      speaker = null;
+      elements.push({ type, text });
+    }
+  });
+
+  const title = [...dom.querySelectorAll('FinalDraft > TitlePage Paragraph')]
+    .map(p => p.textContent.trim()).find(Boolean) || '';
+  return { title, elements };
+}
+
+/* ═══════════════════════════════════════════════════════════
+   ZONES & LAYOUT
+   ═══════════════════════════════════════════════════════════ */
+
+function _blockZone(block, cast) {
+  const zone = { ...blockBounds(block), text: block.text, isCharName: false, isStageDirection: false };
+  const actors = block.character ? actorsForCharacter(block.character, cast) : [];
+  switch (block.type) {
+    case 'character':
+      zone.isCharName = true;
+      break;
+    case 'parenthetical':
+    case 'action':
+    case 'transition':
+    case 'centered':
+      zone.isStageDirection = true;
+      return zone;
+    case 'lyric':
+      zone.isMusicLine = true;
+      break;
+    case 'scene':
+      return zone;
+  }
+  // Same shape the zone editor writes, legacy single-actor fields included
+  zone.assignedActors = actors;
+  zone.assignedCastId = actors[0]?.castId || null;
+  zone.assignedCharName = actors[0]?.charName || null;
+  return zone;
+}
+
+/**
+ * Parse and typeset a Fountain / FDX file.
+ * @param {File} file
+ * @param {{ cast?: object[] }} [opts] — cast to match characters against
+ *   (defaults to the active production's)
+ * @returns {Promise<{ layout: object, summary: { format, pages, characters, matched } }>}
+ *   layout is the stored JSON (see rendered-script.js)
+ */
+export async function buildImportedScript(file, { cast = getCastMembers() } = {}) {
+  const format = scriptFileFormat(file);
+  if (!MARKUP_FORMATS[format]) throw new Error('Unsupported script file.');
+  const src = await file.text();
+  const { title, elements } = format === 'fdx' ? parseFdx(src) : parseFountain(src);
+  if (!elements.some(e => e.type === 'character' || e.type === 'action')) {
+    throw new Error(`No script content found in this ${MARKUP_FORMATS[format].label} file.`);
+  }
+
+  const { page, pages } = layoutScript(elements);
+  const layout = {
+    version: 1, format, title, page,
+    pages: pages.map(p => ({ lines: p.lines, zones: p.blocks.map(b => _blockZone(b, cast)) })),
+  };
+
+  const characters = [...new Set(elements.filter(e => e.type === 'character').map(e => e.character))];
+  const matched = characters.filter(c => actorsForCharacter(c, cast).length).length;
+  return { layout, summary: { format, pages: pages.length, characters: characters.length, matched } };
+}
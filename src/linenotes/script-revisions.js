@@ -0,0 +1,1023 @@
+/**
+ * script-revisions.js — Script Revisions & Draft Remapping
+ *
+ * Every script upload is a numbered revision with a draft color and date, in
+ * the usual rehearsal-draft order (White, Blue, Pink, Yellow, …, then
+ * "Double White"). Uploads never overwrite the current PDF:
+ *
+ *   productions/{id}/scriptRevisions/{revId} : {
+ *     number, color, colorLabel, date: 'YYYY-MM-DD', storagePath, pageCount,
+ *     status: 'pending' | 'current' | 'superseded',
+ *     uploadedAt, uploadedBy, appliedAt?, changedPages?: string[], remapStats?
+ *   }
+ *   productions/{id}.scriptRevisionId, .scriptRevision { number, color, colorLabel, date }
+ *
+ * A pending revision is reviewed in the remap tool before it goes live. Both
+ * drafts are read line by line (old lines from the saved zone docs where they
+ * exist), lines are aligned by text, and the alignment drives:
+ *   - the page diff (added / edited / removed lines per new page)
+ *   - zone docs, rebuilt from the new draft with per-zone data carried over
+ *   - scriptCues, diagrams, bookmarks, scene markers, blocking and open lineNotes,
+ *     moved to the matching line (or page) in the new draft
+ *
+ * A note is open until every actor on it has acknowledged it; closed notes
+ * stay where they were and are stamped with the revision they belong to.
+ *
+ * Fountain / Final Draft files are revisions too (format: 'fountain' | 'fdx',
+ * storagePath ending .json — see script-import.js). Their zones come from the
+ * markup, so activating one without a remap writes its zone docs directly.
+ */
+
+import { db, storage } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { isOwner } from '../shared/roles.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml, confirmDialog } from '../shared/ui.js';
+import { openScriptDocument, resetPdfDoc } from '../shared/pdf-service.js';
+import { extractLineZones } from '../shared/script-zones.js';
+import { blockingZoneIdx } from '../shared/blocking.js';
+import { recordZoneHistory } from './zone-history.js';
+import { MARKUP_FORMATS, SCRIPT_FILE_ACCEPT, scriptFileFormat, buildImportedScript } from './script-import.js';
+import {
+  collection, doc, getDocs, setDoc, deleteDoc, writeBatch, serverTimestamp
+} from 'firebase/firestore';
+import { ref, uploadBytesResumable, deleteObject } from 'firebase/storage';
+
+const REVISION_COLORS = [
+  { label: 'White',     hex: '#f5f3ee' },
+  { label: 'Blue',      hex: '#8fb8e0' },
+  { label: 'Pink',      hex: '#f0a8c0' },
+  { label: 'Yellow',    hex: '#f2e27a' },
+  { label: 'Green',     hex: '#9fd39a' },
+  { label: 'Goldenrod', hex: '#e0b04a' },
+  { label: 'Buff',      hex: '#e8d6a8' },
+  { label: 'Salmon',    hex: '#f4a58a' },
+  { label: 'Cherry',    hex: '#d9505e' },
+  { label: 'Tan',       hex: '#c8a77e' },
+];
+const CYCLE_PREFIXES = ['', 'Double ', 'Triple '];
+
+const SCAN_SCALE = 1.4;
+const ALIGN_WINDOW = 400;  // lines an exact match may skip ahead (inserted material)
+const FUZZY_MIN = 0.6;     // word overlap for a line to count as edited rather than new
+const FUZZY_SPAN = 60;     // lines searched for an edited match between anchors
+const BATCH_LIMIT = 500;  // Firestore's cap on writes per batch
+
+const STATUS_STYLES = {
+  exact:     { label: 'Same line',  color: 'var(--green)' },
+  edited:    { label: 'Edited line', color: 'var(--gold)' },
+  page:      { label: 'Page',       color: 'var(--text-secondary)' },
+  unmatched: { label: 'Line cut',   color: 'var(--state-hold)' },
+  lost:      { label: 'No page',    color: 'var(--red)' },
+  manual:    { label: 'Manual',     color: 'var(--gold)' },
+};
+const REVIEW_STATUSES = ['edited', 'unmatched', 'lost', 'manual'];
+
+/* ── REVISION MODEL ───────────────────────────── */
+
+/** Draft color for a revision number (1 = White, 11 = Double White). */
+export function revisionColor(number) {
+  const i = Math.max(0, number - 1);
+  const c = REVISION_COLORS[i % REVISION_COLORS.length];
+  const cycle = Math.floor(i / REVISION_COLORS.length);
+  const prefix = CYCLE_PREFIXES[cycle] ?? `${cycle + 1}× `;
+  return { hex: c.hex, label: prefix + c.label };
+}
+
+function _today() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function _dateLabel(date) {
+  if (!date) return '';
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function _summary(rev) {
+  return { number: rev.number, color: rev.color, colorLabel: rev.colorLabel, date: rev.date || null };
+}
+
+/** Color swatch + draft label for a revision summary. */
+export function revisionChipHtml(rev) {
+  if (!rev) return '';
+  const date = _dateLabel(rev.date);
+  return `<span class="script-rev-chip" title="Revision ${rev.number}${date ? ' · ' + escapeHtml(date) : ''}">`
+    + `<span class="script-rev-chip__swatch" style="background:${escapeHtml(rev.color)};"></span>`
+    + `${escapeHtml(rev.colorLabel)}${date ? ' · ' + escapeHtml(date) : ''}</span>`;
+}
+
+/** Show the current revision in a header slot next to the show name. */
+export function renderRevisionChip(el) {
+  if (!el) return;
+  const rev = state.activeProduction?.scriptRevision;
+  el.innerHTML = revisionChipHtml(rev);
+  el.style.display = rev ? '' : 'none';
+}
+
+function _revisionsCol(prod = state.activeProduction) {
+  return collection(db, 'productions', prod.id, 'scriptRevisions');
+}
+
+export async function loadRevisions(prod = state.activeProduction) {
+  const snap = await getDocs(_revisionsCol(prod));
+  return snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Productions that predate revisions only have a bare scriptPath. Record it
+ * as revision 1 so the next upload has a draft to diff against.
+ */
+async function _ensureBaseRevision(revisions, prod) {
+  if (revisions.length || !prod.scriptPath) return revisions;
+  const c = revisionColor(1);
+  const revRef = doc(_revisionsCol(prod));
+  const rev = {
+    number: 1, color: c.hex, colorLabel: c.label, date: null,
+    storagePath: prod.scriptPath, pageCount: prod.scriptPageCount || null, status: 'current',
+    uploadedAt: serverTimestamp(), uploadedBy: state.currentUser.uid,
+  };
+  const batch = writeBatch(db);
+  batch.set(revRef, rev);
+  batch.update(doc(db, 'productions', prod.id), { scriptRevisionId: revRef.id, scriptRevision: _summary(rev) });
+  await batch.commit();
+  prod.scriptRevisionId = revRef.id;
+  prod.scriptRevision = _summary(rev);
+  return [{ id: revRef.id, ...rev }];
+}
+
+/**
+ * Upload a PDF, Fountain or FDX file as the next revision. It stays pending
+ * until activated. Markup files are typeset here and stored as a JSON layout.
+ * @param {File} file
+ * @param {{ onProgress?: (fraction: number) => void, prod?: object, cast?: object[] }} [opts] —
+ *   prod defaults to the active production (the create dialog passes the new
+ *   one, with an empty cast to match imported characters against)
+ */
+export async function uploadScriptRevision(file, { onProgress, prod = state.activeProduction, cast } = {}) {
+  const format = scriptFileFormat(file);
+  if (!format) throw new Error('Unsupported script file.');
+  const imported = MARKUP_FORMATS[format] ? await buildImportedScript(file, cast ? { cast } : undefined) : null;
+
+  const revisions = await _ensureBaseRevision(await loadRevisions(prod), prod);
+  const number = revisions.reduce((max, r) => Math.max(max, r.number || 0), 0) + 1;
+  const revRef = doc(_revisionsCol(prod));
+  const storagePath = `productions/${prod.id}/revisions/${revRef.id}${imported ? '.json' : '.pdf'}`;
+  const body = imported ? new Blob([JSON.stringify(imported.layout)], { type: 'application/json' }) : file;
+  await new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(ref(storage, storagePath), body, { contentType: imported ? 'application/json' : 'application/pdf' });
+    task.on('state_changed', s => onProgress?.(s.bytesTransferred / s.totalBytes), reject, resolve);
+  });
+  const c = revisionColor(number);
+  const rev = {
+    number, color: c.hex, colorLabel: c.label, date: _today(),
+    storagePath, format, pageCount: imported ? imported.summary.pages : null, status: 'pending',
+    uploadedAt: serverTimestamp(), uploadedBy: state.currentUser.uid,
+  };
+  if (imported) {
+    const { pages, characters, matched } = imported.summary;
+    rev.title = imported.layout.title || '';
+    toast(`Imported ${pages} page${pages !== 1 ? 's' : ''} — ${matched} of ${characters} characters matched to cast.`, 'info');
+  }
+  await setDoc(revRef, rev);
+  return { id: revRef.id, ...rev };
+}
+
+/**
+ * Make a revision the production's script.
+ * @param {object} rev
+ * @param {{ production?: object, revision?: object, prod?: object }} [extra] —
+ *   additional fields written with the status change (remapped bookmarks,
+ *   diff summary); prod defaults to the active production
+ */
+export async function activateRevision(rev, { production = {}, revision = {}, prod = state.activeProduction } = {}) {
+  const { ops, replaced } = MARKUP_FORMATS[rev.format] ? await _importedZoneOps(rev, prod) : { ops: [], replaced: {} };
+  const { fields, ops: activation } = _activationOps(rev, prod, { production, revision });
+  await _commitInChunks(ops, activation);
+  Object.assign(prod, fields);
+  if (prod === state.activeProduction) _recordReplacedZones(replaced, rev);
+}
+
+/** Keep the zones a new draft replaced in zone history, so a page can be restored. */
+function _recordReplacedZones(replaced, rev) {
+  Object.entries(replaced).forEach(([key, zones]) => recordZoneHistory(key, zones, `Before ${rev.colorLabel} draft`));
+}
+
+/** The production / revision status writes, and the production fields they set. */
+function _activationOps(rev, prod, { production = {}, revision = {} } = {}) {
+  const fields = {
+    scriptPath: rev.storagePath,
+    scriptPageCount: null,
+    scriptRevisionId: rev.id,
+    scriptRevision: _summary(rev),
+    ...production,
+  };
+  const ops = [b => b.update(doc(db, 'productions', prod.id), fields)];
+  if (prod.scriptRevisionId && prod.scriptRevisionId !== rev.id) {
+    ops.push(b => b.update(doc(_revisionsCol(prod), prod.scriptRevisionId), { status: 'superseded' }));
+  }
+  ops.push(b => b.update(doc(_revisionsCol(prod), rev.id), { status: 'current', appliedAt: serverTimestamp(), ...revision }));
+  return { fields, ops };
+}
+
+/**
+ * Writes replacing every zone doc with the zones typeset from an imported
+ * script, and the zones they replace (key → zones).
+ */
+async function _importedZoneOps(rev, prod) {
+  const [script, zoneSnap] = await Promise.all([
+    openScriptDocument(rev.storagePath),
+    getDocs(collection(db, 'productions', prod.id, 'zones')),
+  ]);
+  const ops = [];
+  const keys = new Set();
+  for (let n = 1; n <= script.numPages; n++) {
+    const zones = script.pageZones(n);
+    if (!zones.length) continue;
+    keys.add(`${n}`);
+    ops.push(b => b.set(doc(db, 'productions', prod.id, 'zones', `${n}`), { zones, updatedAt: serverTimestamp(), updatedBy: state.currentUser.uid }));
+  }
+  zoneSnap.docs.filter(d => !keys.has(d.id)).forEach(d => ops.push(b => b.delete(d.ref)));
+  script.destroy();
+  const replaced = {};
+  zoneSnap.docs.forEach(d => { if (d.data().zones?.length) replaced[d.id] = d.data().zones; });
+  return { ops, replaced };
+}
+
+/** Drop a pending revision and its PDF. */
+async function _discardRevision(rev) {
+  await deleteDoc(doc(_revisionsCol(), rev.id));
+  try { await deleteObject(ref(storage, rev.storagePath)); } catch (e) { console.warn('Could not delete revision PDF:', e); }
+}
+
+let _onScriptChanged = null;
+let _isOpenNote = () => true;
+
+/** Views that cache the script (Run Show, zone editor) register their reset here. */
+export function setScriptChangedCallback(fn) { _onScriptChanged = fn; }
+
+/** How a note counts as open (not yet acknowledged) — supplied by the cast module. */
+export function setOpenNoteCheck(fn) { _isOpenNote = fn; }
+
+/** Views cache the PDF, zones and cues — drop them so the next activation reloads. */
+function _reloadScriptViews() {
+  resetPdfDoc();
+  _onScriptChanged?.();
+}
+
+/* ═══════════════════════════════════════════════════════════
+   LINE ALIGNMENT
+   ═══════════════════════════════════════════════════════════ */
+
+/* Zone keys: "12" for a whole page, "12L" / "12R" for split halves. */
+function _parseKey(key) {
+  const m = /^(\d+)([LR]?)$/.exec(key || '');
+  return m ? { page: Number(m[1]), half: m[2] } : null;
+}
+
+function _keyOrder(key) {
+  const k = _parseKey(key);
+  return k.half ? (k.page - 1) * 2 + (k.half === 'R' ? 1 : 0) : k.page;
+}
+
+function _keyLabel(key) {
+  return key ? `pdf p.${key}` : '—';
+}
+
+function _norm(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+function _similarity(a, b) {
+  if (!a || !b) return 0;
+  const wa = new Set(a.split(' '));
+  const wb = new Set(b.split(' '));
+  let common = 0;
+  wa.forEach(w => { if (wb.has(w)) common++; });
+  return (2 * common) / (wa.size + wb.size);
+}
+
+/**
+ * Zones of every page as the zone editor extracts them, keyed like zone docs
+ * (whole pages and split halves). Imported scripts use their markup zones.
+ */
+async function _extractLines(pdf, onPage) {
+  const lines = {};
+  for (let n = 1; n <= pdf.numPages; n++) {
+    if (pdf.pageZones) {
+      lines[`${n}`] = pdf.pageZones(n);
+      lines[`${n}L`] = [];
+      lines[`${n}R`] = [];
+      onPage?.(n, pdf.numPages);
+      continue;
+    }
+    const page = await pdf.getPage(n);
+    const viewport = page.getViewport({ scale: SCAN_SCALE });
+    const items = (await page.getTextContent()).items.filter(i => i.str && i.str.trim().length > 0);
+    const hasText = items.length > 2;
+    lines[`${n}`] = hasText ? extractLineZones(items, viewport, `${n}`, false, SCAN_SCALE) : [];
+    lines[`${n}L`] = hasText ? extractLineZones(items, viewport, `${n}L`, true, SCAN_SCALE) : [];
+    lines[`${n}R`] = hasText ? extractLineZones(items, viewport, `${n}R`, true, SCAN_SCALE) : [];
+    page.cleanup();
+    onPage?.(n, pdf.numPages);
+  }
+  return lines;
+}
+
+function _familyKeys(lines, split) {
+  return Object.keys(lines)
+    .filter(k => _parseKey(k) && !!_parseKey(k).half === split)
+    .sort((a, b) => _keyOrder(a) - _keyOrder(b));
+}
+
+function _flatten(lines, keys) {
+  return keys.flatMap(key => {
+    const { page, half } = _parseKey(key);
+    return (lines[key] || []).map((zone, idx) => ({ key, page, half, idx, zone, norm: _norm(zone.text) }));
+  });
+}
+
+/**
+ * Align old lines to new lines in reading order. Exact text matches are taken
+ * greedily as anchors; lines left between anchors are then paired with the
+ * most similar unclaimed new line (an edited line).
+ * @returns {{ match: Array<{ j: number, exact: boolean }|null>, used: Uint8Array }}
+ */
+function _alignLines(oldFlat, newFlat) {
+  const byNorm = new Map();
+  newFlat.forEach((l, j) => {
+    if (l.norm.length < 2) return;
+    if (!byNorm.has(l.norm)) byNorm.set(l.norm, []);
+    byNorm.get(l.norm).push(j);
+  });
+  const match = new Array(oldFlat.length).fill(null);
+  const used = new Uint8Array(newFlat.length);
+
+  let cursor = 0;
+  oldFlat.forEach((l, i) => {
+    const j = byNorm.get(l.norm)?.find(j => j >= cursor && !used[j] && j - cursor <= ALIGN_WINDOW);
+    if (j === undefined) return;
+    match[i] = { j, exact: true };
+    used[j] = 1;
+    cursor = j + 1;
+  });
+
+  // Next exact anchor after each old line bounds the edited-line search
+  const nextAnchor = new Array(oldFlat.length);
+  let next = newFlat.length;
+  for (let i = oldFlat.length - 1; i >= 0; i--) {
+    nextAnchor[i] = next;
+    if (match[i]) next = match[i].j;
+  }
+  let lo = 0;
+  oldFlat.forEach((l, i) => {
+    if (match[i]) { lo = match[i].j + 1; return; }
+    if (!l.norm) return;
+    let best = -1;
+    let bestScore = FUZZY_MIN;
+    const hi = Math.min(nextAnchor[i], lo + FUZZY_SPAN);
+    for (let j = lo; j < hi; j++) {
+      if (used[j]) continue;
+      const s = _similarity(l.norm, newFlat[j].norm);
+      if (s >= bestScore) { best = j; bestScore = s; }
+    }
+    if (best < 0) return;
+    match[i] = { j: best, exact: false };
+    used[best] = 1;
+    lo = best + 1;
+  });
+  return { match, used };
+}
+
+/**
+ * Old page key → new page key. Each page goes where most of its lines went;
+ * pages with no matched text keep the offset of the last mapped page.
+ */
+function _pageMap(oldKeys, newKeys, oldFlat, newFlat, match) {
+  const votes = new Map();
+  match.forEach((m, i) => {
+    if (!m) return;
+    const from = oldFlat[i].key;
+    const to = newFlat[m.j].key;
+    if (!votes.has(from)) votes.set(from, new Map());
+    votes.get(from).set(to, (votes.get(from).get(to) || 0) + 1);
+  });
+  const map = new Map();
+  let prev = null;
+  oldKeys.forEach((key, pos) => {
+    const v = votes.get(key);
+    if (v) {
+      const to = [...v.entries()].sort((a, b) => b[1] - a[1] || _keyOrder(a[0]) - _keyOrder(b[0]))[0][0];
+      map.set(key, to);
+      prev = { pos, newPos: newKeys.indexOf(to) };
+    } else {
+      const newPos = prev ? prev.newPos + (pos - prev.pos) : pos;
+      map.set(key, newKeys[Math.max(0, Math.min(newPos, newKeys.length - 1))] ?? null);
+    }
+  });
+  return map;
+}
+
+function _analyzeFamily(oldLines, newLines, split) {
+  const oldKeys = _familyKeys(oldLines, split);
+  const newKeys = _familyKeys(newLines, split);
+  const oldFlat = _flatten(oldLines, oldKeys);
+  const newFlat = _flatten(newLines, newKeys);
+  const { match, used } = _alignLines(oldFlat, newFlat);
+  const oldIndex = new Map(oldFlat.map((l, i) => [`${l.key}#${l.idx}`, i]));
+  const fromNew = new Map();
+  match.forEach((m, i) => { if (m) fromNew.set(m.j, i); });
+  return {
+    split, oldLines, newLines, oldKeys, newKeys, oldFlat, newFlat, match, used, oldIndex, fromNew,
+    pageMap: _pageMap(oldKeys, newKeys, oldFlat, newFlat, match),
+  };
+}
+
+/** Per new page: lines added, edited and cut. Cut lines land after the last surviving line. */
+function _pageDiffs(fam) {
+  const diffs = new Map(fam.newKeys.map(k => [k, { key: k, added: [], changed: [], removed: [] }]));
+  let lastKey = fam.newKeys[0];
+  fam.oldFlat.forEach((l, i) => {
+    const m = fam.match[i];
+    if (m) {
+      lastKey = fam.newFlat[m.j].key;
+      if (!m.exact) diffs.get(lastKey).changed.push({ from: l.zone.text, to: fam.newFlat[m.j].zone.text });
+    } else if (l.norm && lastKey) {
+      diffs.get(lastKey).removed.push(l.zone.text);
+    }
+  });
+  fam.newFlat.forEach((l, j) => {
+    if (!fam.used[j] && l.norm) diffs.get(l.key).added.push(l.zone.text);
+  });
+  return [...diffs.values()].filter(d => d.added.length || d.changed.length || d.removed.length);
+}
+
+/** Index of the old zone on a page that covers (or sits nearest to) a y position. */
+function _zoneAt(zones, y) {
+  if (!zones?.length || y == null) return null;
+  const hit = zones.findIndex(z => y >= z.y && y <= z.y + z.h);
+  if (hit >= 0) return hit;
+  let best = null;
+  let bestDist = 3; // % of page height
+  zones.forEach((z, i) => {
+    const d = Math.abs(z.y + z.h / 2 - y);
+    if (d < bestDist) { best = i; bestDist = d; }
+  });
+  return best;
+}
+
+/**
+ * Where an anchor on the old draft lands in the new one.
+ * @returns {{ key, zoneIdx, zone, dy, status }}
+ */
+function _remapAnchor(ctx, key, zoneIdx, y) {
+  const k = _parseKey(key);
+  if (!k) return { key: null, zoneIdx: null, zone: null, dy: 0, status: 'lost' };
+  const fam = k.half ? ctx.split : ctx.whole;
+  const idx = zoneIdx ?? _zoneAt(fam.oldLines[key], y);
+  const i = idx != null ? fam.oldIndex.get(`${key}#${idx}`) : undefined;
+  const m = i !== undefined ? fam.match[i] : null;
+  if (m) {
+    const l = fam.newFlat[m.j];
+    return { key: l.key, zoneIdx: l.idx, zone: l.zone, dy: l.zone.y - fam.oldFlat[i].zone.y, status: m.exact ? 'exact' : 'edited' };
+  }
+  const to = fam.pageMap.get(key) ?? null;
+  const status = !to ? 'lost' : (idx != null ? 'unmatched' : 'page');
+  return { key: to, zoneIdx: null, zone: null, dy: 0, status };
+}
+
+/* ── SCRIPT PAGE NUMBERS ──────────────────────── */
+// Cues and diagrams store script page numbers (after the p.1 offset).
+// A start half means the production is numbered by split halves.
+
+function _scriptPageToKey(scriptPage, start) {
+  if (start.half) {
+    const pos = (start.page - 1) * 2 + (start.half === 'R' ? 1 : 0) + scriptPage - 1;
+    return pos < 0 ? null : `${Math.floor(pos / 2) + 1}${pos % 2 ? 'R' : 'L'}`;
+  }
+  const page = start.page + scriptPage - 1;
+  return page < 1 ? null : `${page}`;
+}
+
+function _keyToScriptPage(key, start) {
+  const k = _parseKey(key);
+  if (start.half) {
+    const halfPos = (p, h) => (p - 1) * 2 + (h === 'R' ? 1 : 0);
+    return halfPos(k.page, k.half || 'L') - halfPos(start.page, start.half) + 1;
+  }
+  return k.page - start.page + 1;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   REMAP PLAN
+   ═══════════════════════════════════════════════════════════ */
+
+function _shiftBounds(bounds, dy) {
+  return bounds ? { ...bounds, y: Math.max(0, Math.min(100, bounds.y + dy)) } : bounds;
+}
+
+/**
+ * One review row per item. `toKey` is editable; `build(target)` returns the
+ * Firestore fields for the item at its target.
+ */
+function _buildRows(ctx, data) {
+  const rows = [];
+  const { oldStart, newStart } = ctx;
+
+  data.notes.filter(_isOpenNote).forEach(n => {
+    const key = `${n.page}${n.half || ''}`;
+    const bounds = n.bounds;
+    const a = _remapAnchor(ctx, key, n.zoneIdx, bounds ? bounds.y + bounds.h / 2 : null);
+    rows.push({
+      kind: 'note', id: n.id, fromKey: key, ...a,
+      label: `${n.characterName || n.actors?.map(x => x.characterName).join(', ') || 'Note'}${n.lineText ? ' — “' + n.lineText + '”' : ''}`,
+      build: t => {
+        const k = _parseKey(t.key);
+        const fields = { page: k.page, half: k.half || '', zoneIdx: t.zoneIdx ?? null };
+        if (t.zone) fields.bounds = { x: t.zone.x, y: t.zone.y, w: t.zone.w, h: Math.max(t.zone.h, 1.5) };
+        else if (bounds && !t.manual) fields.bounds = _shiftBounds(bounds, t.dy);
+        return fields;
+      },
+    });
+  });
+
+  data.cues.forEach(c => {
+    const key = _scriptPageToKey(c.page, oldStart);
+    const y = c.yPosition ?? c.bounds?.y ?? null;
+    const a = key ? _remapAnchor(ctx, key, c.zoneIdx, y) : { key: null, zoneIdx: null, zone: null, dy: 0, status: 'lost' };
+    rows.push({
+      kind: 'cue', id: c.id, fromKey: key, ...a,
+      label: `${c.type || ''} ${c.label || ''}`.trim(),
+      build: t => {
+        const fields = { page: _keyToScriptPage(t.key, newStart), zoneIdx: c.zoneIdx != null ? (t.zoneIdx ?? null) : null };
+        if (!t.manual && t.dy) {
+          if (c.yPosition != null) fields.yPosition = Math.max(0, Math.min(100, c.yPosition + t.dy));
+          if (c.bounds) fields.bounds = _shiftBounds(c.bounds, t.dy);
+        }
+        return fields;
+      },
+    });
+  });
+
+  data.diagrams.forEach(d => {
+    const key = _scriptPageToKey(d.page, oldStart);
+    const to = key ? (key.match(/[LR]$/) ? ctx.split : ctx.whole).pageMap.get(key) ?? null : null;
+    rows.push({
+      kind: 'diagram', id: d.id, fromKey: key, key: to, zoneIdx: null, zone: null, dy: 0,
+      status: to ? 'page' : 'lost',
+      label: d.label || 'Diagram',
+      build: t => ({ page: _keyToScriptPage(t.key, newStart) }),
+    });
+  });
+
+  (state.activeProduction.scriptBookmarks || []).forEach(b => {
+    const key = oldStart.half ? `${b.page}${b.half || 'L'}` : `${b.page}`;
+    const to = (oldStart.half ? ctx.split : ctx.whole).pageMap.get(key) ?? null;
+    rows.push({
+      kind: 'bookmark', id: b.id, fromKey: key, key: to, zoneIdx: null, zone: null, dy: 0,
+      status: to ? 'page' : 'lost',
+      label: b.label || 'Bookmark',
+      build: t => { const k = _parseKey(t.key); return { page: k.page, half: k.half || b.half || 'L' }; },
+    });
+  });
+
+  // Every dated version moves with its line, so the history stays attached
+  data.blocking.forEach(b => {
+    const k = _parseKey(b.zoneKey);
+    const oldZones = (k?.half ? ctx.split : ctx.whole).oldLines[b.zoneKey] || [];
+    const idx = blockingZoneIdx(b, oldZones);
+    const a = _remapAnchor(ctx, b.zoneKey, idx >= 0 ? idx : null, b.zoneY ?? null);
+    rows.push({
+      kind: 'blocking', id: b.id, fromKey: b.zoneKey, ...a,
+      label: `${b.charName || ''} — ${b.cut ? 'cut' : b.move || 'position'} (${b.rehearsalDate || ''})`,
+      build: t => ({
+        zoneKey: t.key, zoneIdx: t.zoneIdx ?? null,
+        zoneY: t.zone ? t.zone.y : b.zoneY ?? null,
+        lineText: t.zone ? t.zone.text || '' : b.lineText || '',
+      }),
+    });
+  });
+
+  (state.activeProduction.scriptScenes || []).forEach(s => {
+    const key = `${s.page}${s.half || ''}`;
+    const a = _remapAnchor(ctx, key, null, s.y);
+    rows.push({
+      kind: 'scene', id: s.id, fromKey: key, ...a,
+      label: s.label || 'Scene',
+      build: t => {
+        const k = _parseKey(t.key);
+        const y = t.zone ? t.zone.y : Math.max(0, Math.min(100, (s.y || 0) + (t.manual ? 0 : t.dy)));
+        return { page: k.page, half: k.half || '', y };
+      },
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Zone docs for the new draft, for each page family the production uses.
+ * Matched zones keep their extra data (anything beyond geometry and text).
+ */
+function _newZoneDocs(ctx) {
+  const GEOMETRY = ['x', 'y', 'w', 'h', 'text', 'isCharName', 'isStageDirection', 'isItalic', 'isAllCaps', 'avgH', 'centerX', 'leftX'];
+  const docs = {};
+  [ctx.whole, ctx.split].forEach(fam => {
+    if (!ctx.familiesInUse.has(fam.split)) return;
+    let j = 0;
+    fam.newKeys.forEach(key => {
+      const zones = (fam.newLines[key] || []).map(zone => {
+        const i = fam.fromNew.get(j++);
+        if (i === undefined) return zone;
+        const carried = { ...fam.oldFlat[i].zone };
+        GEOMETRY.forEach(f => delete carried[f]);
+        return { ...carried, ...zone };
+      });
+      if (zones.length) docs[key] = zones;
+    });
+  });
+  return docs;
+}
+
+/**
+ * Commit the queued writes in batches of at most BATCH_LIMIT (Firestore's
+ * cap), then the activation writes in a batch of their own. If a chunk
+ * fails, the production still points at the old draft, but the chunks
+ * before it stay written — those zones, notes and cues are already moved.
+ */
+async function _commitInChunks(ops, activation) {
+  for (let i = 0; i < ops.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    ops.slice(i, i + BATCH_LIMIT).forEach(op => op(batch));
+    await batch.commit();
+  }
+  const batch = writeBatch(db);
+  activation.forEach(op => op(batch));
+  await batch.commit();
+}
+
+/* ═══════════════════════════════════════════════════════════
+   REMAP TOOL
+   ═══════════════════════════════════════════════════════════ */
+
+async function _loadRemapContext(rev, setStatus) {
+  const prod = state.activeProduction;
+  const pid = prod.id;
+  const [zoneSnap, cueSnap, diagramSnap, noteSnap, blockingSnap] = await Promise.all([
+    getDocs(collection(db, 'productions', pid, 'zones')),
+    getDocs(collection(db, 'productions', pid, 'scriptCues')),
+    getDocs(collection(db, 'productions', pid, 'diagrams')),
+    getDocs(collection(db, 'productions', pid, 'lineNotes')),
+    getDocs(collection(db, 'productions', pid, 'blocking')),
+  ]);
+  const data = {
+    cues: cueSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+    diagrams: diagramSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+    notes: noteSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+    blocking: blockingSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+  };
+
+  setStatus('Opening drafts…');
+  const [oldPdf, newPdf] = await Promise.all([openScriptDocument(prod.scriptPath), openScriptDocument(rev.storagePath)]);
+  const oldLines = await _extractLines(oldPdf, (n, total) => setStatus(`Reading current draft — page ${n} of ${total}…`));
+  const newLines = await _extractLines(newPdf, (n, total) => setStatus(`Reading ${rev.colorLabel} draft — page ${n} of ${total}…`));
+  const pageCount = newPdf.numPages;
+  oldPdf.destroy();
+  newPdf.destroy();
+
+  // Saved zones are what notes and cues point at — prefer them over extraction
+  const zoneKeys = [];
+  const familiesInUse = new Set([false]);
+  zoneSnap.docs.forEach(d => {
+    if (!_parseKey(d.id)) return;
+    zoneKeys.push(d.id);
+    if (d.data().zones?.length) oldLines[d.id] = d.data().zones;
+    if (_parseKey(d.id).half) familiesInUse.add(true);
+  });
+  if (prod.scriptPageStartHalf) familiesInUse.add(true);
+
+  setStatus('Matching lines…');
+  const whole = _analyzeFamily(oldLines, newLines, false);
+  const split = _analyzeFamily(oldLines, newLines, true);
+  const oldStart = { page: prod.scriptPageStartPage || 1, half: prod.scriptPageStartHalf || '' };
+  const startKey = `${oldStart.page}${oldStart.half}`;
+  const mappedStart = _parseKey((oldStart.half ? split : whole).pageMap.get(startKey));
+  const newStart = mappedStart ? { page: mappedStart.page, half: oldStart.half ? mappedStart.half : '' } : oldStart;
+
+  const ctx = { whole, split, oldStart, newStart, familiesInUse, zoneKeys, pageCount };
+  ctx.rows = _buildRows(ctx, data);
+  ctx.diffs = _pageDiffs(whole);
+  ctx.closedNotes = data.notes.filter(n => !_isOpenNote(n));
+  ctx.hasNewText = whole.newFlat.some(l => l.norm);
+  return ctx;
+}
+
+async function _applyRemap(rev, ctx) {
+  const pid = state.activeProduction.id;
+  const oldRevId = state.activeProduction.scriptRevisionId || null;
+  const ops = [];
+  const stats = { moved: 0, kept: 0, notesClosed: ctx.closedNotes.length };
+
+  const zoneDocs = _newZoneDocs(ctx);
+  Object.entries(zoneDocs).forEach(([key, zones]) => {
+    ops.push(b => b.set(doc(db, 'productions', pid, 'zones', key), { zones, updatedAt: serverTimestamp(), updatedBy: state.currentUser.uid }));
+  });
+  ctx.zoneKeys.filter(k => !zoneDocs[k]).forEach(key => {
+    ops.push(b => b.delete(doc(db, 'productions', pid, 'zones', key)));
+  });
+
+  const bookmarks = (state.activeProduction.scriptBookmarks || []).map(b => ({ ...b }));
+  const scenes = (state.activeProduction.scriptScenes || []).map(s => ({ ...s }));
+  ctx.rows.forEach(row => {
+    if (!row.key) { stats.kept++; return; }
+    const fields = row.build(row);
+    stats.moved++;
+    if (row.kind === 'bookmark') {
+      Object.assign(bookmarks.find(b => b.id === row.id) || {}, fields);
+      return;
+    }
+    if (row.kind === 'scene') {
+      Object.assign(scenes.find(s => s.id === row.id) || {}, fields);
+      return;
+    }
+    const col = { note: 'lineNotes', cue: 'scriptCues', diagram: 'diagrams', blocking: 'blocking' }[row.kind];
+    if (row.kind === 'note') fields.scriptRevisionId = rev.id;
+    ops.push(b => b.update(doc(db, 'productions', pid, col, row.id), fields));
+  });
+  if (oldRevId) {
+    ctx.closedNotes.filter(n => !n.scriptRevisionId).forEach(n => {
+      ops.push(b => b.update(doc(db, 'productions', pid, 'lineNotes', n.id), { scriptRevisionId: oldRevId }));
+    });
+  }
+
+  const prod = state.activeProduction;
+  const { fields, ops: activation } = _activationOps(rev, prod, {
+    production: {
+      scriptBookmarks: bookmarks,
+      scriptScenes: scenes,
+      scriptPageStartPage: ctx.newStart.page,
+      scriptPageStartHalf: ctx.newStart.half,
+    },
+    revision: { pageCount: ctx.pageCount, changedPages: ctx.diffs.map(d => d.key), remapStats: stats },
+  });
+  await _commitInChunks(ops, activation);
+  Object.assign(prod, fields);
+  const replaced = {};
+  ctx.zoneKeys.forEach(key => { if (ctx.whole.oldLines[key]?.length) replaced[key] = ctx.whole.oldLines[key]; });
+  _recordReplacedZones(replaced, rev);
+  return stats;
+}
+
+function _diffHtml(diffs) {
+  if (!diffs.length) return '<div style="color:var(--text-muted);font-size:13px;padding:20px 0;text-align:center;">No text changes found.</div>';
+  const line = (color, prefix, text) =>
+    `<div style="font-size:12px;color:${color};padding:1px 0;">${prefix} ${escapeHtml(text)}</div>`;
+  return diffs.map(d => `<details style="padding:6px 0;border-bottom:1px solid var(--bg-border);">
+    <summary style="cursor:pointer;font-size:12px;color:var(--text-primary);">
+      <span style="font-family:'DM Mono',monospace;">${escapeHtml(_keyLabel(d.key))}</span>
+      <span style="color:var(--text-muted);margin-left:8px;">${d.added.length ? `+${d.added.length} ` : ''}${d.changed.length ? `~${d.changed.length} ` : ''}${d.removed.length ? `−${d.removed.length}` : ''}</span>
+    </summary>
+    <div style="padding:6px 0 4px 12px;">
+      ${d.removed.map(t => line('var(--red)', '−', t)).join('')}
+      ${d.changed.map(c => line('var(--text-muted)', '~', c.from) + line('var(--gold)', '→', c.to)).join('')}
+      ${d.added.map(t => line('var(--green)', '+', t)).join('')}
+    </div>
+  </details>`).join('');
+}
+
+function _rowsHtml(rows, filter) {
+  const visible = rows
+    .map((r, i) => ({ r, i }))
+    .filter(({ r }) => filter === 'all' || REVIEW_STATUSES.includes(r.status));
+  if (!visible.length) {
+    return `<div style="color:var(--text-muted);font-size:13px;padding:20px 0;text-align:center;">${filter === 'review' ? 'Everything matched — nothing to review.' : 'Nothing to move.'}</div>`;
+  }
+  const KIND_LABELS = { note: 'Note', cue: 'Cue', diagram: 'Diagram', bookmark: 'Bookmark', scene: 'Scene', blocking: 'Blocking' };
+  return visible.map(({ r, i }) => {
+    const s = STATUS_STYLES[r.status] || STATUS_STYLES.page;
+    return `<div style="display:flex;gap:8px;align-items:center;padding:6px 0;border-bottom:1px solid var(--bg-border);font-size:12px;">
+      <span style="color:var(--text-muted);width:62px;">${KIND_LABELS[r.kind]}</span>
+      <span style="flex:1;color:var(--text-secondary);overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="${escapeHtml(r.label)}">${escapeHtml(r.label)}</span>
+      <span style="font-family:'DM Mono',monospace;color:var(--text-muted);">${escapeHtml(_keyLabel(r.fromKey))} →</span>
+      <input type="text" class="form-input rv-target" data-row="${i}" value="${escapeHtml(r.key || '')}" placeholder="page" style="width:58px;padding:4px 6px;font-size:12px;font-family:'DM Mono',monospace;" />
+      <span style="width:78px;color:${s.color};">${s.label}</span>
+    </div>`;
+  }).join('');
+}
+
+/**
+ * Review and apply a pending revision.
+ * @param {object} rev
+ * @param {{ onDone?: () => void }} [opts]
+ */
+export async function openRevisionRemap(rev, { onDone } = {}) {
+  if (state.runSession) { toast('End the current run before switching script revisions.', 'error'); return; }
+
+  document.getElementById('revision-remap-modal')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  backdrop.id = 'revision-remap-modal';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="max-width:760px;width:95vw;max-height:88vh;display:flex;flex-direction:column;">
+      <h2 style="margin-bottom:4px;display:flex;align-items:center;gap:10px;">Revision ${rev.number} ${revisionChipHtml(rev)}</h2>
+      <div id="rv-summary" style="font-size:12px;color:var(--text-muted);margin-bottom:12px;">Preparing…</div>
+      <div id="rv-tabs" style="display:none;gap:6px;margin-bottom:12px;">
+        <button class="settings-btn rv-view" data-view="review">Needs review</button>
+        <button class="settings-btn rv-view" data-view="all">All items</button>
+        <button class="settings-btn rv-view" data-view="diff">Page changes</button>
+      </div>
+      <div id="rv-body" style="overflow-y:auto;flex:1;min-height:120px;"></div>
+      <div class="modal-btns">
+        <button class="modal-btn-cancel" id="rv-cancel">Cancel</button>
+        <button class="settings-btn" id="rv-switch" style="display:none;">Switch Without Remapping</button>
+        <button class="modal-btn-primary" id="rv-apply" disabled>Apply Revision</button>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  const summaryEl = backdrop.querySelector('#rv-summary');
+  const bodyEl = backdrop.querySelector('#rv-body');
+  const applyBtn = backdrop.querySelector('#rv-apply');
+  const switchBtn = backdrop.querySelector('#rv-switch');
+  let busy = false;
+  const close = () => { if (!busy) backdrop.remove(); };
+  backdrop.querySelector('#rv-cancel').addEventListener('click', close);
+  switchBtn.addEventListener('click', async () => {
+    if (!confirmDialog('Switch to this draft without moving zones, cues, diagrams or notes? They keep their current page numbers.')) return;
+    busy = true;
+    switchBtn.disabled = true;
+    try {
+      await activateRevision(rev);
+      _reloadScriptViews();
+      toast(`${rev.colorLabel} draft is live.`, 'success');
+      busy = false;
+      close();
+      onDone?.();
+    } catch (e) {
+      console.error('Revision switch error:', e);
+      toast('Failed to switch revision.', 'error');
+      busy = false;
+      switchBtn.disabled = false;
+    }
+  });
+
+  let ctx;
+  try {
+    ctx = await _loadRemapContext(rev, msg => { summaryEl.textContent = msg; });
+  } catch (e) {
+    console.error('Revision remap load error:', e);
+    summaryEl.innerHTML = `<span style="color:var(--red);">Could not read the drafts: ${escapeHtml(e.message || '')}</span>`;
+    switchBtn.style.display = '';
+    return;
+  }
+  if (!backdrop.isConnected) return;
+
+  const newKeys = new Set([...ctx.whole.newKeys, ...ctx.split.newKeys]);
+  const review = ctx.rows.filter(r => REVIEW_STATUSES.includes(r.status)).length;
+  summaryEl.innerHTML = `${ctx.whole.oldKeys.length} → ${ctx.pageCount} pages · ${ctx.diffs.length} page${ctx.diffs.length !== 1 ? 's' : ''} changed · `
+    + `${ctx.rows.length} item${ctx.rows.length !== 1 ? 's' : ''} to move${review ? `, <span style="color:var(--state-hold);">${review} to review</span>` : ''}`
+    + (ctx.closedNotes.length ? ` · ${ctx.closedNotes.length} acknowledged note${ctx.closedNotes.length !== 1 ? 's' : ''} stay with the old draft` : '')
+    + (ctx.hasNewText ? '' : '<div style="color:var(--state-hold);margin-top:4px;">The new draft has no text layer — items keep their page positions.</div>')
+    + '<div style="margin-top:4px;">Targets are PDF pages, e.g. 12 or 12L.</div>';
+  backdrop.querySelector('#rv-tabs').style.display = 'flex';
+  switchBtn.style.display = '';
+  applyBtn.disabled = false;
+
+  let view = review ? 'review' : 'diff';
+  const render = () => {
+    backdrop.querySelectorAll('.rv-view').forEach(b => b.classList.toggle('settings-btn--primary', b.dataset.view === view));
+    bodyEl.innerHTML = view === 'diff' ? _diffHtml(ctx.diffs) : _rowsHtml(ctx.rows, view);
+    bodyEl.querySelectorAll('.rv-target').forEach(input => input.addEventListener('change', () => {
+      const row = ctx.rows[Number(input.dataset.row)];
+      const key = input.value.trim().toUpperCase();
+      if (key && !newKeys.has(key)) { toast(`No page ${key} in the new draft.`, 'error'); input.value = row.key || ''; return; }
+      Object.assign(row, { key: key || null, zoneIdx: null, zone: null, dy: 0, manual: true, status: key ? 'manual' : 'lost' });
+    }));
+  };
+  backdrop.querySelectorAll('.rv-view').forEach(b => b.addEventListener('click', () => { view = b.dataset.view; render(); }));
+  render();
+
+  applyBtn.addEventListener('click', async () => {
+    const lost = ctx.rows.filter(r => !r.key).length;
+    if (lost && !confirmDialog(`${lost} item${lost !== 1 ? 's have' : ' has'} no page in the new draft and will stay where ${lost !== 1 ? 'they are' : 'it is'}. Apply anyway?`)) return;
+    busy = true;
+    applyBtn.disabled = true;
+    switchBtn.disabled = true;
+    summaryEl.textContent = 'Applying…';
+    try {
+      const stats = await _applyRemap(rev, ctx);
+      _reloadScriptViews();
+      toast(`${rev.colorLabel} draft is live — ${stats.moved} item${stats.moved !== 1 ? 's' : ''} moved.`, 'success');
+      busy = false;
+      close();
+      onDone?.();
+    } catch (e) {
+      console.error('Revision remap apply error:', e);
+      toast('Failed to apply revision.', 'error');
+      summaryEl.textContent = 'Apply failed — the current draft is still live, but some items may already have moved. Check the console.';
+      busy = false;
+      applyBtn.disabled = false;
+      switchBtn.disabled = false;
+    }
+  });
+}
+
+/* ═══════════════════════════════════════════════════════════
+   SETTINGS
+   ═══════════════════════════════════════════════════════════ */
+
+/** Revision history and upload for the Settings "Script PDF" section. */
+export async function renderScriptRevisionsSettings(container) {
+  if (!container) return;
+  const prod = state.activeProduction;
+  const owner = isOwner();
+  container.innerHTML = '<div style="color:var(--text-muted);font-size:13px;">Loading…</div>';
+
+  let revisions = [];
+  try {
+    revisions = await loadRevisions();
+  } catch (e) {
+    console.warn('Could not load script revisions:', e);
+  }
+
+  const rowsHtml = revisions.slice().reverse().map(r => {
+    const current = r.id === prod.scriptRevisionId;
+    const status = current
+      ? '<span style="color:var(--green);">Current</span>'
+      : r.status === 'pending'
+        ? (owner
+          ? `<button class="settings-btn settings-btn--primary rv-apply-btn" data-id="${escapeHtml(r.id)}">Review &amp; Apply</button>
+             <button class="settings-btn settings-btn--danger rv-discard-btn" data-id="${escapeHtml(r.id)}">Discard</button>`
+          : '<span style="color:var(--state-hold);">Pending</span>')
+        : '<span style="color:var(--text-muted);">Superseded</span>';
+    const changed = r.changedPages?.length ? `${r.changedPages.length} page${r.changedPages.length !== 1 ? 's' : ''} changed` : '';
+    return `<div style="display:flex;align-items:center;gap:10px;padding:6px 0;border-bottom:1px solid var(--bg-border);font-size:13px;">
+      <span style="font-family:'DM Mono',monospace;color:var(--text-muted);width:28px;">#${r.number}</span>
+      ${revisionChipHtml(r)}
+      <span style="color:var(--text-muted);font-size:12px;flex:1;">${[MARKUP_FORMATS[r.format]?.label, r.pageCount ? `${r.pageCount} pp` : '', changed].filter(Boolean).join(' · ')}</span>
+      ${status}
+    </div>`;
+  }).join('');
+
+  container.innerHTML = `
+    ${revisions.length
+      ? `<div style="margin-bottom:10px;">${rowsHtml}</div>`
+      : prod.scriptPath
+        ? '<div style="color:var(--text-secondary);font-size:13px;margin-bottom:10px;">Script uploaded ✓ — upload a revision to start tracking drafts.</div>'
+        : '<div style="color:var(--text-muted);font-size:13px;margin-bottom:10px;">No script uploaded.</div>'
+    }
+    ${owner ? `
+      <button class="settings-btn settings-btn--primary" id="settings-upload-script-btn">${prod.scriptPath ? 'Upload Revision' : 'Upload Script'}</button>
+      <input type="file" id="settings-script-file" accept="${SCRIPT_FILE_ACCEPT}" style="display:none;" />
+      <div class="upload-progress" id="settings-upload-progress" style="display:none;margin-top:8px;">
+        <div class="upload-progress-bar" id="settings-upload-bar"></div>
+      </div>
+    ` : ''}
+  `;
+  if (!owner) return;
+
+  const rerender = () => renderScriptRevisionsSettings(container);
+  const uploadBtn = container.querySelector('#settings-upload-script-btn');
+  const fileInput = container.querySelector('#settings-script-file');
+  uploadBtn.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!scriptFileFormat(file)) { toast('Select a PDF, Fountain or FDX file.', 'error'); return; }
+    const bar = container.querySelector('#settings-upload-bar');
+    container.querySelector('#settings-upload-progress').style.display = 'block';
+    uploadBtn.disabled = true;
+    const hadScript = !!prod.scriptPath;
+    let rev;
+    try {
+      rev = await uploadScriptRevision(file, { onProgress: f => { bar.style.width = `${f * 100}%`; } });
+      if (!hadScript) {
+        await activateRevision(rev);
+        _reloadScriptViews();
+        toast('Script uploaded!', 'success');
+      }
+    } catch (e) {
+      console.error('Script revision upload error:', e);
+      toast('Upload failed: ' + e.message, 'error');
+    }
+    rerender();
+    if (rev && hadScript) openRevisionRemap(rev, { onDone: rerender });
+  });
+
+  container.querySelectorAll('.rv-apply-btn').forEach(btn => btn.addEventListener('click', () => {
+    const rev = revisions.find(r => r.id === btn.dataset.id);
+    if (rev) openRevisionRemap(rev, { onDone: rerender });
+  }));
+  container.querySelectorAll('.rv-discard-btn').forEach(btn => btn.addEventListener('click', async () => {
+    const rev = revisions.find(r => r.id === btn.dataset.id);
+    if (!rev || !confirmDialog(`Discard revision ${rev.number} (${rev.colorLabel})?`)) return;
+    try {
+      await _discardRevision(rev);
+      toast('Revision discarded.', 'success');
+    } catch (e) {
+      console.error('Discard revision error:', e);
+      toast('Failed to discard revision.', 'error');
+    }
+    rerender();
+  }));
+}
@@ -0,0 +1,154 @@
+/**
+ * zone-history.js — Saved Zone Revisions
+ *
+ * Server-side history for zone docs, so an owner can restore a page's zones
+ * from an earlier save:
+ *
+ *   productions/{id}/zoneHistory/{entryId}:
+ *     { zoneKey, zones, label, savedAt, savedBy }
+ *
+ * Routine saves are coalesced: saves to a page within SAVE_INTERVAL_MS of the
+ * first become one revision holding the latest zones, written when the
+ * interval ends (or sooner, on leaving the production or the page). A
+ * revision is always recorded before a destructive edit (Clear All,
+ * Re-extract, deleting several zones, restoring, auto-assign, a new script
+ * draft). Only the newest MAX_PER_PAGE revisions of a page are kept. The
+ * in-session undo/redo stack lives in linenotes.js.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { isOwner } from '../shared/roles.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml, confirmDialog } from '../shared/ui.js';
+import {
+  collection, doc, addDoc, getDocs, deleteDoc, query, where, serverTimestamp,
+} from 'firebase/firestore';
+
+const MAX_PER_PAGE = 30;
+const SAVE_INTERVAL_MS = 60 * 1000;
+
+const _pending = {}; // `${pid}/${zoneKey}` → { pid, zoneKey, zones, timer } — coalesced saves
+
+// A closing tab flushes what it can; the Firestore queue sends it if the page lives long enough
+window.addEventListener('pagehide', () => flushZoneSaves());
+
+function _ms(entry) {
+  return entry.savedAt?.toMillis ? entry.savedAt.toMillis() : 0;
+}
+
+async function _loadPageHistory(zoneKey, pid = state.activeProduction.id) {
+  const snap = await getDocs(query(collection(db, 'productions', pid, 'zoneHistory'), where('zoneKey', '==', zoneKey)));
+  return snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => _ms(b) - _ms(a));
+}
+
+/**
+ * Record a revision of one page's zones. Never throws — history is a safety
+ * net, so a failed write only logs.
+ * @param {string} zoneKey
+ * @param {Array}  zones
+ * @param {string} label — e.g. 'Saved', 'Before Clear All'
+ */
+export async function recordZoneHistory(zoneKey, zones, label) {
+  if (!isOwner() || !state.activeProduction?.id) return;
+  await _writeEntry(state.activeProduction.id, zoneKey, zones, label);
+}
+
+async function _writeEntry(pid, zoneKey, zones, label) {
+  if (!zones?.length) return;
+  try {
+    await addDoc(collection(db, 'productions', pid, 'zoneHistory'), {
+      zoneKey, zones, label,
+      savedAt: serverTimestamp(),
+      savedBy: state.currentUser?.uid || null,
+    });
+    const entries = await _loadPageHistory(zoneKey, pid);
+    await Promise.all(entries.slice(MAX_PER_PAGE).map(e => deleteDoc(doc(db, 'productions', pid, 'zoneHistory', e.id))));
+  } catch (e) {
+    console.warn('Zone history write failed:', e);
+  }
+}
+
+/**
+ * Record a routine save. Saves to a page within SAVE_INTERVAL_MS are
+ * coalesced into one revision with the latest zones — none is dropped.
+ */
+export function recordZoneSave(zoneKey, zones) {
+  const pid = state.activeProduction?.id;
+  if (!isOwner() || !pid) return;
+  const id = `${pid}/${zoneKey}`;
+  if (_pending[id]) { _pending[id].zones = zones; return; }
+  _pending[id] = { pid, zoneKey, zones, timer: setTimeout(() => _flush(id), SAVE_INTERVAL_MS) };
+}
+
+function _flush(id) {
+  const p = _pending[id];
+  if (!p) return Promise.resolve();
+  clearTimeout(p.timer);
+  delete _pending[id];
+  return _writeEntry(p.pid, p.zoneKey, p.zones, 'Saved');
+}
+
+/** Write coalesced saves now — on leaving the production or the page. */
+export function flushZoneSaves() {
+  Object.keys(_pending).forEach(_flush);
+}
+
+function _preview(zones) {
+  return zones.filter(z => z.text).slice(0, 3).map(z => z.text.slice(0, 60)).join(' / ');
+}
+
+/**
+ * Browse and restore a page's saved revisions.
+ * @param {{ zoneKey: string, pageLabel: string, current: Array, onRestore: (zones: Array) => void }} opts
+ */
+export async function openZoneHistory({ zoneKey, pageLabel, current, onRestore }) {
+  if (!isOwner()) return;
+  let entries;
+  try {
+    await _flush(`${state.activeProduction.id}/${zoneKey}`);
+    entries = await _loadPageHistory(zoneKey);
+  } catch (e) {
+    console.error('Zone history load error:', e);
+    toast('Could not load zone history.', 'error');
+    return;
+  }
+
+  document.querySelector('.zone-history-backdrop')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop zone-history-backdrop';
+  const uid = state.currentUser?.uid;
+  backdrop.innerHTML = `
+    <div class="modal-card" style="width:560px;max-width:95vw;max-height:85vh;display:flex;flex-direction:column;">
+      <h2 style="margin-bottom:4px;">Zone History <span style="font-family:'DM Mono',monospace;font-size:13px;color:var(--text-muted);">p.${escapeHtml(pageLabel)}</span></h2>
+      <div style="font-size:12px;color:var(--text-muted);margin-bottom:12px;">Now: ${current.length} zone${current.length !== 1 ? 's' : ''}. Restoring replaces this page's zones; Undo brings them back.</div>
+      <div style="overflow-y:auto;flex:1;min-height:0;">
+        ${entries.length ? entries.map(e => {
+          const ms = _ms(e);
+          const when = ms ? new Date(ms).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : 'Just now';
+          return `<div class="zh-row">
+            <div style="flex:1;min-width:0;">
+              <div class="zh-row__meta">${escapeHtml(when)} · ${escapeHtml(e.label || 'Saved')} · ${e.zones?.length || 0} zones${e.savedBy === uid ? ' · you' : ''}</div>
+              <div class="zh-row__preview">${escapeHtml(_preview(e.zones || [])) || '<span style="color:var(--text-muted);">[no text]</span>'}</div>
+            </div>
+            <button class="settings-btn" data-restore="${escapeHtml(e.id)}">Restore</button>
+          </div>`;
+        }).join('') : '<div style="color:var(--text-muted);font-size:13px;padding:20px 0;text-align:center;">No saved revisions for this page yet.</div>'}
+      </div>
+      <div class="modal-btns">
+        <button class="modal-btn-cancel" id="zh-close">Close</button>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  const close = () => backdrop.remove();
+  backdrop.querySelector('#zh-close').addEventListener('click', close);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+  backdrop.querySelectorAll('[data-restore]').forEach(btn => btn.addEventListener('click', () => {
+    const entry = entries.find(e => e.id === btn.dataset.restore);
+    if (!entry || !confirmDialog(`Replace this page's ${current.length} zones with the ${entry.zones?.length || 0} from this revision?`)) return;
+    close();
+    recordZoneHistory(zoneKey, current, 'Before restore');
+    onRestore(JSON.parse(JSON.stringify(entry.zones || [])));
+  }));
+}
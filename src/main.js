@@ -18,10 +18,13 @@ import { initProps, hideApp } from './props/props.js';
 import { initRunShow, resetRunShow } from './RunShow/Runshow.js';
 import { initLineNotes, resetLineNotes } from './linenotes/linenotes.js';
 import { initCast } from './cast/cast.js';
+import { isNoteOpen } from './cast/note-acks.js';
+import { setScriptChangedCallback, setOpenNoteCheck } from './linenotes/script-revisions.js';
 import { initSettings } from './settings/settings.js';
 import { initTabs } from './shared/tabs.js';
 import { initTrackingTab } from './tracking/tracking-tab.js';
 import { initRouter, navigate } from './shared/router.js';
+import { replayQueuedSessionUpdates } from './shared/offline-queue.js';
 
 // Initialize all modules
 initLogin();
@@ -34,6 +37,18 @@ initSettings();
 initTabs();
 initTrackingTab();
 
+// Script revisions reach the views that cache the script through callbacks
+setScriptChangedCallback(() => { resetRunShow(); resetLineNotes(); });
+setOpenNoteCheck(isNoteOpen);
+
+// Offline-first: cache the app shell, pdf.js and script PDFs for backstage dead zones.
+// Production only — the dev server's HMR requests must never be served from cache.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(e => console.warn('Service worker registration failed:', e));
+  });
+}
+
 // P2: Initialize router
 initRouter((action, prodId, tab, params) => {
   if (action === 'dashboard') {
@@ -77,16 +92,16 @@ onAuthStateChanged(auth, async (user) => {
     state.isSuperAdmin = false;
   }
 
-  // Ensure user doc exists
-  try {
-    await setDoc(doc(db, 'users', user.uid), {
-      displayName: user.displayName || user.email,
-      email: user.email,
-      createdAt: serverTimestamp(),
-    }, { merge: true });
-  } catch (e) {
-    console.warn('Could not write user doc:', e);
-  }
+  // Ensure user doc exists — not awaited: offline, the write sits in the
+  // Firestore queue until reconnect and must not block the dashboard
+  setDoc(doc(db, 'users', user.uid), {
+    displayName: user.displayName || user.email,
+    email: user.email,
+    createdAt: serverTimestamp(),
+  }, { merge: true }).catch(e => console.warn('Could not write user doc:', e));
+
+  // Offline-first: flush session updates queued during a previous offline run
+  replayQueuedSessionUpdates();
 
   // P2: Set default hash if empty
   if (!window.location.hash) navigate('#/dashboard');
@@ -5,22 +5,28 @@ import { toast } from '../shared/toast.js';
 import { escapeHtml, sanitizeName, confirmDialog, downloadCSV } from '../shared/ui.js';
 import { showImportModal } from '../shared/import-modal.js';
 import {
-  collection, doc, addDoc, updateDoc, deleteDoc, onSnapshot,
-  serverTimestamp
+  collection, doc, addDoc, setDoc, updateDoc, deleteDoc, onSnapshot,
+  serverTimestamp, deleteField
 } from 'firebase/firestore';
 import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
 import { buildCastPicker, getCastMembers, subscribeToCast } from '../cast/cast.js';
 import { syncSessionToFirestore, startSessionSync, stopSessionSync, hideHeartbeat } from '../shared/session-sync.js';
+import { trackWrite, queueSessionUpdate, isOnline, syncErrorMessage } from '../shared/offline-queue.js';
 import { loadCheckState, saveCheckState, checkProgress, renderProgressBar } from '../shared/check-state.js';
 import { updateRouteParams } from '../shared/router.js';
-import { getProductionLocations } from '../tracking/locations.js';
+import { getProductionLocations, locationOptionsHtml } from '../tracking/locations.js';
+import { getItemStatus, resolveLocation, canonicalLocationId } from '../tracking/core.js';
 import { updateScriptEditorTab } from '../shared/tabs.js';
+import { renderStageColumnsHtml } from '../shared/stage-columns.js';
 
-function _locOptions(selectedVal) {
-  const locs = getProductionLocations();
-  const legacy = { 'SL': 'backstage-left', 'SR': 'backstage-right', 'ON': 'on-stage' };
-  const resolvedSel = legacy[selectedVal] || selectedVal || 'backstage-left';
-  return locs.map(l => '<option value="' + l.id + '"' + (l.id === resolvedSel ? ' selected' : '') + '>' + l.shortName + '</option>').join('');
+function _locLabel(value) {
+  return resolveLocation(value || 'backstage-left', getProductionLocations()).shortName;
+}
+
+/** Where a prop is left after its last cue (or its start, with no cues). */
+function _endLocation(prop) {
+  const cues = prop.cues || [];
+  return cues.length > 0 ? cues[cues.length - 1].exitLocation : (prop.endLocation || prop.start);
 }
 
 let props = [];
@@ -101,52 +107,6 @@ function timerDuration()  { return getTimerState().timerDuration; }
 function timerWarnPages() { return getTimerState().timerWarnPages; }
 function timerCurrentPage(){ return state.runSession ? state.runSession.currentPage : _currentPage; }
 
-/* ─────────────────────────────────────────────────
-   PROP STATUS HELPER — exported for Run Show
-───────────────────────────────────────────────── */
-export function getPropStatus(prop, page) {
-  const cues = prop.cues || [];
-  let location = prop.start || 'SL';
-  let status = 'Off Stage';
-  let activeCue = null;
-  let upcomingEnter = null;
-  let crossover = null; // { from, to, mover, cueIndex } when next enter differs from current location
-  if (cues.length > 0) {
-    for (const cue of cues) {
-      if (page >= cue.enterPage && page <= cue.exitPage) { status = 'ON'; location = 'ON'; activeCue = cue; break; }
-      else if (page > cue.exitPage) { location = cue.exitLocation || 'SL'; status = 'Off Stage'; }
-    }
-    if (status !== 'ON') {
-      for (let i = 0; i < cues.length; i++) {
-        const cue = cues[i];
-        if (cue.enterPage > page) {
-          upcomingEnter = cue.enterPage;
-          // Determine where the prop currently sits
-          const currentLoc = location; // already computed above
-          const enterLoc = cue.enterLocation || currentLoc; // default: same side
-          if (enterLoc !== currentLoc) {
-            crossover = {
-              from: currentLoc,
-              to: enterLoc,
-              mover: cue.mover || '',
-              cueIndex: i,
-            };
-          }
-          break;
-        }
-      }
-    }
-  } else {
-    const enters = prop.enters || []; const exits = prop.exits || [];
-    for (let i = 0; i < enters.length; i++) {
-      if (page >= enters[i] && page <= (exits[i] || 9999)) { status = 'ON'; location = 'ON'; break; }
-      else if (page > (exits[i] || 9999)) { location = prop.endLocation || 'SL'; }
-    }
-    if (status !== 'ON') { for (const ep of enters) { if (ep > page) { upcomingEnter = ep; break; } } }
-  }
-  return { location, status, activeCue, upcomingEnter, crossover };
-}
-
 /* ─────────────────────────────────────────────────
    GET PROPS — exported for Run Show stage columns
 ───────────────────────────────────────────────── */
@@ -269,27 +229,27 @@ function renderManageTab() {
     cueRowsHtml = cueRows.map((c, i) => {
       // Determine the "expected" enter side: previous cue's exitLocation, or prop start for first cue
       const prevLoc = i === 0
-        ? (editProp?.start || content.querySelector('#prop-start-select')?.value || 'SL')
-        : (cueRows[i - 1].exitLocation || 'SL');
+        ? (editProp?.start || content.querySelector('#prop-start-select')?.value || 'backstage-left')
+        : (cueRows[i - 1].exitLocation || 'backstage-left');
       const enterLoc = c.enterLocation || prevLoc;
-      const needsCrossover = enterLoc !== prevLoc;
+      const needsCrossover = canonicalLocationId(enterLoc) !== canonicalLocationId(prevLoc);
       return `
       <div class="cue-row" data-idx="${i}">
         <span class="cue-num">#${i + 1}</span>
         <select class="form-select cue-enter-loc" title="Enter from">
-          ${_locOptions(enterLoc)}
+          ${locationOptionsHtml(enterLoc)}
         </select>
         <input class="form-input cue-enter" type="number" min="1" placeholder="Enter pg" value="${c.enterPage || ''}" />
         <span class="arrow">\u2192</span>
         <input class="form-input cue-exit" type="number" min="1" placeholder="Exit pg" value="${c.exitPage || ''}" />
         <select class="form-select cue-loc">
-          ${_locOptions(c.exitLocation || 'SL')}
+          ${locationOptionsHtml(c.exitLocation || 'backstage-left')}
         </select>
         <input class="form-input carrier-input cue-con" type="text" maxlength="100" placeholder="Carrier On" value="${escapeHtml(c.carrierOn || '')}" />
         <input class="form-input carrier-input cue-coff" type="text" maxlength="100" placeholder="Carrier Off" value="${escapeHtml(c.carrierOff || '')}" />
         ${needsCrossover ? `<input class="form-input carrier-input cue-mover" type="text" maxlength="100" placeholder="Moved by…" value="${escapeHtml(c.mover || '')}" />` : ''}
         <button class="remove-cue-btn" data-idx="${i}" title="Remove cue">\u00d7</button>
-        ${needsCrossover ? `<div class="cue-crossover-alert" title="Prop must be moved from ${prevLoc} → ${enterLoc}">⚠ Cross ${prevLoc}→${enterLoc}</div>` : ''}
+        ${needsCrossover ? `<div class="cue-crossover-alert" title="Prop must be moved from ${escapeHtml(_locLabel(prevLoc))} → ${escapeHtml(_locLabel(enterLoc))}">⚠ Cross ${escapeHtml(_locLabel(prevLoc))}→${escapeHtml(_locLabel(enterLoc))}</div>` : ''}
       </div>`}).join('');
   }
 
@@ -299,14 +259,14 @@ function renderManageTab() {
   } else {
     tableRows = props.map(p => {
       const cues = p.cues || [];
-      const endLoc = cues.length > 0 ? cues[cues.length - 1].exitLocation : (p.endLocation || p.start);
+      const endLoc = _locLabel(_endLocation(p));
       const cueTags = cues.map(c =>
         '<span class="cue-tag cue-tag--enter">\u2191' + c.enterPage + '</span><span class="cue-tag cue-tag--exit">\u2193' + c.exitPage + '</span>'
       ).join(' ') || '<span style="color:#555;">\u2014</span>';
       const thumbHtml = p.photoUrl
         ? '<img class="prop-thumb" src="' + escapeHtml(p.photoUrl) + '" data-src="' + escapeHtml(p.photoUrl) + '" alt="" title="Click to enlarge" />'
         : '<span style="color:#555;font-size:18px;">📦</span>';
-      return '<tr><td style="width:52px;text-align:center;">' + thumbHtml + '</td><td>' + escapeHtml(p.name) + '</td><td>' + escapeHtml(p.start) + '</td><td>' + cueTags + '</td><td>' + escapeHtml(endLoc) + '</td><td>' +
+      return '<tr><td style="width:52px;text-align:center;">' + thumbHtml + '</td><td>' + escapeHtml(p.name) + '</td><td>' + escapeHtml(_locLabel(p.start)) + '</td><td>' + cueTags + '</td><td>' + escapeHtml(endLoc) + '</td><td>' +
         '<button class="panel-btn edit-prop-btn" data-id="' + escapeHtml(p.id) + '">Edit</button> ' +
         '<button class="panel-btn panel-btn--danger delete-prop-btn" data-id="' + escapeHtml(p.id) + '">Delete</button></td></tr>';
     }).join('');
@@ -323,7 +283,7 @@ function renderManageTab() {
       <div class="form-row">
         <label>Starting Location</label>
         <select class="form-select" id="prop-start-select">
-          ${_locOptions(editProp?.start || 'SL')}
+          ${locationOptionsHtml(editProp?.start || 'backstage-left')}
         </select>
       </div>
       <div class="form-row" style="flex-direction:column;align-items:flex-start;">
@@ -397,7 +357,7 @@ function renderManageTab() {
 
   content.querySelector('#add-cue-btn').addEventListener('click', () => {
     syncCueRowsFromDOM();
-    cueRows.push({ enterPage: '', exitPage: '', enterLocation: '', exitLocation: 'SL', carrierOn: '', carrierOff: '', carrierOnCastId: '', carrierOffCastId: '', mover: '', moverCastId: '' });
+    cueRows.push({ enterPage: '', exitPage: '', enterLocation: '', exitLocation: 'backstage-left', carrierOn: '', carrierOff: '', carrierOnCastId: '', carrierOffCastId: '', mover: '', moverCastId: '' });
     renderContent();
   });
 
@@ -454,13 +414,13 @@ async function saveProp() {
   // P3: Zero-cue props allowed — props with no cues appear in starting location
   const cues = cueRows.map((c, i) => {
     // Determine expected enter location: previous exit or prop start
-    const prevLoc = i === 0 ? start : (cueRows[i - 1].exitLocation || 'SL');
+    const prevLoc = i === 0 ? start : (cueRows[i - 1].exitLocation || 'backstage-left');
     const enterLoc = c.enterLocation || prevLoc;
     return {
       enterPage: parseInt(c.enterPage) || 0,
       exitPage: parseInt(c.exitPage) || 0,
       enterLocation: enterLoc,
-      exitLocation: c.exitLocation || 'SL',
+      exitLocation: c.exitLocation || 'backstage-left',
       carrierOn: sanitizeName(c.carrierOn),
       carrierOnCastId: c.carrierOnCastId || '',
       carrierOff: sanitizeName(c.carrierOff),
@@ -474,9 +434,6 @@ async function saveProp() {
     if (cues[i].exitPage < cues[i].enterPage) { toast('Cue #' + (i+1) + ': exit must be >= enter.', 'error'); return; }
   }
   const pid = state.activeProduction.id;
-  const endLocation = cues.length > 0 ? cues[cues.length - 1].exitLocation : start;
-  const enters = cues.map(c => c.enterPage);
-  const exits = cues.map(c => c.exitPage);
   // Photo upload / clear handling
   let photoUrl = editingPropId ? (props.find(p => p.id === editingPropId)?.photoUrl || '') : '';
   let photoStoragePath = editingPropId ? (props.find(p => p.id === editingPropId)?.photoStoragePath || '') : '';
@@ -509,10 +466,11 @@ async function saveProp() {
   }
   _pendingPropPhoto = null;
 
-  const propData = { name, start, cues, enters, exits, endLocation, photoUrl, photoStoragePath, createdAt: serverTimestamp() };
+  const propData = { name, start, cues, photoUrl, photoStoragePath, createdAt: serverTimestamp() };
   try {
     if (editingPropId) {
-      await updateDoc(doc(db, 'productions', pid, 'props', editingPropId), propData);
+      // cues replace the legacy enters/exits arrays; drop them so an emptied cue list isn't read as the old ones
+      await updateDoc(doc(db, 'productions', pid, 'props', editingPropId), { ...propData, enters: deleteField(), exits: deleteField(), endLocation: deleteField() });
       toast('Prop updated.', 'success'); editingPropId = null;
     } else {
       await addDoc(collection(db, 'productions', pid, 'props'), propData);
@@ -529,7 +487,7 @@ function startEdit(propId) {
   cueRows = (prop.cues || []).map(c => ({ ...c }));
   if (cueRows.length === 0 && prop.enters?.length) {
     for (let i = 0; i < prop.enters.length; i++) {
-      cueRows.push({ enterPage: prop.enters[i], exitPage: prop.exits?.[i] || prop.enters[i], enterLocation: '', exitLocation: prop.endLocation || 'SL', carrierOn: '', carrierOff: '', mover: '', moverCastId: '' });
+      cueRows.push({ enterPage: prop.enters[i], exitPage: prop.exits?.[i] || 9999, enterLocation: '', exitLocation: prop.endLocation || 'backstage-left', carrierOn: '', carrierOff: '', mover: '', moverCastId: '' });
     }
   }
   renderManageTab(); content.scrollTop = 0;
@@ -553,47 +511,13 @@ async function deleteProp(propId) {
 function renderViewTab() {
   const page = timerCurrentPage();
   const warnPgs = timerWarnPages();
-  const slProps = [], onProps = [], srProps = [];
-  props.forEach(p => {
-    const r = getPropStatus(p, page);
-    const warn = r.upcomingEnter && (r.upcomingEnter - page) <= warnPgs && (r.upcomingEnter - page) > 0;
-    const item = { prop: p, ...r, warn };
-    if (r.status === 'ON') onProps.push(item);
-    else if (r.location === 'SL') slProps.push(item);
-    else srProps.push(item);
-  });
-
-  const renderCol = (items) => {
-    if (items.length === 0) return '<div style="color:rgba(255,255,255,0.3);font-size:12px;text-align:center;">\u2014</div>';
-    return items.map(({ prop: p, activeCue: ac, warn, upcomingEnter: ue, crossover: xo }) => {
-      let carrier = '';
-      if (ac) {
-        if (ac.carrierOn) carrier += '<div class="prop-carrier">\u2191 ' + escapeHtml(ac.carrierOn) + '</div>';
-        if (ac.carrierOff) carrier += '<div class="prop-carrier">\u2193 ' + escapeHtml(ac.carrierOff) + '</div>';
-      }
-      let crossoverHtml = '';
-      if (xo) {
-        const moverLabel = xo.mover ? escapeHtml(xo.mover) : '<em>unassigned</em>';
-        crossoverHtml = '<div class="prop-crossover-alert">\u26a0 Move ' + escapeHtml(xo.from) + '\u2192' + escapeHtml(xo.to) + ' \u00b7 ' + moverLabel + '</div>';
-      }
-      const wt = warn ? ' <span style="color:#d4af37;font-size:11px;">(pg ' + ue + ')</span>' : '';
-      const pillThumb = p.photoUrl ? '<img class="prop-thumb" style="float:right;margin:0 0 4px 8px;" src="' + escapeHtml(p.photoUrl) + '" data-src="' + escapeHtml(p.photoUrl) + '" alt="" />' : '';
-      return '<div class="stage-prop ' + (warn ? 'stage-prop--warn' : '') + (xo ? ' stage-prop--crossover' : '') + '" data-propname="' + escapeHtml(p.name) + '">' +
-        pillThumb + '<div class="prop-name">' + escapeHtml(p.name) + wt + '</div>' + carrier + crossoverHtml + '</div>';
-    }).join('');
-  };
-
   content.innerHTML = `
     <div class="stage-nav">
       <button id="stage-prev">\u25c4 Prev</button>
       <span class="page-display" id="stage-page-display">Page ${page}</span>
       <button id="stage-next">Next \u25ba</button>
     </div>
-    <div class="stage-columns">
-      <div class="stage-col stage-col--sl"><h4>Stage Left</h4>${renderCol(slProps)}</div>
-      <div class="stage-col stage-col--on"><h4>ON Stage</h4>${renderCol(onProps)}</div>
-      <div class="stage-col stage-col--sr"><h4>Stage Right</h4>${renderCol(srProps)}</div>
-    </div>`;
+    ${renderStageColumnsHtml({ props, page, warnPages: warnPgs, thumbnails: true })}`;
 
   content.querySelector('#stage-prev').addEventListener('click', () => {
     const p = timerCurrentPage();
@@ -665,7 +589,7 @@ export function startTimer(pagesOverride, durationOverride) {
     // Prop warning toasts
     const warnPgs = getTimerState().timerWarnPages;
     props.forEach(p => {
-      const r = getPropStatus(p, newPage);
+      const r = getItemStatus(p, newPage);
       if (r.upcomingEnter) {
         const pagesAway = r.upcomingEnter - newPage;
         if (pagesAway > 0 && pagesAway <= warnPgs) {
@@ -675,7 +599,7 @@ export function startTimer(pagesOverride, durationOverride) {
             let msg = `\u26a0\ufe0f ${p.name} \u2014 ${pagesAway} pages (pg ${r.upcomingEnter})`;
             if (r.crossover) {
               const moverName = r.crossover.mover || 'unassigned';
-              msg += ` \u2022 MOVE ${r.crossover.from}\u2192${r.crossover.to} by ${moverName}`;
+              msg += ` \u2022 MOVE ${_locLabel(r.crossover.from)}\u2192${_locLabel(r.crossover.to)} by ${moverName}`;
             }
             toast(msg, state.runSession ? 'warn' : 'info');
           }
@@ -729,15 +653,19 @@ function _notifyRunShow() { if (_runShowNotify) _runShowNotify(); }
  * Security: sessions subcollection is readable by all production members;
  * create is allowed by any member; update/delete restricted to creator or owner.
  */
-export async function startRunSession(sessionTitle, totalPages) {
+export async function startRunSession(sessionTitle, totalPages, kind = 'rehearsal') {
   const pid = state.activeProduction.id;
   const uid = state.currentUser.uid;
 
   // 1. Create Firestore session doc (status: "active")
   // Security rule note: sessions readable by all production members; create by any member
-  const sessionRef = await addDoc(collection(db, 'productions', pid, 'sessions'), {
+  // The ID is generated locally so a run can start offline; the write is queued
+  // by Firestore and only awaited when online (so permission errors still surface).
+  const sessionRef = doc(collection(db, 'productions', pid, 'sessions'));
+  const createWrite = trackWrite(setDoc(sessionRef, {
     productionId: pid,
     title: sessionTitle,
+    kind,
     date: serverTimestamp(),
     startedAt: Date.now(),
     endedAt: null,
@@ -753,12 +681,15 @@ export async function startRunSession(sessionTitle, totalPages) {
     lastSyncTimestamp: serverTimestamp(),
     noteCount: 0,
     notesByActor: {},
-  });
+  }));
+  if (isOnline()) await createWrite;
+  else createWrite.catch(e => { console.warn('Offline session create failed:', e); toast(syncErrorMessage('run session', e), 'error'); });
 
   // 2. Populate state.runSession
   state.runSession = {
     sessionId: sessionRef.id,
     title: sessionTitle,
+    kind,
     currentPage: 1,
     holdLog: [],
     scratchpad: '',
@@ -792,7 +723,10 @@ export async function endRunSession(scratchpadText) {
   const holdLog = [...(state.runSession.holdLog || [])];
   if (state.runSession.isOnHold && state.runSession.holdStartTime) {
     const holdDur = (Date.now() - state.runSession.holdStartTime) / 1000;
-    holdLog.push({ startedAt: state.runSession.holdStartTime, endedAt: Date.now(), durationSeconds: holdDur });
+    holdLog.push({
+      startedAt: state.runSession.holdStartTime, endedAt: Date.now(), durationSeconds: holdDur,
+      ...(state.runSession.holdReason || {}),
+    });
   }
   const totalHold = holdLog.reduce((s, h) => s + (h.durationSeconds || 0), 0);
   const durationSeconds = Math.max(0, (Date.now() - startedAt) / 1000 - totalHold);
@@ -815,7 +749,6 @@ export async function endRunSession(scratchpadText) {
   // Now write the final state to Firestore
   // Security rule note: sessions update restricted to creator (createdBy == uid) or owner role
   const update = {
-    endedAt: serverTimestamp(),
     holdLog,
     totalHoldSeconds: totalHold,
     durationSeconds,
@@ -823,7 +756,8 @@ export async function endRunSession(scratchpadText) {
     status: 'ended',
   };
   if (pageLog.length > 0) update.pageLog = pageLog;
-  await updateDoc(doc(db, 'productions', pid, 'sessions', sid), update);
+  // Offline: queued and replayed with conflict checks on reconnect (offline-queue.js)
+  await queueSessionUpdate(pid, sid, update, { kind: 'end', timestamps: ['endedAt'] });
 }
 
 /* ======================== PROP NOTES MODAL ======================== */
@@ -834,12 +768,12 @@ function openPropNotesModal(propName) {
   if (!prop) return;
   const cues = prop.cues || [];
   const cueSummary = cues.map((c, i) => {
-    const enterLoc = c.enterLocation || (i === 0 ? (prop.start || 'SL') : (cues[i-1].exitLocation || 'SL'));
-    const prevLoc = i === 0 ? (prop.start || 'SL') : (cues[i-1].exitLocation || 'SL');
-    const xoTag = enterLoc !== prevLoc
-      ? ' <span style="color:#e63946;">\u26a0 move ' + escapeHtml(prevLoc) + '\u2192' + escapeHtml(enterLoc) + (c.mover ? ' by ' + escapeHtml(c.mover) : '') + '</span>'
+    const enterLoc = c.enterLocation || (i === 0 ? (prop.start || 'backstage-left') : (cues[i-1].exitLocation || 'backstage-left'));
+    const prevLoc = i === 0 ? (prop.start || 'backstage-left') : (cues[i-1].exitLocation || 'backstage-left');
+    const xoTag = canonicalLocationId(enterLoc) !== canonicalLocationId(prevLoc)
+      ? ' <span style="color:#e63946;">\u26a0 move ' + escapeHtml(_locLabel(prevLoc)) + '\u2192' + escapeHtml(_locLabel(enterLoc)) + (c.mover ? ' by ' + escapeHtml(c.mover) : '') + '</span>'
       : '';
-    return 'Cue ' + (i+1) + ': ' + escapeHtml(enterLoc) + ' pg ' + c.enterPage + '\u2013' + c.exitPage + ' \u2192 ' + escapeHtml(c.exitLocation) +
+    return 'Cue ' + (i+1) + ': ' + escapeHtml(_locLabel(enterLoc)) + ' pg ' + c.enterPage + '\u2013' + c.exitPage + ' \u2192 ' + escapeHtml(_locLabel(c.exitLocation)) +
     (c.carrierOn ? ' (on: ' + escapeHtml(c.carrierOn) + ')' : '') + (c.carrierOff ? ' (off: ' + escapeHtml(c.carrierOff) + ')' : '') + xoTag;
   }).join('<br/>') || 'No cues';
 
@@ -907,7 +841,7 @@ async function renderCheckTab() {
   const renderCheckGrid = (type, checked) => {
     const items = props.map(p => {
       const isPreShow = type === 'pre';
-      const loc = isPreShow ? p.start : ((p.cues || []).length > 0 ? p.cues[p.cues.length - 1].exitLocation : (p.endLocation || p.start));
+      const loc = _locLabel(isPreShow ? p.start : _endLocation(p));
       const carrier = isPreShow
         ? ((p.cues || [])[0]?.carrierOn || '')
         : ((p.cues || []).length > 0 ? p.cues[p.cues.length - 1].carrierOff : '');
@@ -973,8 +907,7 @@ function exportPropsCSV() {
   const rows = [header];
   props.forEach(p => {
     const cues = p.cues || [];
-    const endLoc = cues.length > 0 ? cues[cues.length - 1].exitLocation : (p.endLocation || p.start);
-    const row = [p.name, p.start, endLoc];
+    const row = [p.name, canonicalLocationId(p.start), canonicalLocationId(_endLocation(p))];
     for (let i = 0; i < maxCues; i++) { const c = cues[i]; if (c) { row.push(c.enterLocation || '', c.enterPage, c.exitPage, c.exitLocation || '', c.carrierOn || '', c.carrierOff || '', c.mover || ''); } else { row.push('', '', '', '', '', '', ''); } }
     rows.push(row);
   });
@@ -987,18 +920,18 @@ function importPropsJSON() {
   if (!isOwner()) return;
   showImportModal({
     type: 'props',
-    schemaHtml: 'Your JSON must be an <strong>array of objects</strong>. Each object needs a <code>name</code> (string) and <code>start</code> (<code>"SL"</code> or <code>"SR"</code>). Optionally include a <code>cues</code> array with enter/exit page numbers, locations, and carrier/mover names.',
+    schemaHtml: 'Your JSON must be an <strong>array of objects</strong>. Each object needs a <code>name</code> (string) and <code>start</code> (a location ID such as <code>"backstage-left"</code>; legacy <code>"SL"</code>/<code>"SR"</code> are accepted). Optionally include a <code>cues</code> array with enter/exit page numbers, locations, and carrier/mover names.',
     exampleJson: JSON.stringify([
       {
         name: "Yorick's Skull",
-        start: "SL",
+        start: "backstage-left",
         cues: [
           { enterPage: 12, exitPage: 18, enterLocation: "backstage-left", exitLocation: "backstage-right", carrierOn: "Hamlet", carrierOff: "Gravedigger", mover: "" }
         ]
       },
       {
         name: "Letter",
-        start: "SR",
+        start: "backstage-right",
         cues: [
           { enterPage: 5, exitPage: 9, enterLocation: "backstage-right", exitLocation: "on-stage" },
           { enterPage: 22, exitPage: 30, enterLocation: "on-stage", exitLocation: "backstage-left" }
@@ -1010,7 +943,7 @@ function importPropsJSON() {
 [
   {
     "name": "Prop Name",
-    "start": "SL",
+    "start": "backstage-left",
     "cues": [
       {
         "enterPage": 5,
@@ -1026,29 +959,31 @@ function importPropsJSON() {
 ]
 
 Rules:
-- "start" must be "SL" (stage left) or "SR" (stage right)
-- Location values: "backstage-left", "backstage-right", "on-stage"
+- "start", "enterLocation" and "exitLocation" are location IDs: "backstage-left", "backstage-right", "on-stage"
 - "enterPage" and "exitPage" must be positive integers
 - "carrierOn", "carrierOff", "mover" are optional strings
 - Output ONLY the raw JSON array, no markdown or explanation`,
     onFile: async (data) => {
+      const locIds = getProductionLocations().map(l => l.id);
+      const badLoc = v => v && !locIds.includes(canonicalLocationId(v));
       for (let i = 0; i < data.length; i++) {
         const p = data[i];
         if (!p.name || typeof p.name !== 'string') { toast('Item ' + (i+1) + ': name is required.', 'error'); return; }
-        if (!['SL', 'SR'].includes(p.start)) { toast('Item ' + (i+1) + ': start must be SL or SR.', 'error'); return; }
+        if (!p.start || badLoc(p.start)) { toast('Item ' + (i+1) + ': start must be one of ' + locIds.join(', ') + '.', 'error'); return; }
         if (p.cues && !Array.isArray(p.cues)) { toast('Item ' + (i+1) + ': cues must be an array.', 'error'); return; }
         if (p.cues) {
           for (let j = 0; j < p.cues.length; j++) {
             if (!Number.isInteger(p.cues[j].enterPage) || p.cues[j].enterPage < 1) { toast('Item ' + (i+1) + ', Cue ' + (j+1) + ': enterPage must be a positive integer.', 'error'); return; }
             if (!Number.isInteger(p.cues[j].exitPage) || p.cues[j].exitPage < 1) { toast('Item ' + (i+1) + ', Cue ' + (j+1) + ': exitPage must be a positive integer.', 'error'); return; }
+            if (badLoc(p.cues[j].enterLocation) || badLoc(p.cues[j].exitLocation)) { toast('Item ' + (i+1) + ', Cue ' + (j+1) + ': unknown location.', 'error'); return; }
           }
         }
       }
       if (!confirmDialog('Found ' + data.length + ' props. Import will ADD to existing props — duplicates not checked. Continue?')) return;
       const pid = state.activeProduction.id;
       for (const p of data) {
-        const cues = (p.cues || []).map(c => ({ enterPage: c.enterPage, exitPage: c.exitPage, enterLocation: c.enterLocation || '', exitLocation: c.exitLocation || 'SL', carrierOn: c.carrierOn || '', carrierOnCastId: '', carrierOff: c.carrierOff || '', carrierOffCastId: '', mover: c.mover || '', moverCastId: '' }));
-        await addDoc(collection(db, 'productions', pid, 'props'), { name: sanitizeName(p.name), start: p.start, cues, enters: cues.map(c => c.enterPage), exits: cues.map(c => c.exitPage), endLocation: cues.length > 0 ? cues[cues.length - 1].exitLocation : p.start, createdAt: serverTimestamp() });
+        const cues = (p.cues || []).map(c => ({ enterPage: c.enterPage, exitPage: c.exitPage, enterLocation: c.enterLocation ? canonicalLocationId(c.enterLocation) : '', exitLocation: canonicalLocationId(c.exitLocation || 'backstage-left'), carrierOn: c.carrierOn || '', carrierOnCastId: '', carrierOff: c.carrierOff || '', carrierOffCastId: '', mover: c.mover || '', moverCastId: '' }));
+        await addDoc(collection(db, 'productions', pid, 'props'), { name: sanitizeName(p.name), start: canonicalLocationId(p.start), cues, createdAt: serverTimestamp() });
       }
       toast('Imported ' + data.length + ' props.', 'success');
     }
@@ -11,9 +11,10 @@
  *   - update/delete: creator (createdBy == request.auth.uid) or owner role
  *
  * lineNotes: no change to existing rules; sessionId is just an additive data field.
+ * sessions/{sid}/cueLog: calling-desk GO / skip entries (see cue-calling.js).
  */
 
-import { db, storage } from '../firebase.js';
+import { db } from '../firebase.js';
 import { state } from '../shared/state.js';
 import { isOwner } from '../shared/roles.js';
 import { toast } from '../shared/toast.js';
@@ -22,17 +23,37 @@ import {
   collection, doc, addDoc, updateDoc, deleteDoc, onSnapshot, getDoc, getDocs,
   serverTimestamp, query, where, orderBy
 } from 'firebase/firestore';
-import { ref, getDownloadURL, uploadBytesResumable } from 'firebase/storage';
 import { getCastMembers } from '../cast/cast.js';
 import {
-  getPropStatus, getProps,
   startRunSession, endRunSession,
 } from '../props/props.js';
-import { detectActiveSession, showRecoveryDialog, hydrateSessionFromFirestore, abandonSession, startSessionSync, syncSessionToFirestore, registerUnloadSync } from '../shared/session-sync.js';
+import { detectActiveSession, showRecoveryDialog, hydrateSessionFromFirestore, abandonSession, startSessionSync, syncSessionToFirestore, registerUnloadSync, pushLiveState, watchActiveSessions, followSession } from '../shared/session-sync.js';
 import { renderMarginCues, renderCueDetailPanel, renderCueSummaryPanel } from './cue-margin.js';
+import { openScriptDocument } from '../shared/pdf-service.js';
+import { trackWrite, isOnline, syncErrorMessage } from '../shared/offline-queue.js';
+import { openRunAnalytics } from './run-analytics.js';
+import { buildForecast, pickForecastBaseline } from './run-forecast.js';
+import { newHoldReason, renderHoldReasonForm, holdReasonText, holdReportSectionHtml, holdCategoryInlineHtml } from './hold-reasons.js';
+import { openShowReportForm } from './show-report.js';
+import { ackBadgesHtml, ackReportHtml } from '../cast/note-acks.js';
+import { openSessionCompare, noteActorEntries } from './session-compare.js';
+import {
+  REPEAT_MIN, recentWindow, buildSpotHistory, noteRecurrence, recurringFlagHtml, recurringReportHtml
+} from './recurring-notes.js';
+import { uploadScriptRevision, activateRevision, renderRevisionChip } from '../linenotes/script-revisions.js';
+import { scriptFileFormat } from '../linenotes/script-import.js';
+import { openScriptSearch, isScriptSearchShortcut, flashZone } from '../shared/script-search.js';
+import { subscribeBlocking, renderBlockingMarkers, openBlocking } from '../shared/blocking.js';
+import { subscribeAnnotations, renderAnnotations, setAnnotating, isAnnotating } from '../shared/annotations.js';
+import { sendRunReport, deliveryStatusInlineHtml, deliveryDetailHtml, deliveryResultFor } from './report-distribution.js';
+import {
+  resetCueCalling, hydrateCueCalling, cueCallingReady, loadCueLog, getCueCall, isCueCalled, getStandbyId, toggleStandby,
+  logCueCall, takeNewlyPassedCues, renderCueQueuePanel, compareCueLogs,
+} from './cue-calling.js';
 import { renderTrackingWidget, refreshWidgetContent, refreshWidgetBadges } from '../tracking/stage-widget.js';
 // Zone extraction is self-contained in runshow.js — no linenotes imports needed for rendering
-// Script page label helpers are defined locally below (rsScriptLabel / rsScriptOffset).
+import { scriptPageOffset, scriptPageLabel } from '../shared/script-pages.js';
+import { NOTE_TYPES, NOTE_TYPE_LABELS, noteTypeLabel } from '../shared/note-types.js';
 
 /* ═══════════════════════════════════════════════════════════
    MODULE STATE
@@ -81,28 +102,28 @@ let rsDiagramZoomLevel = 1;
 let rsSelectedCue = null;
 let rsDiagramPanelMode = 'diagrams'; // 'diagrams' | 'cues'
 let rsShowActorPills = false;         // toggle actor name pills on assigned zones
+let rsShowBlocking = false;           // toggle blocking tags beside lines
+let rsBlockingUnsub = null;
+let rsAnnotationsUnsub = null;
 
 // Bookmarks (loaded from state.activeProduction.scriptBookmarks)
 let rsBookmarks = [];
 
-const NOTE_TYPES_MAP = {
-  'skp': 'Skipped',
-  'para': 'Paraphrase',
-  'line': 'Called',
-  'add': 'Added words',
-  'gen': 'General',
-  'jmp': 'Jumped',
-  'mw': 'Missed words',
-};
-const NOTE_TYPES = [
-  { key: 'skp',  label: 'Skip',   color: '#e63946' },
-  { key: 'para', label: 'Para',   color: '#e89b3e' },
-  { key: 'line', label: 'Called', color: '#5b9bd4' },
-  { key: 'add',  label: 'Add',    color: '#6b8f4e' },
-  { key: 'gen',  label: 'Gen',    color: '#9b7bc8' },
-  { key: 'jmp',  label: 'Jumped', color: '#c77dff' },
-  { key: 'mw',   label: 'Missed', color: '#2ec4b6' },
-];
+// Follow Run: read-only mirror of another member's active session.
+// rsFollowing holds the same timing fields as state.runSession so the clock
+// helpers work unchanged: { sessionId, title, startedAt, holdLog, isOnHold, holdStartTime, holdReason }
+let rsFollowing = null;
+let rsFollowUnsub = null;
+let rsFollowRestore = null;     // { lastSessionId, notes } from before following, put back on stop
+let rsLiveSessions = [];        // other members' active sessions, offered in idle mode
+let rsLiveSessionsUnsub = null;
+// Forecast: baseline run the live clock is projected against
+let rsForecastBaseline = null;
+let rsForecastFor = null;       // session id the baseline was picked for
+let rsAllNotes = [];             // every line note in the production (repeat detection)
+let rsRecurrenceSessions = [];   // sessions used to build the repeat-note window
+let rsRecurrenceFor = null;      // session id the window was loaded for
+
 
 /* ═══════════════════════════════════════════════════════════
    HELPERS
@@ -118,13 +139,7 @@ function rsPk() { return rsPageZoneKey(rsCurrentPage, rsCurrentHalf); }
  * In non-split mode each PDF page is one script page (half ignored).
  */
 function rsScriptOffset(pdfPage, half, useSplit) {
-  const startPage = state.activeProduction?.scriptPageStartPage || 1;
-  const startHalf = state.activeProduction?.scriptPageStartHalf || '';
-  if (useSplit) {
-    const halfPos = (p, h) => (p - 1) * 2 + (h === 'R' ? 1 : 0);
-    return halfPos(pdfPage, half || 'L') - halfPos(startPage, startHalf || 'L');
-  }
-  return pdfPage - startPage;
+  return scriptPageOffset(pdfPage, half, useSplit);
 }
 
 /**
@@ -133,8 +148,7 @@ function rsScriptOffset(pdfPage, half, useSplit) {
  * Pages before the script start get "i-N" labels.
  */
 function rsScriptLabel(pdfPage, half, useSplit = rsSplitMode) {
-  const offset = rsScriptOffset(pdfPage, half, useSplit);
-  return offset < 0 ? ('i' + offset) : String(offset + 1);
+  return scriptPageLabel(pdfPage, half, useSplit);
 }
 
 /** Return the current script page number as an integer (1-based). */
@@ -205,7 +219,7 @@ function formatElapsed(ms) {
 
 /** Active elapsed ms since run start, excluding hold time. */
 function rsActiveElapsedMs() {
-  const s = state.runSession;
+  const s = state.runSession || rsFollowing;
   if (!s || !s.startedAt) return 0;
   const now = Date.now();
   const closedHolds = (s.holdLog || []).reduce((sum, h) => sum + (h.durationSeconds || 0) * 1000, 0);
@@ -215,6 +229,7 @@ function rsActiveElapsedMs() {
 
 function rsStartClock() {
   rsStopClock();
+  rsLoadForecastBaseline();
   rsClockInterval = setInterval(() => { rsUpdateTimerDisplay(); rsTickAutoPlay(); }, 500);
 }
 
@@ -223,8 +238,8 @@ function rsStopClock() {
 }
 
 function rsUpdateTimerDisplay() {
-  if (!state.runSession) return;
-  const s = state.runSession;
+  const s = state.runSession || rsFollowing;
+  if (!s) return;
   const clockEl = document.getElementById('rs-clock');
   if (clockEl) {
     clockEl.textContent = formatElapsed(rsActiveElapsedMs());
@@ -235,6 +250,15 @@ function rsUpdateTimerDisplay() {
     holdBtn.textContent = s.isOnHold ? '▶ Resume' : '⏸ Hold';
     holdBtn.classList.toggle('rs-hold-btn--active', !!s.isOnHold);
   }
+  const followHold = document.getElementById('rs-follow-hold');
+  if (followHold) followHold.style.display = s.isOnHold ? '' : 'none';
+  const followReason = document.getElementById('rs-follow-hold-reason');
+  if (followReason) {
+    const text = s.isOnHold ? holdReasonText(s.holdReason) : '';
+    followReason.textContent = text;
+    followReason.style.display = text ? '' : 'none';
+  }
+  rsUpdateForecast();
   const apStatus = document.getElementById('rs-autoplay-status');
   if (apStatus && s.autoPlay) {
     const ap = s.autoPlay;
@@ -253,14 +277,31 @@ function rsToggleHold() {
   const s = state.runSession;
   if (s.isOnHold) {
     const holdDur = s.holdStartTime ? (Date.now() - s.holdStartTime) / 1000 : 0;
-    if (holdDur > 0) s.holdLog.push({ startedAt: s.holdStartTime, endedAt: Date.now(), durationSeconds: holdDur });
+    if (holdDur > 0) {
+      s.holdLog.push({
+        startedAt: s.holdStartTime, endedAt: Date.now(), durationSeconds: holdDur,
+        ...(s.holdReason || newHoldReason(rsCurrentScriptPage())),
+      });
+    }
     s.holdStartTime = null;
+    s.holdReason = null;
     s.isOnHold = false;
   } else {
     s.holdStartTime = Date.now();
+    s.holdReason = newHoldReason(rsCurrentScriptPage());
     s.isOnHold = true;
   }
   rsUpdateTimerDisplay();
+  rsRenderHoldReason();
+  pushLiveState();
+}
+
+/** Show the reason picker in the timer panel while a hold is running. */
+function rsRenderHoldReason() {
+  const s = state.runSession;
+  if (s?.isOnHold && !s.holdReason) s.holdReason = newHoldReason(rsCurrentScriptPage());
+  // Followers see the reason as it is filled in
+  renderHoldReasonForm(document.getElementById('rs-hold-reason'), s?.isOnHold ? s.holdReason : null, pushLiveState);
 }
 
 function rsTickAutoPlay() {
@@ -277,6 +318,40 @@ function rsTickAutoPlay() {
   }
 }
 
+/* ── FORECAST ─────────────────────────────────── */
+async function rsLoadForecastBaseline() {
+  const sid = (state.runSession || rsFollowing)?.sessionId || null;
+  if (!sid || rsForecastFor === sid) return;
+  rsForecastFor = sid;
+  const recorded = await loadRecordedSessions();
+  if (rsForecastFor !== sid) return; // superseded while loading
+  rsForecastBaseline = pickForecastBaseline(recorded, state.activeProduction?.timingBaselineSessionId, sid);
+  rsUpdateForecast();
+}
+
+function rsClockTime(msFromNow) {
+  return new Date(Date.now() + msFromNow).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+/** Projected act break / show end and ahead-behind against the baseline run. */
+function rsUpdateForecast() {
+  const el = document.getElementById('rs-forecast');
+  if (!el) return;
+  const f = buildForecast(rsForecastBaseline, state.activeProduction?.scriptBookmarks || [],
+    rsCurrentPage, rsCurrentHalf, rsActiveElapsedMs());
+  if (!f) { el.style.display = 'none'; return; }
+  const absSec = Math.round(Math.abs(f.deltaMs) / 1000);
+  const pace = absSec < 1 ? 'on pace'
+    : `${f.deltaMs > 0 ? '+' : '−'}${formatTime(absSec)} ${f.deltaMs > 0 ? 'behind' : 'ahead'}`;
+  const paceColor = absSec < 1 ? 'var(--text-muted)' : (f.deltaMs > 0 ? 'var(--red)' : 'var(--green)');
+  const html = `
+    ${f.isLastAct ? '' : `<div class="rs-forecast-row"><span>${escapeHtml(f.act)} down</span><span>≈ ${rsClockTime(f.actRemainingMs)}</span></div>`}
+    <div class="rs-forecast-row"><span>End of show</span><span>≈ ${rsClockTime(f.showRemainingMs)}</span></div>
+    <div class="rs-forecast-pace" style="color:${paceColor};" title="Baseline: ${escapeHtml(rsForecastBaseline.title || 'Untitled')}">${pace} · vs ${escapeHtml(rsForecastBaseline.title || 'baseline')}</div>`;
+  if (el.dataset.html !== html) { el.innerHTML = html; el.dataset.html = html; }
+  el.style.display = '';
+}
+
 async function loadRecordedSessions() {
   const pid = state.activeProduction?.id;
   if (!pid) return [];
@@ -361,6 +436,8 @@ export function initRunShow() {
   document.getElementById('rs-prev-page')?.addEventListener('click', () => rsChangePage(-1));
   document.getElementById('rs-next-page')?.addEventListener('click', () => rsChangePage(1));
   document.getElementById('rs-split-btn')?.addEventListener('click', rsToggleSplitMode);
+  document.getElementById('rs-search-btn')?.addEventListener('click', rsOpenSearch);
+  document.getElementById('rs-annotate-btn')?.addEventListener('click', rsToggleAnnotating);
 
   // Bookmarks dropdown
   document.getElementById('rs-bookmarks-btn')?.addEventListener('click', e => {
@@ -375,6 +452,11 @@ export function initRunShow() {
     if (btn) btn.classList.toggle('ln-header-btn--active', rsShowActorPills);
     if (rsPdfDoc) rsRedrawOverlay(rsCurrentPage);
   });
+  document.getElementById('rs-toggle-blocking')?.addEventListener('click', () => {
+    rsShowBlocking = !rsShowBlocking;
+    document.getElementById('rs-toggle-blocking')?.classList.toggle('ln-header-btn--active', rsShowBlocking);
+    rsRenderBlocking();
+  });
 
 
 
@@ -431,6 +513,7 @@ export function initRunShow() {
   if (rsPageInput) {
     rsPageInput.addEventListener('change', () => {
       if (!rsPdfDoc) return;
+      if (rsFollowing) { rsPageInput.value = rsScriptLabel(rsCurrentPage, rsCurrentHalf); return; }
       const raw = rsPageInput.value.trim();
       // Parse the script page label to a (pdfPage, half) position
       const startPage = state.activeProduction?.scriptPageStartPage || 1;
@@ -472,11 +555,14 @@ async function rsCheckForActiveSession() {
   if (!pid) return;
   const activeSession = await detectActiveSession(pid);
   if (!activeSession) return;
+  // Someone else's live run — offered via "Follow Run" instead of recovery
+  if (activeSession.createdBy && activeSession.createdBy !== state.currentUser?.uid) return;
 
   const choice = await showRecoveryDialog(activeSession);
 
   if (choice === 'resume') {
     hydrateSessionFromFirestore(activeSession);
+    hydrateCueCalling(pid, activeSession.id).then(rsRenderCueQueue);
     startSessionSync();
     rsLastSessionId = activeSession.id;
     rsNotes = [];
@@ -525,15 +611,19 @@ export async function onRunShowTabActivated() {
     // members automatically share the owner's p.1 setting on every session open.
     await rsLoadScriptPageOffset();
     document.getElementById('rs-show-name').textContent = state.activeProduction?.title || '';
+    renderRevisionChip(document.getElementById('rs-script-rev'));
     rsSubscribeToNotes();
     rsSubscribeToScriptCues(); // Feature 5
     rsSubscribeToDiagrams();   // Feature 4
+    rsSubscribeToBlocking();
+    rsSubscribeToAnnotations();
+    rsWatchLiveSessions();     // Follow Run
     rsLoadScript();
   }
   renderRunShowTab();
   rsLoadBookmarks();
   rsUpdateBookmarksBtn();
-  if (state.runSession) {
+  if (state.runSession || rsFollowing) {
     rsStartClock();
   } else {
     await rsCheckForActiveSession();
@@ -582,6 +672,17 @@ export function resetRunShow() {
   if (rsDiagramsUnsub) { rsDiagramsUnsub(); rsDiagramsUnsub = null; }
   rsDiagrams = [];
   rsDiagramZoomLevel = 1;
+  // Follow Run: drop the live-session watchers
+  rsDropFollowWatch();
+  rsFollowing = null;
+  rsFollowRestore = null;
+  if (rsLiveSessionsUnsub) { rsLiveSessionsUnsub(); rsLiveSessionsUnsub = null; }
+  rsLiveSessions = [];
+  rsForecastBaseline = null;
+  rsForecastFor = null;
+  rsAllNotes = [];
+  rsRecurrenceSessions = [];
+  rsRecurrenceFor = null;
 }
 
 /* ═══════════════════════════════════════════════════════════
@@ -609,18 +710,40 @@ function renderRunShowControls() {
 
   const session = state.runSession;
 
-  const stageCols = renderStageColumnsHtml(rsCurrentScriptPage());
-
-  if (!session) {
+  if (!session && rsFollowing) {
+    // FOLLOW MODE — read-only mirror of another member's run
+    container.innerHTML = `
+      <div class="rs-controls-inner">
+        <div class="rs-session-header">
+          <span class="rs-session-title">${escapeHtml(rsFollowing.title || 'Connecting…')}</span>
+          <button class="rs-end-run-btn" id="rs-stop-follow-btn">✕ Stop Following</button>
+        </div>
+        <div class="rs-timer-panel">
+          <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:4px;">
+            <span id="rs-clock" style="font-family:'DM Mono',monospace;font-size:22px;letter-spacing:2px;">${formatElapsed(rsActiveElapsedMs())}</span>
+            <span id="rs-follow-hold" class="rs-follow-hold" style="${rsFollowing.isOnHold ? '' : 'display:none;'}">⏸ HOLD</span>
+          </div>
+          <div id="rs-follow-hold-reason" class="rs-follow-hold-reason" style="display:none;"></div>
+          <div style="font-size:10px;color:var(--text-muted);letter-spacing:1px;font-family:'DM Mono',monospace;">FOLLOWING · READ-ONLY</div>
+          <div id="rs-forecast" class="rs-forecast" style="display:none;"></div>
+        </div>
+        <div class="rs-tracking-widget"></div>
+      </div>`;
+    container.querySelector('#rs-stop-follow-btn').addEventListener('click', () => rsStopFollowing());
+    const fab = document.getElementById('run-show-fab');
+    if (fab) fab.classList.add('hidden');
+  } else if (!session) {
     // PRE-RUN / IDLE MODE
     const lastTotalPages = state.activeProduction?.scriptPageCount || '100';
     container.innerHTML = `
       <div class="rs-controls-inner">
         <button class="rs-start-run-btn" id="rs-start-run-btn">▶ Start Run</button>
+        <div id="rs-follow-list"></div>
         <div class="rs-tracking-widget"></div>
         <div class="rs-reports-section" id="rs-reports-section"></div>
       </div>`;
     container.querySelector('#rs-start-run-btn').addEventListener('click', openPreRunModal);
+    rsRenderFollowList();
     loadReportsHistory();
   } else {
     // ACTIVE RUN MODE
@@ -637,7 +760,10 @@ function renderRunShowControls() {
           </div>
           ${session.isRecording ? '<div style="font-size:10px;color:var(--red);letter-spacing:1px;font-family:\'DM Mono\',monospace;">● REC</div>' : ''}
           ${session.autoPlay ? '<div id="rs-autoplay-status" style="font-size:11px;color:var(--text-muted);font-family:\'DM Mono\',monospace;margin-top:2px;"></div>' : ''}
+          <div id="rs-forecast" class="rs-forecast" style="display:none;"></div>
+          <div id="rs-hold-reason" class="rs-hold-reason" style="display:none;"></div>
         </div>
+        <div class="rs-cue-queue" id="rs-cue-queue"></div>
         <div class="rs-tracking-widget"></div>
         <div class="rs-scratchpad-section">
           <label style="font-size:11px;text-transform:uppercase;letter-spacing:1px;color:var(--text-muted);">Scratchpad</label>
@@ -647,9 +773,11 @@ function renderRunShowControls() {
 
     container.querySelector('#rs-end-run-btn').addEventListener('click', openEndRunModal);
     container.querySelector('#rs-hold-btn').addEventListener('click', rsToggleHold);
+    rsRenderHoldReason();
     container.querySelector('#rs-scratchpad')?.addEventListener('input', e => {
       if (state.runSession) state.runSession.scratchpad = e.target.value;
     });
+    rsRenderCueQueue();
 
     // FAB visibility
     const fab = document.getElementById('run-show-fab');
@@ -663,49 +791,6 @@ function renderRunShowControls() {
   }
 }
 
-function renderStageColumnsHtml(page) {
-  const props = getProps();
-  if (!props.length) return '<div style="color:var(--text-muted);font-size:12px;text-align:center;padding:16px;">No props yet.</div>';
-  const slProps = [], onProps = [], srProps = [];
-  props.forEach(p => {
-    const r = getPropStatus(p, page);
-    const warnPgs = 5;
-    const warn = r.upcomingEnter && (r.upcomingEnter - page) <= warnPgs && (r.upcomingEnter - page) > 0;
-    const item = { prop: p, ...r, warn };
-    const loc = (r.location || '').toUpperCase().replace('STAGE LEFT','SL').replace('STAGE RIGHT','SR').replace('ON STAGE','ON').replace('ONSTAGE','ON');
-    if (r.status === 'ON') onProps.push(item);
-    else if (loc === 'SL') slProps.push(item);
-    else if (loc === 'SR') srProps.push(item);
-    else slProps.push(item); // Default unknown locations to SL
-  });
-
-  const renderCol = (items) => {
-    if (items.length === 0) return '<div style="color:rgba(255,255,255,0.3);font-size:12px;text-align:center;">—</div>';
-    return items.map(({ prop: p, activeCue: ac, warn, upcomingEnter: ue, crossover: xo }) => {
-      let carrier = '';
-      if (ac) {
-        if (ac.carrierOn) carrier += `<div class="prop-carrier">↑ ${escapeHtml(ac.carrierOn)}</div>`;
-        if (ac.carrierOff) carrier += `<div class="prop-carrier">↓ ${escapeHtml(ac.carrierOff)}</div>`;
-      }
-      let crossoverHtml = '';
-      if (xo) {
-        const moverLabel = xo.mover ? escapeHtml(xo.mover) : '<em>unassigned</em>';
-        crossoverHtml = `<div class="prop-crossover-alert">⚠ Move ${escapeHtml(xo.from)}→${escapeHtml(xo.to)} · ${moverLabel}</div>`;
-      }
-      const wt = warn ? ` <span style="color:#d4af37;font-size:11px;">(pg ${ue})</span>` : '';
-      const safeName = p.name || p.id || '(unnamed)';
-      if (!p.name) console.warn('[CUE] Stage column prop has empty name:', p);
-      return `<div class="stage-prop ${warn ? 'stage-prop--warn' : ''} ${xo ? 'stage-prop--crossover' : ''}"><div class="prop-name">${escapeHtml(safeName)}${wt}</div>${carrier}${crossoverHtml}</div>`;
-    }).join('');
-  };
-
-  return `<div class="rs-stage-columns">
-    <div class="stage-col stage-col--sl"><h4>SL</h4>${renderCol(slProps)}</div>
-    <div class="stage-col stage-col--on"><h4>ON</h4>${renderCol(onProps)}</div>
-    <div class="stage-col stage-col--sr"><h4>SR</h4>${renderCol(srProps)}</div>
-  </div>`;
-}
-
 /* ═══════════════════════════════════════════════════════════
    LEFT PANEL — SIDEBAR (notes + cast)
    ═══════════════════════════════════════════════════════════ */
@@ -755,10 +840,17 @@ function renderRunShowSidebar() {
   const notesList = document.getElementById('rs-notes-list');
   if (!notesList) return;
   const sorted = [...rsNotes].sort((a, b) => a.page !== b.page ? a.page - b.page : (a.bounds?.y || 0) - (b.bounds?.y || 0));
+  const recurrence = rsRecurrenceContext();
   notesList.innerHTML = sorted.map(n => {
     const fc = rsFlatChars.find(c => c.castId === n.castId && c.name === (n.characterName || n.charName));
     const color = fc?.color || n.charColor || '#888';
     const charLabel = n.characterName || n.charName || '?';
+    const repeats = recurrence
+      ? noteActorEntries(n).map(a => recurringFlagHtml(
+          noteRecurrence(n, a.castId, recurrence.history, recurrence.windowSessions),
+          rsFlatChars.find(c => c.castId === a.castId)?.actorName || a.characterName
+        )).join('')
+      : '';
     return `<div class="note-item" data-noteid="${escapeHtml(n.id)}">
       <div class="note-color-bar" style="background:${escapeHtml(color)}"></div>
       <div class="note-item-content">
@@ -766,6 +858,8 @@ function renderRunShowSidebar() {
           <span class="note-page">p.${rsScriptLabel(n.page, n.half)}</span>
           <span class="note-char-name">${escapeHtml(charLabel)}</span>
           <span class="note-type-label">${escapeHtml(n.type)}</span>
+          ${repeats}
+          ${ackBadgesHtml(n)}
         </div>
         ${n.lineText ? `<div class="note-text-preview">&#x201c;${escapeHtml(n.lineText.slice(0, 80))}&#x201d;</div>` : ''}
         ${n.noteBody ? `<div class="note-text-preview" style="color:#c8a96e;font-style:normal;"><strong>Note:</strong> ${escapeHtml(n.noteBody.slice(0, 100))}</div>` : ''}
@@ -776,6 +870,7 @@ function renderRunShowSidebar() {
 
   notesList.querySelectorAll('.note-item').forEach(el => el.addEventListener('click', e => {
     if (e.target.classList.contains('note-delete-btn')) return;
+    if (rsFollowing) return;
     const note = rsNotes.find(n => n.id === el.dataset.noteid);
     if (note) { rsCurrentPage = note.page; if (rsSplitMode && note.half) rsCurrentHalf = note.half; rsRenderPage(rsCurrentPage); }
   }));
@@ -784,19 +879,50 @@ function renderRunShowSidebar() {
     const note = rsNotes.find(n => n.id === btn.dataset.noteid);
     if (!note) return;
     if (note.uid !== state.currentUser.uid && !isOwner()) { toast('Can only delete your own notes', 'error'); return; }
-    try { await deleteDoc(doc(db, 'productions', state.activeProduction.id, 'lineNotes', note.id)); toast('Note deleted'); } catch(e) { toast('Failed', 'error'); }
+    rsTrackNoteWrite(deleteDoc(doc(db, 'productions', state.activeProduction.id, 'lineNotes', note.id)), 'Note deleted');
   }));
 }
 
 /* ═══════════════════════════════════════════════════════════
    NOTES SUBSCRIPTION
    ═══════════════════════════════════════════════════════════ */
+
+/** Load the sessions behind the repeat-note flags for the shown session. */
+async function rsLoadRecurrenceSessions(sessionId) {
+  if (!sessionId || rsRecurrenceFor === sessionId) return;
+  rsRecurrenceFor = sessionId;
+  try {
+    const snap = await getDocs(collection(db, 'productions', state.activeProduction.id, 'sessions'));
+    if (rsRecurrenceFor !== sessionId) return; // superseded while loading
+    rsRecurrenceSessions = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    renderRunShowSidebar();
+  } catch (e) {
+    console.warn('Could not load sessions for repeat notes:', e);
+    rsRecurrenceFor = null;
+  }
+}
+
+/** Repeat-note window and spot history for the shown session. */
+function rsRecurrenceContext() {
+  const sid = state.runSession?.sessionId || rsLastSessionId;
+  if (!sid || !rsRecurrenceSessions.length) return null;
+  const sessions = rsRecurrenceSessions.some(s => s.id === sid)
+    ? rsRecurrenceSessions
+    : [...rsRecurrenceSessions, { id: sid, startedAt: Date.now() }]; // started after the list loaded
+  const windowSessions = recentWindow(sessions, sid);
+  if (windowSessions.length < REPEAT_MIN) return null;
+  return { windowSessions, history: buildSpotHistory(windowSessions, rsAllNotes) };
+}
 function rsSubscribeToNotes() {
   if (rsNotesUnsub) rsNotesUnsub();
   const pid = state.activeProduction.id;
   // Feature 3: filter notes by session ID (client-side to avoid index)
   const sessionId = state.runSession?.sessionId || rsLastSessionId;
-  const applyFilter = (allNotes) => sessionId ? allNotes.filter(n => n.sessionId === sessionId) : [];
+  const applyFilter = (allNotes) => {
+    rsAllNotes = allNotes;
+    return sessionId ? allNotes.filter(n => n.sessionId === sessionId) : [];
+  };
+  rsLoadRecurrenceSessions(sessionId);
   try {
     rsNotesUnsub = onSnapshot(
       collection(db, 'productions', pid, 'lineNotes'),
@@ -833,6 +959,7 @@ function rsSubscribeToScriptCues() {
   rsScriptCuesUnsub = onSnapshot(collection(db, 'productions', pid, 'scriptCues'), snap => {
     rsScriptCues = snap.docs.map(d => ({ id: d.id, ...d.data() }));
     rsRenderCueBanner();
+    rsRenderCueQueue();
   });
   state.unsubscribers.push(() => { if (rsScriptCuesUnsub) { rsScriptCuesUnsub(); rsScriptCuesUnsub = null; } });
 }
@@ -840,7 +967,7 @@ function rsSubscribeToScriptCues() {
 function rsRenderCueBanner() {
   // Render margin cues in the overlay (replaces old banner pills)
   const overlay = document.getElementById('rs-hit-overlay');
-  const pageCues = rsScriptCues.filter(c => c.page === rsCurrentScriptPage());
+  const pageCues = rsScriptCues.filter(c => c.page === rsCurrentScriptPage()).map(rsCueView);
   if (overlay) {
     const canvasW = document.getElementById('rs-canvas')?.offsetWidth || 600;
     renderMarginCues(pageCues, rsCurrentScriptPage(), rsCurrentHalf, overlay, canvasW, (cue) => {
@@ -848,7 +975,7 @@ function rsRenderCueBanner() {
       rsDiagramPanelMode = 'cues';
       rsRenderDiagramPanelTabs();
       const detailEl = document.getElementById('rs-cue-detail-content');
-      if (detailEl) renderCueDetailPanel(cue, detailEl, state.runSession, rsHandleCueGo);
+      if (detailEl) renderCueDetailPanel(rsCueView(cue), detailEl, state.runSession, rsHandleCueGo);
     });
   }
   // Also update the cue summary if that panel tab is active
@@ -857,7 +984,7 @@ function rsRenderCueBanner() {
     if (detailEl && !rsSelectedCue) {
       renderCueSummaryPanel(pageCues, rsCurrentScriptPage(), detailEl, (cue) => {
         rsSelectedCue = cue;
-        renderCueDetailPanel(cue, detailEl, state.runSession, rsHandleCueGo);
+        renderCueDetailPanel(rsCueView(cue), detailEl, state.runSession, rsHandleCueGo);
         // Highlight the marker
         overlay?.querySelectorAll('.rs-cue-marker').forEach(el => {
           el.classList.toggle('rs-cue-marker--selected', el.dataset.cueId === cue.id);
@@ -870,21 +997,63 @@ function rsRenderCueBanner() {
   if (banner) banner.innerHTML = '';
 }
 
-/** Handle GO button press on a cue — marks it as called in Firestore. */
+/**
+ * Copy of a cue with goTimestamp reflecting THIS run's cue log, so the margin
+ * markers and detail panel show what has been called in the current session
+ * rather than whatever run last touched the scriptCues doc.
+ */
+function rsCueView(cue) {
+  const call = state.runSession ? getCueCall(cue.id) : null;
+  return { ...cue, goTimestamp: call?.state === 'go' ? call.calledAt : null };
+}
+
+/** Handle GO on a cue — records the call in this session's cue log. */
 async function rsHandleCueGo(cue) {
   if (!state.runSession || !cue) return;
+  if (isCueCalled(cue.id)) return;
+  await rsLogCue(cue, 'go');
+}
+
+async function rsLogCue(cue, callState) {
   const pid = state.activeProduction.id;
   try {
-    await updateDoc(doc(db, 'productions', pid, 'scriptCues', cue.id), {
-      goTimestamp: Date.now(),
-      goSessionId: state.runSession.sessionId,
-    });
-    toast('Cue called: ' + (cue.label || cue.type), 'success');
+    await logCueCall(pid, cue, callState, rsActiveElapsedMs(), rsCurrentScriptPage());
+    if (callState === 'go') toast('GO: ' + (cue.label || cue.type), 'success');
+    else toast('Logged as skipped: ' + (cue.label || cue.type));
   } catch (e) {
-    toast('Failed to mark cue.', 'error');
+    console.error('Cue log error:', e);
+    toast('Failed to log cue.', 'error');
+  }
+  rsRenderCueQueue();
+  rsRenderCueBanner();
+  if (rsSelectedCue?.id === cue.id) {
+    const detailEl = document.getElementById('rs-cue-detail-content');
+    if (detailEl) renderCueDetailPanel(rsCueView(cue), detailEl, state.runSession, rsHandleCueGo);
   }
 }
 
+/** Render the calling-desk queue in the active-run controls and warn on passed cues. */
+function rsRenderCueQueue() {
+  const el = document.getElementById('rs-cue-queue');
+  if (!el || !state.runSession) return;
+  const page = rsCurrentScriptPage();
+  renderCueQueuePanel(el, rsScriptCues, page, {
+    onStandby: cue => { toggleStandby(cue.id); rsRenderCueQueue(); },
+    onGo: rsHandleCueGo,
+    onSkip: cue => rsLogCue(cue, 'skipped'),
+  });
+  // A resumed run's earlier GOs must be loaded before anything counts as passed
+  const sid = state.runSession.sessionId;
+  cueCallingReady().then(() => {
+    if (state.runSession?.sessionId !== sid) return;
+    const passed = takeNewlyPassedCues(rsScriptCues, rsCurrentScriptPage());
+    if (passed.length) {
+      const names = passed.slice(0, 3).map(c => c.label || c.type).join(', ');
+      toast(`⚠ Passed without GO: ${names}${passed.length > 3 ? ` +${passed.length - 3} more` : ''}`, 'warn');
+    }
+  });
+}
+
 /** Render the Diagrams | Cue Details tab toggle in the diagram panel header. */
 function rsRenderDiagramPanelTabs() {
   const panel = document.getElementById('rs-diagram-panel');
@@ -942,13 +1111,13 @@ function rsUpdateDiagramPanelContent() {
       if (toggleBtn) toggleBtn.textContent = '«';
     }
     // Render cue content
-    const pageCues = rsScriptCues.filter(c => c.page === rsCurrentScriptPage());
+    const pageCues = rsScriptCues.filter(c => c.page === rsCurrentScriptPage()).map(rsCueView);
     if (rsSelectedCue) {
-      renderCueDetailPanel(rsSelectedCue, cueDetail, state.runSession, rsHandleCueGo);
+      renderCueDetailPanel(rsCueView(rsSelectedCue), cueDetail, state.runSession, rsHandleCueGo);
     } else {
       renderCueSummaryPanel(pageCues, rsCurrentScriptPage(), cueDetail, (cue) => {
         rsSelectedCue = cue;
-        renderCueDetailPanel(cue, cueDetail, state.runSession, rsHandleCueGo);
+        renderCueDetailPanel(rsCueView(cue), cueDetail, state.runSession, rsHandleCueGo);
       });
     }
   }
@@ -967,6 +1136,49 @@ function rsSubscribeToDiagrams() {
   state.unsubscribers.push(() => { if (rsDiagramsUnsub) { rsDiagramsUnsub(); rsDiagramsUnsub = null; } });
 }
 
+/* ── Blocking layer ── */
+function rsSubscribeToBlocking() {
+  if (rsBlockingUnsub) rsBlockingUnsub();
+  rsBlockingUnsub = subscribeBlocking(() => rsRenderBlocking());
+  state.unsubscribers.push(() => { if (rsBlockingUnsub) { rsBlockingUnsub(); rsBlockingUnsub = null; } });
+}
+
+function rsRenderBlocking() {
+  const overlay = document.getElementById('rs-hit-overlay');
+  if (!overlay) return;
+  if (!rsShowBlocking || !rsPdfDoc) { overlay.querySelectorAll('.blk-marker').forEach(el => el.remove()); return; }
+  renderBlockingMarkers(overlay, rsPk(), rsLineZones[rsPk()] || [], rsOpenBlocking);
+}
+
+/* ── Markup layer ── */
+function rsSubscribeToAnnotations() {
+  if (rsAnnotationsUnsub) rsAnnotationsUnsub();
+  rsAnnotationsUnsub = subscribeAnnotations(() => rsRenderAnnotations());
+  state.unsubscribers.push(() => {
+    if (rsAnnotationsUnsub) { rsAnnotationsUnsub(); rsAnnotationsUnsub = null; }
+    if (isAnnotating('rs-hit-overlay')) setAnnotating(null);
+  });
+}
+
+function rsRenderAnnotations() {
+  const overlay = document.getElementById('rs-hit-overlay');
+  if (!overlay || !rsPdfDoc) return;
+  renderAnnotations(overlay, rsPk());
+  document.getElementById('rs-annotate-btn')?.classList.toggle('ln-header-btn--active', isAnnotating('rs-hit-overlay'));
+}
+
+function rsToggleAnnotating() {
+  if (!rsPdfDoc) return;
+  setAnnotating(isAnnotating('rs-hit-overlay') ? null : { overlayId: 'rs-hit-overlay', rerender: rsRenderAnnotations });
+  rsRenderAnnotations();
+}
+
+function rsOpenBlocking(idx) {
+  const zone = rsLineZones[rsPk()]?.[idx];
+  if (!zone) return;
+  openBlocking({ zoneKey: rsPk(), zones: rsLineZones[rsPk()], zoneIdx: idx, pageLabel: rsScriptLabel(rsCurrentPage, rsCurrentHalf) });
+}
+
 function rsRenderDiagramPanel() {
   const panel = document.getElementById('rs-diagram-panel');
   const imagesDiv = document.getElementById('rs-diagram-images');
@@ -1066,22 +1278,18 @@ async function rsLoadScript() {
   }
   rsShowProcessing('Loading script\u2026');
   try {
-    const url = await getDownloadURL(ref(storage, scriptPath));
-    const pdfjsLib = window.pdfjsLib;
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-    const loadingTask = pdfjsLib.getDocument({ url });
-    loadingTask.onProgress = p => {
-      if (p.total > 0) {
+    rsPdfDoc = await openScriptDocument(scriptPath, {
+      onProgress: f => {
         const fill = document.getElementById('rs-progress-fill');
-        if (fill) fill.style.width = Math.round((p.loaded / p.total) * 100) + '%';
-      }
-    };
-    rsPdfDoc = await loadingTask.promise;
+        if (fill) fill.style.width = Math.round(f * 100) + '%';
+      },
+    });
     rsTotalPages = rsPdfDoc.numPages;
     const totalEl = document.getElementById('rs-total-pages');
     if (totalEl) totalEl.textContent = rsTotalPages;
     if (!state.activeProduction.scriptPageCount && isOwner()) {
-      try { await updateDoc(doc(db, 'productions', state.activeProduction.id), { scriptPageCount: rsTotalPages }); } catch(e) {}
+      // Not awaited — offline, the write would block rendering until reconnect
+      updateDoc(doc(db, 'productions', state.activeProduction.id), { scriptPageCount: rsTotalPages }).catch(() => {});
     }
     rsHideProcessing();
     const dz = document.getElementById('rs-drop-zone');
@@ -1105,21 +1313,21 @@ function rsShowScriptUploadPrompt() {
   dz.querySelector('#rs-upload-btn')?.addEventListener('click', () => dz.querySelector('#rs-file-input')?.click());
   dz.querySelector('#rs-file-input')?.addEventListener('change', async function() {
     const file = this.files[0];
-    if (!file || file.type !== 'application/pdf') { toast('Select a PDF.', 'error'); return; }
-    const pid = state.activeProduction.id;
-    const storageRef = ref(storage, 'productions/' + pid + '/script.pdf');
+    if (!scriptFileFormat(file)) { toast('Select a PDF, Fountain or FDX file.', 'error'); return; }
     rsShowProcessing('Uploading\u2026');
-    const task = uploadBytesResumable(storageRef, file);
-    task.on('state_changed',
-      s => { const fill = document.getElementById('rs-progress-fill'); if (fill) fill.style.width = Math.round((s.bytesTransferred / s.totalBytes) * 100) + '%'; },
-      () => { rsHideProcessing(); toast('Upload failed.', 'error'); },
-      async () => {
-        await updateDoc(doc(db, 'productions', pid), { scriptPath: 'productions/' + pid + '/script.pdf', scriptPageCount: null });
-        state.activeProduction.scriptPath = 'productions/' + pid + '/script.pdf';
-        rsHideProcessing();
-        rsLoadScript();
-      }
-    );
+    try {
+      const rev = await uploadScriptRevision(file, {
+        onProgress: f => { const fill = document.getElementById('rs-progress-fill'); if (fill) fill.style.width = Math.round(f * 100) + '%'; },
+      });
+      await activateRevision(rev);
+      renderRevisionChip(document.getElementById('rs-script-rev'));
+      rsHideProcessing();
+      rsLoadScript();
+    } catch (e) {
+      console.error('RS script upload error:', e);
+      rsHideProcessing();
+      toast('Upload failed: ' + e.message, 'error');
+    }
   });
 }
 
@@ -1203,6 +1411,8 @@ async function rsRenderPage(num) {
   rsRenderLineZones(zKey);
   rsRenderNoteMarkers(num, rsCurrentHalf);
   rsRenderCueBanner();      // Feature 5
+  rsRenderBlocking();
+  rsRenderAnnotations();
   rsRenderDiagramPanel();   // Feature 4
 
   // Refresh tracking widget (props/actors/costumes) on every page change
@@ -1211,6 +1421,8 @@ async function rsRenderPage(num) {
     refreshWidgetContent(twContainer, rsCurrentScriptPage(), 5);
     refreshWidgetBadges(twContainer, rsCurrentScriptPage(), 5);
   }
+  rsRenderCueQueue();
+  rsPublishPosition();
 }
 
 async function loadOrExtractZonesLocal(page, num, viewport, zKey) {
@@ -1491,6 +1703,8 @@ function rsRedrawOverlay(num) {
   rsRenderNoteMarkers(num, rsCurrentHalf);
   // Render margin cues on overlay (after zones & notes so they layer on top)
   rsRenderCueBanner();
+  rsRenderBlocking();
+  rsRenderAnnotations();
 }
 
 /* ═══════════════════════════════════════════════════════════
@@ -1536,6 +1750,7 @@ function rsOpenPopover(e, pageNum, half, zoneIdx, zone) {
 
 function rsOpenEditPopover(e, note) {
   e.stopPropagation();
+  if (rsFollowing) return;
   rsPendingNote = { editId: note.id, page: note.page, half: note.half || '', bounds: note.bounds, lineText: note.lineText || '' };
   const noteActors = note.actors?.length > 0
     ? note.actors
@@ -1594,7 +1809,7 @@ function rsBuildPopover(selCharId, selType, lineText) {
 
   const defType = selType || rsActiveNoteType;
   const TYPE_KEYS = { skp: 'S', para: 'P', line: 'L', add: 'A', gen: 'G', jmp: 'J', mw: 'M' };
-  Object.entries(NOTE_TYPES_MAP).forEach(([key, label]) => {
+  Object.entries(NOTE_TYPE_LABELS).forEach(([key, label]) => {
     const btn = document.createElement('button');
     btn.className = 'popover-type' + (key === defType ? ' popover-type--active' : '');
     btn.dataset.type = key;
@@ -1665,6 +1880,7 @@ async function rsConfirmNote() {
     characterName: fc.name,
     charColor: fc.color,
     actors: selectedFcs.map(f => ({ castId: f.castId, characterName: f.name, charColor: f.color })),
+    actorCastIds: [...new Set(selectedFcs.map(f => f.castId).filter(Boolean))],
     type: rsActiveNoteType,
     page: rsPendingNote.page,
     half: rsPendingNote.half || '',
@@ -1675,27 +1891,33 @@ async function rsConfirmNote() {
     productionId: pid,
     sessionId: state.runSession?.sessionId || null,
   };
-  try {
-    if (rsPendingNote.editId) {
-      await updateDoc(doc(db, 'productions', pid, 'lineNotes', rsPendingNote.editId), { ...noteData, updatedAt: serverTimestamp() });
-    } else {
-      await addDoc(collection(db, 'productions', pid, 'lineNotes'), { ...noteData, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
-    }
-    toast('Note ' + (rsPendingNote.editId ? 'updated' : 'added'));
-  } catch(e) { toast('Failed to save note', 'error'); }
+  const write = rsPendingNote.editId
+    ? updateDoc(doc(db, 'productions', pid, 'lineNotes', rsPendingNote.editId), { ...noteData, updatedAt: serverTimestamp() })
+    : addDoc(collection(db, 'productions', pid, 'lineNotes'), { ...noteData, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
+  rsTrackNoteWrite(write, 'Note ' + (rsPendingNote.editId ? 'updated' : 'added'));
   rsClosePopover();
 }
 
+/**
+ * Track a line-note write without blocking the UI. Offline, Firestore queues
+ * the write until reconnect and the heartbeat counts it as pending; a write
+ * the server later rejects (e.g. note deleted on another device) is toasted.
+ */
+function rsTrackNoteWrite(write, doneMsg) {
+  trackWrite(write).catch(e => {
+    console.warn('Line note sync failed:', e);
+    toast(syncErrorMessage('note', e), 'error');
+  });
+  toast(isOnline() ? doneMsg : doneMsg + ' offline — will sync on reconnect');
+}
+
 async function rsDeleteNoteFromPopover() {
   if (!rsPendingNote?.editId) return;
   const note = rsNotes.find(n => n.id === rsPendingNote.editId);
   if (!note) { rsClosePopover(); return; }
   if (note.uid !== state.currentUser.uid && !isOwner()) { toast('Can only delete your own notes', 'error'); return; }
   const pid = state.activeProduction.id;
-  try {
-    await deleteDoc(doc(db, 'productions', pid, 'lineNotes', note.id));
-    toast('Note deleted');
-  } catch(e) { toast('Failed to delete', 'error'); }
+  rsTrackNoteWrite(deleteDoc(doc(db, 'productions', pid, 'lineNotes', note.id)), 'Note deleted');
   rsClosePopover();
 }
 
@@ -1703,7 +1925,7 @@ async function rsDeleteNoteFromPopover() {
    RUBBER BAND DRAW
    ═══════════════════════════════════════════════════════════ */
 function rsDrawDown(e) {
-  if (e.button !== 0 || rsFlatChars.length === 0) return;
+  if (e.button !== 0 || rsFlatChars.length === 0 || rsFollowing) return;
   const wrapper = document.getElementById('rs-page-wrapper');
   if (!wrapper) return;
   const wRect = wrapper.getBoundingClientRect();
@@ -1788,6 +2010,7 @@ function rsShowBookmarksMenu() {
     item.addEventListener('click', e => {
       e.stopPropagation();
       rsHideBookmarksMenu();
+      if (rsFollowing) return;
       rsCurrentPage = parseInt(item.dataset.page);
       rsCurrentHalf = item.dataset.half || 'L';
       const pageInput = document.getElementById('rs-page-input');
@@ -1806,6 +2029,7 @@ function rsHideBookmarksMenu() {
    PAGE NAVIGATION
    ═══════════════════════════════════════════════════════════ */
 async function rsChangePage(delta) {
+  if (rsFollowing) return; // page is driven by the caller while following
   rsSelectedCue = null; // Clear cue selection on page change
   if (!rsPdfDoc) return;
   if (rsSplitMode) {
@@ -1828,6 +2052,25 @@ async function rsChangePage(delta) {
   await rsRenderPage(rsCurrentPage);
 }
 
+/** Script search palette — jumps to the chosen line in the current layout. */
+function rsOpenSearch() {
+  if (!rsPdfDoc) return;
+  openScriptSearch({ pdf: rsPdfDoc, split: rsSplitMode, scale: rsPdfScale, pageLabel: (p, h) => rsScriptLabel(p, h), onJump: rsJumpToZone });
+}
+
+async function rsJumpToZone({ page, half, idx, zone }) {
+  if (rsFollowing) { toast('Stop following to jump to another page.', 'error'); return; }
+  rsSelectedCue = null;
+  rsCurrentPage = Math.max(1, Math.min(rsTotalPages, page));
+  rsCurrentHalf = rsSplitMode ? (half || 'L') : 'L';
+  if (state.runSession?.isRecording) {
+    state.runSession.pageLog.push({ page: rsCurrentPage, half: rsCurrentHalf, elapsedMs: rsActiveElapsedMs() });
+  }
+  await rsRenderPage(rsCurrentPage);
+  if (rsGetNavigableZoneIndices().includes(idx)) rsSetHoveredZone(idx);
+  flashZone(document.getElementById('rs-hit-overlay'), rsLineZones[rsPk()]?.[idx] || zone);
+}
+
 function rsToggleSplitMode() {
   rsSplitMode = !rsSplitMode;
   rsCurrentHalf = 'L';
@@ -1838,6 +2081,129 @@ function rsToggleSplitMode() {
   if (rsPdfDoc) rsRenderPage(rsCurrentPage);
 }
 
+/* ═══════════════════════════════════════════════════════════
+   FOLLOW RUN — live multi-device session following
+   ═══════════════════════════════════════════════════════════
+   The caller pushes liveCurrentPage / liveHalf / liveSplitMode and hold state
+   on every page turn and hold toggle (see pushLiveState). Followers subscribe
+   to the session doc and mirror page, hold state and the tracking widget.
+   Followers never write — notes, holds and page turns stay with the caller.
+*/
+
+/** Record the caller's position on state.runSession and push it to followers. */
+function rsPublishPosition() {
+  const s = state.runSession;
+  if (!s || rsFollowing) return;
+  const scriptPage = rsCurrentScriptPage();
+  if (s.currentPage === rsCurrentPage && s.currentHalf === rsCurrentHalf &&
+      s.scriptPage === scriptPage && s.splitMode === rsSplitMode) return;
+  s.currentPage = rsCurrentPage;
+  s.currentHalf = rsCurrentHalf;
+  s.scriptPage = scriptPage;
+  s.splitMode = rsSplitMode;
+  pushLiveState();
+}
+
+function rsWatchLiveSessions() {
+  if (rsLiveSessionsUnsub) rsLiveSessionsUnsub();
+  const pid = state.activeProduction?.id;
+  if (!pid) return;
+  rsLiveSessionsUnsub = watchActiveSessions(pid, sessions => {
+    const uid = state.currentUser?.uid;
+    rsLiveSessions = sessions.filter(s => s.createdBy && s.createdBy !== uid);
+    rsRenderFollowList();
+  });
+  state.unsubscribers.push(() => { if (rsLiveSessionsUnsub) { rsLiveSessionsUnsub(); rsLiveSessionsUnsub = null; } });
+}
+
+function rsRenderFollowList() {
+  const el = document.getElementById('rs-follow-list');
+  if (!el) return;
+  if (!rsLiveSessions.length) { el.innerHTML = ''; return; }
+  el.innerHTML = rsLiveSessions.map(s => `
+    <button class="rs-follow-run-btn" data-sid="${escapeHtml(s.id)}">
+      <span>◉ Follow Run</span>
+      <span class="rs-follow-run-title">${escapeHtml(s.title || 'Untitled Session')}</span>
+    </button>`).join('');
+  el.querySelectorAll('.rs-follow-run-btn').forEach(btn => {
+    btn.addEventListener('click', () => rsStartFollowing(btn.dataset.sid));
+  });
+}
+
+function rsStartFollowing(sessionId) {
+  if (state.runSession) { toast('End your own run before following another.', 'error'); return; }
+  const pid = state.activeProduction?.id;
+  if (!pid || !sessionId) return;
+  rsDropFollowWatch();
+  if (!rsFollowing) rsFollowRestore = { lastSessionId: rsLastSessionId, notes: rsNotes };
+  rsFollowing = { sessionId, title: '', startedAt: null, holdLog: [], isOnHold: false, holdStartTime: null, holdReason: null };
+  rsClosePopover();
+  // Show the caller's notes for this run as they come in
+  rsLastSessionId = sessionId;
+  rsNotes = [];
+  rsSubscribeToNotes();
+  rsFollowUnsub = followSession(pid, sessionId, rsApplyFollowUpdate);
+  if (!state.unsubscribers.includes(rsDropFollowWatch)) state.unsubscribers.push(rsDropFollowWatch);
+  renderRunShowControls();
+  rsStartClock();
+}
+
+function rsDropFollowWatch() {
+  if (rsFollowUnsub) { rsFollowUnsub(); rsFollowUnsub = null; }
+}
+
+function rsStopFollowing() {
+  rsDropFollowWatch();
+  if (!rsFollowing) return;
+  rsFollowing = null;
+  // Back to the notes this device was showing before it followed
+  if (rsFollowRestore) {
+    rsLastSessionId = rsFollowRestore.lastSessionId;
+    rsNotes = rsFollowRestore.notes;
+    rsFollowRestore = null;
+    rsSubscribeToNotes();
+  }
+  rsStopClock();
+  renderRunShowControls();
+}
+
+/** Apply a session doc snapshot from the caller to the local view. */
+function rsApplyFollowUpdate(data) {
+  if (!rsFollowing) return;
+  if (!data || data.status !== 'active') {
+    rsStopFollowing();
+    toast('The run you were following has ended.');
+    return;
+  }
+  const firstUpdate = !rsFollowing.startedAt;
+  rsFollowing.title = data.title || 'Untitled Session';
+  rsFollowing.startedAt = data.startedAt || Date.now();
+  rsFollowing.holdLog = data.liveHoldLog || [];
+  rsFollowing.isOnHold = !!data.liveIsOnHold;
+  rsFollowing.holdStartTime = data.liveHoldStartTime || null;
+  rsFollowing.holdReason = data.liveHoldReason || null;
+
+  let needsRender = false;
+  const splitMode = !!data.liveSplitMode;
+  if (splitMode !== rsSplitMode) {
+    rsSplitMode = splitMode;
+    rsLineZones = {};
+    document.getElementById('rs-split-btn')?.classList.toggle('ln-header-btn--active', rsSplitMode);
+    needsRender = true;
+  }
+  const page = Math.max(1, Math.min(rsTotalPages || Infinity, data.liveCurrentPage || 1));
+  const half = rsSplitMode ? (data.liveHalf || 'L') : 'L';
+  if (page !== rsCurrentPage || half !== rsCurrentHalf) {
+    rsCurrentPage = page;
+    rsCurrentHalf = half;
+    rsSelectedCue = null;
+    needsRender = true;
+  }
+  if (firstUpdate) renderRunShowControls();
+  if (needsRender && rsPdfDoc) rsRenderPage(rsCurrentPage);
+  rsUpdateTimerDisplay();
+}
+
 /* ═══════════════════════════════════════════════════════════
    KEYBOARD SHORTCUTS
    ═══════════════════════════════════════════════════════════ */
@@ -1853,7 +2219,8 @@ function rsIsAnyModalOpen() {
   if (reportModal && reportModal.style.display !== 'none') return true;
   return !!document.querySelector(
     '.cast-modal.open, .send-notes-modal.open, .char-modal.open, ' +
-    '.prop-notes-modal, .prop-photo-lightbox, .page-times-modal-backdrop'
+    '.prop-notes-modal, .prop-photo-lightbox, .page-times-modal-backdrop, .script-search-backdrop, ' +
+    '.blocking-backdrop'
   );
 }
 
@@ -1861,6 +2228,8 @@ async function rsHandleKeydown(e) {
   if (!document.getElementById('tab-runshow')?.classList.contains('tab-panel--active')) return;
   if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
   if (rsIsAnyModalOpen()) return;
+  if (e.key === 'Escape' && isAnnotating('rs-hit-overlay')) { rsToggleAnnotating(); return; }
+  if (!rsPopoverOpen && isScriptSearchShortcut(e)) { e.preventDefault(); rsOpenSearch(); return; }
 
   if (rsPopoverOpen) {
     if (e.key === 'Enter') { rsConfirmNote(); return; }
@@ -1903,6 +2272,19 @@ async function rsHandleKeydown(e) {
   }
 
   if (e.key === 'Enter') { rsActivateFocusedZone(); return; }
+
+  // Blocking layer: B opens blocking for the focused line
+  if (rsShowBlocking && e.key.toLowerCase() === 'b' && rsNotesHoveredZoneIdx !== null && !e.metaKey && !e.ctrlKey) {
+    rsOpenBlocking(rsNotesHoveredZoneIdx);
+    return;
+  }
+
+  // Calling desk: Space fires GO on the cue in standby
+  if (e.key === ' ' && state.runSession && getStandbyId() && e.target.tagName !== 'BUTTON') {
+    e.preventDefault();
+    const cue = rsScriptCues.find(c => c.id === getStandbyId());
+    if (cue) rsHandleCueGo(cue);
+  }
 }
 
 function rsGetNavigableZoneIndices() {
@@ -1987,7 +2369,7 @@ function openFabPopover() {
   const typesEl = document.getElementById('rnp-types');
   if (typesEl) {
     const TYPE_KEYS = { skp: 'S', para: 'P', line: 'L', add: 'A', gen: 'G', jmp: 'J', mw: 'M' };
-    typesEl.innerHTML = Object.entries(NOTE_TYPES_MAP).map(([key]) => `
+    typesEl.innerHTML = Object.entries(NOTE_TYPE_LABELS).map(([key]) => `
       <button class="popover-type ${key === fabSelectedType ? 'popover-type--active' : ''}" data-type="${key}">
         <span>${key}</span><span class="type-key">${TYPE_KEYS[key]}</span>
       </button>`).join('');
@@ -2029,12 +2411,13 @@ async function confirmFabNote() {
   const pid = state.activeProduction.id;
   // Feature 1+2: If from zone tap, use rsPendingNote context; save noteBody separately
   const fromZone = rsPendingNote && rsPendingNote.zoneIdx !== undefined && rsPendingNote.zoneIdx !== null;
-  await addDoc(collection(db, 'productions', pid, 'lineNotes'), {
+  const write = addDoc(collection(db, 'productions', pid, 'lineNotes'), {
     uid: state.currentUser.uid,
     castId: fc.castId,
     characterName: fc.name,
     charColor: fc.color,
     actors: selectedFcs.map(f => ({ castId: f.castId, characterName: f.name, charColor: f.color })),
+    actorCastIds: [...new Set(selectedFcs.map(f => f.castId).filter(Boolean))],
     type: fabSelectedType,
     page: fromZone ? rsPendingNote.page : rsCurrentPage,
     half: fromZone ? (rsPendingNote.half || '') : '',
@@ -2047,24 +2430,15 @@ async function confirmFabNote() {
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp(),
   });
+  rsTrackNoteWrite(write, 'Note added');
   rsActiveCharIdx = Array.from(fabSelectedCharIdxs)[0] ?? 0;
   rsActiveNoteType = fabSelectedType;
-  toast('Note added');
   if (fromZone) rsPendingNote = null; // Feature 1
   closeFabPopover();
 }
 
 
 
-/** Open a mailto: URI via hidden iframe to avoid popup blockers. */
-function _openMailto(uri) {
-  const frame = document.createElement('iframe');
-  frame.style.display = 'none';
-  frame.src = uri;
-  document.body.appendChild(frame);
-  setTimeout(() => frame.remove(), 4000);
-}
-
 /**
  * Expand a note into a byCastId grouping map, supporting multi-actor notes.
  * Notes with an `actors` array appear in each actor's bucket.
@@ -2090,13 +2464,12 @@ function _expandNoteIntoByCastId(n, byCastId, cast) {
 
 /** Build a formatted email body for one actor's line notes. */
 function _buildActorEmailBody(actorName, notes, show, dateStr) {
-  const NOTE_TYPE_LABELS = { skp: 'SKIP', para: 'PARAPHRASE', line: 'CALLED', add: 'ADDITION', gen: 'GENERAL', jmp: 'JUMPED', mw: 'MISSED WORDS' };
   const sorted = [...notes].sort((a, b) =>
     a.page !== b.page ? a.page - b.page : (a.bounds?.y || 0) - (b.bounds?.y || 0)
   );
   let body = 'Hi ' + actorName + ',\n\nHere are your line notes from ' + show + ' on ' + dateStr + ':\n';
   sorted.forEach(n => {
-    const typeLabel = NOTE_TYPE_LABELS[n.type] || n.type.toUpperCase();
+    const typeLabel = noteTypeLabel(n.type).toUpperCase();
     const lineText = (n.lineText || '').slice(0, 150) + ((n.lineText || '').length > 150 ? '...' : '');
     body += '\n---------';
     body += '\nPage: ' + rsScriptLabel(n.page, n.half, !!n.half);
@@ -2108,17 +2481,6 @@ function _buildActorEmailBody(actorName, notes, show, dateStr) {
   return body;
 }
 
-/** Build a mailto: URI, truncating body if needed to stay under browser limits. */
-function _buildMailtoUri(email, subject, body) {
-  const maxLen = 1800;
-  const safeBody = body.length > maxLen
-    ? body.slice(0, maxLen) + '\n\n[Truncated \u2014 use the Copy button for the full list.]'
-    : body;
-  return 'mailto:' + encodeURIComponent(email)
-    + '?subject=' + encodeURIComponent(subject)
-    + '&body=' + encodeURIComponent(safeBody);
-}
-
 /** Copy text to clipboard with fallback for older browsers. */
 function _copyToClipboard(text) {
   navigator.clipboard.writeText(text).then(
@@ -2210,6 +2572,11 @@ function openPreRunModal() {
         Record page times
         <span style="color:var(--text-muted);font-size:11px;font-weight:normal;">(saves when each page is turned)</span>
       </label>
+      <label style="display:flex;align-items:center;gap:8px;cursor:pointer;font-weight:normal;margin-top:4px;">
+        <input type="checkbox" id="prm-performance" style="width:auto;margin:0;" />
+        Performance
+        <span style="color:var(--text-muted);font-size:11px;font-weight:normal;">(fill in a show report when the run ends)</span>
+      </label>
       <div id="prm-autoplay-row" style="display:none;margin-top:4px;">
         <label>Auto-play from recorded run:</label>
         <select id="prm-autoplay-select" style="width:100%;margin-top:4px;">
@@ -2248,11 +2615,13 @@ function openPreRunModal() {
     const title = sanitizeName(backdrop.querySelector('#prm-title').value) || defaultTitle;
     const pages = parseInt(backdrop.querySelector('#prm-pages').value) || 100;
     const recordChecked = backdrop.querySelector('#prm-record')?.checked || false;
+    const kind = backdrop.querySelector('#prm-performance')?.checked ? 'performance' : 'rehearsal';
     const autoPlaySessionId = backdrop.querySelector('#prm-autoplay-select')?.value || '';
     backdrop.remove();
     try {
-      await startRunSession(title, pages);
+      await startRunSession(title, pages, kind);
       state.runSession.isRecording = recordChecked;
+      resetCueCalling(state.runSession.sessionId);
 
       if (autoPlaySessionId) {
         try {
@@ -2265,6 +2634,7 @@ function openPreRunModal() {
       }
 
       rsStartClock();
+      rsPublishPosition();
       // Feature 3: track session ID, clear notes, re-subscribe
       rsLastSessionId = state.runSession.sessionId;
       rsNotes = [];
@@ -2309,6 +2679,7 @@ function openEndRunModal() {
   backdrop.querySelector('#erm-confirm').addEventListener('click', async () => {
     const scratchText = backdrop.querySelector('#erm-scratch').value;
     const sid = state.runSession?.sessionId;
+    const isPerformance = state.runSession?.kind === 'performance';
     backdrop.remove();
     try {
       rsStopClock();
@@ -2324,7 +2695,13 @@ function openEndRunModal() {
         rsCurrentRenderTask = null; // Clear any stale render reference
         await rsRenderPage(rsCurrentPage);
       }
-      if (sid) await generateRunReport(sid);
+      if (!isOnline()) {
+        // Report generation writes reportHtml — wait for a connection and generate it from Reports
+        toast('Run ended offline — generate the report from Reports once reconnected.', 'warn');
+        return;
+      }
+      if (sid) await generateRunReport(sid, { open: !isPerformance });
+      if (sid && isPerformance) await rsOpenShowReport(sid);
       toast('Run session ended.', 'success');
     } catch(e) {
       console.error('End run error:', e);
@@ -2355,6 +2732,7 @@ async function rsResumeEndedSession(session) {
 
     // Hydrate client state
     hydrateSessionFromFirestore(session);
+    hydrateCueCalling(pid, sid).then(rsRenderCueQueue);
 
     // Adjust startedAt so the clock resumes from the previous elapsed time.
     // durationSeconds is net of holds, so: startedAt = now - durationSeconds*1000 - totalHoldMs
@@ -2379,7 +2757,11 @@ async function rsResumeEndedSession(session) {
 /* ═══════════════════════════════════════════════════════════
    POST-RUN REPORT
    ═══════════════════════════════════════════════════════════ */
-async function generateRunReport(sessionId) {
+/**
+ * Build the rehearsal run report and save it as reportHtml.
+ * Performance runs pass { open: false } and go straight to the show report form.
+ */
+async function generateRunReport(sessionId, { open = true } = {}) {
   const pid = state.activeProduction.id;
 
   // Fetch session doc and all notes for this session
@@ -2408,16 +2790,74 @@ async function generateRunReport(sessionId) {
   const notesByActor = {};
   Object.entries(byCastId).forEach(([id, d]) => { notesByActor[id] = d.notes.length; });
 
+  // Cue timing: this run's cue log against the most recent earlier run that called cues
+  const cueLog = await loadCueLog(pid, sessionId);
+  let prevCueLog = [];
+  let prevCueSession = null;
+  if (cueLog.length) {
+    try {
+      const allSnap = await getDocs(collection(db, 'productions', pid, 'sessions'));
+      const earlier = allSnap.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .filter(s => s.status === 'ended' && s.id !== sessionId && (s.startedAt || 0) < (session.startedAt || 0))
+        .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0))
+        .slice(0, 5);
+      for (const s of earlier) {
+        const log = await loadCueLog(pid, s.id);
+        if (log.some(e => e.state === 'go')) { prevCueLog = log; prevCueSession = s; break; }
+      }
+    } catch(e) { console.warn('Could not load previous cue logs', e); }
+  }
+
+  // Repeat notes: this run plus the runs before it
+  let recurrence = null;
+  try {
+    const [allSessSnap, allNotesSnap] = await Promise.all([
+      getDocs(collection(db, 'productions', pid, 'sessions')),
+      getDocs(collection(db, 'productions', pid, 'lineNotes')),
+    ]);
+    const windowSessions = recentWindow(allSessSnap.docs.map(d => ({ id: d.id, ...d.data() })), sessionId);
+    if (windowSessions.length >= REPEAT_MIN) {
+      recurrence = { windowSessions, history: buildSpotHistory(windowSessions, allNotesSnap.docs.map(d => ({ id: d.id, ...d.data() }))) };
+    }
+  } catch(e) { console.warn('Could not load notes history for repeat flags', e); }
+
   // Build HTML report (self-contained, inline styles, Google Fonts only)
-  const noteSections = Object.entries(byCastId).filter(([, d]) => d.notes.length > 0).map(([, data]) => {
+  const noteSections = Object.entries(byCastId).filter(([, d]) => d.notes.length > 0).map(([castId, data]) => {
     const sorted = [...data.notes].sort((a, b) => a.page - b.page || (a.bounds?.y || 0) - (b.bounds?.y || 0));
     const rows = sorted.map(n => {
       const charLabel = n.characterName || n.charName || '';
-      return `<div class="nr"><div class="np" style="background:${escapeHtml(data.color)}">${escapeHtml(n.type)}</div><div class="nd"><div><span class="pg">p.${rsScriptLabel(n.page, n.half)}</span>${charLabel ? `<span style="font-size:11px;color:#aaa;margin-right:6px;">[${escapeHtml(charLabel)}]</span>` : ''}<span class="tl">${NOTE_TYPES_MAP[n.type] || n.type}</span></div>${n.lineText ? `<div class="lt">\u201c${escapeHtml(n.lineText)}\u201d</div>` : ''}</div></div>`;
+      return `<div class="nr"><div class="np" style="background:${escapeHtml(data.color)}">${escapeHtml(n.type)}</div><div class="nd"><div><span class="pg">p.${rsScriptLabel(n.page, n.half)}</span>${charLabel ? `<span style="font-size:11px;color:#aaa;margin-right:6px;">[${escapeHtml(charLabel)}]</span>` : ''}<span class="tl">${escapeHtml(noteTypeLabel(n.type))}</span></div>${n.lineText ? `<div class="lt">\u201c${escapeHtml(n.lineText)}\u201d</div>` : ''}${recurrence ? recurringReportHtml(noteRecurrence(n, castId, recurrence.history, recurrence.windowSessions)) : ''}${ackReportHtml(n, castId)}</div></div>`;
     }).join('');
     return `<section class="s"><div class="sh"><span class="sd" style="background:${escapeHtml(data.color)}"></span><div style="flex:1"><div class="sn">${escapeHtml(data.actorName)}</div>${data.actorEmail ? `<div class="se">${escapeHtml(data.actorEmail)}</div>` : ''}</div></div>${rows}</section>`;
   }).join('');
 
+  let cueSection = '';
+  if (cueLog.length) {
+    const calledCount = cueLog.filter(e => e.state === 'go').length;
+    const skippedCount = cueLog.filter(e => e.state === 'skipped').length;
+    const neverCalled = rsScriptCues.filter(c => !cueLog.some(e => e.cueId === c.id)).length;
+    const fmtDelta = ms => {
+      if (ms == null) return '—';
+      const sign = ms > 0 ? '+' : ms < 0 ? '−' : '±';
+      const color = Math.abs(ms) < 5000 ? '#999' : ms > 0 ? '#c0392b' : '#2d8a4e';
+      return `<span style="color:${color}">${sign}${formatElapsed(Math.abs(ms))}</span>`;
+    };
+    const cueRows = compareCueLogs(cueLog, prevCueLog).map(r => `<tr>
+      <td><span style="font-family:'DM Mono',monospace;font-size:11px;color:#999;margin-right:6px;">${escapeHtml(r.type || '')}</span>${escapeHtml(r.label || '')}</td>
+      <td>${escapeHtml(String(r.page ?? '—'))}</td>
+      <td>${r.state === 'skipped' ? '<span style="color:#c0392b;font-weight:500;">SKIPPED</span>' : formatElapsed(r.elapsedMs || 0)}</td>
+      <td>${r.prevElapsedMs != null ? formatElapsed(r.prevElapsedMs) : '—'}</td>
+      <td>${fmtDelta(r.deltaMs)}</td>
+    </tr>`).join('');
+    cueSection = `<div class="scratch-section"><h2 class="section-title">Cue Timing</h2>
+<div class="meta" style="margin-bottom:12px;">${calledCount} called &middot; ${skippedCount} skipped &middot; ${neverCalled} never called${prevCueSession ? ` &middot; compared with ${escapeHtml(prevCueSession.title || 'previous run')}` : ''}</div>
+<table class="stats-table" style="box-shadow:none;margin-bottom:0;">
+  <thead><tr><th>Cue</th><th>Page</th><th>This Run</th><th>Previous</th><th>&Delta;</th></tr></thead>
+  <tbody>${cueRows}</tbody>
+</table></div>`;
+  }
+
   const scratchSection = session.scratchpadNotes
     ? `<div class="scratch-section"><h2 class="section-title">SM Notes</h2><div class="scratch-text">${escapeHtml(session.scratchpadNotes)}</div></div>`
     : '';
@@ -2456,6 +2896,8 @@ h1{font-family:'Instrument Serif',serif;font-size:32px;margin-bottom:4px}
     <tr><td>Note Count</td><td>${sessionNotes.length}</td></tr>
   </tbody>
 </table>
+${holdReportSectionHtml(session.holdLog)}
+${cueSection}
 ${scratchSection}
 <h2 class="section-title">Line Notes by Actor</h2>
 ${noteSections || '<p style="color:#999;font-size:13px;">No notes recorded during this session.</p>'}
@@ -2472,7 +2914,24 @@ ${noteSections || '<p style="color:#999;font-size:13px;">No notes recorded durin
   } catch(e) { console.warn('Could not save report HTML', e); }
 
   // Open report modal
-  openReportModal(session.title, reportHtml, sessionId);
+  if (open) openReportModal(session.title, reportHtml, sessionId);
+}
+
+/** Load a session and open its show report form; the saved report opens in the report modal. */
+async function rsOpenShowReport(sessionId) {
+  const pid = state.activeProduction.id;
+  try {
+    const snap = await getDoc(doc(db, 'productions', pid, 'sessions', sessionId));
+    if (!snap.exists()) { toast('Session not found.', 'error'); return; }
+    const session = { id: snap.id, ...snap.data() };
+    openShowReportForm(session, {
+      bookmarks: state.activeProduction?.scriptBookmarks || [],
+      onSaved: html => openReportModal((session.title || 'Run') + ' — Show Report', html, sessionId),
+    });
+  } catch (e) {
+    console.error('Show report error:', e);
+    toast('Failed to open show report.', 'error');
+  }
 }
 
 let _currentReportHtml = '';
@@ -2545,14 +3004,7 @@ async function emailReport() {
   const pid = state.activeProduction?.id;
   const sessionId = _currentReportSessionId;
 
-  // Fallback: if no session ID tracked, open basic mailto
-  if (!pid || !sessionId) {
-    const prod = state.activeProduction?.title || 'Production';
-    const date = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-    const subject = encodeURIComponent(`Run Report — ${prod} — ${date}`);
-    window.location.href = `mailto:?subject=${subject}`;
-    return;
-  }
+  if (!pid || !sessionId) { toast('Open a saved run report to send it.', 'info'); return; }
 
   // Fetch session doc + notes from Firestore
   let session, sessionNotes;
@@ -2570,8 +3022,6 @@ async function emailReport() {
     return;
   }
 
-  if (sessionNotes.length === 0) { toast('No notes to email for this session.'); return; }
-
   // Group notes by cast member
   const cast = getCastMembers();
   const byCastId = {};
@@ -2581,28 +3031,33 @@ async function emailReport() {
   const dateStr = session.date?.toDate
     ? session.date.toDate().toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
     : new Date().toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-  const subject = 'Line Notes \u2014 ' + show + ' \u2014 ' + dateStr;
   const totalNotes = sessionNotes.length;
   const actorEntries = Object.entries(byCastId).filter(([, d]) => d.notes.length > 0);
   const actorCount = actorEntries.length;
+  const distribution = state.activeProduction?.reportDistribution || [];
+  const delivery = session.reportDelivery || null;
+  const canSend = session.createdBy === state.currentUser?.uid || isOwner();
 
-  // Per-actor rows
+  // Per-actor rows — delivery status from the last server send, Copy as a manual fallback
   const actorRows = actorEntries.map(([cid, data]) => {
     const noteCount = data.notes.length;
     const hasEmail = !!data.actorEmail;
     const body = _buildActorEmailBody(data.actorName, data.notes, show, dateStr);
-    const mailtoUri = hasEmail ? _buildMailtoUri(data.actorEmail, subject, body) : '';
+    const result = deliveryResultFor(delivery, { castId: cid });
     const emailDisplay = hasEmail
       ? '<span class="actor-email">' + escapeHtml(data.actorEmail) + '</span>'
       : '<span class="actor-email actor-email--warn">No email \u2014 update in Cast &amp; Crew tab</span>';
+    const statusHtml = result
+      ? '<span class="email-status email-status--' + (result.status === 'sent' ? 'sent' : 'failed') + '"'
+        + (result.error ? ' title="' + escapeHtml(result.error) + '"' : '') + '>'
+        + (result.status === 'sent' ? 'Sent' : 'Failed') + '</span>'
+      : '';
 
     return '<div class="email-actor-row" data-castid="' + escapeHtml(cid) + '">'
       + '<div class="actor-dot" style="background:' + escapeHtml(data.color) + '"></div>'
       + '<div class="actor-info"><span class="actor-name">' + escapeHtml(data.actorName) + '</span>' + emailDisplay + '</div>'
       + '<span class="actor-note-count">' + noteCount + ' note' + (noteCount !== 1 ? 's' : '') + '</span>'
-      + '<button class="modal-btn-primary email-single-btn' + (hasEmail ? '' : ' email-open-btn--disabled') + '"'
-      +   ' data-mailto="' + escapeHtml(mailtoUri) + '"'
-      +   ' title="Email ' + escapeHtml(data.actorName) + '">Email</button>'
+      + statusHtml
       + '<button class="modal-btn-cancel email-copy-btn"'
       +   ' data-body="' + escapeHtml(body) + '"'
       +   ' title="Copy notes for ' + escapeHtml(data.actorName) + '">Copy</button>'
@@ -2612,7 +3067,16 @@ async function emailReport() {
   // Build inline email UI
   const emailHtml = '<div style="max-width:620px;margin:0 auto;">'
     + '<div class="email-notes-meta">' + escapeHtml(dateStr)
-    +   ' \u00b7 ' + totalNotes + ' notes \u00b7 ' + actorCount + ' actors</div>'
+    +   ' \u00b7 ' + totalNotes + ' notes \u00b7 ' + actorCount + ' actors'
+    +   ' \u00b7 ' + distribution.length + ' on distribution list</div>'
+    + (distribution.length === 0
+      ? '<div class="email-notes-warning">No distribution list \u2014 only actor notes will be sent. Add addresses in Settings.</div>'
+      : '')
+    + (canSend
+      ? '<div class="email-all-section"><button class="email-all-btn" id="email-send-server">'
+        + (delivery ? 'Send Again' : 'Send Report &amp; Notes') + '</button></div>'
+      : '')
+    + '<div id="email-delivery-status" style="margin-bottom:16px;">' + deliveryDetailHtml(delivery) + '</div>'
     + actorRows
     + '</div>';
 
@@ -2636,14 +3100,23 @@ async function emailReport() {
   _reportEmailMode = true;
 
   // Wire up event listeners on the inline email UI
-
-  // Per-actor Email buttons
   if (reportBody) {
-    reportBody.querySelectorAll('.email-single-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const uri = btn.dataset.mailto;
-        if (uri) _openMailto(uri);
-      });
+    // Server send — re-render with the recorded delivery status afterwards
+    reportBody.querySelector('#email-send-server')?.addEventListener('click', async (e) => {
+      if (!isOnline()) { toast('Reconnect to send the report.', 'warn'); return; }
+      const btn = e.currentTarget;
+      btn.classList.add('email-open-btn--disabled');
+      btn.textContent = 'Sending\u2026';
+      const result = await sendRunReport(sessionId, dateStr);
+      if (!result) {
+        btn.classList.remove('email-open-btn--disabled');
+        btn.textContent = delivery ? 'Send Again' : 'Send Report & Notes';
+        return;
+      }
+      if (_reportEmailMode && _currentReportSessionId === sessionId) {
+        _reportEmailMode = false;
+        emailReport();
+      }
     });
 
     // Per-actor Copy buttons
@@ -2793,18 +3266,30 @@ async function loadReportsHistory() {
     const owner = isOwner();
     container.innerHTML = `
       <div style="margin-top:20px;">
-        <div style="font-size:11px;text-transform:uppercase;letter-spacing:1.5px;color:var(--text-muted);margin-bottom:10px;">Run Reports</div>
+        <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:10px;">
+          <div style="font-size:11px;text-transform:uppercase;letter-spacing:1.5px;color:var(--text-muted);">Run Reports</div>
+          <div style="display:flex;gap:6px;">
+            <button class="settings-btn" id="rs-compare-runs" disabled title="Tick two or more runs to compare">Compare</button>
+            <button class="settings-btn" id="rs-open-analytics">Analytics</button>
+          </div>
+        </div>
         ${sessions.map(s => {
           const dateStr = s.date?.toDate
             ? s.date.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
             : '—';
           return `<div class="rs-report-row" data-id="${escapeHtml(s.id)}" style="padding:10px;background:var(--bg-card);border:1px solid var(--bg-border);border-radius:6px;margin-bottom:6px;cursor:pointer;">
             <div style="min-width:0;margin-bottom:8px;">
-              <div style="color:var(--text-primary);font-size:13px;font-weight:500;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escapeHtml(s.title || 'Untitled')}</div>
+              <div style="display:flex;align-items:center;gap:8px;">
+                <input type="checkbox" class="rs-compare-check" data-id="${escapeHtml(s.id)}" title="Select for comparison" style="width:auto;margin:0;flex-shrink:0;cursor:pointer;" />
+                <div style="color:var(--text-primary);font-size:13px;font-weight:500;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escapeHtml(s.title || 'Untitled')}</div>
+              </div>
               <div style="color:var(--text-muted);font-size:11px;font-family:'DM Mono',monospace;">${dateStr} &middot; ${formatTime(s.durationSeconds || 0)} &middot; ${s.noteCount || 0} note${(s.noteCount || 0) !== 1 ? 's' : ''}</div>
+              ${s.holdLog?.length ? `<div style="color:var(--text-muted);font-size:10px;font-family:'DM Mono',monospace;margin-top:3px;">Holds: ${holdCategoryInlineHtml(s.holdLog)}</div>` : ''}
+              ${s.reportDelivery ? `<div style="color:var(--text-muted);font-size:10px;font-family:'DM Mono',monospace;margin-top:3px;">${deliveryStatusInlineHtml(s.reportDelivery)}</div>` : ''}
             </div>
             <div style="display:flex;gap:8px;flex-wrap:wrap;">
               <button class="settings-btn" data-id="${escapeHtml(s.id)}">View</button>
+              ${s.kind === 'performance' || s.showReportHtml ? `<button class="settings-btn rs-show-report" data-id="${escapeHtml(s.id)}">Show Report</button>` : ''}
               ${owner && s.pageLog?.length > 0 ? `<button class="settings-btn rs-edit-times" data-id="${escapeHtml(s.id)}">Edit Times</button>` : ''}
               ${(s.createdBy === state.currentUser?.uid || owner) ? `<button class="settings-btn rs-resume-session" data-id="${escapeHtml(s.id)}">Resume</button>` : ''}
               ${owner ? `<button class="settings-btn settings-btn--danger rs-delete-report" data-id="${escapeHtml(s.id)}">Delete</button>` : ''}
@@ -2813,15 +3298,41 @@ async function loadReportsHistory() {
         }).join('')}
       </div>`;
 
+    container.querySelector('#rs-open-analytics')?.addEventListener('click', () => {
+      openRunAnalytics(sessions, {
+        bookmarks: state.activeProduction?.scriptBookmarks || [],
+        pageLabel: (page, half) => rsScriptLabel(page, half),
+      });
+    });
+
+    // Comparison: tick two or more runs
+    const compareBtn = container.querySelector('#rs-compare-runs');
+    const checkedIds = () => [...container.querySelectorAll('.rs-compare-check:checked')].map(c => c.dataset.id);
+    container.querySelectorAll('.rs-compare-check').forEach(cb => cb.addEventListener('change', () => {
+      const n = checkedIds().length;
+      compareBtn.disabled = n < 2;
+      compareBtn.textContent = n ? `Compare (${n})` : 'Compare';
+    }));
+    compareBtn?.addEventListener('click', () => {
+      const ids = checkedIds();
+      openSessionCompare(sessions.filter(s => ids.includes(s.id)), {
+        pageLabel: (page, half) => rsScriptLabel(page, half),
+      });
+    });
+
     container.querySelectorAll('.rs-report-row').forEach(row => {
       row.addEventListener('click', async e => {
+        if (e.target.classList.contains('rs-compare-check')) return;
         if (e.target.classList.contains('rs-delete-report')) return;
         if (e.target.classList.contains('rs-edit-times')) return;
         if (e.target.classList.contains('rs-resume-session')) return;
+        if (e.target.classList.contains('rs-show-report')) return;
         const sid = row.dataset.id;
         const session = sessions.find(s => s.id === sid);
         if (!session) return;
-        if (session.reportHtml) {
+        // Rebuild when we can save it, so actor acknowledgements are current
+        const canRebuild = owner || session.createdBy === state.currentUser?.uid;
+        if (session.reportHtml && (!canRebuild || !isOnline())) {
           openReportModal(session.title, session.reportHtml, sid);
         } else {
           await generateRunReport(sid);
@@ -2846,6 +3357,8 @@ async function loadReportsHistory() {
           if (!confirmDialog('Delete this run report? This cannot be undone.')) return;
           try {
             // Security: sessions delete restricted to creator or owner
+            const cueLog = await loadCueLog(pid, btn.dataset.id);
+            await Promise.all(cueLog.map(e => deleteDoc(doc(db, 'productions', pid, 'sessions', btn.dataset.id, 'cueLog', e.id))));
             await deleteDoc(doc(db, 'productions', pid, 'sessions', btn.dataset.id));
             toast('Report deleted.', 'success');
             loadReportsHistory();
@@ -2854,6 +3367,22 @@ async function loadReportsHistory() {
       });
     }
 
+    container.querySelectorAll('.rs-show-report').forEach(btn => {
+      btn.addEventListener('click', e => {
+        e.stopPropagation();
+        const session = sessions.find(s => s.id === btn.dataset.id);
+        if (!session) return;
+        if (session.showReportHtml && !(session.createdBy === state.currentUser?.uid || isOwner())) {
+          openReportModal((session.title || 'Run') + ' — Show Report', session.showReportHtml, session.id);
+          return;
+        }
+        openShowReportForm(session, {
+          bookmarks: state.activeProduction?.scriptBookmarks || [],
+          onSaved: html => { openReportModal((session.title || 'Run') + ' — Show Report', html, session.id); loadReportsHistory(); },
+        });
+      });
+    });
+
     container.querySelectorAll('.rs-resume-session').forEach(btn => {
       btn.addEventListener('click', async e => {
         e.stopPropagation();
@@ -0,0 +1,254 @@
+/**
+ * cue-calling.js — Calling-Desk Cue Sequence
+ *
+ * Builds the running queue of upcoming cues across pages, tracks STANDBY / GO
+ * state for the active run, flags cues the caller has paged past without a GO,
+ * and records every call in the per-session cue log:
+ *
+ *   productions/{pid}/sessions/{sid}/cueLog/{entryId}
+ *   { cueId, type, label, cuePage, page, state: 'go' | 'skipped', elapsedMs, calledAt, calledBy }
+ *
+ * cuePage is where the cue is written; page is where the caller actually was.
+ * elapsedMs is run time excluding holds (same clock as the session pageLog),
+ * so cue timings are comparable run over run.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { escapeHtml } from '../shared/ui.js';
+import { toast } from '../shared/toast.js';
+import { trackWrite, syncErrorMessage } from '../shared/offline-queue.js';
+import { collection, doc, setDoc, getDocs, serverTimestamp } from 'firebase/firestore';
+
+const QUEUE_LENGTH = 6;
+
+// Department → color mapping (matches cue-margin.js)
+const TYPE_COLORS = {
+  LX:    { bg: '#1A2E50', fg: '#5B9BD4' },
+  SQ:    { bg: '#2D1A14', fg: '#E63946' },
+  PX:    { bg: '#1A2A1A', fg: '#2D8A4E' },
+  FLY:   { bg: '#2E2C29', fg: '#9A9488' },
+  CARP:  { bg: '#2E2C29', fg: '#9A9488' },
+  BLOCK: { bg: '#3a2800', fg: '#f5a623' },
+  OTHER: { bg: '#2E2C29', fg: '#9A9488' },
+};
+
+let _sessionId = null;
+let _calls = new Map();        // cueId → cue log entry for the current session
+let _standbyId = null;         // cue currently in STANDBY
+let _warnedSkipped = new Set(); // cueIds already reported as skipped
+let _hydrating = null;          // cue log load for a resumed session, until it settles
+
+function _typeColor(type) {
+  return TYPE_COLORS[type] || TYPE_COLORS.OTHER;
+}
+
+function _cueY(cue) {
+  return cue.yPosition ?? cue.bounds?.y ?? 0;
+}
+
+/* ── SESSION STATE ────────────────────────────── */
+
+/** Clear all calling state, optionally binding to a new session. */
+export function resetCueCalling(sessionId = null) {
+  _sessionId = sessionId;
+  _calls = new Map();
+  _standbyId = null;
+  _warnedSkipped = new Set();
+  _hydrating = null;
+}
+
+/** Fetch a session's cue log, ordered by run time. */
+export async function loadCueLog(productionId, sessionId) {
+  try {
+    const snap = await getDocs(collection(db, 'productions', productionId, 'sessions', sessionId, 'cueLog'));
+    return snap.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (a.elapsedMs || 0) - (b.elapsedMs || 0));
+  } catch (e) {
+    console.warn('loadCueLog error:', e);
+    return [];
+  }
+}
+
+/** Restore calling state for a resumed session from its stored cue log. */
+export function hydrateCueCalling(productionId, sessionId) {
+  resetCueCalling(sessionId);
+  _hydrating = loadCueLog(productionId, sessionId).then(entries => {
+    if (_sessionId !== sessionId) return; // superseded while loading
+    entries.forEach(e => {
+      _calls.set(e.cueId, e);
+      if (e.state === 'skipped') _warnedSkipped.add(e.cueId);
+    });
+  });
+  return _hydrating;
+}
+
+/** Resolves once any pending hydrateCueCalling() has loaded the stored calls. */
+export function cueCallingReady() {
+  return _hydrating || Promise.resolve();
+}
+
+/** Return the log entry for a cue in the current session, or null. */
+export function getCueCall(cueId) {
+  return _calls.get(cueId) || null;
+}
+
+/** True once a cue has been GO'd in the current session. */
+export function isCueCalled(cueId) {
+  return _calls.get(cueId)?.state === 'go';
+}
+
+export function getStandbyId() {
+  return _standbyId;
+}
+
+/** Toggle STANDBY on a cue. Only one cue is in standby at a time. */
+export function toggleStandby(cueId) {
+  _standbyId = _standbyId === cueId ? null : cueId;
+}
+
+/**
+ * Write a GO or skip to the session cue log. The call is recorded locally at
+ * once; the Firestore write is tracked but not awaited, so calling works offline.
+ * @param {string} productionId
+ * @param {Object} cue        — the scriptCue document
+ * @param {'go'|'skipped'} callState
+ * @param {number} elapsedMs  — active run time at the call
+ * @param {number} page       — script page the caller was on
+ * @returns {Promise<Object>} the stored entry
+ */
+export async function logCueCall(productionId, cue, callState, elapsedMs, page) {
+  if (!_sessionId) throw new Error('No session bound to the calling desk');
+  const entry = {
+    cueId: cue.id,
+    type: cue.type || 'OTHER',
+    label: cue.label || '',
+    cuePage: cue.page ?? null,
+    page,
+    state: callState,
+    elapsedMs: Math.round(elapsedMs),
+    calledAt: Date.now(),
+    calledBy: state.currentUser?.uid || null,
+  };
+  const ref = doc(collection(db, 'productions', productionId, 'sessions', _sessionId, 'cueLog'));
+  trackWrite(setDoc(ref, { ...entry, createdAt: serverTimestamp() })).catch(e => {
+    console.warn('Cue log sync failed:', e);
+    toast(syncErrorMessage('cue ' + (cue.label || ''), e), 'error');
+  });
+  const stored = { id: ref.id, ...entry };
+  _calls.set(cue.id, stored);
+  _warnedSkipped.add(cue.id);
+  if (_standbyId === cue.id) _standbyId = null;
+  return stored;
+}
+
+/* ── QUEUE ────────────────────────────────────── */
+
+/** Sort cues in calling order: by page, then top-to-bottom. */
+export function sortCues(cues) {
+  return [...cues].sort((a, b) => (a.page || 0) - (b.page || 0) || _cueY(a) - _cueY(b));
+}
+
+/** Upcoming cues (current page onward) that have not been called or skipped. */
+export function getCueQueue(cues, scriptPage) {
+  return sortCues(cues)
+    .filter(c => (c.page || 0) >= scriptPage && !_calls.has(c.id))
+    .slice(0, QUEUE_LENGTH);
+}
+
+/** Cues on pages already passed that were neither called nor logged as skipped. */
+export function getPassedCues(cues, scriptPage) {
+  return sortCues(cues).filter(c => (c.page || 0) < scriptPage && !_calls.has(c.id));
+}
+
+/** Passed cues not yet reported to the caller. Marks them as reported. */
+export function takeNewlyPassedCues(cues, scriptPage) {
+  const fresh = getPassedCues(cues, scriptPage).filter(c => !_warnedSkipped.has(c.id));
+  fresh.forEach(c => _warnedSkipped.add(c.id));
+  return fresh;
+}
+
+/* ── PANEL ────────────────────────────────────── */
+
+function _cueRowHtml(c, { standby, passed }) {
+  const { bg, fg } = _typeColor(c.type);
+  const cls = 'rs-cq-row' + (standby ? ' rs-cq-row--standby' : '') + (passed ? ' rs-cq-row--passed' : '');
+  const actions = passed
+    ? `<button class="rs-cq-btn rs-cq-go" data-cue-id="${escapeHtml(c.id)}" title="Call it late">GO</button>
+       <button class="rs-cq-btn rs-cq-skip" data-cue-id="${escapeHtml(c.id)}" title="Log as skipped">Skip</button>`
+    : `<button class="rs-cq-btn rs-cq-sb${standby ? ' rs-cq-btn--active' : ''}" data-cue-id="${escapeHtml(c.id)}" title="Standby">SB</button>
+       <button class="rs-cq-btn rs-cq-go" data-cue-id="${escapeHtml(c.id)}" title="GO">GO</button>`;
+  return `<div class="${cls}">
+    <span class="rs-cq-page">p.${escapeHtml(String(c.page ?? '?'))}</span>
+    <span style="background:${bg};color:${fg};padding:1px 8px;border-radius:9px;font-family:'DM Mono',monospace;font-size:10px;">${escapeHtml(c.type)}</span>
+    <span class="rs-cq-label">${escapeHtml(c.label || '')}${standby ? ' <span class="rs-cq-standby-tag">STANDBY</span>' : ''}</span>
+    ${actions}
+  </div>`;
+}
+
+/**
+ * Render the calling-desk queue: passed-but-uncalled warnings, then upcoming cues.
+ *
+ * @param {HTMLElement} panelEl
+ * @param {Array}  cues        — all scriptCues for the production
+ * @param {number} scriptPage  — caller's current script page
+ * @param {Object} handlers    — { onStandby(cue), onGo(cue), onSkip(cue) }
+ */
+export function renderCueQueuePanel(panelEl, cues, scriptPage, handlers) {
+  if (!panelEl) return;
+  if (!cues.length) {
+    panelEl.innerHTML = '';
+    return;
+  }
+  const passed = getPassedCues(cues, scriptPage);
+  const queue = getCueQueue(cues, scriptPage);
+  const calledCount = [..._calls.values()].filter(e => e.state === 'go').length;
+
+  panelEl.innerHTML = `
+    <div class="rs-cq-header">
+      <span>Cue Sequence</span>
+      <span style="font-family:'DM Mono',monospace;">${calledCount}/${cues.length} called</span>
+    </div>
+    ${passed.length ? `<div class="rs-cq-warning">⚠ ${passed.length} cue${passed.length !== 1 ? 's' : ''} passed without GO</div>
+      ${passed.map(c => _cueRowHtml(c, { passed: true })).join('')}` : ''}
+    ${queue.map(c => _cueRowHtml(c, { standby: c.id === _standbyId })).join('')
+      || '<div style="color:var(--text-muted);font-size:12px;padding:8px 10px;">No more cues.</div>'}
+  `;
+
+  const byId = id => cues.find(c => c.id === id);
+  panelEl.querySelectorAll('.rs-cq-sb').forEach(btn => btn.addEventListener('click', () => {
+    const cue = byId(btn.dataset.cueId); if (cue) handlers.onStandby?.(cue);
+  }));
+  panelEl.querySelectorAll('.rs-cq-go').forEach(btn => btn.addEventListener('click', () => {
+    const cue = byId(btn.dataset.cueId); if (cue) handlers.onGo?.(cue);
+  }));
+  panelEl.querySelectorAll('.rs-cq-skip').forEach(btn => btn.addEventListener('click', () => {
+    const cue = byId(btn.dataset.cueId); if (cue) handlers.onSkip?.(cue);
+  }));
+}
+
+/* ── REPORT ───────────────────────────────────── */
+
+/**
+ * Pair this run's cue log with a previous run's, by cue.
+ * @returns {Array<{ cueId, type, label, page, state, elapsedMs, prevElapsedMs, deltaMs }>}
+ */
+export function compareCueLogs(current, previous) {
+  const prevById = {};
+  (previous || []).forEach(e => { if (e.state === 'go') prevById[e.cueId] = e; });
+  return (current || []).map(e => {
+    const prev = prevById[e.cueId];
+    const comparable = e.state === 'go' && prev;
+    return {
+      cueId: e.cueId,
+      type: e.type,
+      label: e.label,
+      page: e.cuePage ?? e.page,
+      state: e.state,
+      elapsedMs: e.elapsedMs,
+      prevElapsedMs: prev ? prev.elapsedMs : null,
+      deltaMs: comparable ? e.elapsedMs - prev.elapsedMs : null,
+    };
+  });
+}
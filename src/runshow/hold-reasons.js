@@ -0,0 +1,151 @@
+/**
+ * hold-reasons.js — Structured Hold Reasons
+ *
+ * Each holdLog entry on a session carries why we held, not just how long:
+ *
+ *   { startedAt, endedAt, durationSeconds,
+ *     category: 'technical' | 'safety' | 'actor' | 'audience' | 'other' | null,
+ *     note, page, departments: string[] }
+ *
+ * page is the script page the hold was called on. Entries recorded before
+ * categories existed have no category and are summarized as "Uncategorized".
+ */
+
+import { escapeHtml } from '../shared/ui.js';
+
+export const HOLD_CATEGORIES = [
+  { id: 'technical', label: 'Technical', color: '#5b9bd4' },
+  { id: 'safety',    label: 'Safety',    color: '#e63946' },
+  { id: 'actor',     label: 'Actor',     color: '#c8a96e' },
+  { id: 'audience',  label: 'Audience',  color: '#8b6cc4' },
+  { id: 'other',     label: 'Other',     color: '#9a9488' },
+];
+
+const UNCATEGORIZED = { id: null, label: 'Uncategorized', color: '#5c5850' };
+
+export const HOLD_DEPARTMENTS = ['LX', 'SQ', 'Props', 'Wardrobe', 'Scenic', 'Fly', 'Cast', 'FOH'];
+
+function _category(id) {
+  return HOLD_CATEGORIES.find(c => c.id === id) || UNCATEGORIZED;
+}
+
+function _fmt(sec) {
+  const s = Math.round(sec || 0);
+  return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+}
+
+/** Fresh reason for a hold starting on the given script page. */
+export function newHoldReason(page) {
+  return { category: null, note: '', departments: [], page: page ?? null };
+}
+
+/**
+ * Hold time per category, largest first.
+ * @returns {Array<{ id, label, color, count, seconds }>}
+ */
+export function summarizeHoldsByCategory(holdLog) {
+  const byId = new Map();
+  (holdLog || []).forEach(h => {
+    const cat = _category(h.category);
+    const row = byId.get(cat.id) || { ...cat, count: 0, seconds: 0 };
+    row.count++;
+    row.seconds += h.durationSeconds || 0;
+    byId.set(cat.id, row);
+  });
+  return [...byId.values()].sort((a, b) => b.seconds - a.seconds);
+}
+
+/* ── LIVE FORM ────────────────────────────────── */
+
+/** Short "Technical · LX, SQ · note" line for a hold reason, '' when none is set. */
+export function holdReasonText(reason) {
+  if (!reason) return '';
+  return [
+    reason.category ? _category(reason.category).label : '',
+    (reason.departments || []).join(', '),
+    reason.note || '',
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Render the reason picker shown while a hold is running. Mutates `reason`
+ * in place and calls onChange after each edit.
+ */
+export function renderHoldReasonForm(el, reason, onChange) {
+  if (!el) return;
+  if (!reason) { el.innerHTML = ''; el.style.display = 'none'; return; }
+  el.style.display = '';
+  el.innerHTML = `
+    <div class="rs-hr-label">Hold reason${reason.page != null ? ` · p.${escapeHtml(String(reason.page))}` : ''}</div>
+    <div class="rs-hr-chips">${HOLD_CATEGORIES.map(c =>
+      `<button class="rs-hr-chip${reason.category === c.id ? ' rs-hr-chip--active' : ''}" data-cat="${c.id}" style="--hr-color:${c.color};">${escapeHtml(c.label)}</button>`
+    ).join('')}</div>
+    <div class="rs-hr-chips">${HOLD_DEPARTMENTS.map(d =>
+      `<button class="rs-hr-dept${reason.departments.includes(d) ? ' rs-hr-dept--active' : ''}" data-dept="${escapeHtml(d)}">${escapeHtml(d)}</button>`
+    ).join('')}</div>
+    <input type="text" class="rs-hr-note" maxlength="300" placeholder="What happened?" value="${escapeHtml(reason.note || '')}" />`;
+
+  el.querySelectorAll('.rs-hr-chip').forEach(btn => btn.addEventListener('click', () => {
+    reason.category = reason.category === btn.dataset.cat ? null : btn.dataset.cat;
+    renderHoldReasonForm(el, reason, onChange);
+    onChange?.(reason);
+  }));
+  el.querySelectorAll('.rs-hr-dept').forEach(btn => btn.addEventListener('click', () => {
+    const d = btn.dataset.dept;
+    reason.departments = reason.departments.includes(d)
+      ? reason.departments.filter(x => x !== d)
+      : [...reason.departments, d];
+    btn.classList.toggle('rs-hr-dept--active', reason.departments.includes(d));
+    onChange?.(reason);
+  }));
+  el.querySelector('.rs-hr-note').addEventListener('input', e => {
+    reason.note = e.target.value;
+    onChange?.(reason);
+  });
+}
+
+/* ── SUMMARIES ────────────────────────────────── */
+
+/** One-line category summary for the dark-theme report history list. */
+export function holdCategoryInlineHtml(holdLog) {
+  const rows = summarizeHoldsByCategory(holdLog);
+  if (!rows.length) return '';
+  return rows.map(r =>
+    `<span style="display:inline-flex;align-items:center;gap:4px;margin-right:10px;"><span style="width:6px;height:6px;border-radius:50%;background:${r.color};"></span>${escapeHtml(r.label)} ${_fmt(r.seconds)}</span>`
+  ).join('');
+}
+
+/**
+ * "Holds" section for the printable run report (light theme, uses the
+ * report's .scratch-section / .stats-table styles).
+ */
+export function holdReportSectionHtml(holdLog) {
+  const log = holdLog || [];
+  if (!log.length) return '';
+  const summary = summarizeHoldsByCategory(log).map(r => `<tr>
+    <td><span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:${r.color};margin-right:8px;"></span>${escapeHtml(r.label)}</td>
+    <td>${r.count}</td>
+    <td>${_fmt(r.seconds)}</td>
+  </tr>`).join('');
+  const clock = ms => ms ? new Date(ms).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : '—';
+  const detail = [...log].sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0)).map(h => {
+    const cat = _category(h.category);
+    return `<tr>
+      <td style="font-family:'DM Mono',monospace;font-size:12px;">${clock(h.startedAt)}</td>
+      <td>${h.page != null ? escapeHtml(String(h.page)) : '—'}</td>
+      <td><span style="color:${cat.color};font-weight:500;">${escapeHtml(cat.label)}</span></td>
+      <td>${escapeHtml((h.departments || []).join(', ')) || '—'}</td>
+      <td>${_fmt(h.durationSeconds)}</td>
+      <td style="color:#555;">${escapeHtml(h.note || '')}</td>
+    </tr>`;
+  }).join('');
+  return `<div class="scratch-section"><h2 class="section-title">Holds</h2>
+<table class="stats-table" style="box-shadow:none;margin-bottom:16px;">
+  <thead><tr><th>Category</th><th>Holds</th><th>Time</th></tr></thead>
+  <tbody>${summary}</tbody>
+</table>
+<table class="stats-table" style="box-shadow:none;margin-bottom:0;">
+  <thead><tr><th>Called</th><th>Page</th><th>Category</th><th>Departments</th><th>Length</th><th>Note</th></tr></thead>
+  <tbody>${detail}</tbody>
+</table></div>`;
+}
@@ -0,0 +1,218 @@
+/**
+ * recurring-notes.js — Repeat Line-Note Detection
+ *
+ * Flags "repeat offenders": the same actor noted on the same line zone in
+ * several of the recent runs. A run's window is that run plus the runs
+ * before it, up to RECENT_WINDOW sessions; a spot noted in REPEAT_MIN or more
+ * of them is flagged with its history, e.g. "Skipped in 3 of the last 4 runs".
+ *
+ * Spots are matched with noteSpotKey (castId + page/half + zone, falling
+ * back to line text) — the same matching the run comparison view uses.
+ *
+ * The drill list collects an actor's flagged spots across the latest window
+ * into a printable sheet to work from.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml } from '../shared/ui.js';
+import { scriptPageLabel } from '../shared/script-pages.js';
+import { NOTE_TYPE_VERBS } from '../shared/note-types.js';
+import { getCastMembers } from '../cast/cast.js';
+import { noteSpotKey, noteActorEntries } from './session-compare.js';
+import { collection, getDocs } from 'firebase/firestore';
+
+export const RECENT_WINDOW = 4;
+export const REPEAT_MIN = 2;
+
+/* ── MODEL ────────────────────────────────────── */
+
+/**
+ * The runs that make up a session's window, newest first: the session itself
+ * plus the ended runs that started before it.
+ */
+export function recentWindow(sessions, sessionId, size = RECENT_WINDOW) {
+  const current = sessions.find(s => s.id === sessionId);
+  if (!current) return [];
+  const before = sessions
+    .filter(s => s.id !== sessionId && s.status === 'ended' && (s.startedAt || 0) < (current.startedAt || Infinity))
+    .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+  return [current, ...before].slice(0, size);
+}
+
+/**
+ * Index notes by spot over a window of sessions.
+ * @returns {Map<string, { castId, characterName, page, half, lineText, bySession: Map<sessionId, string[]> }>}
+ */
+export function buildSpotHistory(windowSessions, notes) {
+  const ids = new Set(windowSessions.map(s => s.id));
+  const history = new Map();
+  notes.forEach(n => {
+    if (!ids.has(n.sessionId)) return;
+    noteActorEntries(n).forEach(({ castId, characterName }) => {
+      const key = noteSpotKey(n, castId);
+      if (!key) return;
+      let h = history.get(key);
+      if (!h) {
+        h = { key, castId, characterName: characterName || '', page: n.page, half: n.half || '', lineText: n.lineText || '', bySession: new Map() };
+        history.set(key, h);
+      }
+      const types = h.bySession.get(n.sessionId) || [];
+      types.push(n.type);
+      h.bySession.set(n.sessionId, types);
+      if (!h.lineText && n.lineText) h.lineText = n.lineText;
+    });
+  });
+  return history;
+}
+
+/**
+ * Describe a spot's history over the window.
+ * @returns {{ count, windowSize, type, text, runs: boolean[] }} runs is newest first
+ */
+export function describeSpot(entry, windowSessions) {
+  const windowSize = windowSessions.length;
+  const runs = windowSessions.map(s => entry.bySession.has(s.id));
+  const count = runs.filter(Boolean).length;
+  // Most frequent note type drives the wording
+  const tally = {};
+  [...entry.bySession.values()].flat().forEach(t => { tally[t] = (tally[t] || 0) + 1; });
+  const type = Object.entries(tally).sort((a, b) => b[1] - a[1])[0]?.[0] || 'gen';
+  const verb = NOTE_TYPE_VERBS[type] || 'Noted';
+  return { count, windowSize, type, runs, text: `${verb} in ${count} of the last ${windowSize} runs` };
+}
+
+/** Recurrence for one actor on one note, or null when it is not a repeat. */
+export function noteRecurrence(note, castId, history, windowSessions) {
+  const entry = history.get(noteSpotKey(note, castId));
+  if (!entry) return null;
+  const d = describeSpot(entry, windowSessions);
+  return d.count >= REPEAT_MIN ? d : null;
+}
+
+/* ── RENDERING ────────────────────────────────── */
+
+function _runDots(runs, on, off) {
+  // Oldest → newest reads left to right
+  return [...runs].reverse().map(r => `<span style="color:${r ? on : off};">●</span>`).join('');
+}
+
+/** Compact flag for the dark-theme Run Show sidebar. */
+export function recurringFlagHtml(rec, actorName) {
+  if (!rec) return '';
+  const title = `${actorName ? actorName + ': ' : ''}${rec.text}`;
+  return `<span class="note-repeat" title="${escapeHtml(title)}">↻ ${rec.count}/${rec.windowSize}</span>`;
+}
+
+/** History line for the printable run report (light theme). */
+export function recurringReportHtml(rec) {
+  if (!rec) return '';
+  return `<div style="font-family:'DM Mono',monospace;font-size:10px;color:#c0392b;">↻ ${escapeHtml(rec.text.toUpperCase())} <span style="letter-spacing:1px;">${_runDots(rec.runs, '#c0392b', '#ddd')}</span></div>`;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   DRILL LIST
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * An actor's repeat spots over the latest window, worst first.
+ * @returns {{ windowSessions, items: Array<entry & describeSpot> }}
+ */
+export function buildDrillList(castId, sessions, notes) {
+  const latest = sessions
+    .filter(s => s.status === 'ended')
+    .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+  const windowSessions = latest.length ? recentWindow(latest, latest[0].id) : [];
+  const history = buildSpotHistory(windowSessions, notes);
+  const items = [...history.values()]
+    .filter(h => h.castId === castId)
+    .map(h => ({ ...h, ...describeSpot(h, windowSessions) }))
+    .filter(h => h.count >= REPEAT_MIN)
+    .sort((a, b) => b.count - a.count || a.page - b.page || (a.half || '').localeCompare(b.half || ''));
+  return { windowSessions, items };
+}
+
+function _drillPrintHtml(member, items, windowSessions) {
+  const show = state.activeProduction?.title || '';
+  const rows = items.map(i => `<tr>
+    <td>p.${escapeHtml(scriptPageLabel(i.page, i.half))}</td>
+    <td>${escapeHtml(i.characterName)}</td>
+    <td class="lt">${i.lineText ? '“' + escapeHtml(i.lineText) + '”' : '—'}</td>
+    <td>${escapeHtml(i.text)}</td>
+    <td class="box"></td>
+  </tr>`).join('');
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Drill List — ${escapeHtml(member.name)}</title>
+<style>
+@import url('https://fonts.googleapis.com/css2?family=DM+Mono:wght@400;500&family=Instrument+Serif:ital@0;1&family=DM+Sans:wght@400;500&display=swap');
+*{box-sizing:border-box;margin:0;padding:0}body{font-family:'DM Sans',sans-serif;color:#1a1814;padding:32px 40px}
+h1{font-family:'Instrument Serif',serif;font-size:28px;margin-bottom:4px}
+.meta{font-family:'DM Mono',monospace;font-size:11px;color:#999;margin-bottom:20px}
+table{width:100%;border-collapse:collapse}th,td{padding:8px 10px;text-align:left;border-bottom:1px solid #e8e4da;font-size:13px;vertical-align:top}
+th{font-family:'DM Mono',monospace;font-size:10px;color:#999;text-transform:uppercase;letter-spacing:0.5px}
+.lt{font-family:'Instrument Serif',serif;font-style:italic;font-size:15px}.box{width:40px;border-left:1px solid #e8e4da}
+@media print{body{padding:16px}}
+</style></head><body>
+<h1>Drill List — ${escapeHtml(member.name)}</h1>
+<div class="meta">${escapeHtml(show)} · lines noted in ${REPEAT_MIN}+ of the last ${windowSessions.length} runs</div>
+<table><thead><tr><th>Page</th><th>Character</th><th>Line</th><th>History</th><th>✓</th></tr></thead><tbody>${rows}</tbody></table>
+</body></html>`;
+}
+
+/** Open the drill list for one cast member. */
+export async function openDrillList(castId) {
+  const pid = state.activeProduction?.id;
+  const member = getCastMembers().find(m => m.id === castId);
+  if (!pid || !member) return;
+
+  let sessions, notes;
+  try {
+    const [sessSnap, notesSnap] = await Promise.all([
+      getDocs(collection(db, 'productions', pid, 'sessions')),
+      getDocs(collection(db, 'productions', pid, 'lineNotes')),
+    ]);
+    sessions = sessSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+    notes = notesSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+  } catch (e) {
+    console.error('Drill list load error:', e);
+    toast('Could not load notes.', 'error');
+    return;
+  }
+  const { windowSessions, items } = buildDrillList(castId, sessions, notes);
+
+  document.getElementById('drill-list-modal')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  backdrop.id = 'drill-list-modal';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="max-width:680px;width:95vw;max-height:85vh;display:flex;flex-direction:column;">
+      <h2 style="margin-bottom:4px;">Drill List — ${escapeHtml(member.name)}</h2>
+      <div style="font-size:12px;color:var(--text-muted);margin-bottom:12px;">Lines noted in ${REPEAT_MIN} or more of the last ${windowSessions.length} run${windowSessions.length !== 1 ? 's' : ''}</div>
+      <div style="overflow-y:auto;flex:1;">
+        ${items.length ? items.map(i => `<div style="padding:10px 0;border-bottom:1px solid var(--bg-border);">
+          <div style="display:flex;gap:8px;align-items:center;font-size:12px;">
+            <span style="font-family:'DM Mono',monospace;color:var(--text-muted);">p.${escapeHtml(scriptPageLabel(i.page, i.half))}</span>
+            <span style="color:var(--gold);">${escapeHtml(i.characterName)}</span>
+            <span style="margin-left:auto;font-family:'DM Mono',monospace;font-size:11px;color:var(--red);">${escapeHtml(i.text)}</span>
+            <span style="font-size:10px;letter-spacing:1px;">${_runDots(i.runs, 'var(--red)', 'var(--bg-border)')}</span>
+          </div>
+          ${i.lineText ? `<div style="font-family:'Instrument Serif',serif;font-style:italic;font-size:15px;color:var(--text-primary);margin-top:4px;">“${escapeHtml(i.lineText)}”</div>` : ''}
+        </div>`).join('') : '<div style="color:var(--text-muted);font-size:13px;padding:20px 0;text-align:center;">No repeat notes — nothing to drill.</div>'}
+      </div>
+      <div class="modal-btns">
+        <button class="modal-btn-cancel" id="dl-close">Close</button>
+        ${items.length ? '<button class="modal-btn-primary" id="dl-print">Print</button>' : ''}
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  const close = () => backdrop.remove();
+  backdrop.querySelector('#dl-close').addEventListener('click', close);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+  backdrop.querySelector('#dl-print')?.addEventListener('click', () => {
+    const w = window.open('', '_blank');
+    if (!w) { toast('Allow popups to print.', 'error'); return; }
+    w.document.write(_drillPrintHtml(member, items, windowSessions));
+    w.document.close();
+  });
+}
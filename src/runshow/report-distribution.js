@@ -0,0 +1,129 @@
+/**
+ * report-distribution.js — Server-side Run Report Distribution
+ *
+ * Client side of the sendRunReport callable (functions/index.js). The
+ * function renders the run report from the session on the server, mails it
+ * to the production's distribution list and each actor their line notes, then
+ * records per-recipient results on the session:
+ *
+ *   productions/{id}.reportDistribution : string[]   — email addresses
+ *   sessions/{id}.reportDelivery : {
+ *     sentAt, sentBy, transport, sentCount, failedCount,
+ *     results: [{ to, kind: 'report'|'notes', castId?, actorName?, status: 'sent'|'failed', error? }],
+ *     skipped: [{ castId, actorName, reason }]
+ *   }
+ */
+
+import { db, functions } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { isOwner } from '../shared/roles.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml } from '../shared/ui.js';
+import { doc, updateDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/** Parse a comma/newline separated list into unique, valid, lower-cased addresses. */
+export function parseDistributionList(text) {
+  const all = String(text || '').split(/[\s,;]+/).map(e => e.trim().toLowerCase()).filter(Boolean);
+  const valid = [...new Set(all.filter(e => EMAIL_RE.test(e)))];
+  const invalid = all.filter(e => !EMAIL_RE.test(e));
+  return { valid, invalid };
+}
+
+/**
+ * Send a session's report and line notes through the server.
+ * @param {string} sessionId
+ * @param {string} dateLabel — date as shown to the SM (the server has no local timezone)
+ * @returns {Promise<{ sentCount, failedCount, skippedCount, transport }|null>}
+ */
+export async function sendRunReport(sessionId, dateLabel) {
+  const pid = state.activeProduction?.id;
+  if (!pid || !sessionId) return null;
+  try {
+    const call = httpsCallable(functions, 'sendRunReport');
+    const { data } = await call({ productionId: pid, sessionId, dateLabel });
+    if (data.failedCount > 0) {
+      toast(`Sent ${data.sentCount} — ${data.failedCount} failed. See delivery status.`, 'warn');
+    } else {
+      toast(`Sent ${data.sentCount} email${data.sentCount !== 1 ? 's' : ''}.`, 'success');
+    }
+    return data;
+  } catch (e) {
+    console.error('sendRunReport error:', e);
+    toast(e.message || 'Failed to send report.', 'error');
+    return null;
+  }
+}
+
+/* ── DELIVERY STATUS ─────────────────────────── */
+
+function _sentAtLabel(delivery) {
+  const d = delivery?.sentAt?.toDate ? delivery.sentAt.toDate() : null;
+  return d ? d.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '';
+}
+
+/** One-line delivery summary for the report history list. */
+export function deliveryStatusInlineHtml(delivery) {
+  if (!delivery) return '';
+  const failed = delivery.failedCount || 0;
+  const color = failed ? 'var(--red)' : 'var(--green)';
+  const when = _sentAtLabel(delivery);
+  return `<span style="color:${color};">Emailed ${delivery.sentCount || 0}${failed ? ` · ${failed} failed` : ''}</span>${when ? ` · ${escapeHtml(when)}` : ''}`;
+}
+
+/** Status for one recipient, keyed by castId (notes) or address (report). */
+export function deliveryResultFor(delivery, { castId, to } = {}) {
+  const results = delivery?.results || [];
+  return results.find(r => (castId && r.castId === castId) || (!castId && to && r.to === to)) || null;
+}
+
+/** Full per-recipient table shown in the email view. */
+export function deliveryDetailHtml(delivery) {
+  if (!delivery) {
+    return '<div style="font-size:12px;color:var(--text-muted);">Not sent yet.</div>';
+  }
+  const rows = (delivery.results || []).map(r => {
+    const ok = r.status === 'sent';
+    return `<div style="display:flex;gap:8px;font-size:12px;padding:3px 0;">
+      <span style="color:${ok ? 'var(--green)' : 'var(--red)'};width:48px;">${ok ? 'Sent' : 'Failed'}</span>
+      <span style="color:var(--text-muted);width:52px;">${r.kind === 'report' ? 'Report' : 'Notes'}</span>
+      <span style="color:var(--text-secondary);flex:1;">${escapeHtml(r.actorName ? `${r.actorName} <${r.to}>` : r.to)}</span>
+      ${r.error ? `<span style="color:var(--red);" title="${escapeHtml(r.error)}">${escapeHtml(r.error.slice(0, 40))}</span>` : ''}
+    </div>`;
+  }).join('');
+  const skipped = (delivery.skipped || []).map(s =>
+    `<div style="font-size:12px;color:var(--text-muted);padding:3px 0;">Skipped ${escapeHtml(s.actorName)} — no email on file</div>`
+  ).join('');
+  return `<div style="font-size:12px;color:var(--text-muted);margin-bottom:4px;">Last sent ${escapeHtml(_sentAtLabel(delivery))} via ${escapeHtml(delivery.transport || '?')}</div>${rows}${skipped}`;
+}
+
+/* ── SETTINGS ────────────────────────────────── */
+
+/** Owner editor for productions/{id}.reportDistribution. */
+export function renderReportDistributionSettings(container) {
+  if (!container) return;
+  const prod = state.activeProduction;
+  const owner = isOwner();
+  const list = prod.reportDistribution || [];
+  container.innerHTML = `
+    <div style="font-size:12px;color:var(--text-muted);margin-bottom:10px;">Addresses that receive the full run report. Actors get their own line notes at the email in Cast &amp; Crew.</div>
+    <textarea id="rd-list" class="form-input" rows="3" placeholder="director@example.com, pm@example.com"${owner ? '' : ' disabled'} style="resize:vertical;">${escapeHtml(list.join(', '))}</textarea>
+    ${owner ? '<button class="settings-btn settings-btn--primary" id="rd-save" style="margin-top:10px;">Save List</button>' : ''}
+  `;
+
+  container.querySelector('#rd-save')?.addEventListener('click', async () => {
+    const { valid, invalid } = parseDistributionList(container.querySelector('#rd-list').value);
+    if (invalid.length) { toast(`Not a valid email: ${invalid[0]}`, 'error'); return; }
+    try {
+      await updateDoc(doc(db, 'productions', prod.id), { reportDistribution: valid });
+      state.activeProduction.reportDistribution = valid;
+      container.querySelector('#rd-list').value = valid.join(', ');
+      toast('Distribution list saved.', 'success');
+    } catch (e) {
+      console.error('Save distribution list error:', e);
+      toast('Failed to save distribution list.', 'error');
+    }
+  });
+}
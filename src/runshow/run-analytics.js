@@ -0,0 +1,362 @@
+/**
+ * run-analytics.js — Run-over-Run Timing Analytics
+ *
+ * Aggregates ended sessions across the rehearsal period:
+ *   - act / scene running times per run (sections come from script bookmarks,
+ *     e.g. "Act 2 Scene 1" — a bookmark starts a section that runs until the next)
+ *   - per-page pace against a chosen baseline run (from pageLog arrivals)
+ *   - hold frequency and hold time per run
+ *   - note counts per actor per run (from notesByActor)
+ *
+ * All times are active run time (holds excluded), same clock as pageLog.
+ * The pinned baseline is stored on the production as timingBaselineSessionId.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { isOwner } from '../shared/roles.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml } from '../shared/ui.js';
+import { getCastMembers } from '../cast/cast.js';
+import { doc, updateDoc } from 'firebase/firestore';
+
+const ACT_COLORS = ['#5b9bd4', '#c8a96e', '#7ab87a', '#c46ca4', '#d4844a', '#8b6cc4'];
+const MAX_ACTOR_RUNS = 8;
+
+/* ── TIMING MODEL ─────────────────────────────── */
+
+/** Sortable position of a page/half in the script (L before R). */
+export function pageOrder(page, half) {
+  return (page || 0) * 2 + (half === 'R' ? 1 : 0);
+}
+
+/**
+ * Turn script bookmarks into ordered sections. A label containing "Act N"
+ * starts a new act; other bookmarks are scenes inside the current act.
+ * With no bookmarks the whole run is one section.
+ * @returns {Array<{ label, act, page, half, order }>}
+ */
+export function buildSections(bookmarks) {
+  const sorted = (bookmarks || [])
+    .map(b => ({ label: b.label || '', page: b.page, half: b.half || 'L', order: pageOrder(b.page, b.half || 'L') }))
+    .sort((a, b) => a.order - b.order);
+  if (!sorted.length) return [{ label: 'Full run', act: 'Full run', page: 1, half: 'L', order: 0 }];
+  let act = 'Act 1';
+  return sorted.map(s => {
+    const m = s.label.match(/\bact\s+([ivx]+|\d+)/i);
+    if (m) act = 'Act ' + m[1].toUpperCase();
+    return { ...s, label: s.label || ('p.' + s.page), act };
+  });
+}
+
+/** First arrival time at each page, sorted by script order. */
+export function pageArrivals(pageLog) {
+  const first = new Map();
+  (pageLog || []).forEach(e => {
+    const order = pageOrder(e.page, e.half || 'L');
+    if (!first.has(order) || e.elapsedMs < first.get(order).elapsedMs) {
+      first.set(order, { order, page: e.page, half: e.half || 'L', elapsedMs: e.elapsedMs });
+    }
+  });
+  return [...first.values()].sort((a, b) => a.order - b.order);
+}
+
+function _sectionStartMs(arrivals, order) {
+  const idx = arrivals.findIndex(a => a.order >= order);
+  if (idx === -1) return null;
+  // Run began inside this section (first turn lands past its start page)
+  if (idx === 0 && arrivals[0].order > order) return 0;
+  return arrivals[idx].elapsedMs;
+}
+
+/** Start time of each section in one session (null if never reached). */
+export function sectionStarts(session, sections) {
+  const arrivals = pageArrivals(session.pageLog);
+  return sections.map(s => (s.order === 0 ? 0 : _sectionStartMs(arrivals, s.order)));
+}
+
+/**
+ * Section durations for one session. Sections never reached are null.
+ * @returns {Array<number|null>} ms per section, parallel to sections
+ */
+export function sectionDurations(session, sections) {
+  const endMs = (session.durationSeconds || 0) * 1000;
+  const starts = sectionStarts(session, sections);
+  return starts.map((start, i) => {
+    if (start === null) return null;
+    const next = starts.slice(i + 1).find(v => v !== null);
+    const end = next ?? endMs;
+    return end >= start ? end - start : null;
+  });
+}
+
+/** Sum section durations into acts, keeping act order. */
+export function actDurations(sections, durations) {
+  const acts = [];
+  sections.forEach((s, i) => {
+    let act = acts.find(a => a.act === s.act);
+    if (!act) { act = { act: s.act, ms: null }; acts.push(act); }
+    if (durations[i] !== null) act.ms = (act.ms || 0) + durations[i];
+  });
+  return acts;
+}
+
+/**
+ * Per-page pace of a run against a baseline, over the pages both runs reached.
+ * cumulativeMs: arrival delta (positive = behind the baseline)
+ * pageMs:       change in cumulative delta since the previous common page
+ */
+export function paceDeltas(run, baseline) {
+  const runArr = new Map(pageArrivals(run.pageLog).map(a => [a.order, a]));
+  let prevDelta = 0;
+  return pageArrivals(baseline.pageLog)
+    .filter(b => runArr.has(b.order))
+    .map(b => {
+      const r = runArr.get(b.order);
+      const cumulativeMs = r.elapsedMs - b.elapsedMs;
+      const row = { page: b.page, half: b.half, baselineMs: b.elapsedMs, runMs: r.elapsedMs, cumulativeMs, pageMs: cumulativeMs - prevDelta };
+      prevDelta = cumulativeMs;
+      return row;
+    });
+}
+
+/* ── FORMATTING ───────────────────────────────── */
+
+export function formatRunTime(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const totalSec = Math.round(ms / 1000);
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  return h > 0
+    ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+    : `${m}:${String(s).padStart(2, '0')}`;
+}
+
+export function formatRunDelta(ms) {
+  if (ms === null || ms === undefined) return '—';
+  if (Math.abs(ms) < 1000) return '±0:00';
+  return (ms > 0 ? '+' : '−') + formatRunTime(Math.abs(ms));
+}
+
+function _deltaColor(ms) {
+  if (ms === null || ms === undefined || Math.abs(ms) < 1000) return 'var(--text-muted)';
+  return ms > 0 ? 'var(--red)' : 'var(--green)';
+}
+
+function _runDate(s) {
+  if (s.date?.toDate) return s.date.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  if (s.startedAt) return new Date(s.startedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return '—';
+}
+
+export function runLabel(s) {
+  return `${_runDate(s)} · ${s.title || 'Untitled'}`;
+}
+
+export const TH = 'text-align:left;font-size:10px;color:var(--text-muted);font-family:\'DM Mono\',monospace;text-transform:uppercase;letter-spacing:1px;padding:6px 8px;border-bottom:1px solid var(--bg-border);';
+export const TD = 'padding:5px 8px;font-family:\'DM Mono\',monospace;font-size:12px;color:var(--text-primary);border-bottom:1px solid var(--bg-border);white-space:nowrap;';
+export const H3 = 'font-size:11px;text-transform:uppercase;letter-spacing:1.5px;color:var(--text-muted);margin:22px 0 10px;';
+
+/* ── SECTIONS ─────────────────────────────────── */
+
+function _runningTimesHtml(timed, sections, baseline) {
+  if (!timed.length) {
+    return '<div style="color:var(--text-muted);font-size:12px;">No runs with recorded page times yet. Turn on “Record page times” when starting a run.</div>';
+  }
+  const rows = timed.map(s => ({ s, acts: actDurations(sections, sectionDurations(s, sections)) }));
+  const actNames = rows[0].acts.map(a => a.act);
+  const baseActs = baseline ? actDurations(sections, sectionDurations(baseline, sections)) : null;
+  const maxMs = Math.max(1, ...timed.map(s => (s.durationSeconds || 0) * 1000));
+
+  const legend = actNames.map((a, i) =>
+    `<span style="display:inline-flex;align-items:center;gap:4px;margin-right:12px;"><span style="width:10px;height:10px;border-radius:2px;background:${ACT_COLORS[i % ACT_COLORS.length]};"></span>${escapeHtml(a)}</span>`
+  ).join('');
+
+  const bars = rows.slice().reverse().map(({ s, acts }) => {
+    const segs = acts.map((a, i) => a.ms
+      ? `<div title="${escapeHtml(a.act)} ${formatRunTime(a.ms)}" style="width:${(a.ms / maxMs) * 100}%;background:${ACT_COLORS[i % ACT_COLORS.length]};"></div>`
+      : '').join('');
+    const isBase = baseline && s.id === baseline.id;
+    return `<div style="display:flex;align-items:center;gap:10px;margin-bottom:6px;">
+      <div style="width:170px;flex-shrink:0;font-size:11px;color:${isBase ? 'var(--gold)' : 'var(--text-secondary)'};overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="${escapeHtml(runLabel(s))}">${escapeHtml(runLabel(s))}${isBase ? ' ★' : ''}</div>
+      <div style="flex:1;display:flex;height:14px;background:var(--bg-raised);border-radius:3px;overflow:hidden;">${segs}</div>
+      <div style="width:64px;text-align:right;font-family:'DM Mono',monospace;font-size:11px;color:var(--text-primary);">${formatRunTime((s.durationSeconds || 0) * 1000)}</div>
+    </div>`;
+  }).join('');
+
+  const table = `<table style="width:100%;border-collapse:collapse;margin-top:12px;">
+    <thead><tr><th style="${TH}">Run</th>${actNames.map(a => `<th style="${TH}">${escapeHtml(a)}</th>`).join('')}<th style="${TH}">Total</th></tr></thead>
+    <tbody>${rows.map(({ s, acts }) => `<tr>
+      <td style="${TD}color:var(--text-secondary);">${escapeHtml(runLabel(s))}</td>
+      ${acts.map((a, i) => {
+        const d = baseActs && a.ms !== null && baseActs[i]?.ms != null && s.id !== baseline.id ? a.ms - baseActs[i].ms : null;
+        return `<td style="${TD}">${formatRunTime(a.ms)}${d !== null ? ` <span style="color:${_deltaColor(d)};font-size:10px;">${formatRunDelta(d)}</span>` : ''}</td>`;
+      }).join('')}
+      <td style="${TD}">${formatRunTime((s.durationSeconds || 0) * 1000)}</td>
+    </tr>`).join('')}</tbody>
+  </table>`;
+
+  return `<div style="font-size:11px;color:var(--text-muted);margin-bottom:10px;">${legend}</div>${bars}${table}`;
+}
+
+function _sceneTableHtml(run, baseline, sections) {
+  if (!run || sections.length < 2) return '';
+  const runDur = sectionDurations(run, sections);
+  const baseDur = baseline ? sectionDurations(baseline, sections) : sections.map(() => null);
+  return `<div style="${H3}">Scenes — ${escapeHtml(runLabel(run))}</div>
+    <table style="width:100%;border-collapse:collapse;">
+      <thead><tr><th style="${TH}">Section</th><th style="${TH}">Act</th><th style="${TH}">Baseline</th><th style="${TH}">This Run</th><th style="${TH}">Δ</th></tr></thead>
+      <tbody>${sections.map((sec, i) => {
+        const d = runDur[i] !== null && baseDur[i] !== null ? runDur[i] - baseDur[i] : null;
+        return `<tr>
+          <td style="${TD}">${escapeHtml(sec.label)}</td>
+          <td style="${TD}color:var(--text-muted);">${escapeHtml(sec.act)}</td>
+          <td style="${TD}">${formatRunTime(baseDur[i])}</td>
+          <td style="${TD}">${formatRunTime(runDur[i])}</td>
+          <td style="${TD}color:${_deltaColor(d)};">${formatRunDelta(d)}</td>
+        </tr>`;
+      }).join('')}</tbody>
+    </table>`;
+}
+
+function _paceHtml(run, baseline, pageLabel) {
+  if (!run || !baseline) return '<div style="color:var(--text-muted);font-size:12px;">Choose a run and a baseline with recorded page times.</div>';
+  if (run.id === baseline.id) return '<div style="color:var(--text-muted);font-size:12px;">Pick a different run to compare against the baseline.</div>';
+  const rows = paceDeltas(run, baseline);
+  if (!rows.length) return '<div style="color:var(--text-muted);font-size:12px;">These runs have no pages in common.</div>';
+  const maxPage = Math.max(1000, ...rows.map(r => Math.abs(r.pageMs)));
+  return `<div style="max-height:320px;overflow-y:auto;">
+    <table style="width:100%;border-collapse:collapse;">
+      <thead><tr><th style="${TH}">Page</th><th style="${TH}">Baseline</th><th style="${TH}">This Run</th><th style="${TH}">Cumulative Δ</th><th style="${TH}">Page Δ</th><th style="${TH}width:30%;"></th></tr></thead>
+      <tbody>${rows.map(r => {
+        const w = Math.min(50, (Math.abs(r.pageMs) / maxPage) * 50);
+        const bar = r.pageMs >= 0
+          ? `<div style="margin-left:50%;width:${w}%;height:8px;background:var(--red);"></div>`
+          : `<div style="margin-left:${50 - w}%;width:${w}%;height:8px;background:var(--green);"></div>`;
+        return `<tr>
+          <td style="${TD}color:var(--text-muted);">p.${escapeHtml(pageLabel(r.page, r.half))}</td>
+          <td style="${TD}">${formatRunTime(r.baselineMs)}</td>
+          <td style="${TD}">${formatRunTime(r.runMs)}</td>
+          <td style="${TD}color:${_deltaColor(r.cumulativeMs)};">${formatRunDelta(r.cumulativeMs)}</td>
+          <td style="${TD}color:${_deltaColor(r.pageMs)};">${formatRunDelta(r.pageMs)}</td>
+          <td style="${TD}"><div style="position:relative;background:var(--bg-raised);border-radius:2px;">${bar}</div></td>
+        </tr>`;
+      }).join('')}</tbody>
+    </table>
+  </div>`;
+}
+
+function _holdsHtml(sessions) {
+  const maxCount = Math.max(1, ...sessions.map(s => (s.holdLog || []).length));
+  return sessions.slice().reverse().map(s => {
+    const count = (s.holdLog || []).length;
+    const holdMs = (s.totalHoldSeconds || 0) * 1000;
+    return `<div style="display:flex;align-items:center;gap:10px;margin-bottom:5px;">
+      <div style="width:170px;flex-shrink:0;font-size:11px;color:var(--text-secondary);overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escapeHtml(runLabel(s))}</div>
+      <div style="flex:1;height:10px;background:var(--bg-raised);border-radius:3px;overflow:hidden;"><div style="width:${(count / maxCount) * 100}%;height:100%;background:var(--state-hold);"></div></div>
+      <div style="width:130px;text-align:right;font-family:'DM Mono',monospace;font-size:11px;color:var(--text-primary);">${count} hold${count !== 1 ? 's' : ''} · ${formatRunTime(holdMs)}</div>
+    </div>`;
+  }).join('');
+}
+
+function _actorNotesHtml(sessions) {
+  const runs = sessions.slice(-MAX_ACTOR_RUNS);
+  const cast = getCastMembers();
+  const ids = new Set();
+  runs.forEach(s => Object.keys(s.notesByActor || {}).forEach(id => ids.add(id)));
+  if (!ids.size) return '<div style="color:var(--text-muted);font-size:12px;">No line notes recorded yet.</div>';
+  const actors = [...ids].map(id => {
+    const counts = runs.map(s => (s.notesByActor || {})[id] || 0);
+    const member = cast.find(c => c.id === id);
+    return { id, name: member?.name || 'Unknown', color: member?.color || 'var(--text-muted)', counts, total: counts.reduce((a, b) => a + b, 0) };
+  }).sort((a, b) => b.total - a.total);
+  const maxCount = Math.max(1, ...actors.flatMap(a => a.counts));
+  return `<div style="overflow-x:auto;"><table style="width:100%;border-collapse:collapse;">
+    <thead><tr><th style="${TH}">Actor</th>${runs.map(s => `<th style="${TH}" title="${escapeHtml(s.title || '')}">${escapeHtml(_runDate(s))}</th>`).join('')}<th style="${TH}">Total</th></tr></thead>
+    <tbody>${actors.map(a => `<tr>
+      <td style="${TD}"><span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:${escapeHtml(a.color)};margin-right:6px;"></span>${escapeHtml(a.name)}</td>
+      ${a.counts.map(c => `<td style="${TD}background:rgba(200,169,110,${c ? (0.1 + 0.5 * c / maxCount).toFixed(2) : 0});text-align:center;">${c || ''}</td>`).join('')}
+      <td style="${TD}color:var(--gold);">${a.total}</td>
+    </tr>`).join('')}</tbody>
+  </table></div>`;
+}
+
+/* ── MODAL ────────────────────────────────────── */
+
+/**
+ * Open the analytics dashboard.
+ * @param {Array}    sessions   — session docs (any status; only ended runs are used)
+ * @param {Object}   opts
+ * @param {Array}    opts.bookmarks — production scriptBookmarks (act/scene markers)
+ * @param {Function} opts.pageLabel — (page, half) => script page label
+ */
+export function openRunAnalytics(sessions, { bookmarks = [], pageLabel = p => String(p) } = {}) {
+  document.querySelector('.run-analytics-backdrop')?.remove();
+
+  const ended = sessions
+    .filter(s => s.status === 'ended')
+    .sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0)); // oldest → newest
+  const timed = ended.filter(s => s.pageLog?.length > 0);
+  const sections = buildSections(bookmarks);
+
+  let pinnedId = state.activeProduction?.timingBaselineSessionId;
+  let baselineId = timed.find(s => s.id === pinnedId)?.id || timed[0]?.id || null;
+  let runId = timed[timed.length - 1]?.id || null;
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop run-analytics-backdrop';
+  document.body.appendChild(backdrop);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) backdrop.remove(); });
+
+  const options = selected => timed.map(s =>
+    `<option value="${escapeHtml(s.id)}"${s.id === selected ? ' selected' : ''}>${escapeHtml(runLabel(s))}${s.id === pinnedId ? ' ★' : ''}</option>`
+  ).join('');
+
+  const render = () => {
+    const run = timed.find(s => s.id === runId) || null;
+    const baseline = timed.find(s => s.id === baselineId) || null;
+    const selectStyle = 'background:var(--bg-raised);border:1px solid var(--bg-border);border-radius:4px;padding:4px 8px;color:var(--text-primary);font-size:12px;max-width:240px;';
+    backdrop.innerHTML = `
+      <div class="modal-card" style="width:960px;max-width:95vw;max-height:90vh;overflow-y:auto;">
+        <h2 style="margin-bottom:4px;">Run Analytics</h2>
+        <div style="font-size:12px;color:var(--text-muted);margin-bottom:14px;">${ended.length} ended run${ended.length !== 1 ? 's' : ''} · ${timed.length} with page times · times exclude holds</div>
+        ${timed.length ? `<div style="display:flex;gap:14px;align-items:center;flex-wrap:wrap;font-size:12px;color:var(--text-muted);">
+          <label style="margin:0;">Run <select id="ra-run" style="${selectStyle}">${options(runId)}</select></label>
+          <label style="margin:0;">Baseline <select id="ra-baseline" style="${selectStyle}">${options(baselineId)}</select></label>
+          ${isOwner() ? `<button class="settings-btn" id="ra-pin"${baselineId === pinnedId ? ' disabled' : ''}>${baselineId === pinnedId ? '★ Production baseline' : 'Pin as production baseline'}</button>` : ''}
+        </div>` : ''}
+        <div style="${H3}">Running Times</div>
+        ${_runningTimesHtml(timed, sections, baseline)}
+        ${_sceneTableHtml(run, baseline, sections)}
+        <div style="${H3}">Page Pace vs Baseline</div>
+        ${_paceHtml(run, baseline, pageLabel)}
+        <div style="${H3}">Holds</div>
+        ${ended.length ? _holdsHtml(ended) : '<div style="color:var(--text-muted);font-size:12px;">No ended runs yet.</div>'}
+        <div style="${H3}">Notes by Actor</div>
+        ${_actorNotesHtml(ended)}
+        <div class="modal-btns" style="margin-top:18px;">
+          <button class="modal-btn-cancel" id="ra-close">Close</button>
+        </div>
+      </div>`;
+
+    backdrop.querySelector('#ra-close').addEventListener('click', () => backdrop.remove());
+    backdrop.querySelector('#ra-run')?.addEventListener('change', e => { runId = e.target.value; render(); });
+    backdrop.querySelector('#ra-baseline')?.addEventListener('change', e => { baselineId = e.target.value; render(); });
+    backdrop.querySelector('#ra-pin')?.addEventListener('click', async () => {
+      const pid = state.activeProduction?.id;
+      if (!pid || !baselineId) return;
+      try {
+        await updateDoc(doc(db, 'productions', pid), { timingBaselineSessionId: baselineId });
+        state.activeProduction.timingBaselineSessionId = baselineId;
+        pinnedId = baselineId;
+        toast('Baseline pinned.', 'success');
+        render();
+      } catch (e) {
+        console.error('Pin baseline error:', e);
+        toast('Failed to pin baseline.', 'error');
+      }
+    });
+  };
+  render();
+}
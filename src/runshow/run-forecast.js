@@ -0,0 +1,70 @@
+/**
+ * run-forecast.js — Live End-Time & Act-Break Forecast
+ *
+ * Projects the end of the current act and of the show from a baseline run's
+ * pageLog (the production's pinned timingBaselineSessionId, or the most
+ * recent recorded run), and reports how far ahead/behind the live run is.
+ *
+ * Position model: the baseline spent [arrive, leave) on each page. While the
+ * live clock is inside that window we are on pace; before it we are ahead,
+ * after it we are behind. This works whether or not the live run is
+ * recording page times — only the current page and the clock are needed.
+ */
+
+import { buildSections, pageArrivals, pageOrder, sectionStarts } from './run-analytics.js';
+
+/**
+ * Pick the forecast baseline from recorded sessions (newest first).
+ * @param {Array}  recorded   — ended sessions with a pageLog
+ * @param {string} pinnedId   — production.timingBaselineSessionId
+ * @param {string} currentId  — the live session (never its own baseline)
+ */
+export function pickForecastBaseline(recorded, pinnedId, currentId) {
+  const candidates = recorded.filter(s => s.id !== currentId);
+  return candidates.find(s => s.id === pinnedId) || candidates[0] || null;
+}
+
+/**
+ * Build the forecast for the live position.
+ * @param {Object} baseline   — session doc with pageLog and durationSeconds
+ * @param {Array}  bookmarks  — production scriptBookmarks (act markers)
+ * @param {number} page       — current PDF page
+ * @param {string} half       — 'L' | 'R'
+ * @param {number} elapsedMs  — live active run time (holds excluded)
+ * @returns {{ deltaMs, act, actRemainingMs, isLastAct, showRemainingMs }|null}
+ */
+export function buildForecast(baseline, bookmarks, page, half, elapsedMs) {
+  if (!baseline?.pageLog?.length) return null;
+  const arrivals = pageArrivals(baseline.pageLog);
+  const endMs = (baseline.durationSeconds || 0) * 1000;
+  const order = pageOrder(page, half);
+
+  // Baseline window for the current page
+  let arrive = 0;
+  let leave = endMs;
+  for (const a of arrivals) {
+    if (a.order <= order) arrive = a.elapsedMs;
+    else { leave = a.elapsedMs; break; }
+  }
+  if (leave < arrive) leave = arrive;
+  const baselineEquivalent = Math.min(Math.max(elapsedMs, arrive), leave);
+  const deltaMs = elapsedMs - baselineEquivalent;
+
+  // Current act and where the baseline ended it
+  const sections = buildSections(bookmarks);
+  const starts = sectionStarts(baseline, sections);
+  let current = 0;
+  sections.forEach((s, i) => { if (s.order <= order) current = i; });
+  const act = sections[current].act;
+  const nextActIdx = sections.findIndex((s, i) => i > current && s.act !== act && starts[i] !== null);
+  const isLastAct = nextActIdx === -1;
+  const actEndMs = isLastAct ? endMs : starts[nextActIdx];
+
+  return {
+    deltaMs,
+    act,
+    actRemainingMs: Math.max(0, actEndMs - baselineEquivalent),
+    isLastAct,
+    showRemainingMs: Math.max(0, endMs - baselineEquivalent),
+  };
+}
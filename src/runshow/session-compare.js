@@ -0,0 +1,249 @@
+/**
+ * session-compare.js — Side-by-Side Session Comparison
+ *
+ * Compares two or more sessions chosen in the Reports list, oldest first;
+ * each run's deltas are against the run before it:
+ *   - duration, hold time, hold count and note count, with deltas
+ *   - time spent on each page (from pageLog arrivals), with deltas
+ *   - line notes matched by actor + line zone across the runs: recurring
+ *     (still in the latest run), fixed (gone from it) or new
+ *
+ * A note's "spot" is castId + page/half + zoneIdx. Notes not tied to a zone
+ * fall back to their line text; general notes with neither are not matched.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml } from '../shared/ui.js';
+import { getCastMembers } from '../cast/cast.js';
+import { pageArrivals, formatRunTime, formatRunDelta, runLabel, TH, TD, H3 } from './run-analytics.js';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+
+/* ── MODEL ────────────────────────────────────── */
+
+/**
+ * Stable key for "the same trouble spot" — one per actor on the note.
+ * @returns {string|null} null when the note is not tied to a line
+ */
+export function noteSpotKey(note, castId) {
+  if (!castId) return null;
+  const pos = `${note.page}|${note.half || ''}`;
+  if (note.zoneIdx !== null && note.zoneIdx !== undefined) return `${castId}|${pos}|z${note.zoneIdx}`;
+  const text = (note.lineText || '').trim().toLowerCase();
+  return text ? `${castId}|${pos}|t${text}` : null;
+}
+
+/** Expand a note into one { castId, characterName } entry per actor. */
+export function noteActorEntries(note) {
+  return note.actors?.length
+    ? note.actors.filter(a => a.castId)
+    : ((note.castId || note.charId) ? [{ castId: note.castId || note.charId, characterName: note.characterName || note.charName }] : []);
+}
+
+/**
+ * Time spent on each page in a session: next arrival minus this arrival
+ * (the last page runs to the end of the session).
+ * @returns {Map<number, { page, half, ms }>} keyed by page order
+ */
+export function pageDwellTimes(session) {
+  const arrivals = pageArrivals(session.pageLog);
+  const endMs = (session.durationSeconds || 0) * 1000;
+  const out = new Map();
+  arrivals.forEach((a, i) => {
+    const next = arrivals[i + 1]?.elapsedMs ?? endMs;
+    out.set(a.order, { page: a.page, half: a.half, ms: Math.max(0, next - a.elapsedMs) });
+  });
+  return out;
+}
+
+/**
+ * Match note spots across sessions (oldest → newest).
+ * @param {Array}  sessions      — ordered sessions
+ * @param {Object} notesBySession — sessionId → notes[]
+ * @returns {Array<{ key, castId, characterName, page, half, lineText, types, present: boolean[], status }>}
+ *   status: 'recurring' (latest run and an earlier one) | 'new' (latest only) | 'fixed' (not in latest)
+ */
+export function matchNoteSpots(sessions, notesBySession) {
+  const spots = new Map();
+  sessions.forEach((s, i) => {
+    (notesBySession[s.id] || []).forEach(n => {
+      noteActorEntries(n).forEach(({ castId, characterName }) => {
+        const key = noteSpotKey(n, castId);
+        if (!key) return;
+        let spot = spots.get(key);
+        if (!spot) {
+          spot = { key, castId, characterName: characterName || '', page: n.page, half: n.half || '', lineText: n.lineText || '', types: new Set(), present: sessions.map(() => false) };
+          spots.set(key, spot);
+        }
+        spot.present[i] = true;
+        if (n.type) spot.types.add(n.type);
+      });
+    });
+  });
+  const last = sessions.length - 1;
+  return [...spots.values()].map(s => {
+    const earlier = s.present.slice(0, last).some(Boolean);
+    const status = s.present[last] ? (earlier ? 'recurring' : 'new') : 'fixed';
+    return { ...s, types: [...s.types], status };
+  });
+}
+
+/* ── FORMATTING ───────────────────────────────── */
+
+function _delta(ms) {
+  if (ms === null || ms === undefined) return '';
+  const color = Math.abs(ms) < 1000 ? 'var(--text-muted)' : ms > 0 ? 'var(--red)' : 'var(--green)';
+  return ` <span style="color:${color};font-size:10px;">${formatRunDelta(ms)}</span>`;
+}
+
+function _countDelta(n) {
+  if (!n) return '';
+  return ` <span style="color:${n > 0 ? 'var(--red)' : 'var(--green)'};font-size:10px;">${n > 0 ? '+' : '−'}${Math.abs(n)}</span>`;
+}
+
+const STATUS_STYLE = {
+  recurring: { label: 'Recurring', color: 'var(--red)' },
+  fixed:     { label: 'Fixed',     color: 'var(--green)' },
+  new:       { label: 'New',       color: 'var(--gold)' },
+};
+
+/* ── SECTIONS ─────────────────────────────────── */
+
+function _summaryHtml(sessions, notesBySession) {
+  const metrics = [
+    { label: 'Duration', value: s => (s.durationSeconds || 0) * 1000, time: true },
+    { label: 'Hold time', value: s => (s.totalHoldSeconds || 0) * 1000, time: true },
+    { label: 'Holds', value: s => (s.holdLog || []).length },
+    { label: 'Pages', value: s => s.totalPages || 0 },
+    { label: 'Notes', value: s => (notesBySession[s.id] || []).length },
+  ];
+  return `<table style="width:100%;border-collapse:collapse;">
+    <thead><tr><th style="${TH}"></th>${sessions.map(s => `<th style="${TH}">${escapeHtml(runLabel(s))}</th>`).join('')}</tr></thead>
+    <tbody>${metrics.map(m => `<tr>
+      <td style="${TD}color:var(--text-muted);">${m.label}</td>
+      ${sessions.map((s, i) => {
+        const v = m.value(s);
+        if (i === 0) return `<td style="${TD}">${m.time ? formatRunTime(v) : v}</td>`;
+        const d = v - m.value(sessions[i - 1]);
+        return `<td style="${TD}">${m.time ? formatRunTime(v) + _delta(d) : v + _countDelta(d)}</td>`;
+      }).join('')}
+    </tr>`).join('')}</tbody>
+  </table>
+  <div style="font-size:11px;color:var(--text-muted);margin-top:6px;">Deltas are against the previous run in the list.</div>`;
+}
+
+function _pageTimesHtml(sessions, pageLabel) {
+  const timed = sessions.filter(s => s.pageLog?.length);
+  if (timed.length < 2) {
+    return '<div style="color:var(--text-muted);font-size:12px;">Per-page times need at least two of these runs to have recorded page times.</div>';
+  }
+  const dwell = timed.map(pageDwellTimes);
+  const orders = [...new Set(dwell.flatMap(m => [...m.keys()]))].sort((a, b) => a - b);
+  const rows = orders.map(order => {
+    const cells = dwell.map(m => m.get(order) || null);
+    const ref = cells.find(Boolean);
+    const first = cells[0]?.ms ?? null;
+    const last = cells[cells.length - 1]?.ms ?? null;
+    return { page: ref.page, half: ref.half, cells, change: first !== null && last !== null ? last - first : null };
+  });
+  const worst = rows.filter(r => r.change !== null).sort((a, b) => b.change - a.change)[0];
+  return `<div style="max-height:340px;overflow-y:auto;">
+    <table style="width:100%;border-collapse:collapse;">
+      <thead><tr><th style="${TH}">Page</th>${timed.map(s => `<th style="${TH}">${escapeHtml(runLabel(s))}</th>`).join('')}<th style="${TH}">First → Last</th></tr></thead>
+      <tbody>${rows.map(r => `<tr${r === worst && r.change >= 1000 ? ' style="background:rgba(230,57,70,0.06);"' : ''}>
+        <td style="${TD}color:var(--text-muted);">p.${escapeHtml(pageLabel(r.page, r.half))}</td>
+        ${r.cells.map((c, i) => {
+          const prev = i > 0 ? r.cells[i - 1] : null;
+          return `<td style="${TD}">${c ? formatRunTime(c.ms) + (prev ? _delta(c.ms - prev.ms) : '') : '—'}</td>`;
+        }).join('')}
+        <td style="${TD}">${r.change !== null ? _delta(r.change) : '—'}</td>
+      </tr>`).join('')}</tbody>
+    </table>
+  </div>
+  ${timed.length < sessions.length ? `<div style="font-size:11px;color:var(--text-muted);margin-top:6px;">${sessions.length - timed.length} selected run${sessions.length - timed.length !== 1 ? 's' : ''} without page times not shown.</div>` : ''}`;
+}
+
+function _notesHtml(sessions, spots, pageLabel) {
+  if (!spots.length) {
+    return '<div style="color:var(--text-muted);font-size:12px;">No line notes tied to a line in these runs.</div>';
+  }
+  const cast = getCastMembers();
+  const counts = { recurring: 0, fixed: 0, new: 0 };
+  spots.forEach(s => { counts[s.status]++; });
+  const statusOrder = ['recurring', 'new', 'fixed'];
+  const sorted = [...spots].sort((a, b) =>
+    statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status)
+    || (a.page - b.page) || (a.half || '').localeCompare(b.half || ''));
+
+  const summary = statusOrder.filter(k => counts[k]).map(k =>
+    `<span style="color:${STATUS_STYLE[k].color};margin-right:14px;">${counts[k]} ${STATUS_STYLE[k].label.toLowerCase()}</span>`
+  ).join('');
+
+  return `<div style="font-size:12px;margin-bottom:8px;">${summary}</div>
+  <div style="max-height:360px;overflow-y:auto;">
+    <table style="width:100%;border-collapse:collapse;">
+      <thead><tr><th style="${TH}">Status</th><th style="${TH}">Actor</th><th style="${TH}">Page</th><th style="${TH}">Line</th>${sessions.map((s, i) => `<th style="${TH}text-align:center;" title="${escapeHtml(runLabel(s))}">${i + 1}</th>`).join('')}</tr></thead>
+      <tbody>${sorted.map(s => {
+        const member = cast.find(m => m.id === s.castId);
+        const st = STATUS_STYLE[s.status];
+        return `<tr>
+          <td style="${TD}color:${st.color};">${st.label}</td>
+          <td style="${TD}"><span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:${escapeHtml(member?.color || '#888')};margin-right:6px;"></span>${escapeHtml(member?.name || s.characterName || '?')}</td>
+          <td style="${TD}color:var(--text-muted);">p.${escapeHtml(pageLabel(s.page, s.half))}</td>
+          <td style="${TD}white-space:normal;font-family:'DM Sans',sans-serif;color:var(--text-secondary);max-width:320px;">${escapeHtml(s.lineText.slice(0, 90))}${s.lineText.length > 90 ? '…' : ''}${s.types.length ? ` <span style="font-family:'DM Mono',monospace;font-size:10px;color:var(--text-muted);">${escapeHtml(s.types.join(', '))}</span>` : ''}</td>
+          ${s.present.map(p => `<td style="${TD}text-align:center;color:${p ? 'var(--text-primary)' : 'var(--bg-border)'};">${p ? '●' : '○'}</td>`).join('')}
+        </tr>`;
+      }).join('')}</tbody>
+    </table>
+  </div>`;
+}
+
+/* ── MODAL ────────────────────────────────────── */
+
+/**
+ * Open the comparison for the given sessions (any order; sorted oldest first).
+ * @param {Array} sessions — session docs with id
+ * @param {Object} [opts]
+ * @param {Function} [opts.pageLabel] — (page, half) → script page label
+ */
+export async function openSessionCompare(sessions, { pageLabel = p => String(p) } = {}) {
+  const pid = state.activeProduction?.id;
+  if (!pid) return;
+  const ordered = [...sessions].sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+  if (ordered.length < 2) { toast('Select at least two runs to compare.', 'error'); return; }
+
+  let notesBySession = {};
+  try {
+    const snaps = await Promise.all(ordered.map(s =>
+      getDocs(query(collection(db, 'productions', pid, 'lineNotes'), where('sessionId', '==', s.id)))
+    ));
+    snaps.forEach((snap, i) => { notesBySession[ordered[i].id] = snap.docs.map(d => ({ id: d.id, ...d.data() })); });
+  } catch (e) {
+    console.error('Compare: failed to load notes', e);
+    toast('Could not load notes for comparison.', 'error');
+    return;
+  }
+  const spots = matchNoteSpots(ordered, notesBySession);
+
+  document.querySelector('.session-compare-backdrop')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop session-compare-backdrop';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="width:1000px;max-width:95vw;max-height:90vh;overflow-y:auto;">
+      <h2 style="margin-bottom:4px;">Compare Runs</h2>
+      <div style="font-size:12px;color:var(--text-muted);margin-bottom:6px;">${ordered.map((s, i) => `${i + 1}. ${escapeHtml(runLabel(s))}`).join(' &nbsp; ')}</div>
+      <div style="${H3}">Summary</div>
+      ${_summaryHtml(ordered, notesBySession)}
+      <div style="${H3}">Time per Page</div>
+      ${_pageTimesHtml(ordered, pageLabel)}
+      <div style="${H3}">Line Notes — Recurring vs Fixed</div>
+      ${_notesHtml(ordered, spots, pageLabel)}
+      <div class="modal-btns" style="margin-top:18px;">
+        <button class="modal-btn-cancel" id="sc-close">Close</button>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+  backdrop.querySelector('#sc-close').addEventListener('click', () => backdrop.remove());
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) backdrop.remove(); });
+}
@@ -0,0 +1,333 @@
+/**
+ * show-report.js — Performance Show Reports
+ *
+ * A per-production template (productions/{pid}.showReportTemplate) decides
+ * which sections a show report has. The form is pre-filled from session data
+ * and saved on the session doc alongside the rehearsal reportHtml:
+ *
+ *   sessions/{sid}.showReport      — the filled-in fields (re-editable)
+ *   sessions/{sid}.showReportHtml  — rendered, printable report
+ *
+ * Wall-clock times are stored as "HH:MM" strings, as the SM would write them.
+ * Act up/down defaults come from the pageLog and act bookmarks (see
+ * run-analytics.js); an intermission hold called just before an act break is
+ * taken as that act's down time.
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { isOwner } from '../shared/roles.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml, sanitizeName } from '../shared/ui.js';
+import { doc, updateDoc } from 'firebase/firestore';
+import { buildSections, sectionStarts } from './run-analytics.js';
+import { holdReportSectionHtml } from './hold-reasons.js';
+
+// An intermission hold is one that starts this close (active time) before an act break
+const ACT_BREAK_HOLD_WINDOW_MS = 2 * 60_000;
+
+export const SHOW_REPORT_SECTIONS = [
+  { id: 'times',       label: 'House open & curtain' },
+  { id: 'acts',        label: 'Act up / down times' },
+  { id: 'houseCount',  label: 'House count' },
+  { id: 'departments', label: 'Department notes' },
+  { id: 'incidents',   label: 'Incidents' },
+  { id: 'audience',    label: 'Audience notes' },
+  { id: 'holds',       label: 'Holds' },
+];
+
+export const DEFAULT_SHOW_REPORT_TEMPLATE = {
+  title: 'Performance Report',
+  sections: Object.fromEntries(SHOW_REPORT_SECTIONS.map(s => [s.id, true])),
+  departments: ['LX', 'SQ', 'Props', 'Wardrobe', 'Scenic'],
+  customFields: [],
+};
+
+/** The production's template merged over the defaults. */
+export function getShowReportTemplate(production) {
+  const t = production?.showReportTemplate || {};
+  return {
+    title: t.title || DEFAULT_SHOW_REPORT_TEMPLATE.title,
+    sections: { ...DEFAULT_SHOW_REPORT_TEMPLATE.sections, ...(t.sections || {}) },
+    departments: Array.isArray(t.departments) ? t.departments : DEFAULT_SHOW_REPORT_TEMPLATE.departments,
+    customFields: Array.isArray(t.customFields) ? t.customFields : [],
+  };
+}
+
+/* ── TIMES ────────────────────────────────────── */
+
+function _hhmm(ms) {
+  if (!ms) return '';
+  const d = new Date(ms);
+  return String(d.getHours()).padStart(2, '0') + ':' + String(d.getMinutes()).padStart(2, '0');
+}
+
+function _display(hhmm) {
+  if (!hhmm) return '—';
+  const [h, m] = hhmm.split(':').map(Number);
+  const d = new Date(); d.setHours(h, m, 0, 0);
+  return d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+function _sortedHolds(session) {
+  return [...(session.holdLog || [])].sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+}
+
+/** Wall-clock ms for an active-time offset, adding back holds taken before it. */
+export function elapsedToWallMs(session, elapsedMs) {
+  const start = session.startedAt || 0;
+  let held = 0;
+  for (const h of _sortedHolds(session)) {
+    const holdElapsed = h.startedAt - start - held;
+    if (holdElapsed > elapsedMs) break;
+    held += (h.durationSeconds || 0) * 1000;
+  }
+  return start + elapsedMs + held;
+}
+
+function _holdBefore(session, elapsedMs) {
+  const start = session.startedAt || 0;
+  let held = 0;
+  let found = null;
+  for (const h of _sortedHolds(session)) {
+    const holdElapsed = h.startedAt - start - held;
+    if (holdElapsed > elapsedMs) break;
+    if (elapsedMs - holdElapsed <= ACT_BREAK_HOLD_WINDOW_MS) found = h;
+    held += (h.durationSeconds || 0) * 1000;
+  }
+  return found;
+}
+
+/** Act up/down wall times from the session's pageLog and the act bookmarks. */
+export function deriveActTimes(session, bookmarks) {
+  const sections = buildSections(bookmarks);
+  const starts = sectionStarts(session, sections);
+  const acts = [];
+  sections.forEach((s, i) => {
+    if (starts[i] === null || acts.some(a => a.act === s.act)) return;
+    acts.push({ act: s.act, startMs: starts[i] });
+  });
+  const endWall = session.endedAt?.toMillis
+    ? session.endedAt.toMillis()
+    : elapsedToWallMs(session, (session.durationSeconds || 0) * 1000);
+  return acts.map((a, i) => {
+    const next = acts[i + 1];
+    let downMs = endWall;
+    if (next) {
+      const intermission = _holdBefore(session, next.startMs);
+      downMs = intermission ? intermission.startedAt : elapsedToWallMs(session, next.startMs);
+    }
+    return { act: a.act === 'Full run' ? 'Show' : a.act, up: _hhmm(elapsedToWallMs(session, a.startMs)), down: _hhmm(downMs) };
+  });
+}
+
+/** Field values for the form: the saved report, or defaults from the session. */
+export function buildShowReportDefaults(session, template, bookmarks) {
+  const saved = session.showReport || {};
+  const departmentNotes = {};
+  template.departments.forEach(d => { departmentNotes[d] = saved.departmentNotes?.[d] || ''; });
+  const custom = {};
+  template.customFields.forEach(f => { custom[f] = saved.custom?.[f] || ''; });
+  return {
+    houseOpen: saved.houseOpen || '',
+    curtain: saved.curtain || _hhmm(session.startedAt),
+    acts: saved.acts?.length ? saved.acts : deriveActTimes(session, bookmarks),
+    houseCount: saved.houseCount ?? '',
+    departmentNotes,
+    incidents: saved.incidents || '',
+    audience: saved.audience || '',
+    custom,
+  };
+}
+
+/* ── RENDER ───────────────────────────────────── */
+
+function _para(text) {
+  return text ? `<div class="scratch-text">${escapeHtml(text)}</div>` : '<div class="scratch-text" style="color:#bbb;">Nothing to report.</div>';
+}
+
+/** Printable show report (same light theme as the rehearsal run report). */
+export function renderShowReportHtml(session, data, template) {
+  const on = template.sections;
+  const prodTitle = state.activeProduction?.title || '';
+  const dateStr = session.date?.toDate
+    ? session.date.toDate().toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' })
+    : new Date(session.startedAt || Date.now()).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' });
+
+  const timeRows = [];
+  if (on.times) {
+    timeRows.push(`<tr><td>House Open</td><td>${_display(data.houseOpen)}</td></tr>`);
+    timeRows.push(`<tr><td>Curtain</td><td>${_display(data.curtain)}</td></tr>`);
+  }
+  if (on.acts) {
+    data.acts.forEach(a => {
+      timeRows.push(`<tr><td>${escapeHtml(a.act)}</td><td>${_display(a.up)} – ${_display(a.down)}</td></tr>`);
+    });
+  }
+  if (on.houseCount) timeRows.push(`<tr><td>House Count</td><td>${escapeHtml(String(data.houseCount || '—'))}</td></tr>`);
+
+  const deptSection = on.departments && template.departments.length
+    ? `<div class="scratch-section"><h2 class="section-title">Department Notes</h2>
+${template.departments.map(d => `<div style="margin-bottom:12px;"><div class="se" style="text-transform:uppercase;letter-spacing:1px;margin-bottom:4px;">${escapeHtml(d)}</div>${_para(data.departmentNotes[d])}</div>`).join('')}
+</div>` : '';
+  const customSection = template.customFields.map(f =>
+    `<div class="scratch-section"><h2 class="section-title">${escapeHtml(f)}</h2>${_para(data.custom[f])}</div>`).join('');
+
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeHtml(template.title)} — ${escapeHtml(session.title || '')}</title>
+<style>
+@import url('https://fonts.googleapis.com/css2?family=DM+Mono:wght@400;500&family=Instrument+Serif:ital@0;1&family=DM+Sans:wght@400;500&display=swap');
+*{box-sizing:border-box;margin:0;padding:0}body{font-family:'DM Sans',sans-serif;background:#f5f3ee;color:#1a1814;padding:40px 48px}
+h1{font-family:'Instrument Serif',serif;font-size:32px;margin-bottom:4px}
+.meta{font-family:'DM Mono',monospace;font-size:12px;color:#999;margin-bottom:24px}
+.stats-table{width:100%;border-collapse:collapse;margin-bottom:28px;background:#fff;border-radius:10px;overflow:hidden;box-shadow:0 2px 10px rgba(0,0,0,.07)}
+.stats-table th,.stats-table td{padding:10px 16px;text-align:left;border-bottom:1px solid #f0ede4;font-size:13px}
+.stats-table th{font-family:'DM Mono',monospace;font-size:11px;color:#999;text-transform:uppercase;letter-spacing:0.5px;background:#faf8f3}
+.stats-table tr:last-child td{border-bottom:none}
+.section-title{font-family:'Instrument Serif',serif;font-size:20px;margin-bottom:12px}
+.scratch-section{background:#fff;border-radius:10px;padding:22px 26px;margin-bottom:20px;box-shadow:0 2px 10px rgba(0,0,0,.07)}
+.scratch-text{font-size:13px;color:#555;white-space:pre-wrap;font-family:'DM Mono',monospace}
+.se{font-family:'DM Mono',monospace;font-size:11px;color:#999}
+@media print{body{padding:20px}}
+</style></head><body>
+<h1>${escapeHtml(template.title)}</h1>
+<div class="meta">${escapeHtml(prodTitle)} &middot; ${escapeHtml(session.title || '')} &middot; ${dateStr}</div>
+${timeRows.length ? `<table class="stats-table"><thead><tr><th>Time</th><th>Value</th></tr></thead><tbody>${timeRows.join('')}</tbody></table>` : ''}
+${on.incidents ? `<div class="scratch-section"><h2 class="section-title">Incidents</h2>${_para(data.incidents)}</div>` : ''}
+${deptSection}
+${on.audience ? `<div class="scratch-section"><h2 class="section-title">Audience Notes</h2>${_para(data.audience)}</div>` : ''}
+${customSection}
+${on.holds ? holdReportSectionHtml(session.holdLog) : ''}
+</body></html>`;
+}
+
+/* ── FORM ─────────────────────────────────────── */
+
+const INPUT = 'width:100%;box-sizing:border-box;padding:7px 10px;background:var(--bg-deep);border:1px solid var(--bg-border);border-radius:6px;color:var(--text-primary);font-size:13px;outline:none;';
+const LBL = 'display:block;font-size:11px;color:var(--text-muted);font-family:\'DM Mono\',monospace;text-transform:uppercase;letter-spacing:1px;margin:12px 0 5px;';
+
+/**
+ * Open the show report form for a session.
+ * @param {Object}   session  — session doc ({ id, ...data })
+ * @param {Object}   opts
+ * @param {Array}    opts.bookmarks — production scriptBookmarks (act markers)
+ * @param {Function} opts.onSaved   — (html) => void, after the report is saved
+ */
+export function openShowReportForm(session, { bookmarks = [], onSaved } = {}) {
+  document.querySelector('.show-report-backdrop')?.remove();
+  const template = getShowReportTemplate(state.activeProduction);
+  const data = buildShowReportDefaults(session, template, bookmarks);
+  const on = template.sections;
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop show-report-backdrop';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="width:560px;max-width:95vw;max-height:90vh;overflow-y:auto;">
+      <h2 style="margin-bottom:4px;">${escapeHtml(template.title)}</h2>
+      <div style="font-size:12px;color:var(--text-muted);margin-bottom:8px;">${escapeHtml(session.title || 'Untitled')} · times pre-filled from the run — adjust as needed</div>
+      ${on.times ? `<div style="display:flex;gap:12px;">
+        <div style="flex:1;"><label style="${LBL}">House Open</label><input type="time" id="sr-house-open" style="${INPUT}" value="${escapeHtml(data.houseOpen)}" /></div>
+        <div style="flex:1;"><label style="${LBL}">Curtain</label><input type="time" id="sr-curtain" style="${INPUT}" value="${escapeHtml(data.curtain)}" /></div>
+      </div>` : ''}
+      ${on.acts ? `<label style="${LBL}">Act Times</label>
+        ${data.acts.map((a, i) => `<div style="display:flex;gap:8px;align-items:center;margin-bottom:6px;">
+          <span style="width:90px;font-size:12px;color:var(--text-secondary);">${escapeHtml(a.act)}</span>
+          <input type="time" class="sr-act-up" data-idx="${i}" style="${INPUT}flex:1;" value="${escapeHtml(a.up || '')}" title="Up" />
+          <span style="color:var(--text-muted);">–</span>
+          <input type="time" class="sr-act-down" data-idx="${i}" style="${INPUT}flex:1;" value="${escapeHtml(a.down || '')}" title="Down" />
+        </div>`).join('')}` : ''}
+      ${on.houseCount ? `<label style="${LBL}">House Count</label><input type="number" min="0" id="sr-house-count" style="${INPUT}" value="${escapeHtml(String(data.houseCount))}" />` : ''}
+      ${on.incidents ? `<label style="${LBL}">Incidents</label><textarea id="sr-incidents" rows="3" style="${INPUT}resize:vertical;">${escapeHtml(data.incidents)}</textarea>` : ''}
+      ${on.departments ? template.departments.map(d => `<label style="${LBL}">${escapeHtml(d)}</label>
+        <textarea class="sr-dept" data-dept="${escapeHtml(d)}" rows="2" style="${INPUT}resize:vertical;">${escapeHtml(data.departmentNotes[d])}</textarea>`).join('') : ''}
+      ${on.audience ? `<label style="${LBL}">Audience Notes</label><textarea id="sr-audience" rows="2" style="${INPUT}resize:vertical;">${escapeHtml(data.audience)}</textarea>` : ''}
+      ${template.customFields.map(f => `<label style="${LBL}">${escapeHtml(f)}</label>
+        <textarea class="sr-custom" data-field="${escapeHtml(f)}" rows="2" style="${INPUT}resize:vertical;">${escapeHtml(data.custom[f])}</textarea>`).join('')}
+      <div class="modal-btns" style="margin-top:18px;">
+        <button class="modal-btn-cancel" id="sr-cancel">Cancel</button>
+        <button class="modal-btn-primary" id="sr-save">Save Show Report</button>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  backdrop.querySelector('#sr-cancel').addEventListener('click', () => backdrop.remove());
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) backdrop.remove(); });
+
+  backdrop.querySelector('#sr-save').addEventListener('click', async () => {
+    const val = sel => backdrop.querySelector(sel)?.value ?? '';
+    const filled = {
+      ...data,
+      houseOpen: on.times ? val('#sr-house-open') : data.houseOpen,
+      curtain: on.times ? val('#sr-curtain') : data.curtain,
+      acts: data.acts.map((a, i) => ({
+        act: a.act,
+        up: backdrop.querySelector(`.sr-act-up[data-idx="${i}"]`)?.value ?? a.up,
+        down: backdrop.querySelector(`.sr-act-down[data-idx="${i}"]`)?.value ?? a.down,
+      })),
+      houseCount: on.houseCount ? (parseInt(val('#sr-house-count'), 10) || 0) : data.houseCount,
+      incidents: on.incidents ? val('#sr-incidents').trim() : data.incidents,
+      audience: on.audience ? val('#sr-audience').trim() : data.audience,
+    };
+    backdrop.querySelectorAll('.sr-dept').forEach(t => { filled.departmentNotes[t.dataset.dept] = t.value.trim(); });
+    backdrop.querySelectorAll('.sr-custom').forEach(t => { filled.custom[t.dataset.field] = t.value.trim(); });
+
+    const html = renderShowReportHtml(session, filled, template);
+    try {
+      // Security: sessions update restricted to creator or owner
+      await updateDoc(doc(db, 'productions', state.activeProduction.id, 'sessions', session.id), {
+        showReport: filled,
+        showReportHtml: html,
+      });
+      session.showReport = filled;
+      session.showReportHtml = html;
+      backdrop.remove();
+      toast('Show report saved.', 'success');
+      onSaved?.(html);
+    } catch (e) {
+      console.error('Save show report error:', e);
+      toast('Failed to save show report.', 'error');
+    }
+  });
+}
+
+/* ── TEMPLATE SETTINGS ────────────────────────── */
+
+/** Owner editor for the production's show report template (Settings tab). */
+export function renderShowReportTemplateSettings(container) {
+  if (!container) return;
+  const prod = state.activeProduction;
+  const t = getShowReportTemplate(prod);
+  const owner = isOwner();
+  container.innerHTML = `
+    <div style="font-size:12px;color:var(--text-muted);margin-bottom:10px;">Sections included in performance show reports.</div>
+    <div class="settings-field" style="flex-wrap:wrap;gap:6px 16px;">
+      ${SHOW_REPORT_SECTIONS.map(s => `<label style="display:flex;align-items:center;gap:6px;font-size:13px;color:var(--text-secondary);cursor:pointer;">
+        <input type="checkbox" class="srt-section" data-id="${s.id}"${t.sections[s.id] ? ' checked' : ''}${owner ? '' : ' disabled'} style="width:auto;margin:0;" />${escapeHtml(s.label)}
+      </label>`).join('')}
+    </div>
+    <div style="font-size:12px;color:var(--text-muted);margin:12px 0 4px;">Report title</div>
+    <input type="text" id="srt-title" class="form-input" maxlength="100" value="${escapeHtml(t.title)}"${owner ? '' : ' disabled'} />
+    <div style="font-size:12px;color:var(--text-muted);margin:12px 0 4px;">Departments (comma-separated)</div>
+    <input type="text" id="srt-depts" class="form-input" value="${escapeHtml(t.departments.join(', '))}"${owner ? '' : ' disabled'} />
+    <div style="font-size:12px;color:var(--text-muted);margin:12px 0 4px;">Extra fields (comma-separated, e.g. Weather, Front of House)</div>
+    <input type="text" id="srt-custom" class="form-input" value="${escapeHtml(t.customFields.join(', '))}"${owner ? '' : ' disabled'} />
+    ${owner ? '<button class="settings-btn settings-btn--primary" id="srt-save" style="margin-top:10px;">Save Template</button>' : ''}
+  `;
+
+  container.querySelector('#srt-save')?.addEventListener('click', async () => {
+    const list = sel => container.querySelector(sel).value.split(',').map(v => sanitizeName(v)).filter(Boolean);
+    const template = {
+      title: sanitizeName(container.querySelector('#srt-title').value) || DEFAULT_SHOW_REPORT_TEMPLATE.title,
+      sections: Object.fromEntries([...container.querySelectorAll('.srt-section')].map(c => [c.dataset.id, c.checked])),
+      departments: list('#srt-depts'),
+      customFields: list('#srt-custom'),
+    };
+    try {
+      await updateDoc(doc(db, 'productions', prod.id), { showReportTemplate: template });
+      state.activeProduction.showReportTemplate = template;
+      toast('Show report template saved.', 'success');
+    } catch (e) {
+      console.error('Save template error:', e);
+      toast('Failed to save template.', 'error');
+    }
+  });
+}
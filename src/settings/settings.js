@@ -1,4 +1,4 @@
-import { db, storage } from '../firebase.js';
+import { db } from '../firebase.js';
 import { state } from '../shared/state.js';
 import { isOwner } from '../shared/roles.js';
 import { toast } from '../shared/toast.js';
@@ -7,11 +7,13 @@ import {
   collection, doc, getDoc, getDocs, updateDoc, deleteDoc, setDoc,
   serverTimestamp
 } from 'firebase/firestore';
-import { ref, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
 import {
   getProductionLocations, initProductionLocations, subscribeToLocations,
   saveLocation, deleteLocation, reorderLocations, DEFAULT_LOCATIONS
 } from '../tracking/locations.js';
+import { renderScriptRevisionsSettings } from '../linenotes/script-revisions.js';
+import { renderShowReportTemplateSettings } from '../runshow/show-report.js';
+import { renderReportDistributionSettings } from '../runshow/report-distribution.js';
 
 let _locationsSubbed = false;
 
@@ -70,18 +72,8 @@ export async function renderSettingsTab() {
     </div>
 
     <div class="settings-section">
-      <h3>Script PDF</h3>
-      ${prod.scriptPath
-        ? `<div style="color:var(--text-secondary);font-size:13px;margin-bottom:10px;">Script uploaded ✓</div>`
-        : `<div style="color:var(--text-muted);font-size:13px;margin-bottom:10px;">No script uploaded.</div>`
-      }
-      ${owner ? `
-        <button class="settings-btn settings-btn--primary" id="settings-upload-script-btn">${prod.scriptPath ? 'Replace Script' : 'Upload Script'}</button>
-        <input type="file" id="settings-script-file" accept="application/pdf" style="display:none;" />
-        <div class="upload-progress" id="settings-upload-progress" style="display:none;margin-top:8px;">
-          <div class="upload-progress-bar" id="settings-upload-bar"></div>
-        </div>
-      ` : ''}
+      <h3>Script PDF &amp; Revisions</h3>
+      <div id="settings-script-revisions"></div>
     </div>
 
     <div class="settings-section">
@@ -92,6 +84,16 @@ export async function renderSettingsTab() {
       ` : ''}
     </div>
 
+    <div class="settings-section">
+      <h3>Show Report Template</h3>
+      <div id="settings-show-report-template"></div>
+    </div>
+
+    <div class="settings-section">
+      <h3>Report Distribution</h3>
+      <div id="settings-report-distribution"></div>
+    </div>
+
     <div class="settings-section">
       <h3>Members</h3>
       <div id="settings-members-list"><div style="color:var(--text-muted);font-size:13px;">Loading…</div></div>
@@ -140,33 +142,12 @@ export async function renderSettingsTab() {
         renderSettingsTab();
       } catch(e) { toast('Failed.', 'error'); }
     });
-
-    // Script upload
-    const uploadBtn = container.querySelector('#settings-upload-script-btn');
-    const fileInput = container.querySelector('#settings-script-file');
-    uploadBtn?.addEventListener('click', () => fileInput.click());
-    fileInput?.addEventListener('change', async () => {
-      const file = fileInput.files[0];
-      if (!file || file.type !== 'application/pdf') { toast('Select a PDF.', 'error'); return; }
-      const progressDiv = container.querySelector('#settings-upload-progress');
-      const bar = container.querySelector('#settings-upload-bar');
-      progressDiv.style.display = 'block';
-      uploadBtn.disabled = true;
-      const storageRef = ref(storage, `productions/${prod.id}/script.pdf`);
-      const task = uploadBytesResumable(storageRef, file);
-      task.on('state_changed',
-        snap => { bar.style.width = `${(snap.bytesTransferred / snap.totalBytes) * 100}%`; },
-        err => { toast('Upload failed.', 'error'); uploadBtn.disabled = false; },
-        async () => {
-          await updateDoc(doc(db, 'productions', prod.id), { scriptPath: `productions/${prod.id}/script.pdf` });
-          state.activeProduction.scriptPath = `productions/${prod.id}/script.pdf`;
-          toast('Script uploaded!', 'success');
-          renderSettingsTab();
-        }
-      );
-    });
   }
 
+  renderScriptRevisionsSettings(container.querySelector('#settings-script-revisions'));
+  renderShowReportTemplateSettings(container.querySelector('#settings-show-report-template'));
+  renderReportDistributionSettings(container.querySelector('#settings-report-distribution'));
+
   // Load members
   await loadSettingsMembers();
 
@@ -0,0 +1,348 @@
+/**
+ * annotations.js — Personal Script Markup
+ *
+ * A pencil layer over the script for every member, not just owners: freehand
+ * pen, highlighter and text boxes, drawn over the Run Show and zone editor
+ * pages. Stored per user, per page, per visibility:
+ *
+ *   productions/{id}/annotations/{uid}_{visibility}_{pageKey}:
+ *     { uid, userName, pageKey, visibility: 'private'|'shared',
+ *       strokes: [{ id, tool: 'pen'|'highlighter', color, points: [x1, y1, x2, y2, …] }],
+ *       texts:   [{ id, x, y, text, color }],
+ *       updatedAt }
+ *
+ * Coordinates are percent of the page. Points are a flat list because
+ * Firestore does not store nested arrays. Private docs are readable only by
+ * their author (see firestore.rules); shared docs by every member. pageKey is
+ * the zone doc key, so markup made on split halves shows in split view only.
+ */
+
+import { db } from '../firebase.js';
+import { state } from './state.js';
+import { toast } from './toast.js';
+import { escapeHtml, genId } from './ui.js';
+import {
+  collection, doc, setDoc, deleteDoc, onSnapshot, query, where, serverTimestamp,
+} from 'firebase/firestore';
+
+const COLORS = ['#e05252', '#5b9bd4', '#2d8a4e', '#1a1814', '#f5d547'];
+const TOOLS = { pen: 'Pen', highlighter: 'Highlight', text: 'Text', eraser: 'Erase' };
+const SHOW_SHARED_KEY = 'cue.annotations.showShared';
+const MIN_STEP = 0.25;   // % between recorded points
+const ERASE_RADIUS = 1.5;
+
+const _docs = new Map();  // docId → annotation doc
+const _listeners = new Set();
+let _unsub = null;
+let _active = null;       // { overlayId, pageKey, rerender } while drawing
+let _tool = 'pen';
+let _color = COLORS[0];
+let _visibility = 'private';
+let _showShared = localStorage.getItem(SHOW_SHARED_KEY) !== '0';
+
+function _uid() { return state.currentUser?.uid; }
+function _docId(pageKey, visibility) { return `${_uid()}_${visibility}_${pageKey}`; }
+
+/**
+ * Listen to your own markup and everyone's shared markup. Run Show and the
+ * zone editor share one pair of listeners.
+ * @param {() => void} onChange
+ * @returns {Function} unsubscribe
+ */
+export function subscribeAnnotations(onChange) {
+  _listeners.add(onChange);
+  if (!_unsub) _unsub = _listen();
+  else onChange();
+  return () => {
+    _listeners.delete(onChange);
+    if (_listeners.size || !_unsub) return;
+    _unsub();
+    _unsub = null;
+    _docs.clear();
+  };
+}
+
+function _listen() {
+  const pid = state.activeProduction.id;
+  const uid = _uid();
+  const col = collection(db, 'productions', pid, 'annotations');
+  const apply = (snap, own) => {
+    snap.docChanges().forEach(ch => {
+      const data = { id: ch.doc.id, ...ch.doc.data() };
+      // Your own docs come from the own-docs query only
+      if (!own && data.uid === uid) return;
+      if (ch.type === 'removed') _docs.delete(data.id);
+      else _docs.set(data.id, data);
+    });
+    _listeners.forEach(fn => fn());
+  };
+  const onError = e => console.warn('Annotations subscription error:', e);
+  const unsubOwn = onSnapshot(query(col, where('uid', '==', uid)), snap => apply(snap, true), onError);
+  const unsubShared = onSnapshot(query(col, where('visibility', '==', 'shared')), snap => apply(snap, false), onError);
+  return () => { unsubOwn(); unsubShared(); };
+}
+
+function _ownDoc(pageKey, visibility) {
+  const id = _docId(pageKey, visibility);
+  if (!_docs.has(id)) {
+    _docs.set(id, {
+      id, uid: _uid(), userName: state.currentUser?.displayName || state.currentUser?.email || '',
+      pageKey, visibility, strokes: [], texts: [],
+      unsaved: true, // not in Firestore yet — nothing to delete if it is emptied
+    });
+  }
+  return _docs.get(id);
+}
+
+async function _save(d) {
+  const ref = doc(db, 'productions', state.activeProduction.id, 'annotations', d.id);
+  try {
+    if (!d.strokes.length && !d.texts.length) {
+      _docs.delete(d.id);
+      if (!d.unsaved) await deleteDoc(ref);
+      return;
+    }
+    await setDoc(ref, {
+      uid: d.uid, userName: d.userName, pageKey: d.pageKey, visibility: d.visibility,
+      strokes: d.strokes, texts: d.texts, updatedAt: serverTimestamp(),
+    });
+    d.unsaved = false;
+  } catch (e) {
+    console.error('Save annotations error:', e);
+    toast('Failed to save markup.', 'error');
+  }
+}
+
+/* ── RENDERING ────────────────────────────────── */
+
+function _pageDocs(pageKey) {
+  return [..._docs.values()].filter(d => d.pageKey === pageKey && (d.uid === _uid() || _showShared));
+}
+
+function _pointsAttr(points) {
+  const out = [];
+  for (let i = 0; i + 1 < points.length; i += 2) out.push(`${points[i]},${points[i + 1]}`);
+  return out.join(' ');
+}
+
+function _strokeSvg(s, mine) {
+  const hl = s.tool === 'highlighter';
+  return `<polyline points="${_pointsAttr(s.points)}" fill="none" stroke="${escapeHtml(s.color)}"
+    stroke-width="${hl ? 14 : 2}" stroke-opacity="${hl ? 0.35 : 0.9}" stroke-linecap="round" stroke-linejoin="round"
+    vector-effect="non-scaling-stroke"${mine ? '' : ' class="annot-others"'}/>`;
+}
+
+/**
+ * Draw the markup layer for one page into an overlay. Call after the overlay
+ * is (re)built; the layer takes pointer input only while annotating.
+ * @param {HTMLElement} overlay
+ * @param {string} pageKey
+ */
+export function renderAnnotations(overlay, pageKey) {
+  if (!overlay) return;
+  overlay.querySelector('.annot-layer')?.remove();
+  const active = _active?.overlayId === overlay.id;
+  if (active) _active.pageKey = pageKey;
+  const docs = _pageDocs(pageKey);
+  if (!docs.length && !active) return;
+
+  const layer = document.createElement('div');
+  layer.className = 'annot-layer' + (active ? ` annot-layer--active annot-layer--${_tool}` : '');
+  const uid = _uid();
+  layer.innerHTML = `<svg viewBox="0 0 100 100" preserveAspectRatio="none">
+      ${docs.flatMap(d => d.strokes.map(s => _strokeSvg(s, d.uid === uid))).join('')}
+    </svg>
+    ${docs.flatMap(d => d.texts.map(t => `<div class="annot-text${d.uid === uid ? '' : ' annot-others'}" data-doc="${escapeHtml(d.id)}" data-id="${escapeHtml(t.id)}"
+      style="left:${t.x}%;top:${t.y}%;color:${escapeHtml(t.color)};"
+      title="${escapeHtml(d.uid === uid ? (d.visibility === 'shared' ? 'Shared' : 'Private') : d.userName)}">${escapeHtml(t.text)}</div>`)).join('')}`;
+  overlay.appendChild(layer);
+  if (active) _wireDrawing(layer, pageKey);
+}
+
+/* ── DRAWING ──────────────────────────────────── */
+
+function _pos(layer, e) {
+  const r = layer.getBoundingClientRect();
+  return {
+    x: Math.round(((e.clientX - r.left) / r.width) * 10000) / 100,
+    y: Math.round(((e.clientY - r.top) / r.height) * 10000) / 100,
+  };
+}
+
+function _erase(pageKey, p) {
+  let hit = false;
+  ['private', 'shared'].forEach(vis => {
+    const d = _docs.get(_docId(pageKey, vis));
+    if (!d) return;
+    const before = d.strokes.length;
+    d.strokes = d.strokes.filter(s => {
+      for (let i = 0; i + 1 < s.points.length; i += 2) {
+        if (Math.hypot(s.points[i] - p.x, s.points[i + 1] - p.y) < ERASE_RADIUS) return false;
+      }
+      return true;
+    });
+    if (d.strokes.length !== before) { hit = true; d._dirty = true; }
+  });
+  return hit;
+}
+
+function _editText(layer, pageKey, d, item) {
+  const box = document.createElement('textarea');
+  box.className = 'annot-text-input';
+  box.style.left = `${item.x}%`;
+  box.style.top = `${item.y}%`;
+  box.style.color = item.color;
+  box.value = item.text;
+  layer.appendChild(box);
+  layer.querySelector(`.annot-text[data-id="${item.id}"]`)?.remove();
+  box.focus();
+  let done = false;
+  const commit = () => {
+    if (done) return;
+    done = true;
+    const text = box.value.trim();
+    d.texts = d.texts.filter(t => t.id !== item.id);
+    if (text) d.texts.push({ ...item, text });
+    _save(d);
+    _active?.rerender();
+  };
+  box.addEventListener('pointerdown', e => e.stopPropagation());
+  box.addEventListener('blur', commit);
+  box.addEventListener('keydown', e => {
+    e.stopPropagation();
+    if (e.key === 'Escape' || (e.key === 'Enter' && !e.shiftKey)) { e.preventDefault(); box.blur(); }
+  });
+}
+
+function _wireDrawing(layer, pageKey) {
+  const svg = layer.querySelector('svg');
+  let stroke = null;
+  let live = null;
+
+  // Keep the page's own mouse handlers (zone drag, rubber band) out of it
+  layer.addEventListener('mousedown', e => e.stopPropagation());
+  layer.addEventListener('click', e => e.stopPropagation());
+
+  layer.addEventListener('pointerdown', e => {
+    e.stopPropagation();
+    e.preventDefault();
+    const p = _pos(layer, e);
+
+    if (_tool === 'text') {
+      const el = e.target.closest('.annot-text');
+      const own = el && _docs.get(el.dataset.doc);
+      if (own && own.uid === _uid()) {
+        _editText(layer, pageKey, own, own.texts.find(t => t.id === el.dataset.id));
+      } else {
+        _editText(layer, pageKey, _ownDoc(pageKey, _visibility), { id: genId(), x: p.x, y: p.y, text: '', color: _color });
+      }
+      return;
+    }
+
+    layer.setPointerCapture(e.pointerId);
+    if (_tool === 'eraser') {
+      const el = e.target.closest('.annot-text');
+      const own = el && _docs.get(el.dataset.doc);
+      if (own && own.uid === _uid()) {
+        own.texts = own.texts.filter(t => t.id !== el.dataset.id);
+        own._dirty = true;
+      }
+      _erase(pageKey, p);
+      stroke = { erasing: true };
+      return;
+    }
+    stroke = { id: genId(), tool: _tool, color: _color, points: [p.x, p.y] };
+    live = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    svg.appendChild(live);
+    live.innerHTML = _strokeSvg(stroke, true);
+  });
+
+  layer.addEventListener('pointermove', e => {
+    if (!stroke) return;
+    const p = _pos(layer, e);
+    if (stroke.erasing) {
+      if (_erase(pageKey, p)) _active?.rerender();
+      return;
+    }
+    const n = stroke.points.length;
+    if (Math.hypot(p.x - stroke.points[n - 2], p.y - stroke.points[n - 1]) < MIN_STEP) return;
+    stroke.points.push(p.x, p.y);
+    live.firstElementChild?.setAttribute('points', _pointsAttr(stroke.points));
+  });
+
+  const finish = () => {
+    if (!stroke) return;
+    if (stroke.erasing) {
+      ['private', 'shared'].forEach(vis => {
+        const d = _docs.get(_docId(pageKey, vis));
+        if (d?._dirty) { delete d._dirty; _save(d); }
+      });
+    } else if (stroke.points.length >= 4) {
+      const d = _ownDoc(pageKey, _visibility);
+      d.strokes.push(stroke);
+      _save(d);
+    }
+    stroke = null;
+    live = null;
+    _active?.rerender();
+  };
+  layer.addEventListener('pointerup', finish);
+  layer.addEventListener('pointercancel', finish);
+}
+
+/* ── TOOLBAR ──────────────────────────────────── */
+
+function _renderToolbar() {
+  let bar = document.getElementById('annot-toolbar');
+  if (!_active) { bar?.remove(); return; }
+  if (!bar) {
+    bar = document.createElement('div');
+    bar.id = 'annot-toolbar';
+    bar.className = 'annot-toolbar';
+    document.body.appendChild(bar);
+  }
+  bar.innerHTML = `
+    ${Object.entries(TOOLS).map(([k, label]) => `<button class="annot-tool${k === _tool ? ' annot-tool--active' : ''}" data-tool="${k}">${label}</button>`).join('')}
+    <span class="annot-sep"></span>
+    ${COLORS.map(c => `<button class="annot-swatch${c === _color ? ' annot-swatch--active' : ''}" data-color="${c}" style="background:${c};"></button>`).join('')}
+    <span class="annot-sep"></span>
+    <button class="annot-tool" id="annot-visibility" title="New markup is ${_visibility === 'shared' ? 'visible to all members' : 'only visible to you'}">${_visibility === 'shared' ? 'Shared' : 'Private'}</button>
+    <button class="annot-tool${_showShared ? ' annot-tool--active' : ''}" id="annot-show-shared" title="Show other members' shared markup">Others</button>
+    <span class="annot-sep"></span>
+    <button class="annot-tool annot-tool--done" id="annot-done">Done</button>`;
+  bar.querySelectorAll('[data-tool]').forEach(b => b.addEventListener('click', () => { _tool = b.dataset.tool; _refresh(); }));
+  bar.querySelectorAll('[data-color]').forEach(b => b.addEventListener('click', () => { _color = b.dataset.color; _refresh(); }));
+  bar.querySelector('#annot-visibility').addEventListener('click', () => {
+    _visibility = _visibility === 'shared' ? 'private' : 'shared';
+    toast(_visibility === 'shared' ? 'New markup is shared with all members' : 'New markup is private');
+    _refresh();
+  });
+  bar.querySelector('#annot-show-shared').addEventListener('click', () => {
+    _showShared = !_showShared;
+    localStorage.setItem(SHOW_SHARED_KEY, _showShared ? '1' : '0');
+    _refresh();
+  });
+  bar.querySelector('#annot-done').addEventListener('click', () => setAnnotating(null));
+}
+
+function _refresh() {
+  _renderToolbar();
+  _active?.rerender();
+}
+
+/** Whether markup mode is on for an overlay. */
+export function isAnnotating(overlayId) {
+  return _active?.overlayId === overlayId;
+}
+
+/**
+ * Turn markup mode on for one overlay, or off.
+ * @param {{ overlayId: string, rerender: () => void }|null} target
+ */
+export function setAnnotating(target) {
+  const prev = _active;
+  _active = target ? { ...target } : null;
+  _renderToolbar();
+  if (prev && prev.overlayId !== target?.overlayId) prev.rerender();
+  _active?.rerender();
+}
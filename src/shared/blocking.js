@@ -0,0 +1,393 @@
+/**
+ * blocking.js — Blocking Notation Layer
+ *
+ * Per-line blocking for the Run Show and the zone editor. Each entry ties one
+ * actor's move to a zone:
+ *
+ *   productions/{id}/blocking/{entryId}:
+ *     { zoneKey, zoneIdx, zoneY, lineText, castId, charName,
+ *       move,            — shorthand, e.g. "X DSL", "SIT", "ENT USR"
+ *       position,        — { x, y } on the ground plan (0–100, x from SR,
+ *                          y from US) or null
+ *       rehearsalDate,   — 'YYYY-MM-DD'
+ *       cut,             — true when the move was cut on that date
+ *       createdAt, createdBy }
+ *
+ * Entries are versioned by rehearsal date: the blocking for a line and actor
+ * as of a date is their latest entry on or before it. Editing on a new date
+ * adds a version, so earlier blocking stays in the history.
+ *
+ * Zone indices shift when lines are added or removed above, so an entry is
+ * placed by its line text (the matching zone nearest where it was saved),
+ * then by its saved position, and only then by the saved index.
+ */
+
+import { db } from '../firebase.js';
+import { state } from './state.js';
+import { isOwner } from './roles.js';
+import { toast } from './toast.js';
+import { escapeHtml } from './ui.js';
+import { getCastMembers } from '../cast/cast.js';
+import {
+  collection, doc, addDoc, updateDoc, deleteDoc, onSnapshot, serverTimestamp,
+} from 'firebase/firestore';
+
+const SHORTHAND = ['X', 'ENT', 'EXIT', 'SIT', 'STAND', 'KNEEL', 'TURN', 'CNTR', 'HOLD'];
+
+let _entries = [];
+
+/** Local date as 'YYYY-MM-DD'. */
+export function todayDate() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Listen to the production's blocking entries.
+ * @param {(entries: Array) => void} onChange
+ * @returns {Function} unsubscribe
+ */
+export function subscribeBlocking(onChange) {
+  const pid = state.activeProduction.id;
+  return onSnapshot(collection(db, 'productions', pid, 'blocking'), snap => {
+    _entries = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    onChange(_entries);
+  }, e => console.warn('Blocking subscription error:', e));
+}
+
+function _createdMs(e) {
+  return e.createdAt?.toMillis ? e.createdAt.toMillis() : 0;
+}
+
+function _newer(a, b) {
+  return a.rehearsalDate !== b.rehearsalDate ? a.rehearsalDate > b.rehearsalDate : _createdMs(a) > _createdMs(b);
+}
+
+function _normText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/** Index of the zone an entry belongs to on its page, or -1. */
+export function blockingZoneIdx(e, zones) {
+  const near = (z, i) => (typeof e.zoneY === 'number' ? Math.abs(z.y - e.zoneY) : Math.abs(i - e.zoneIdx));
+  const text = _normText(e.lineText);
+  let best = -1;
+  if (text) {
+    zones.forEach((z, i) => {
+      if (_normText(z.text) === text && (best < 0 || near(z, i) < near(zones[best], best))) best = i;
+    });
+    if (best >= 0) return best;
+  }
+  if (typeof e.zoneY === 'number') {
+    best = zones.findIndex(z => Math.abs(z.y - e.zoneY) <= Math.max(z.h || 0, 1));
+    if (best >= 0) return best;
+  }
+  return e.zoneIdx >= 0 && e.zoneIdx < zones.length ? e.zoneIdx : -1;
+}
+
+/** All entries (every version) placed on one zone of a page. */
+function _zoneEntries(zoneKey, zones, zoneIdx) {
+  return _entries.filter(e => e.zoneKey === zoneKey && blockingZoneIdx(e, zones) === zoneIdx);
+}
+
+/** Latest version per actor as of a date, cuts dropped. */
+function _asOf(entries, asOf) {
+  const latest = new Map();
+  entries
+    .filter(e => (e.rehearsalDate || '') <= asOf)
+    .forEach(e => {
+      const key = `${e.castId}|${e.charName}`;
+      if (!latest.has(key) || _newer(e, latest.get(key))) latest.set(key, e);
+    });
+  return [...latest.values()].filter(e => !e.cut);
+}
+
+/**
+ * Blocking on one zone as of a date (latest version per actor, cuts dropped).
+ * @param {string} zoneKey
+ * @param {Array}  zones — the page's current zones
+ * @param {number} zoneIdx
+ * @param {string} [asOf] — 'YYYY-MM-DD', default today
+ */
+export function zoneBlocking(zoneKey, zones, zoneIdx, asOf = todayDate()) {
+  return _asOf(_zoneEntries(zoneKey, zones, zoneIdx), asOf);
+}
+
+/** Ground plan area for a position: DSR … USL, C in the middle. */
+export function stageArea(pos) {
+  if (!pos) return '';
+  const row = pos.y < 33 ? 'US' : pos.y > 67 ? 'DS' : '';
+  const col = pos.x < 33 ? 'R' : pos.x > 67 ? 'L' : 'C';
+  if (!row) return col === 'C' ? 'C' : 'S' + col;
+  return row + col;
+}
+
+/**
+ * Draw blocking tags beside zones that have blocking on one page.
+ * @param {HTMLElement} overlay
+ * @param {string} zoneKey
+ * @param {Array} zones
+ * @param {(zoneIdx: number) => void} onOpen
+ * @param {HTMLElement|null} [before] — insert before this child (e.g. the rubber band)
+ */
+export function renderBlockingMarkers(overlay, zoneKey, zones, onOpen, before = null) {
+  if (!overlay) return;
+  overlay.querySelectorAll('.blk-marker').forEach(el => el.remove());
+  const cast = getCastMembers();
+  const byZone = new Map();
+  _entries.filter(e => e.zoneKey === zoneKey).forEach(e => {
+    const idx = blockingZoneIdx(e, zones);
+    if (idx >= 0) byZone.set(idx, [...(byZone.get(idx) || []), e]);
+  });
+  zones.forEach((zone, idx) => {
+    const entries = _asOf(byZone.get(idx) || [], todayDate());
+    if (!entries.length) return;
+    const tag = document.createElement('button');
+    tag.className = 'blk-marker';
+    tag.style.left = `${Math.min(zone.x + zone.w, 96)}%`;
+    tag.style.top = `${zone.y}%`;
+    tag.title = entries.map(e => `${e.charName}: ${e.move || stageArea(e.position)}`).join('\n');
+    entries.slice(0, 2).forEach(e => {
+      const chip = document.createElement('span');
+      chip.className = 'blk-marker__chip';
+      chip.style.borderColor = cast.find(m => m.id === e.castId)?.color || '#f5a623';
+      chip.textContent = e.move || stageArea(e.position) || '•';
+      tag.appendChild(chip);
+    });
+    if (entries.length > 2) tag.appendChild(document.createTextNode(`+${entries.length - 2}`));
+    tag.addEventListener('mousedown', e => e.stopPropagation());
+    tag.addEventListener('click', e => { e.stopPropagation(); onOpen(idx); });
+    overlay.insertBefore(tag, before);
+  });
+}
+
+/* ── GROUND PLAN ──────────────────────────────── */
+
+function _planSvg(entries, editing, cast) {
+  const dot = (pos, color, label, active) => `
+    <circle cx="${pos.x}" cy="${pos.y * 0.6}" r="${active ? 3.2 : 2.4}" fill="${escapeHtml(color)}" stroke="${active ? '#fff' : 'none'}" stroke-width="0.6"/>
+    <text class="blk-plan__name" x="${pos.x}" y="${pos.y * 0.6 - 4}" text-anchor="middle">${escapeHtml(label)}</text>`;
+  const others = entries
+    .filter(e => e.position && !(editing && e.castId === editing.castId && e.charName === editing.charName))
+    .map(e => dot(e.position, cast.find(m => m.id === e.castId)?.color || '#888', e.charName, false)).join('');
+  const mine = editing?.position
+    ? dot(editing.position, cast.find(m => m.id === editing.castId)?.color || '#f5a623', editing.charName || '', true)
+    : '';
+  return `<svg class="blk-plan" viewBox="0 0 100 66" preserveAspectRatio="none">
+    <rect class="blk-plan__stage" x="0" y="0" width="100" height="60"/>
+    <line x1="33.3" y1="0" x2="33.3" y2="60"/><line x1="66.7" y1="0" x2="66.7" y2="60"/>
+    <line x1="0" y1="20" x2="100" y2="20"/><line x1="0" y1="40" x2="100" y2="40"/>
+    <text class="blk-plan__label" x="50" y="4.5" text-anchor="middle">UPSTAGE</text>
+    <text class="blk-plan__label" x="2" y="31">SR</text>
+    <text class="blk-plan__label" x="98" y="31" text-anchor="end">SL</text>
+    <text class="blk-plan__label" x="50" y="64.5" text-anchor="middle">AUDIENCE</text>
+    ${others}${mine}
+  </svg>`;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   EDITOR MODAL
+   ═══════════════════════════════════════════════════════════ */
+
+function _zoneActors(zone) {
+  return zone?.assignedActors?.length
+    ? zone.assignedActors
+    : (zone?.assignedCastId && zone?.assignedCharName ? [{ castId: zone.assignedCastId, charName: zone.assignedCharName }] : []);
+}
+
+function _historyHtml(zoneKey, zones, zoneIdx) {
+  const versions = _zoneEntries(zoneKey, zones, zoneIdx)
+    .sort((a, b) => (_newer(a, b) ? -1 : 1));
+  if (!versions.length) return '<div class="blk-empty">No history yet.</div>';
+  const dates = [...new Set(versions.map(v => v.rehearsalDate))];
+  return dates.map(date => `
+    <div class="blk-history__date">${escapeHtml(date)}</div>
+    ${versions.filter(v => v.rehearsalDate === date).map(v => `
+      <div class="blk-history__row${v.cut ? ' blk-history__row--cut' : ''}">
+        <span>${escapeHtml(v.charName)}</span>
+        <span>${v.cut ? 'cut' : escapeHtml([v.move, v.position ? `(${stageArea(v.position)})` : ''].filter(Boolean).join(' '))}</span>
+      </div>`).join('')}`).join('');
+}
+
+/**
+ * Open blocking for one line.
+ * @param {{ zoneKey: string, zones: Array, zoneIdx: number, pageLabel?: string }} opts —
+ *   zones are the page's current zones
+ */
+export function openBlocking({ zoneKey, zones, zoneIdx, pageLabel = '' }) {
+  const zone = zones[zoneIdx];
+  document.querySelector('.blocking-backdrop')?.remove();
+  const owner = isOwner();
+  const pid = state.activeProduction.id;
+  const cast = getCastMembers();
+  const chars = cast.flatMap(m => (m.characters?.length ? m.characters : [m.name]).map(ch => ({ castId: m.id, charName: ch, color: m.color })));
+  const preset = _zoneActors(zone)[0];
+
+  let date = todayDate();
+  let editing = null; // { castId, charName, move, position, id? }
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop blocking-backdrop';
+  document.body.appendChild(backdrop);
+
+  const startEdit = entry => {
+    const c = entry || preset || chars[0];
+    editing = c ? {
+      castId: c.castId, charName: c.charName,
+      move: entry?.move || '', position: entry?.position || null,
+    } : null;
+    render();
+  };
+
+  const render = () => {
+    const current = zoneBlocking(zoneKey, zones, zoneIdx, date);
+    backdrop.innerHTML = `
+      <div class="modal-card" style="width:520px;max-width:95vw;max-height:90vh;overflow-y:auto;">
+        <h2 style="margin-bottom:4px;">Blocking${pageLabel ? ` <span style="font-family:'DM Mono',monospace;font-size:13px;color:var(--text-muted);">p.${escapeHtml(pageLabel)}</span>` : ''}</h2>
+        <div class="blk-line">${escapeHtml(zone?.text || '')}</div>
+        <div style="display:flex;align-items:center;gap:8px;margin-bottom:12px;font-size:12px;color:var(--text-muted);">
+          Rehearsal <input type="date" id="blk-date" class="form-input" value="${date}" style="width:auto;padding:4px 8px;font-size:12px;">
+        </div>
+        <div class="blk-list">
+          ${current.length ? current.map(e => `
+            <div class="blk-entry">
+              <span class="char-chip-dot" style="background:${escapeHtml(cast.find(m => m.id === e.castId)?.color || '#888')};"></span>
+              <span class="blk-entry__char">${escapeHtml(e.charName)}</span>
+              <span class="blk-entry__move">${escapeHtml(e.move || '')}${e.position ? ` <span style="color:var(--text-muted);">(${stageArea(e.position)})</span>` : ''}</span>
+              ${e.rehearsalDate !== date ? `<span class="blk-entry__date">${escapeHtml(e.rehearsalDate)}</span>` : ''}
+              ${owner ? `<button class="cast-action-btn" data-edit="${escapeHtml(e.id)}">Edit</button>
+                <button class="cast-action-btn cast-action-btn--danger" data-remove="${escapeHtml(e.id)}">Remove</button>` : ''}
+            </div>`).join('') : '<div class="blk-empty">No blocking on this line.</div>'}
+        </div>
+        ${owner && editing ? `
+          <div class="blk-form">
+            <div style="display:flex;gap:6px;margin-bottom:8px;">
+              <select id="blk-actor" class="form-select" style="flex:0 0 40%;">
+                ${chars.map((c, i) => `<option value="${i}"${c.castId === editing.castId && c.charName === editing.charName ? ' selected' : ''}>${escapeHtml(c.charName)}</option>`).join('')}
+              </select>
+              <input id="blk-move" class="form-input" type="text" maxlength="80" placeholder="e.g. X DSL, SIT" value="${escapeHtml(editing.move)}" style="flex:1;">
+            </div>
+            <div class="blk-shorthand">
+              ${SHORTHAND.map(s => `<button class="blk-chip" data-token="${s}">${s}</button>`).join('')}
+            </div>
+            <div id="blk-plan-wrap">${_planSvg(current, editing, cast)}</div>
+            <div style="font-size:11px;color:var(--text-muted);margin-top:4px;">Click the ground plan to set a position${editing.position ? ` · <a href="#" id="blk-clear-pos">clear</a>` : ''}</div>
+          </div>` : (current.some(e => e.position) ? _planSvg(current, null, cast) : '')}
+        <details style="margin-top:12px;">
+          <summary style="cursor:pointer;font-size:12px;color:var(--text-secondary);">History</summary>
+          <div class="blk-history">${_historyHtml(zoneKey, zones, zoneIdx)}</div>
+        </details>
+        <div class="modal-btns">
+          <button class="modal-btn-cancel" id="blk-close">Close</button>
+          ${owner ? (editing
+            ? '<button class="modal-btn-primary" id="blk-save">Save</button>'
+            : '<button class="modal-btn-primary" id="blk-add">+ Add Blocking</button>') : ''}
+        </div>
+      </div>`;
+    wire(current);
+  };
+
+  const versionOn = (e, d) => _zoneEntries(zoneKey, zones, zoneIdx)
+    .find(v => v.castId === e.castId && v.charName === e.charName && v.rehearsalDate === d);
+
+  const save = async () => {
+    const fields = {
+      move: editing.move.trim(),
+      position: editing.position,
+      cut: false,
+    };
+    if (!fields.move && !fields.position) { toast('Enter a move or set a position.', 'error'); return; }
+    try {
+      const existing = versionOn(editing, date);
+      if (existing) {
+        await updateDoc(doc(db, 'productions', pid, 'blocking', existing.id), fields);
+      } else {
+        await addDoc(collection(db, 'productions', pid, 'blocking'), {
+          ...fields,
+          zoneKey, zoneIdx, zoneY: zone?.y ?? null, lineText: zone?.text || '',
+          castId: editing.castId, charName: editing.charName,
+          rehearsalDate: date,
+          createdAt: serverTimestamp(),
+          createdBy: state.currentUser?.uid || null,
+        });
+      }
+      editing = null;
+      render();
+      toast('Blocking saved.', 'success');
+    } catch (e) {
+      console.error('Save blocking error:', e);
+      toast('Failed to save blocking.', 'error');
+    }
+  };
+
+  // Removing deletes this date's version; if earlier blocking exists it is cut from this date on
+  const remove = async entry => {
+    try {
+      const sameDay = versionOn(entry, date);
+      if (sameDay) await deleteDoc(doc(db, 'productions', pid, 'blocking', sameDay.id));
+      const earlier = _zoneEntries(zoneKey, zones, zoneIdx)
+        .some(v => v.castId === entry.castId && v.charName === entry.charName && v.rehearsalDate < date && !v.cut);
+      if (earlier) {
+        await addDoc(collection(db, 'productions', pid, 'blocking'), {
+          zoneKey, zoneIdx, zoneY: zone?.y ?? null, lineText: zone?.text || '',
+          castId: entry.castId, charName: entry.charName,
+          move: '', position: null, cut: true,
+          rehearsalDate: date,
+          createdAt: serverTimestamp(),
+          createdBy: state.currentUser?.uid || null,
+        });
+      }
+    } catch (e) {
+      console.error('Remove blocking error:', e);
+      toast('Failed to remove blocking.', 'error');
+    }
+  };
+
+  const wire = current => {
+    const q = sel => backdrop.querySelector(sel);
+    q('#blk-close').addEventListener('click', close);
+    q('#blk-date').addEventListener('change', e => { date = e.target.value || todayDate(); render(); });
+    q('#blk-add')?.addEventListener('click', () => startEdit(null));
+    q('#blk-save')?.addEventListener('click', async () => { await save(); });
+    backdrop.querySelectorAll('[data-edit]').forEach(b => b.addEventListener('click', () => startEdit(current.find(e => e.id === b.dataset.edit))));
+    backdrop.querySelectorAll('[data-remove]').forEach(b => b.addEventListener('click', () => remove(current.find(e => e.id === b.dataset.remove))));
+    if (!editing) return;
+
+    const moveEl = q('#blk-move');
+    moveEl?.addEventListener('input', () => { editing.move = moveEl.value; });
+    moveEl?.addEventListener('keydown', e => { if (e.key === 'Enter') save(); });
+    q('#blk-actor')?.addEventListener('change', e => {
+      const c = chars[Number(e.target.value)];
+      editing.castId = c.castId;
+      editing.charName = c.charName;
+      render();
+    });
+    backdrop.querySelectorAll('.blk-chip').forEach(b => b.addEventListener('click', () => {
+      editing.move = `${editing.move.trim()} ${b.dataset.token}`.trim();
+      render();
+      backdrop.querySelector('#blk-move')?.focus();
+    }));
+    q('.blk-plan')?.addEventListener('click', e => {
+      const r = e.currentTarget.getBoundingClientRect();
+      const x = Math.round(((e.clientX - r.left) / r.width) * 100);
+      const y = Math.round(((e.clientY - r.top) / r.height) * 110);
+      if (y > 100) return; // audience strip
+      editing.position = { x: Math.max(0, Math.min(100, x)), y: Math.max(0, Math.min(100, y)) };
+      // A bare move token takes the area it points at
+      if (!editing.move.trim()) editing.move = `X ${stageArea(editing.position)}`;
+      else if (/^(X|ENT|EXIT|CNTR)$/.test(editing.move.trim())) editing.move = `${editing.move.trim()} ${stageArea(editing.position)}`;
+      render();
+    });
+    q('#blk-clear-pos')?.addEventListener('click', e => { e.preventDefault(); editing.position = null; render(); });
+  };
+
+  // Re-render as entries change under us
+  const unsub = subscribeBlocking(() => render());
+  const close = () => { unsub(); backdrop.remove(); document.removeEventListener('keydown', onKey); };
+  const onKey = e => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', onKey);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+
+  if (owner && !zoneBlocking(zoneKey, zones, zoneIdx, date).length) startEdit(null);
+  else render();
+}
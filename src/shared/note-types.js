@@ -0,0 +1,43 @@
+/**
+ * note-types.js — Line Note Types
+ * The note type keys stored on lineNotes docs, with their display labels,
+ * the verbs used in note histories ("Skipped in 3 of the last 4 runs") and
+ * the short button labels / colours used when taking notes.
+ *
+ * functions/index.js mirrors NOTE_TYPE_LABELS for the emailed reports.
+ */
+
+export const NOTE_TYPE_LABELS = {
+  'skp': 'Skipped',
+  'para': 'Paraphrase',
+  'line': 'Called',
+  'add': 'Added words',
+  'gen': 'General',
+  'jmp': 'Jumped',
+  'mw': 'Missed words',
+};
+
+export const NOTE_TYPE_VERBS = {
+  'skp': 'Skipped',
+  'para': 'Paraphrased',
+  'line': 'Called for line',
+  'add': 'Added words',
+  'gen': 'Noted',
+  'jmp': 'Jumped',
+  'mw': 'Missed words',
+};
+
+export const NOTE_TYPES = [
+  { key: 'skp',  label: 'Skip',   color: '#e63946' },
+  { key: 'para', label: 'Para',   color: '#e89b3e' },
+  { key: 'line', label: 'Called', color: '#5b9bd4' },
+  { key: 'add',  label: 'Add',    color: '#6b8f4e' },
+  { key: 'gen',  label: 'Gen',    color: '#9b7bc8' },
+  { key: 'jmp',  label: 'Jumped', color: '#c77dff' },
+  { key: 'mw',   label: 'Missed', color: '#2ec4b6' },
+];
+
+/** Display label for a note type key, falling back to the key itself. */
+export function noteTypeLabel(type) {
+  return NOTE_TYPE_LABELS[type] || type || '';
+}
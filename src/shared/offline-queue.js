@@ -0,0 +1,241 @@
+/**
+ * offline-queue.js — Offline Write Tracking & Session Update Queue
+ *
+ * Firestore's persistent cache already queues document writes made while
+ * offline and replays them on reconnect. Two things it cannot do:
+ *
+ *   trackWrite(promise)      — tell the UI how many writes are still waiting
+ *                              for the server (shown on the heartbeat dot)
+ *   queueSessionUpdate(...)  — check for conflicts before a stale session
+ *                              update lands. While offline, session-doc
+ *                              updates are merged into a localStorage queue
+ *                              (so they also survive a reload) and replayed
+ *                              against the server copy on reconnect. The
+ *                              queue is kept per signed-in user, so another
+ *                              user on the same machine never replays it.
+ *
+ * Conflict rules on replay:
+ *   - live-sync updates for a session already ended/abandoned are dropped
+ *   - pageLog / holdLog / liveHoldLog are unioned with the server copy,
+ *     never overwritten by a shorter local list
+ *   - an end-of-run update wins over an "abandoned" status set elsewhere
+ *   - an entry whose read or write fails stays queued for the next replay
+ */
+import { db, auth } from '../firebase.js';
+import { toast } from './toast.js';
+import {
+  doc, updateDoc, getDocFromServer, waitForPendingWrites, serverTimestamp, arrayUnion
+} from 'firebase/firestore';
+
+const QUEUE_KEY_PREFIX = 'cue.offlineSessionUpdates.';
+// Errors that mean the server can't be reached yet, rather than a rejected request
+const RETRY_LATER_CODES = ['unavailable', 'deadline-exceeded'];
+const LOG_FIELDS = ['pageLog', 'holdLog', 'liveHoldLog'];
+
+let _inFlight = 0;
+let _replaying = false;
+const _listeners = new Set();
+
+/* ── ONLINE STATE ────────────────────────────── */
+export function isOnline() {
+  return navigator.onLine !== false;
+}
+
+window.addEventListener('online', () => { _notify(); replayQueuedSessionUpdates(); });
+window.addEventListener('offline', _notify);
+
+/* ── PENDING COUNT ───────────────────────────── */
+function _notify() {
+  const count = getPendingCount();
+  _listeners.forEach(cb => {
+    try { cb(count, isOnline()); } catch (e) { console.warn('onPendingChange listener error:', e); }
+  });
+}
+
+/** Writes not yet acknowledged by the server, plus queued session updates. */
+export function getPendingCount() {
+  return _inFlight + _loadQueue().length;
+}
+
+/** Subscribe to pending-count / connectivity changes. Returns an unsubscribe function. */
+export function onPendingChange(cb) {
+  _listeners.add(cb);
+  return () => _listeners.delete(cb);
+}
+
+/**
+ * Count a Firestore write as pending until the server settles it.
+ * Returns the original promise so callers can still await or catch it.
+ * Offline, the promise stays pending until reconnect — callers that must
+ * not block the UI should fire and forget with a .catch().
+ */
+export function trackWrite(promise) {
+  _inFlight++;
+  _notify();
+  promise.then(() => {}, () => {}).finally(() => {
+    _inFlight = Math.max(0, _inFlight - 1);
+    _notify();
+  });
+  return promise;
+}
+
+/** User-facing message for a write the server rejected after reconnect. */
+export function syncErrorMessage(label, err) {
+  if (err?.code === 'not-found') return `Could not sync ${label} — it was deleted on another device`;
+  if (err?.code === 'permission-denied') return `Could not sync ${label} — permission denied`;
+  return `Could not sync ${label}`;
+}
+
+/* ── SESSION UPDATE QUEUE ────────────────────── */
+/** The signed-in user's queue key, or null when nobody is signed in. */
+function _queueKey() {
+  const uid = auth.currentUser?.uid;
+  return uid ? QUEUE_KEY_PREFIX + uid : null;
+}
+
+function _loadQueue() {
+  const key = _queueKey();
+  if (!key) return [];
+  try { return JSON.parse(localStorage.getItem(key) || '[]'); }
+  catch { return []; }
+}
+
+function _saveQueue(queue) {
+  const key = _queueKey();
+  if (!key) return;
+  try {
+    if (queue.length) localStorage.setItem(key, JSON.stringify(queue));
+    else localStorage.removeItem(key);
+  } catch (e) { console.warn('Offline queue save failed:', e); }
+  _notify();
+}
+
+function _sameSession(a, b) {
+  return a.productionId === b.productionId && a.sessionId === b.sessionId;
+}
+
+function _withTimestamps(update, timestamps) {
+  const out = { ...update };
+  (timestamps || []).forEach(f => { out[f] = serverTimestamp(); });
+  return out;
+}
+
+/**
+ * Update a session doc, or queue the update while offline.
+ *
+ * @param {string} productionId
+ * @param {string} sessionId
+ * @param {Object} update       — plain JSON fields (no FieldValue sentinels)
+ * @param {Object} [opts]
+ * @param {'live'|'end'} [opts.kind='live'] — live sync or end-of-run write
+ * @param {string[]} [opts.timestamps]      — fields to set to serverTimestamp()
+ * @param {string[]} [opts.append]          — log fields holding only new entries, added
+ *                                            with arrayUnion() rather than replacing the list
+ * @returns {Promise<boolean>} true if written now, false if queued
+ */
+export async function queueSessionUpdate(productionId, sessionId, update, opts = {}) {
+  const kind = opts.kind || 'live';
+  const timestamps = opts.timestamps || [];
+  const append = (opts.append || []).filter(f => update[f] !== undefined);
+  // Signed out: nowhere to keep the queue, so leave it to Firestore's own cache
+  if (isOnline() || !_queueKey()) {
+    const out = _withTimestamps(update, timestamps);
+    append.forEach(f => { out[f] = arrayUnion(...update[f]); });
+    await trackWrite(updateDoc(doc(db, 'productions', productionId, 'sessions', sessionId), out));
+    return true;
+  }
+  // Offline: merge into any queued update for the same session (later fields
+  // win, appended entries add up); replay unions the logs with the server copy
+  const queue = _loadQueue();
+  const existing = queue.find(q => _sameSession(q, { productionId, sessionId }));
+  if (existing) {
+    const appended = Object.fromEntries(append.map(f => [f, [...(existing.update[f] || []), ...update[f]]]));
+    existing.update = { ...existing.update, ...update, ...appended };
+    existing.timestamps = [...new Set([...existing.timestamps, ...timestamps])];
+    if (kind === 'end') existing.kind = 'end';
+  } else {
+    queue.push({ productionId, sessionId, update, timestamps, kind, queuedAt: Date.now() });
+  }
+  _saveQueue(queue);
+  return false;
+}
+
+function _logKey(field, entry) {
+  if (field === 'pageLog') return `${entry.page}|${entry.half || ''}|${entry.elapsedMs}`;
+  return String(entry.startedAt);
+}
+
+function _unionLog(field, serverList, localList) {
+  const seen = new Map();
+  [...(serverList || []), ...(localList || [])].forEach(e => seen.set(_logKey(field, e), e));
+  const merged = [...seen.values()];
+  return field === 'pageLog'
+    ? merged.sort((a, b) => (a.elapsedMs || 0) - (b.elapsedMs || 0))
+    : merged.sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+}
+
+/**
+ * Resolve a queued update against the server copy of the session.
+ * Returns the update to write, or null to drop it.
+ */
+function _resolveSessionConflict(server, entry) {
+  const status = server.status;
+  if (entry.kind === 'live' && (status === 'ended' || status === 'abandoned')) return null;
+  const update = { ...entry.update };
+  LOG_FIELDS.forEach(f => {
+    if (update[f] !== undefined) update[f] = _unionLog(f, server[f], update[f]);
+  });
+  if (update.holdLog && update.totalHoldSeconds !== undefined) {
+    update.totalHoldSeconds = update.holdLog.reduce((s, h) => s + (h.durationSeconds || 0), 0);
+  }
+  if (entry.kind === 'end' && status === 'abandoned') {
+    toast('A session marked abandoned on another device was ended from this one', 'warn');
+  }
+  return _withTimestamps(update, entry.timestamps);
+}
+
+/**
+ * Replay the signed-in user's queued session updates. Safe to call
+ * repeatedly; no-op when offline, signed out or empty. Entries that fail
+ * stay queued and are retried on the next reconnect or sign-in.
+ */
+export async function replayQueuedSessionUpdates() {
+  if (_replaying || !isOnline() || !_loadQueue().length) return;
+  _replaying = true;
+  let failed = 0;
+  try {
+    // Session docs created offline must reach the server before we read them back
+    await waitForPendingWrites(db);
+    for (const entry of _loadQueue()) {
+      const ref = doc(db, 'productions', entry.productionId, 'sessions', entry.sessionId);
+      let snap;
+      try { snap = await getDocFromServer(ref); }
+      catch (e) {
+        if (RETRY_LATER_CODES.includes(e?.code)) { console.warn('Offline replay deferred — server unreachable:', e); return; }
+        console.warn('Offline replay read failed:', e);
+        toast(syncErrorMessage('session', e), 'error');
+        failed++;
+        continue;
+      }
+      if (!snap.exists()) {
+        toast('A session was deleted while you were offline — its queued changes were discarded', 'warn');
+      } else {
+        const update = _resolveSessionConflict(snap.data(), entry);
+        if (update) {
+          try { await trackWrite(updateDoc(ref, update)); }
+          catch (e) {
+            console.warn('Offline replay failed:', e);
+            toast(syncErrorMessage('session', e), 'error');
+            failed++;
+            continue;
+          }
+        }
+      }
+      _saveQueue(_loadQueue().filter(q => !_sameSession(q, entry)));
+    }
+    if (failed) toast(`${failed} offline session update${failed !== 1 ? 's' : ''} could not be synced — will retry`, 'warn');
+    else toast('Back online — offline changes synced', 'success');
+  } finally {
+    _replaying = false;
+  }
+}
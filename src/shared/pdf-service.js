@@ -2,6 +2,12 @@
  * pdf-service.js — Shared PDF document singleton and zone utilities
  * Prevents double-loading the script PDF across linenotes and runshow modules.
  */
+import { storage } from '../firebase.js';
+import { ref, getDownloadURL } from 'firebase/storage';
+import { isRenderedScriptPath, createRenderedScriptDocument } from './rendered-script.js';
+
+const SCRIPT_URL_KEY = 'cue.scriptUrl:';
+
 let _pdfDoc = null;
 let _loading = null;
 let _cachedUrl = null;
@@ -25,6 +31,56 @@ export async function getPdfDoc(url) {
   return _loading;
 }
 
+/**
+ * Resolve a Storage path to a download URL, remembering the last good URL.
+ * Offline, getDownloadURL fails; the remembered URL is then served from the
+ * service worker cache (sw.js), so a script opened once can be reopened with
+ * no connection.
+ */
+export async function resolveScriptUrl(scriptPath) {
+  try {
+    const url = await getDownloadURL(ref(storage, scriptPath));
+    try { localStorage.setItem(SCRIPT_URL_KEY + scriptPath, url); } catch (e) { /* quota — cache is best-effort */ }
+    return url;
+  } catch (e) {
+    const cached = localStorage.getItem(SCRIPT_URL_KEY + scriptPath);
+    if (cached) {
+      console.warn('getDownloadURL failed, using cached script URL:', e);
+      return cached;
+    }
+    throw e;
+  }
+}
+
+/**
+ * pdf.js getDocument() params for a script URL. Range requests are disabled so
+ * the whole file arrives in one 200 response the service worker can cache.
+ */
+export function scriptDocumentParams(url) {
+  return { url, disableRange: true };
+}
+
+/**
+ * Open a production script by Storage path: a PDF through pdf.js, or an
+ * imported Fountain/FDX layout as a rendered stand-in with the same surface.
+ * @param {string} scriptPath
+ * @param {{ onProgress?: (fraction: number) => void }} [opts]
+ */
+export async function openScriptDocument(scriptPath, { onProgress } = {}) {
+  const url = await resolveScriptUrl(scriptPath);
+  if (isRenderedScriptPath(scriptPath)) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Script download failed (${res.status})`);
+    onProgress?.(1);
+    return createRenderedScriptDocument(await res.json());
+  }
+  const pdfjsLib = window.pdfjsLib;
+  pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+  const loadingTask = pdfjsLib.getDocument(scriptDocumentParams(url));
+  loadingTask.onProgress = p => { if (p.total > 0) onProgress?.(p.loaded / p.total); };
+  return loadingTask.promise;
+}
+
 /** Clear the cached document handle (call on production change or script upload). */
 export function resetPdfDoc() {
   _pdfDoc = null;
@@ -0,0 +1,223 @@
+/**
+ * rendered-script.js — Typeset pages for imported (Fountain / FDX) scripts
+ *
+ * Imported scripts have no PDF. They are laid out once, at import, in
+ * standard script format (US Letter, Courier 12pt, 54 lines a page) and the
+ * layout is stored as JSON next to the revision:
+ *
+ *   { version, format, title, page: { width, height },
+ *     pages: [{ lines: [{ x, y, text, style: ''|'b'|'i' }], zones: [...] }] }
+ *
+ * Coordinates are PDF points from the top-left; `lines` are what gets drawn,
+ * `zones` are the zone-doc entries for the page (percent of the page).
+ *
+ * createRenderedScriptDocument() wraps a layout in the subset of the pdf.js
+ * PDFDocumentProxy surface the app uses (numPages, getPage → getViewport /
+ * render / getTextContent), so the Run Show and zone editor canvases draw it
+ * exactly as they draw a PDF page.
+ */
+
+export const RENDERED_SCRIPT_EXT = '.json';
+
+const PAGE_W = 612;
+const PAGE_H = 792;
+const FONT_SIZE = 12;
+const LINE_H = 12;
+const CHAR_W = FONT_SIZE * 0.6;      // Courier advance width
+const TOP = 72;
+const LINES_PER_PAGE = 54;
+const FONT_FAMILY = '"Courier Prime", "Courier New", Courier, monospace';
+
+/*
+ * Element formats: left edge (pt), wrap width (characters), blank lines
+ * before, font style. Transitions are right-aligned, centered text centered.
+ */
+const SPECS = {
+  scene:         { left: 108, chars: 57, before: 2, style: 'b' },
+  action:        { left: 108, chars: 60, before: 1, style: '' },
+  character:     { left: 266, chars: 38, before: 1, style: '' },
+  parenthetical: { left: 223, chars: 24, before: 0, style: 'i' },
+  dialogue:      { left: 180, chars: 35, before: 0, style: '' },
+  lyric:         { left: 180, chars: 35, before: 0, style: 'i' },
+  transition:    { left: 108, chars: 60, before: 1, style: '', align: 'right' },
+  centered:      { left: 108, chars: 60, before: 1, style: '', align: 'center' },
+};
+const RIGHT_EDGE = 540;
+
+/** Path test — imported scripts are stored as .json layouts, PDFs as .pdf. */
+export function isRenderedScriptPath(path) {
+  return !!path && path.endsWith(RENDERED_SCRIPT_EXT);
+}
+
+/* ── LAYOUT ───────────────────────────────────── */
+
+function _wrap(text, chars) {
+  const out = [];
+  String(text || '').split('\n').forEach(para => {
+    const words = para.trim().split(/\s+/).filter(Boolean);
+    if (!words.length) { out.push(''); return; }
+    let line = '';
+    words.forEach(w => {
+      while (w.length > chars) {
+        if (line) { out.push(line); line = ''; }
+        out.push(w.slice(0, chars));
+        w = w.slice(chars);
+      }
+      if (!line) line = w;
+      else if (line.length + 1 + w.length <= chars) line += ' ' + w;
+      else { out.push(line); line = w; }
+    });
+    if (line) out.push(line);
+  });
+  return out;
+}
+
+function _lineX(spec, text) {
+  const width = text.length * CHAR_W;
+  if (spec.align === 'right') return RIGHT_EDGE - width;
+  if (spec.align === 'center') return (PAGE_W - width) / 2;
+  return spec.left;
+}
+
+/**
+ * Paginate parsed script elements.
+ * @param {Array<{ type, text, character? }>} elements — types as in SPECS, plus 'pagebreak'
+ * @returns {{ pages: Array<{ lines, blocks }> }} blocks are { type, text, character, x, y, w, h } in points
+ */
+export function layoutScript(elements) {
+  const pages = [];
+  let page = { lines: [], blocks: [] };
+  let row = 0; // lines used on the current page
+
+  const newPage = () => { pages.push(page); page = { lines: [], blocks: [] }; row = 0; };
+  const left = () => LINES_PER_PAGE - row;
+
+  const place = (type, spec, lines, character, zone = true) => {
+    const startRow = row;
+    let minX = Infinity, maxX = 0;
+    lines.forEach(text => {
+      const x = _lineX(spec, text);
+      page.lines.push({ x, y: TOP + (row + 1) * LINE_H, text, style: spec.style });
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x + text.length * CHAR_W);
+      row++;
+    });
+    if (!zone || !lines.some(Boolean)) return;
+    page.blocks.push({
+      type, character: character || null, text: lines.join(' ').replace(/\s+/g, ' ').trim(),
+      x: minX, y: TOP + startRow * LINE_H + 2, w: Math.max(maxX - minX, CHAR_W), h: lines.length * LINE_H,
+    });
+  };
+
+  elements.forEach((el, i) => {
+    if (el.type === 'pagebreak') { if (row > 0) newPage(); return; }
+    const spec = SPECS[el.type] || SPECS.action;
+    let lines = _wrap(el.text, spec.chars);
+    if (!lines.length) return;
+    let before = row === 0 ? 0 : spec.before;
+
+    // Headings and cues never sit alone at the foot of a page
+    const next = elements[i + 1];
+    const keepWithNext = ['scene', 'character', 'parenthetical'].includes(el.type) && next && next.type !== 'pagebreak'
+      ? Math.min(2, _wrap(next.text, (SPECS[next.type] || SPECS.action).chars).length)
+      : 0;
+    if (row > 0 && before + lines.length + keepWithNext > left()) { newPage(); before = 0; }
+    row += before;
+
+    const speech = el.type === 'dialogue' || el.type === 'lyric';
+    while (lines.length > left()) {
+      // Split long passages; speeches carry (MORE) / (CONT'D) across the break
+      const fit = speech ? left() - 1 : left();
+      if (fit < 2) { newPage(); continue; }
+      place(el.type, spec, lines.slice(0, fit), el.character);
+      if (speech) place('more', SPECS.character, ["(MORE)"], null, false);
+      lines = lines.slice(fit);
+      newPage();
+      if (speech && el.character) place('character', SPECS.character, [`${el.character} (CONT'D)`], el.character);
+    }
+    place(el.type, spec, lines, el.character);
+  });
+  if (row > 0 || !pages.length) pages.push(page);
+
+  // Page numbers from page 2, top right
+  pages.forEach((p, i) => {
+    if (i === 0) return;
+    const text = `${i + 1}.`;
+    p.lines.push({ x: RIGHT_EDGE - text.length * CHAR_W, y: 36 + FONT_SIZE, text, style: '' });
+  });
+  return { page: { width: PAGE_W, height: PAGE_H }, pages };
+}
+
+/** A block's position as zone percentages. */
+export function blockBounds(block) {
+  return {
+    x: (block.x / PAGE_W) * 100,
+    y: (block.y / PAGE_H) * 100,
+    w: Math.min(100, (block.w / PAGE_W) * 100),
+    h: Math.max(1.2, (block.h / PAGE_H) * 100),
+  };
+}
+
+/* ── PDF.JS STAND-IN ──────────────────────────── */
+
+function _font(style) {
+  return `${style === 'i' ? 'italic ' : ''}${style === 'b' ? 'bold ' : ''}${FONT_SIZE}px ${FONT_FAMILY}`;
+}
+
+function _renderedPage(layout, num) {
+  const data = layout.pages[num - 1] || { lines: [], zones: [] };
+  const { width, height } = layout.page;
+  return {
+    pageNumber: num,
+    getViewport({ scale = 1 } = {}) {
+      return { width: width * scale, height: height * scale, scale };
+    },
+    render({ canvasContext: ctx, viewport }) {
+      let cancelled = false;
+      const promise = Promise.resolve().then(() => {
+        if (cancelled) {
+          const err = new Error('Rendering cancelled');
+          err.name = 'RenderingCancelledException';
+          throw err;
+        }
+        ctx.save();
+        ctx.scale(viewport.scale, viewport.scale);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#111111';
+        ctx.textBaseline = 'alphabetic';
+        data.lines.forEach(l => {
+          ctx.font = _font(l.style);
+          ctx.fillText(l.text, l.x, l.y);
+        });
+        ctx.restore();
+      });
+      return { promise, cancel() { cancelled = true; } };
+    },
+    // Same item shape as pdf.js so text extraction paths keep working
+    async getTextContent() {
+      return {
+        items: data.lines.map(l => ({
+          str: l.text,
+          transform: [FONT_SIZE, 0, 0, FONT_SIZE, l.x, height - l.y],
+          width: l.text.length * CHAR_W,
+          height: FONT_SIZE,
+          fontName: l.style === 'i' ? 'Courier-Oblique' : l.style === 'b' ? 'Courier-Bold' : 'Courier',
+        })),
+      };
+    },
+    cleanup() {},
+  };
+}
+
+/** Wrap a stored layout in a PDFDocumentProxy-like object. */
+export function createRenderedScriptDocument(layout) {
+  return {
+    numPages: layout.pages.length,
+    format: layout.format,
+    async getPage(num) { return _renderedPage(layout, num); },
+    /** Zone-doc entries for a page, straight from the markup. */
+    pageZones(num) { return (layout.pages[num - 1]?.zones || []).map(z => ({ ...z })); },
+    destroy() {},
+  };
+}
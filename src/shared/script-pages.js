@@ -0,0 +1,38 @@
+/**
+ * script-pages.js — Script Page Numbering
+ * Maps a PDF position (pdfPage, half) to the script page number shown
+ * everywhere in the app, honouring the production's script start
+ * (scriptPageStartPage / scriptPageStartHalf). In split mode each half of
+ * a spread is its own numbered page. Pages before the start get "i-N".
+ *
+ * functions/index.js keeps a server-side copy for the emailed reports.
+ */
+import { state } from './state.js';
+
+/**
+ * Whether the production's script is numbered by split halves — the script
+ * start is set on a half only in the 2-up layout.
+ */
+export function isSplitScript(prod = state.activeProduction) {
+  return !!prod?.scriptPageStartHalf;
+}
+
+/** Zero-based offset of a position from the script's first page. */
+export function scriptPageOffset(pdfPage, half, useSplit, prod = state.activeProduction) {
+  const startPage = prod?.scriptPageStartPage || 1;
+  const startHalf = prod?.scriptPageStartHalf || '';
+  if (useSplit) {
+    const halfPos = (p, h) => (p - 1) * 2 + (h === 'R' ? 1 : 0);
+    return halfPos(pdfPage, half || 'L') - halfPos(startPage, startHalf || 'L');
+  }
+  return pdfPage - startPage;
+}
+
+/**
+ * Script page label for a position. Split mode defaults to whether the
+ * position carries a half, which is how notes and zone docs record it.
+ */
+export function scriptPageLabel(pdfPage, half, useSplit = !!half, prod = state.activeProduction) {
+  const offset = scriptPageOffset(pdfPage, half, useSplit, prod);
+  return offset < 0 ? ('i' + offset) : String(offset + 1);
+}
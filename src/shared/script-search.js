@@ -0,0 +1,278 @@
+/**
+ * script-search.js — Full-Text Script Search Palette
+ *
+ * Searches the text of every page in the layout the caller is showing —
+ * whole pages or split halves: saved zone docs (productions/{id}/zones), and
+ * pages never opened in the zone editor extracted the way auto-assign does.
+ * The chosen hit goes back to the caller so the view can jump to it. Used by the Run Show and the
+ * zone editor; Ctrl/Cmd+K or "/" opens it in either.
+ *
+ * Matching ignores case, punctuation and curly quotes, and also tries each
+ * zone joined to the next one on its page, so a phrase broken across two
+ * lines is still found ("Where's the letter" → "where s the letter").
+ *
+ * Every zone carries its speaker: the zone's own assigned characters, else
+ * the most recent character cue before it (across page breaks), which drives
+ * the character filter.
+ */
+
+import { state } from './state.js';
+import { toast } from './toast.js';
+import { escapeHtml } from './ui.js';
+import { cueCharacterName, loadScriptZones } from './script-zones.js';
+
+const MAX_RESULTS = 60;
+const MIN_QUERY = 2;
+
+const KINDS = {
+  dialogue: 'Dialogue',
+  stage:    'Stage direction',
+  cue:      'Character',
+  music:    'Lyric',
+};
+
+// Last index per production — reopened instantly, refreshed in the background
+let _index = null;
+
+function _norm(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[‘’“”`]/g, "'")
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function _zoneCharacters(zone) {
+  if (zone.assignedActors?.length) return zone.assignedActors.map(a => a.charName).filter(Boolean);
+  return zone.assignedCharName ? [zone.assignedCharName] : [];
+}
+
+function _keyParts(key) {
+  const m = /^(\d+)([LR]?)$/.exec(key);
+  return m ? { page: Number(m[1]), half: m[2] } : null;
+}
+
+/**
+ * Build the search index from page zones for one layout.
+ * @returns {Array<{ key, page, half, idx, zone, kind, characters: string[], norm, joined }>}
+ */
+function _buildEntries(zoneDocs, split) {
+  const keys = Object.keys(zoneDocs)
+    .filter(k => { const p = _keyParts(k); return p && !!p.half === split; })
+    .sort((a, b) => {
+      const pa = _keyParts(a), pb = _keyParts(b);
+      return pa.page - pb.page || pa.half.localeCompare(pb.half);
+    });
+
+  const entries = [];
+  let speaker = [];
+  keys.forEach(key => {
+    const { page, half } = _keyParts(key);
+    const zones = zoneDocs[key];
+    zones.forEach((zone, idx) => {
+      const kind = zone.isCharName ? 'cue' : zone.isStageDirection ? 'stage' : zone.isMusicLine ? 'music' : 'dialogue';
+      if (kind === 'cue') {
+        const assigned = _zoneCharacters(zone);
+        speaker = assigned.length ? assigned : [cueCharacterName(zone.text)].filter(Boolean);
+      }
+      const characters = kind === 'stage' ? [] : (_zoneCharacters(zone).length ? _zoneCharacters(zone) : speaker);
+      const norm = _norm(zone.text);
+      if (!norm) return;
+      const next = zones[idx + 1];
+      entries.push({
+        key, page, half, idx, zone, kind, characters, norm,
+        joined: next && !next.isCharName ? `${norm} ${_norm(next.text)}` : norm,
+      });
+    });
+  });
+  return entries;
+}
+
+async function _loadIndex(pdf, split, scale, onPage) {
+  const pid = state.activeProduction.id;
+  const { pages } = await loadScriptZones(pdf, split, scale, onPage);
+  _index = { pid, split, entries: _buildEntries(pages, split) };
+  return _index;
+}
+
+/** Search the index. Empty query lists the filter's zones in script order. */
+function _search(entries, query, { kind, character }) {
+  const q = _norm(query);
+  const charKey = character ? cueCharacterName(character) : '';
+  const hits = [];
+  for (const e of entries) {
+    if (kind === 'dialogue' && !(e.kind === 'dialogue' || e.kind === 'music')) continue;
+    if (kind === 'stage' && e.kind !== 'stage') continue;
+    if (charKey && !e.characters.some(c => cueCharacterName(c) === charKey)) continue;
+    if (q.length >= MIN_QUERY && !e.joined.includes(q)) continue;
+    if (q.length < MIN_QUERY && !charKey && kind === 'all') break;
+    hits.push(e);
+    if (hits.length >= MAX_RESULTS) break;
+  }
+  // Direct hits before ones that only match across the line break
+  return q ? hits.sort((a, b) => (b.norm.includes(q) ? 1 : 0) - (a.norm.includes(q) ? 1 : 0)) : hits;
+}
+
+/** Wrap the query in <mark> where it appears in the zone text. */
+function _highlight(text, query) {
+  const words = _norm(query).split(' ').filter(Boolean);
+  if (!words.length) return escapeHtml(text);
+  const pattern = new RegExp(`(${words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  return text.split(pattern).map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)).join('');
+}
+
+/* ═══════════════════════════════════════════════════════════
+   PALETTE
+   ═══════════════════════════════════════════════════════════ */
+
+/** True while the palette is open — views skip their own shortcuts. */
+export function isScriptSearchOpen() {
+  return !!document.getElementById('script-search-modal');
+}
+
+/** The palette's shortcut: Ctrl/Cmd+K anywhere, "/" outside text fields. */
+export function isScriptSearchShortcut(e) {
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') return true;
+  const tag = e.target?.tagName;
+  return e.key === '/' && tag !== 'INPUT' && tag !== 'TEXTAREA' && !e.target?.isContentEditable;
+}
+
+/**
+ * Open the search palette.
+ * @param {{ pdf, split: boolean, scale: number, pageLabel: (page, half) => string, onJump: (hit) => void }} opts
+ *   the view's document and layout; hit is { page, half, idx, zone } — half
+ *   is '' outside split mode
+ */
+export async function openScriptSearch({ pdf, split, scale, pageLabel, onJump }) {
+  const pid = state.activeProduction?.id;
+  if (!pid) return;
+  if (isScriptSearchOpen()) { document.getElementById('ss-query')?.focus(); return; }
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop script-search-backdrop';
+  backdrop.id = 'script-search-modal';
+  backdrop.innerHTML = `
+    <div class="modal-card script-search">
+      <input type="text" id="ss-query" class="script-search__input" placeholder="Search the script…" autocomplete="off" spellcheck="false" />
+      <div class="script-search__filters">
+        <button class="settings-btn ss-kind" data-kind="all">All</button>
+        <button class="settings-btn ss-kind" data-kind="dialogue">Dialogue</button>
+        <button class="settings-btn ss-kind" data-kind="stage">Stage directions</button>
+        <select id="ss-character" class="script-search__select"><option value="">Any character</option></select>
+      </div>
+      <div id="ss-results" class="script-search__results"><div class="script-search__empty">Loading script text…</div></div>
+      <div id="ss-meta" class="script-search__meta">↑↓ to move · Enter to jump · Esc to close</div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  const input = backdrop.querySelector('#ss-query');
+  const resultsEl = backdrop.querySelector('#ss-results');
+  const charSel = backdrop.querySelector('#ss-character');
+  const metaEl = backdrop.querySelector('#ss-meta');
+  input.focus();
+
+  let entries = _index?.pid === pid && _index.split === split ? _index.entries : null;
+  let hits = [];
+  let active = 0;
+  const filters = { kind: 'all', character: '' };
+
+  const close = () => {
+    document.removeEventListener('keydown', onKey, true);
+    backdrop.remove();
+  };
+  const jump = hit => {
+    if (!hit) return;
+    close();
+    onJump({ page: hit.page, half: hit.half, idx: hit.idx, zone: hit.zone });
+  };
+
+  const fillCharacters = () => {
+    const names = [...new Set(entries.flatMap(e => e.characters.map(cueCharacterName)))].filter(Boolean).sort();
+    charSel.innerHTML = '<option value="">Any character</option>'
+      + names.map(n => `<option value="${escapeHtml(n)}"${n === filters.character ? ' selected' : ''}>${escapeHtml(n)}</option>`).join('');
+  };
+
+  const render = () => {
+    backdrop.querySelectorAll('.ss-kind').forEach(b => b.classList.toggle('settings-btn--primary', b.dataset.kind === filters.kind));
+    if (!entries) return;
+    if (!entries.length) {
+      resultsEl.innerHTML = '<div class="script-search__empty">No script text found.</div>';
+      return;
+    }
+    hits = _search(entries, input.value, filters);
+    active = Math.min(active, Math.max(0, hits.length - 1));
+    if (!hits.length) {
+      const q = input.value.trim();
+      resultsEl.innerHTML = `<div class="script-search__empty">${q.length >= MIN_QUERY || filters.character || filters.kind !== 'all' ? 'No matches.' : 'Type a few words of the line.'}</div>`;
+      return;
+    }
+    resultsEl.innerHTML = hits.map((h, i) => `<div class="script-search__hit${i === active ? ' script-search__hit--active' : ''}" data-i="${i}">
+      <span class="script-search__page">p.${escapeHtml(pageLabel(h.page, h.half))}</span>
+      <span class="script-search__text">
+        <span class="script-search__who">${escapeHtml(h.kind === 'stage' ? KINDS.stage : h.characters.join(' / ') || KINDS[h.kind])}</span>
+        ${_highlight(h.zone.text || '', input.value)}
+      </span>
+    </div>`).join('');
+    resultsEl.querySelectorAll('.script-search__hit').forEach(el => {
+      el.addEventListener('click', () => jump(hits[Number(el.dataset.i)]));
+    });
+    resultsEl.querySelector('.script-search__hit--active')?.scrollIntoView({ block: 'nearest' });
+  };
+
+  const onKey = e => {
+    if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); close(); return; }
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!hits.length) return;
+      active = (active + (e.key === 'ArrowDown' ? 1 : -1) + hits.length) % hits.length;
+      render();
+      return;
+    }
+    if (e.key === 'Enter') { e.preventDefault(); e.stopPropagation(); jump(hits[active]); }
+  };
+  // Capture phase so the views' arrow-key page turns never see these keys
+  document.addEventListener('keydown', onKey, true);
+
+  input.addEventListener('input', () => { active = 0; render(); });
+  charSel.addEventListener('change', () => { filters.character = charSel.value; active = 0; render(); });
+  backdrop.querySelectorAll('.ss-kind').forEach(b => b.addEventListener('click', () => {
+    filters.kind = b.dataset.kind;
+    active = 0;
+    render();
+    input.focus();
+  }));
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+
+  if (entries) { fillCharacters(); render(); }
+  try {
+    const fresh = await _loadIndex(pdf, split, scale, (n, total) => {
+      if (!entries) resultsEl.innerHTML = `<div class="script-search__empty">Reading page ${n} of ${total}…</div>`;
+    });
+    if (!backdrop.isConnected) return;
+    entries = fresh.entries;
+    const pages = new Set(entries.map(e => e.key)).size;
+    metaEl.textContent = `${pages} page${pages !== 1 ? 's' : ''} indexed · ↑↓ to move · Enter to jump · Esc to close`;
+    fillCharacters();
+    render();
+  } catch (e) {
+    console.error('Script search load error:', e);
+    if (!entries) resultsEl.innerHTML = '<div class="script-search__empty" style="color:var(--red);">Could not load script text.</div>';
+    else toast('Showing cached script text — could not refresh.', 'info');
+  }
+}
+
+/**
+ * Briefly outline a zone on a page overlay after a jump.
+ * @param {HTMLElement} overlay — the page's absolutely-positioned overlay
+ * @param {{ x, y, w, h }} zone — percent bounds
+ */
+export function flashZone(overlay, zone) {
+  if (!overlay || !zone) return;
+  const el = document.createElement('div');
+  el.className = 'script-search-flash';
+  el.style.cssText = `left:${zone.x}%;top:${zone.y}%;width:${zone.w}%;height:${Math.max(zone.h, 1.5)}%;`;
+  overlay.appendChild(el);
+  el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  setTimeout(() => el.remove(), 2400);
+}
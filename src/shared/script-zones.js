@@ -0,0 +1,195 @@
+/**
+ * script-zones.js — Script Zone Extraction
+ * Turns a script PDF's text layer into line zones (dialogue blocks, character
+ * cues, stage directions) and loads the saved zones for a whole script.
+ * Used by the zone editor, auto-assign, script revisions, script search and
+ * the character plot.
+ */
+import { db } from '../firebase.js';
+import { state } from './state.js';
+import { collection, getDocs } from 'firebase/firestore';
+
+/** Strip cue extensions — "HAMLET (V.O.)", "HAMLET (CONT'D)" → "HAMLET". */
+export function cueCharacterName(cue) {
+  return String(cue || '').replace(/^@/, '').replace(/\^$/, '').replace(/\(.*?\)/g, '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Group a page's text items into zones: lines, merged dialogue blocks, character names
+ * and stage directions. `zKey` picks the half ("12L" / "12R") when split.
+ */
+export function extractLineZones(items, viewport, zKey, inSplit, scale) {
+  const fullW = viewport.width;
+  const halfW = fullW / 2;
+
+  const mapped = items.map(item => {
+    const tx = item.transform;
+    const x = tx[4] * scale;
+    const y = viewport.height - tx[5] * scale;
+    const w = Math.abs(tx[0]) * scale * (item.width / Math.abs(tx[0]) || 1);
+    const h = Math.abs(tx[3]) * scale;
+    return { x, y, w, h, str: item.str, fontName: item.fontName || '' };
+  });
+
+  let filteredMapped = mapped;
+  let canvasW = fullW;
+  if (inSplit && zKey) {
+    const half = zKey.slice(-1);
+    if (half === 'L') {
+      filteredMapped = mapped.filter(i => i.x < halfW);
+    } else {
+      filteredMapped = mapped.filter(i => i.x >= halfW).map(i => ({ ...i, x: i.x - halfW }));
+    }
+    canvasW = halfW;
+  }
+
+  const cw = canvasW, ch = viewport.height;
+  const thresh = 8 * scale;
+  filteredMapped.sort((a, b) => a.y - b.y);
+
+  const groups = [];
+  for (const item of filteredMapped) {
+    let placed = false;
+    for (const g of groups) {
+      if (Math.abs(item.y - g.cy) < thresh) {
+        g.items.push(item);
+        g.minX = Math.min(g.minX, item.x);
+        g.maxX = Math.max(g.maxX, item.x + item.w);
+        g.minY = Math.min(g.minY, item.y - item.h * 0.1);
+        g.maxY = Math.max(g.maxY, item.y + item.h);
+        g.cy = (g.minY + g.maxY) / 2;
+        placed = true; break;
+      }
+    }
+    if (!placed) {
+      groups.push({ items: [item], minX: item.x, maxX: item.x + item.w, minY: item.y - item.h * 0.1, maxY: item.y + item.h, cy: item.y });
+    }
+  }
+
+  const textLines = groups.filter(g => g.maxX - g.minX > 4).map(g => {
+    const allFonts = g.items.map(i => i.fontName || '').join(' ');
+    const isItalic = /italic|oblique|[\-,_]it[\b,\-,_,A-Z]/i.test(allFonts);
+    const textStr = g.items.map(i => i.str).join(' ');
+    const letters = textStr.replace(/[^a-zA-Z]/g, '');
+    const isAllCaps = letters.length > 2 && letters === letters.toUpperCase();
+    return {
+      x: Math.max(0, (g.minX / cw) * 100),
+      y: Math.max(0, (g.minY / ch) * 100),
+      w: Math.min(100, ((g.maxX - g.minX) / cw) * 100),
+      h: Math.max(1.2, Math.min(10, ((g.maxY - g.minY) / ch) * 100)),
+      text: textStr, isItalic, isAllCaps,
+      avgH: g.items.reduce((s, i) => s + i.h, 0) / g.items.length,
+      centerX: ((g.minX + g.maxX) / 2 / cw) * 100,
+      leftX: (g.minX / cw) * 100
+    };
+  });
+
+  return mergeIntoCharacterLines(detectCharacterNameLines(textLines), textLines);
+}
+
+function detectCharacterNameLines(textLines) {
+  if (!textLines?.length) return new Set();
+  const heights = textLines.map(l => l.avgH || 0).filter(h => h > 0).sort((a, b) => a - b);
+  const medianH = heights[Math.floor(heights.length / 2)] || 0;
+
+  const candidates = [];
+  textLines.forEach((line, idx) => {
+    const text = (line.text || '').trim();
+    if (!text || text.length < 1 || text.length > 50) return;
+    if (text.startsWith('(') && text.endsWith(')')) return;
+    if (line.isItalic) return;
+    if (/[a-z]/.test(text) && text.split(/\s+/).length > 4) return;
+    const stripped = text.replace(/[&'\-.!?,\s\d]/g, '');
+    if (stripped.length === 0 || !/^[A-Z]+$/.test(stripped)) return;
+    if (line.w > 62) return;
+    if (medianH > 0 && (line.avgH || medianH) < medianH * 0.65) return;
+    candidates.push({ idx, line });
+  });
+  if (candidates.length === 0) return new Set();
+
+  function modalBucket(values, size) {
+    const counts = {};
+    values.forEach(v => { const b = Math.round(v / size) * size; counts[b] = (counts[b] || 0) + 1; });
+    return Number(Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0]);
+  }
+  const modalLeft = modalBucket(candidates.map(c => c.line.leftX ?? 0), 4);
+  const modalCenter = modalBucket(candidates.map(c => c.line.centerX ?? 50), 4);
+
+  const nameIdxs = new Set();
+  candidates.forEach(({ idx, line }) => {
+    const ld = Math.abs((line.leftX ?? 0) - modalLeft);
+    const cd = Math.abs((line.centerX ?? 50) - modalCenter);
+    if (ld <= 8 || cd <= 8) nameIdxs.add(idx);
+  });
+
+  if (nameIdxs.size > textLines.length * 0.4) {
+    nameIdxs.clear();
+    candidates.forEach(({ idx, line }) => {
+      const ld = Math.abs((line.leftX ?? 0) - modalLeft);
+      const cd = Math.abs((line.centerX ?? 50) - modalCenter);
+      if (ld <= 4 || cd <= 4) nameIdxs.add(idx);
+    });
+  }
+  return nameIdxs;
+}
+
+function mergeIntoCharacterLines(nameIdxs, textLines) {
+  if (!textLines?.length) return textLines;
+  const result = [];
+  let currentBlock = null;
+  const flush = () => { if (currentBlock) { result.push(currentBlock); currentBlock = null; } };
+
+  for (let i = 0; i < textLines.length; i++) {
+    const line = textLines[i];
+    if (nameIdxs.has(i)) { flush(); result.push({ ...line, isCharName: true }); continue; }
+    if (line.isItalic) { flush(); result.push({ ...line, isStageDirection: true }); continue; }
+    if (line.isAllCaps) { flush(); result.push({ ...line }); continue; }
+    if (!currentBlock) {
+      currentBlock = { x: line.x, y: line.y, w: line.w, h: line.h, text: line.text || '' };
+    } else {
+      const r = Math.max(currentBlock.x + currentBlock.w, line.x + line.w);
+      const b = Math.max(currentBlock.y + currentBlock.h, line.y + line.h);
+      currentBlock.x = Math.min(currentBlock.x, line.x);
+      currentBlock.y = Math.min(currentBlock.y, line.y);
+      currentBlock.w = r - currentBlock.x;
+      currentBlock.h = b - currentBlock.y;
+      if (line.text?.trim()) currentBlock.text = currentBlock.text ? currentBlock.text + ' ' + line.text.trim() : line.text.trim();
+    }
+  }
+  flush();
+  return result;
+}
+
+/**
+ * Saved zones for every page, extracting the ones that were never opened the
+ * same way the zone editor does.
+ */
+export async function loadScriptZones(pdf, split, scale, onPage) {
+  const pid = state.activeProduction.id;
+  const snap = await getDocs(collection(db, 'productions', pid, 'zones'));
+  const saved = {};
+  snap.docs.forEach(d => { if (d.data().zones?.length) saved[d.id] = d.data().zones; });
+
+  const pages = {};
+  const extracted = new Set();
+  for (let n = 1; n <= pdf.numPages; n++) {
+    const keys = split ? [`${n}L`, `${n}R`] : [`${n}`];
+    if (keys.every(k => saved[k])) { keys.forEach(k => { pages[k] = saved[k]; }); continue; }
+    if (pdf.pageZones && !split) {
+      pages[`${n}`] = saved[`${n}`] || pdf.pageZones(n);
+      if (!saved[`${n}`]) extracted.add(`${n}`);
+      continue;
+    }
+    const page = await pdf.getPage(n);
+    const viewport = page.getViewport({ scale });
+    const items = (await page.getTextContent()).items.filter(i => i.str && i.str.trim().length > 0);
+    keys.forEach(k => {
+      if (saved[k]) { pages[k] = saved[k]; return; }
+      pages[k] = items.length > 2 ? extractLineZones(items, viewport, k, split, scale) : [];
+      if (pages[k].length) extracted.add(k);
+    });
+    page.cleanup();
+    onPage?.(n, pdf.numPages);
+  }
+  return { pages, extracted };
+}
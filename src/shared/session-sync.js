@@ -2,17 +2,28 @@
  * session-sync.js — Firestore Session Sync for Crash Recovery
  * P0: Periodic sync of live session state to Firestore,
  *     recovery detection on app init, heartbeat indicator.
+ * Follow Run: immediate position pushes from the caller, and read-only
+ *     subscriptions for members following an active session.
+ * Offline: syncs go through offline-queue.js; the heartbeat shows the
+ *     number of writes still waiting for the server.
  */
 import { db } from '../firebase.js';
 import { state } from './state.js';
 import { updateScriptEditorTab } from './tabs.js';
 import {
-  doc, updateDoc, getDocs, query, where, collection, serverTimestamp
+  doc, updateDoc, getDocs, query, where, collection, serverTimestamp, onSnapshot
 } from 'firebase/firestore';
 import { escapeHtml } from './ui.js';
+import { queueSessionUpdate, getPendingCount, onPendingChange, isOnline } from './offline-queue.js';
 
 let _syncInterval = null;
+let _livePushTimeout = null;
+let _pageLogSynced = { sid: null, count: 0 };   // pageLog entries already sent for the session
 const SYNC_INTERVAL_MS = 10_000;
+const LIVE_PUSH_DEBOUNCE_MS = 250;
+const RECOVERY_CUTOFF = new Date('2026-03-26T00:00:00').getTime();
+// An "active" session that hasn't synced in this long is treated as crashed, not followable
+const FOLLOW_STALE_MS = 5 * 60_000;
 
 /* ── PERIODIC SYNC ────────────────────────────── */
 export async function syncSessionToFirestore() {
@@ -26,13 +37,26 @@ export async function syncSessionToFirestore() {
     _updateHeartbeat(false);
     return;
   }
+  if (_pageLogSynced.sid !== sid) _pageLogSynced = { sid, count: 0 };
+  const pageLog = state.runSession.pageLog || [];
+  const newEntries = pageLog.slice(_pageLogSynced.count);
+  const sentCount = pageLog.length;
   try {
-    await updateDoc(doc(db, 'productions', pid, 'sessions', sid), {
+    // Page turns since the last sync ride along, so a crash (or a dead battery
+    // offline) keeps page timings; the full log is written at end of run
+    await queueSessionUpdate(pid, sid, {
       liveCurrentPage: state.runSession.currentPage || 1,
+      liveHalf: state.runSession.currentHalf || 'L',
+      liveScriptPage: state.runSession.scriptPage ?? null,
+      liveSplitMode: !!state.runSession.splitMode,
+      liveIsOnHold: !!state.runSession.isOnHold,
+      liveHoldStartTime: state.runSession.holdStartTime || null,
+      liveHoldReason: state.runSession.isOnHold ? (state.runSession.holdReason || null) : null,
       liveHoldLog: state.runSession.holdLog || [],
       liveScratchpad: state.runSession.scratchpad || '',
-      lastSyncTimestamp: serverTimestamp(),
-    });
+      ...(newEntries.length ? { pageLog: newEntries } : {}),
+    }, { kind: 'live', timestamps: ['lastSyncTimestamp'], append: ['pageLog'] });
+    if (_pageLogSynced.sid === sid) _pageLogSynced.count = Math.max(_pageLogSynced.count, sentCount);
     _updateHeartbeat(true);
   } catch (e) {
     console.warn('Session sync failed:', e);
@@ -48,6 +72,21 @@ export function startSessionSync() {
 
 export function stopSessionSync() {
   if (_syncInterval) { clearInterval(_syncInterval); _syncInterval = null; }
+  if (_livePushTimeout) { clearTimeout(_livePushTimeout); _livePushTimeout = null; }
+}
+
+/**
+ * Push the caller's page and hold state now instead of waiting for the next
+ * periodic sync, so followers turn pages with the caller. Debounced so rapid
+ * page flipping collapses into a single write.
+ */
+export function pushLiveState() {
+  if (!state.runSession) return;
+  if (_livePushTimeout) clearTimeout(_livePushTimeout);
+  _livePushTimeout = setTimeout(() => {
+    _livePushTimeout = null;
+    syncSessionToFirestore();
+  }, LIVE_PUSH_DEBOUNCE_MS);
 }
 
 /* ── RECOVERY DETECTION ──────────────────────── */
@@ -59,7 +98,6 @@ export async function detectActiveSession(productionId) {
     );
     const snap = await getDocs(q);
     if (!snap.empty) {
-      const RECOVERY_CUTOFF = new Date('2026-03-26T00:00:00').getTime();
       const docs = snap.docs
         .map(d => ({ id: d.id, ...d.data() }))
         .filter(d => (d.startedAt || 0) >= RECOVERY_CUTOFF);
@@ -71,6 +109,47 @@ export async function detectActiveSession(productionId) {
   return null;
 }
 
+/* ── FOLLOW RUN ──────────────────────────────── */
+function _isFollowable(s) {
+  if ((s.startedAt || 0) < RECOVERY_CUTOFF) return false;
+  const lastSync = s.lastSyncTimestamp?.toMillis ? s.lastSyncTimestamp.toMillis() : (s.startedAt || 0);
+  return Date.now() - lastSync < FOLLOW_STALE_MS;
+}
+
+/**
+ * Listen for active sessions in a production. onChange receives the followable
+ * sessions (recently synced), newest first. Returns the unsubscribe function.
+ */
+export function watchActiveSessions(productionId, onChange) {
+  const q = query(
+    collection(db, 'productions', productionId, 'sessions'),
+    where('status', '==', 'active')
+  );
+  return onSnapshot(q, snap => {
+    const sessions = snap.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .filter(_isFollowable)
+      .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+    onChange(sessions);
+  }, err => {
+    console.warn('watchActiveSessions error:', err);
+    onChange([]);
+  });
+}
+
+/**
+ * Subscribe read-only to a single session doc. onUpdate receives the session
+ * data (or null if it was deleted). Returns the unsubscribe function.
+ */
+export function followSession(productionId, sessionId, onUpdate) {
+  return onSnapshot(doc(db, 'productions', productionId, 'sessions', sessionId), snap => {
+    onUpdate(snap.exists() ? { id: snap.id, ...snap.data() } : null);
+  }, err => {
+    console.warn('followSession error:', err);
+    onUpdate(null);
+  });
+}
+
 export function showRecoveryDialog(sessionData) {
   return new Promise(resolve => {
     const title = escapeHtml(sessionData.title || 'Untitled Session');
@@ -97,11 +176,14 @@ export function showRecoveryDialog(sessionData) {
 }
 
 export function hydrateSessionFromFirestore(sessionData) {
+  _pageLogSynced = { sid: sessionData.id, count: (sessionData.pageLog || []).length };
   state.runSession = {
     sessionId: sessionData.id,
     createdBy: sessionData.createdBy || null,
     title: sessionData.title || 'Recovered Session',
+    kind: sessionData.kind || 'rehearsal',
     currentPage: sessionData.liveCurrentPage || 1,
+    currentHalf: sessionData.liveHalf || 'L',
     holdLog: sessionData.liveHoldLog || [],
     scratchpad: sessionData.liveScratchpad || '',
     startedAt: sessionData.startedAt || Date.now(),
@@ -124,14 +206,23 @@ export async function abandonSession(productionId, sessionId) {
 }
 
 /* ── HEARTBEAT ───────────────────────────────── */
-function _updateHeartbeat(healthy) {
+let _lastHealthy = true;
+function _updateHeartbeat(healthy = _lastHealthy) {
+  _lastHealthy = healthy;
   const dot = document.getElementById('rs-heartbeat-dot');
   if (!dot) return;
-  if (state.runSession) {
+  const pending = getPendingCount();
+  if (state.runSession || pending > 0) {
+    const stateCls = !isOnline() ? 'heartbeat--offline' : (healthy ? 'heartbeat--healthy' : 'heartbeat--stale');
     dot.style.display = 'inline-block';
-    dot.className = 'heartbeat-dot ' + (healthy ? 'heartbeat--healthy' : 'heartbeat--stale');
+    dot.className = 'heartbeat-dot ' + stateCls;
+    dot.dataset.pending = pending > 0 ? String(pending) : '';
+    dot.title = !isOnline()
+      ? `Offline — ${pending} change${pending !== 1 ? 's' : ''} waiting to sync`
+      : (pending > 0 ? `Syncing ${pending} change${pending !== 1 ? 's' : ''}…` : 'Session syncing');
   } else { dot.style.display = 'none'; }
 }
+onPendingChange(() => _updateHeartbeat());
 export function hideHeartbeat() {
   const dot = document.getElementById('rs-heartbeat-dot');
   if (dot) dot.style.display = 'none';
@@ -1,34 +1,77 @@
 /**
  * stage-columns.js — Shared Stage Columns Widget
- * P2: Extracted from Runshow.js + props.js.
+ * Where every prop is at a page: one column per side, ON stage in the
+ * middle, plus a column for each custom venue location off either side.
+ * Used by the Props "View Show" tab; the Run Show tracking widget draws its
+ * own compact columns from the same grouping.
  */
 import { escapeHtml } from './ui.js';
+import { getItemStatus, resolveLocation } from '../tracking/core.js';
+import { getProductionLocations } from '../tracking/locations.js';
 
-export function renderStageColumnsHtml({ props, page, getPropStatus, showWarnings = false, warnPages = 5 }) {
+/**
+ * Sort props into stage columns at a page. Each item is the prop's status
+ * (getItemStatus) plus `prop` and `warn` — entering within warnPages pages.
+ * @returns {{ sl: Array, on: Array, sr: Array, others: Array<{ location, items }> }}
+ *   `others` has one entry per custom venue location off either side.
+ */
+export function groupStageColumns(props, page, warnPages = 5) {
+  const locs = getProductionLocations();
   const sl = [], on = [], sr = [];
+  const others = {}; // keyed by location id
   props.forEach(p => {
-    const s = getPropStatus(p, page);
-    if (!s.location) return;
-    const item = { name: p.name, location: s.location, carrier: s.carrier || null, crossover: s.crossover || null,
-      warn: showWarnings && s.upcomingEnter && (s.upcomingEnter - page) > 0 && (s.upcomingEnter - page) <= warnPages,
-      upcomingEnter: s.upcomingEnter || null };
-    const loc = (item.location || '').toUpperCase();
-    if (loc === 'SL' || loc === 'STAGE LEFT') sl.push(item);
-    else if (loc === 'ON' || loc === 'ONSTAGE' || loc === 'ON STAGE') on.push(item);
-    else if (loc === 'SR' || loc === 'STAGE RIGHT') sr.push(item);
-    else sl.push(item);
+    const r = getItemStatus(p, page);
+    const warn = r.upcomingEnter && (r.upcomingEnter - page) <= warnPages && (r.upcomingEnter - page) > 0;
+    const item = { prop: p, ...r, warn };
+    const resolved = resolveLocation(r.location, locs);
+    if (r.status === 'ON') on.push(item);
+    else if (resolved.side === 'right') sr.push(item);
+    else if (resolved.side === 'other') {
+      if (!others[resolved.id]) others[resolved.id] = { location: resolved, items: [] };
+      others[resolved.id].items.push(item);
+    } else sl.push(item);
   });
-  const col = items => items.length === 0 ? '<div class="stage-col-empty">No props</div>'
-    : items.map(it => {
-      const carrier = it.carrier ? '<div class="prop-carrier">' + escapeHtml(it.carrier) + '</div>' : '';
-      let xo = '';
-      if (it.crossover) xo = '<div class="prop-crossover-alert">⚠ Move ' + escapeHtml(it.crossover.from) + '→' + escapeHtml(it.crossover.to) + ' · ' + (it.crossover.mover ? escapeHtml(it.crossover.mover) : '<em>unassigned</em>') + '</div>';
-      const wt = it.warn ? ' <span style="color:var(--gold);font-size:11px;">(pg ' + it.upcomingEnter + ')</span>' : '';
-      return '<div class="stage-prop ' + (it.warn ? 'stage-prop--warn' : '') + (it.crossover ? ' stage-prop--crossover' : '') + '" data-propname="' + escapeHtml(it.name) + '"><div class="prop-name">' + escapeHtml(it.name) + wt + '</div>' + carrier + xo + '</div>';
+  return { sl, on, sr, others: Object.values(others) };
+}
+
+/**
+ * @param {Object}  opts
+ * @param {Array}   opts.props
+ * @param {number}  opts.page
+ * @param {number}  [opts.warnPages=5]    — flag props entering within this many pages
+ * @param {boolean} [opts.thumbnails=false] — show prop photos (img.prop-thumb with data-src)
+ * @returns {string} HTML string
+ */
+export function renderStageColumnsHtml({ props, page, warnPages = 5, thumbnails = false }) {
+  const locs = getProductionLocations();
+  const { sl, on, sr, others } = groupStageColumns(props, page, warnPages);
+
+  const renderCol = (items) => {
+    if (items.length === 0) return '<div style="color:rgba(255,255,255,0.3);font-size:12px;text-align:center;">—</div>';
+    return items.map(({ prop: p, activeCue: ac, warn, upcomingEnter: ue, crossover: xo }) => {
+      let carrier = '';
+      if (ac) {
+        if (ac.carrierOn) carrier += `<div class="prop-carrier">↑ ${escapeHtml(ac.carrierOn)}</div>`;
+        if (ac.carrierOff) carrier += `<div class="prop-carrier">↓ ${escapeHtml(ac.carrierOff)}</div>`;
+      }
+      let crossoverHtml = '';
+      if (xo) {
+        const moverLabel = xo.mover ? escapeHtml(xo.mover) : '<em>unassigned</em>';
+        crossoverHtml = `<div class="prop-crossover-alert">⚠ Move ${escapeHtml(resolveLocation(xo.from, locs).shortName)}→${escapeHtml(resolveLocation(xo.to, locs).shortName)} · ${moverLabel}</div>`;
+      }
+      const wt = warn ? ` <span style="color:#d4af37;font-size:11px;">(pg ${ue})</span>` : '';
+      const thumb = thumbnails && p.photoUrl
+        ? `<img class="prop-thumb" style="float:right;margin:0 0 4px 8px;" src="${escapeHtml(p.photoUrl)}" data-src="${escapeHtml(p.photoUrl)}" alt="" />` : '';
+      const safeName = p.name || p.id || '(unnamed)';
+      if (!p.name) console.warn('[CUE] Stage column prop has empty name:', p);
+      return `<div class="stage-prop ${warn ? 'stage-prop--warn' : ''} ${xo ? 'stage-prop--crossover' : ''}" data-propname="${escapeHtml(p.name || '')}">${thumb}<div class="prop-name">${escapeHtml(safeName)}${wt}</div>${carrier}${crossoverHtml}</div>`;
     }).join('');
-  return '<div class="stage-columns">'
-    + '<div class="stage-col stage-col--sl"><h4>Stage Left</h4>' + col(sl) + '</div>'
-    + '<div class="stage-col stage-col--on"><h4>ON Stage</h4>' + col(on) + '</div>'
-    + '<div class="stage-col stage-col--sr"><h4>Stage Right</h4>' + col(sr) + '</div>'
-    + '</div>';
+  };
+
+  return `<div class="stage-columns"${others.length ? ` style="grid-template-columns:repeat(${3 + others.length},1fr);"` : ''}>
+    <div class="stage-col stage-col--sl"><h4>Stage Left</h4>${renderCol(sl)}</div>
+    <div class="stage-col stage-col--on"><h4>ON Stage</h4>${renderCol(on)}</div>
+    <div class="stage-col stage-col--sr"><h4>Stage Right</h4>${renderCol(sr)}</div>
+    ${others.map(g => `<div class="stage-col stage-col--other"><h4>${escapeHtml(g.location.name)}</h4>${renderCol(g.items)}</div>`).join('')}
+  </div>`;
 }
@@ -5,20 +5,26 @@ export const state = {
   activeRole: null,
   unsubscribers: [],
   runSession: null, // null when no session active
-  // runSession shape when active (in-memory only — not synced to Firestore in real time):
+  // runSession shape when active (synced to the session doc every 10s, and
+  // immediately on page turns / holds so Follow Run members stay in step):
   // {
   //   sessionId: string,
   //   title: string,
+  //   kind: 'rehearsal' | 'performance', // performance runs get a show report
   //   timerRunning: boolean,
   //   timerHeld: boolean,
   //   timerElapsed: number,       // seconds
   //   timerTotalPages: number,
   //   timerDuration: number,      // minutes
   //   timerWarnPages: number,
-  //   currentPage: number,
+  //   currentPage: number,       // PDF page
+  //   currentHalf: 'L' | 'R',
+  //   scriptPage: number,
+  //   splitMode: boolean,
   //   timerInterval: number | null,
   //   holdStartTime: number | null,
-  //   holdLog: [],
+  //   holdReason: { category, note, departments, page } | null, // open hold
+  //   holdLog: [],                // closed holds, with their reason fields
   //   scratchpad: string,
   // }
 };
@@ -11,7 +11,7 @@ import { downloadCSV } from '../shared/ui.js';
 import { showImportModal } from '../shared/import-modal.js';
 import { getCastMembers } from '../cast/cast.js';
 import { getItemStatus, computeBadgeCounts } from './core.js';
-import { getProductionLocations } from './locations.js';
+import { locationOptionsHtml } from './locations.js';
 import { getActiveTrackingType } from './tracking-tab.js';
 import {
   collection, doc, addDoc, updateDoc, deleteDoc, onSnapshot, serverTimestamp
@@ -64,13 +64,6 @@ export function renderActorsContent(container) {
   if (activeInnerTab === 'manage' && owner) _wireManageEvents(container);
 }
 
-function _locOpts(selected) {
-  const locs = getProductionLocations();
-  const legacy = { 'SL': 'backstage-left', 'SR': 'backstage-right', 'ON': 'on-stage' };
-  const res = legacy[selected] || selected || 'backstage-left';
-  return locs.map(l => '<option value="' + l.id + '"' + (l.id === res ? ' selected' : '') + '>' + l.shortName + '</option>').join('');
-}
-
 function _buildManageHtml() {
   const cast = getCastMembers();
 
@@ -100,8 +93,8 @@ function _buildManageHtml() {
             '<label style="font-size:11px;color:var(--text-muted);">Enter pg</label><input class="form-input ac-enter" type="number" min="1" placeholder="Enter" value="' + (c.enterPage || '') + '" style="width:60px;" />' +
             '<span class="arrow">→</span>' +
             '<label style="font-size:11px;color:var(--text-muted);">Exit pg</label><input class="form-input ac-exit" type="number" min="1" placeholder="Exit" value="' + (c.exitPage || '') + '" style="width:60px;" />' +
-            '<label style="font-size:11px;color:var(--text-muted);">From</label><select class="form-select ac-enter-loc">' + _locOpts(c.enterLocation) + '</select>' +
-            '<label style="font-size:11px;color:var(--text-muted);">To</label><select class="form-select ac-exit-loc">' + _locOpts(c.exitLocation) + '</select>' +
+            '<label style="font-size:11px;color:var(--text-muted);">From</label><select class="form-select ac-enter-loc">' + locationOptionsHtml(c.enterLocation) + '</select>' +
+            '<label style="font-size:11px;color:var(--text-muted);">To</label><select class="form-select ac-exit-loc">' + locationOptionsHtml(c.exitLocation) + '</select>' +
             '<button class="remove-cue-btn" data-idx="' + i + '" title="Remove">×</button></div>').join('');
 
       cueEditHtml = '<div style="background:var(--bg-raised);border:1px solid var(--bg-border);border-radius:8px;padding:16px;margin-bottom:16px;">' +
@@ -2,10 +2,22 @@
  * core.js — Shared Tracking Status Computation
  *
  * Exports a generalized item status function used by all four tracking types
- * (props, actors, scenic, costumes). Backward-compatible with the existing
- * getPropStatus() behavior when stateModel === 'two-state'.
+ * (props, actors, scenic, costumes). Locations come back as canonical location
+ * IDs; legacy 'SL'/'SR'/'ON' codes on unmigrated docs are read as their
+ * aliases (admin/manage-productions.js migrate-tracking rewrites them).
  */
 
+import { LEGACY_ALIASES } from './locations.js';
+
+/**
+ * Canonical location ID for a stored value, mapping legacy codes.
+ * @param {string} locationValue
+ * @returns {string}
+ */
+export function canonicalLocationId(locationValue) {
+  return LEGACY_ALIASES[locationValue] || locationValue;
+}
+
 /**
  * Resolve a location value (possibly a legacy alias) to a canonical location object.
  *
@@ -14,8 +26,7 @@
  * @returns {{ id: string, name: string, shortName: string, side: string }}
  */
 export function resolveLocation(locationValue, productionLocations) {
-  const LEGACY_MAP = { 'SL': 'backstage-left', 'SR': 'backstage-right', 'ON': 'on-stage' };
-  const canonId = LEGACY_MAP[locationValue] || locationValue;
+  const canonId = canonicalLocationId(locationValue);
 
   if (productionLocations && productionLocations.length > 0) {
     const found = productionLocations.find(l => l.id === canonId);
@@ -47,7 +58,7 @@ export function getItemStatus(item, page, opts = {}) {
   const stateModel = opts.stateModel || 'two-state';
   const cues = item.cues || [];
 
-  let location = item.start || item.defaultHoldLocation || 'SL';
+  let location = canonicalLocationId(item.start || item.defaultHoldLocation || 'backstage-left');
   let status = 'Off Stage';
   let activeCue = null;
   let upcomingEnter = null;
@@ -62,10 +73,10 @@ export function getItemStatus(item, page, opts = {}) {
     for (let i = 0; i < enters.length; i++) {
       if (page >= enters[i] && page <= (exits[i] || 9999)) {
         status = 'ON';
-        location = 'ON';
+        location = 'on-stage';
         break;
       } else if (page > (exits[i] || 9999)) {
-        location = item.endLocation || 'SL';
+        location = canonicalLocationId(item.endLocation || 'backstage-left');
       }
     }
     if (status !== 'ON') {
@@ -86,19 +97,19 @@ export function getItemStatus(item, page, opts = {}) {
       if (page >= hp && page < ep) {
         // HOLD state
         status = 'HOLD';
-        holdLocation = cue.holdLocation || cue.enterLocation || location;
+        holdLocation = canonicalLocationId(cue.holdLocation || cue.enterLocation || location);
         location = holdLocation;
         activeCue = cue;
         break;
       } else if (page >= ep && page <= xp) {
         // ON state
         status = 'ON';
-        location = 'ON';
+        location = 'on-stage';
         activeCue = cue;
         break;
       } else if (page > xp) {
         // Past this cue — update location
-        location = cue.exitLocation || 'SL';
+        location = canonicalLocationId(cue.exitLocation || 'backstage-left');
         status = 'Off Stage';
       }
     }
@@ -110,10 +121,10 @@ export function getItemStatus(item, page, opts = {}) {
         const hp = cue.holdPage != null ? cue.holdPage : cue.enterPage;
         if (hp > page) {
           upcomingHold = hp;
-          holdLocation = cue.holdLocation || cue.enterLocation || location;
+          holdLocation = canonicalLocationId(cue.holdLocation || cue.enterLocation || location);
           upcomingEnter = cue.enterPage;
           // Check for crossover
-          const enterLoc = cue.enterLocation || location;
+          const enterLoc = canonicalLocationId(cue.enterLocation || location);
           if (enterLoc !== location) {
             crossover = {
               from: location,
@@ -126,7 +137,7 @@ export function getItemStatus(item, page, opts = {}) {
         }
         if (cue.enterPage > page) {
           upcomingEnter = cue.enterPage;
-          const enterLoc = cue.enterLocation || location;
+          const enterLoc = canonicalLocationId(cue.enterLocation || location);
           if (enterLoc !== location) {
             crossover = {
               from: location,
@@ -147,11 +158,11 @@ export function getItemStatus(item, page, opts = {}) {
   for (const cue of cues) {
     if (page >= cue.enterPage && page <= cue.exitPage) {
       status = 'ON';
-      location = 'ON';
+      location = 'on-stage';
       activeCue = cue;
       break;
     } else if (page > cue.exitPage) {
-      location = cue.exitLocation || 'SL';
+      location = canonicalLocationId(cue.exitLocation || 'backstage-left');
       status = 'Off Stage';
     }
   }
@@ -162,7 +173,7 @@ export function getItemStatus(item, page, opts = {}) {
       if (cue.enterPage > page) {
         upcomingEnter = cue.enterPage;
         const currentLoc = location;
-        const enterLoc = cue.enterLocation || currentLoc;
+        const enterLoc = canonicalLocationId(cue.enterLocation || currentLoc);
         if (enterLoc !== currentLoc) {
           crossover = {
             from: currentLoc,
@@ -183,7 +194,8 @@ export function getItemStatus(item, page, opts = {}) {
  * Compute badge counts and alert state for a tracking type.
  *
  * @param {string} trackingType — 'props' | 'actors' | 'scenic' | 'costumes'
- * @param {Array}  items       — array of tracked item documents
+ * @param {Array}  items       — array of tracked item documents (scenic: getScenicItems(),
+ *                                so shift cue groups count as cues)
  * @param {number} page        — current script page
  * @param {number} warnPages   — warning threshold (pages ahead)
  * @returns {{ count: number, alert: boolean }}
@@ -10,8 +10,9 @@ import { escapeHtml, sanitizeName, confirmDialog } from '../shared/ui.js';
 import { downloadCSV } from '../shared/ui.js';
 import { showImportModal } from '../shared/import-modal.js';
 import { getCastMembers } from '../cast/cast.js';
-import { getProductionLocations } from './locations.js';
+import { locationOptionsHtml } from './locations.js';
 import { getActiveTrackingType } from './tracking-tab.js';
+import { renderQuickChangePlanner } from './quick-changes.js';
 import {
   collection, doc, addDoc, updateDoc, deleteDoc, onSnapshot, serverTimestamp
 } from 'firebase/firestore';
@@ -42,18 +43,21 @@ export function getCostumeInnerTab() { return activeInnerTab; }
 export function renderCostumesContent(container) {
   if (!container) return;
   const owner = isOwner();
-  const tabs = owner ? ['manage', 'view'] : ['view'];
+  const tabs = owner ? ['manage', 'view', 'changes'] : ['view', 'changes'];
+  const labels = { manage: 'Manage Costumes', view: 'View Show', changes: 'Quick Changes' };
   let html = '<div class="props-subtabs" style="display:flex;border-bottom:1px solid var(--bg-border);background:var(--bg-base);flex-shrink:0;">';
   tabs.forEach(t => {
-    const label = t === 'manage' ? 'Manage Costumes' : 'View Show';
+    const label = labels[t];
     html += '<button class="props-subtab costume-inner-tab' + (activeInnerTab === t ? ' props-subtab--active' : '') + '" data-tab="' + t + '">' + label + '</button>';
   });
   html += '</div>';
 
   if (activeInnerTab === 'manage' && owner) html += _buildManageHtml();
+  else if (activeInnerTab === 'changes') html += '<div id="costume-qc-planner"></div>';
   else html += _buildViewHtml();
 
   container.innerHTML = html;
+  if (activeInnerTab === 'changes') renderQuickChangePlanner(container.querySelector('#costume-qc-planner'));
 
   container.querySelectorAll('.costume-inner-tab').forEach(btn => {
     btn.addEventListener('click', () => { activeInnerTab = btn.dataset.tab; renderCostumesContent(container); });
@@ -62,13 +66,6 @@ export function renderCostumesContent(container) {
   if (activeInnerTab === 'manage' && owner) _wireManageEvents(container);
 }
 
-function _locOpts(selected) {
-  const locs = getProductionLocations();
-  const legacy = { 'SL': 'backstage-left', 'SR': 'backstage-right', 'ON': 'on-stage' };
-  const res = legacy[selected] || selected || 'backstage-left';
-  return locs.map(l => '<option value="' + l.id + '"' + (l.id === res ? ' selected' : '') + '>' + l.shortName + '</option>').join('');
-}
-
 function _buildManageHtml() {
   const cast = getCastMembers();
   const rows = costumes.map(c => {
@@ -99,7 +96,7 @@ function _buildManageHtml() {
             '<label style="font-size:11px;color:var(--text-muted);">Start pg</label><input class="form-input co-start" type="number" min="1" value="' + (c.startPage || '') + '" style="width:60px;" />' +
             '<span class="arrow">→</span>' +
             '<label style="font-size:11px;color:var(--text-muted);">End pg</label><input class="form-input co-end" type="number" min="1" value="' + (c.endPage || '') + '" style="width:60px;" />' +
-            '<label style="font-size:11px;color:var(--text-muted);">Change at</label><select class="form-select co-loc">' + _locOpts(c.changeLocation) + '</select>' +
+            '<label style="font-size:11px;color:var(--text-muted);">Change at</label><select class="form-select co-loc">' + locationOptionsHtml(c.changeLocation) + '</select>' +
             '<label style="font-size:11px;color:var(--text-muted);"><input type="checkbox" class="co-qc"' + (c.isQuickChange ? ' checked' : '') + ' style="margin-right:4px;" />Quick Change</label>' +
             '<button class="remove-cue-btn" data-idx="' + i + '" title="Remove">×</button></div>').join('');
       cueEditHtml = '<div style="background:var(--bg-raised);border:1px solid var(--bg-border);border-radius:8px;padding:16px;margin-bottom:16px;">' +
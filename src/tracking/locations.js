@@ -52,8 +52,7 @@ export function buildLocationDropdown(locations, selectedId, opts = {}) {
   const locs = locations && locations.length > 0 ? locations : DEFAULT_LOCATIONS;
 
   // Resolve legacy alias to canonical ID for comparison
-  const legacyMap = { 'SL': 'backstage-left', 'SR': 'backstage-right', 'ON': 'on-stage' };
-  const resolvedSelectedId = legacyMap[selectedId] || selectedId;
+  const resolvedSelectedId = LEGACY_ALIASES[selectedId] || selectedId;
 
   let html = `<select class="${escapeHtml(cssClass)}"${name ? ' name="' + escapeHtml(name) + '"' : ''}>`;
 
@@ -70,6 +69,20 @@ export function buildLocationDropdown(locations, selectedId, opts = {}) {
   return html;
 }
 
+/**
+ * <option> list of the production's locations for the cue editors, with the
+ * stored value (legacy alias or canonical ID) selected. Defaults to
+ * backstage-left when nothing is stored yet.
+ *
+ * @param {string} [selected]
+ * @returns {string} HTML string
+ */
+export function locationOptionsHtml(selected) {
+  const res = LEGACY_ALIASES[selected] || selected || 'backstage-left';
+  return getProductionLocations().map(l =>
+    '<option value="' + escapeHtml(l.id) + '"' + (l.id === res ? ' selected' : '') + '>' + escapeHtml(l.shortName) + '</option>').join('');
+}
+
 /**
  * Initialize default locations subcollection for a production if none exist.
  *
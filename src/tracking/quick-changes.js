@@ -0,0 +1,270 @@
+/**
+ * quick-changes.js — Quick-Change Planner
+ *
+ * Pairs costume cues with actor tracking. A change is every costume cue that
+ * follows an earlier costume for the same character. Its window runs from the
+ * actor's last exit before the new costume to their next hold (or entrance,
+ * if there is no hold). Exits and entrances are taken as mid-page, so the
+ * estimate is half the exit page, every page between, and half the entrance
+ * page, using the average page times of recorded runs (session pageLogs).
+ *
+ * Dresser and change location are saved onto the costume cue's
+ * quickChangeDetails, the same fields the shift plot reads. The alert
+ * threshold is saved on the production (quickChangeThresholdSeconds).
+ */
+
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { isOwner } from '../shared/roles.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml, sanitizeName } from '../shared/ui.js';
+import { buildCastPicker, getCastMembers } from '../cast/cast.js';
+import { scriptPageLabel } from '../shared/script-pages.js';
+import { pageDwellTimes } from '../runshow/session-compare.js';
+import { getActorCues } from './actors.js';
+import { getCostumes } from './costumes.js';
+import { getProductionLocations, buildLocationDropdown } from './locations.js';
+import { collection, doc, updateDoc, onSnapshot, query, where } from 'firebase/firestore';
+
+const DEFAULT_THRESHOLD = 60;
+
+let _timing = null;          // { pid, ready: Promise<{ runs, secondsByPage: Map<scriptPage, seconds> }> }
+let _unsubSessions = null;
+
+/* ── TIMING ───────────────────────────────────── */
+
+/**
+ * Average seconds spent on each script page across recorded runs. Kept
+ * live from the production's ended sessions, so a run ended or deleted
+ * since the planner was first opened is picked up on the next render.
+ */
+function _loadPageSeconds() {
+  const pid = state.activeProduction.id;
+  if (_timing?.pid === pid) return _timing.ready;
+  if (_unsubSessions) { _unsubSessions(); _unsubSessions = null; }
+  const entry = { pid, ready: null };
+  entry.ready = new Promise((resolve, reject) => {
+    _unsubSessions = onSnapshot(query(collection(db, 'productions', pid, 'sessions'), where('status', '==', 'ended')), snap => {
+      const timing = _averagePageSeconds(snap.docs.map(d => d.data()));
+      entry.ready = Promise.resolve(timing);
+      resolve(timing);
+    }, e => {
+      // Drop the entry so the next render tries again
+      if (_timing === entry) _timing = null;
+      if (_unsubSessions) { _unsubSessions(); _unsubSessions = null; }
+      reject(e);
+    });
+  });
+  _timing = entry;
+  state.unsubscribers.push(() => {
+    if (_unsubSessions) { _unsubSessions(); _unsubSessions = null; }
+    _timing = null;
+  });
+  return entry.ready;
+}
+
+function _averagePageSeconds(allSessions) {
+  const sessions = allSessions.filter(s => s.pageLog?.length > 0);
+  const sums = new Map();
+  sessions.forEach(s => {
+    // pageLog records PDF pages; a run with right halves was read 2-up
+    const split = s.pageLog.some(e => e.half === 'R');
+    const perRun = new Map();
+    pageDwellTimes(s).forEach(d => {
+      const page = parseInt(scriptPageLabel(d.page, split ? d.half : ''));
+      if (page > 0) perRun.set(page, (perRun.get(page) || 0) + d.ms / 1000);
+    });
+    perRun.forEach((sec, page) => {
+      const acc = sums.get(page) || { sec: 0, n: 0 };
+      acc.sec += sec;
+      acc.n++;
+      sums.set(page, acc);
+    });
+  });
+  return { runs: sessions.length, secondsByPage: new Map([...sums].map(([p, acc]) => [p, acc.sec / acc.n])) };
+}
+
+/* ── MODEL ────────────────────────────────────── */
+
+function _normName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+function _actorFor(costume, actors) {
+  return actors.find(a => costume.castId && a.castId === costume.castId && _normName(a.characterName) === _normName(costume.characterName)) ||
+    actors.find(a => _normName(a.characterName) === _normName(costume.characterName));
+}
+
+/**
+ * Estimated seconds between an exit page and an entrance page.
+ * @returns {number|null} null when a page in the window has no recorded time
+ */
+export function windowSeconds(exitPage, enterPage, secondsByPage) {
+  if (!exitPage || !enterPage) return null;
+  if (enterPage <= exitPage) return 0;
+  let total = 0;
+  for (let p = exitPage; p <= enterPage; p++) {
+    const sec = secondsByPage.get(p);
+    if (sec == null) return null;
+    total += (p === exitPage || p === enterPage) ? sec / 2 : sec;
+  }
+  return Math.round(total);
+}
+
+/**
+ * Every costume change, with its window from the actor's tracking.
+ * @returns {Array<{ costume, cueIndex, cue, from, character, actor, exitPage, enterPage, hold: boolean, seconds: number|null }>}
+ */
+export function buildQuickChanges(secondsByPage) {
+  const actors = getActorCues();
+  const byChar = new Map();
+  getCostumes().forEach(c => {
+    const key = _normName(c.characterName);
+    if (!key) return;
+    (c.cues || []).forEach((cue, cueIndex) => {
+      if (!(cue.startPage > 0)) return;
+      if (!byChar.has(key)) byChar.set(key, []);
+      byChar.get(key).push({ costume: c, cueIndex, cue });
+    });
+  });
+
+  const changes = [];
+  byChar.forEach(list => {
+    list.sort((a, b) => a.cue.startPage - b.cue.startPage);
+    list.forEach((entry, i) => {
+      if (i === 0) return;
+      const prev = list[i - 1];
+      const actor = _actorFor(entry.costume, actors);
+      const cues = actor?.cues || [];
+      const start = entry.cue.startPage;
+      // Last exit in the old costume, next hold/entrance in the new one
+      const exits = cues.map(c => c.exitPage).filter(p => p > 0 && p < start && p >= prev.cue.startPage);
+      const next = cues.filter(c => c.enterPage >= start).sort((a, b) => a.enterPage - b.enterPage)[0];
+      const exitPage = exits.length ? Math.max(...exits) : (prev.cue.endPage || null);
+      const hold = !!(next?.holdPage && next.holdPage < next.enterPage);
+      const enterPage = next ? (hold ? next.holdPage : next.enterPage) : start;
+      changes.push({
+        ...entry,
+        from: prev.costume,
+        character: entry.costume.characterName,
+        actor: actor || null,
+        exitPage, enterPage, hold,
+        seconds: windowSeconds(exitPage, enterPage, secondsByPage),
+      });
+    });
+  });
+  return changes.sort((a, b) => (a.exitPage || a.cue.startPage) - (b.exitPage || b.cue.startPage));
+}
+
+/* ── RENDERING ────────────────────────────────── */
+
+function _fmtSeconds(sec) {
+  if (sec == null) return '—';
+  return sec >= 60 ? Math.floor(sec / 60) + 'm ' + String(sec % 60).padStart(2, '0') + 's' : sec + 's';
+}
+
+function _threshold() {
+  return state.activeProduction?.quickChangeThresholdSeconds || DEFAULT_THRESHOLD;
+}
+
+/**
+ * Render the planner into the Costumes tab content area.
+ * @param {HTMLElement} container
+ */
+export async function renderQuickChangePlanner(container) {
+  if (!container) return;
+  container.innerHTML = '<div style="padding:24px;color:var(--text-muted);font-size:13px;">Loading run timings…</div>';
+  let timing;
+  try {
+    timing = await _loadPageSeconds();
+  } catch (e) {
+    console.error('Quick-change timing load error:', e);
+    timing = { runs: 0, secondsByPage: new Map() };
+  }
+  if (!container.isConnected) return;
+
+  const owner = isOwner();
+  const threshold = _threshold();
+  const locs = getProductionLocations();
+  const changes = buildQuickChanges(timing.secondsByPage);
+  const tight = changes.filter(c => c.seconds != null && c.seconds < threshold).length;
+
+  const rows = changes.map((ch, i) => {
+    const d = ch.cue.quickChangeDetails || {};
+    const status = ch.seconds == null ? 'unknown' : ch.seconds < threshold ? 'tight' : 'ok';
+    const span = ch.exitPage
+      ? 'Exit p.' + ch.exitPage + ' → ' + (ch.hold ? 'hold' : 'enter') + ' p.' + ch.enterPage
+      : 'New costume p.' + ch.cue.startPage;
+    return '<div class="qc-row qc-row--' + status + '" data-idx="' + i + '">' +
+      '<div class="qc-row__time">' + _fmtSeconds(ch.seconds) + '</div>' +
+      '<div style="flex:1;min-width:0;">' +
+        '<div class="qc-row__who">' + escapeHtml(ch.character) + (ch.actor?.actorName ? ' <span style="color:var(--text-muted);font-weight:400;">(' + escapeHtml(ch.actor.actorName) + ')</span>' : '') + '</div>' +
+        '<div class="qc-row__what">' + escapeHtml(ch.from.name || '?') + ' → ' + escapeHtml(ch.costume.name || '?') + '</div>' +
+        '<div class="qc-row__window">' + escapeHtml(span) + (ch.actor ? '' : ' · no actor tracking for this character') + '</div>' +
+      '</div>' +
+      (owner
+        ? '<div class="qc-row__assign">' +
+            '<input class="form-input qc-dresser" placeholder="Dresser" value="' + escapeHtml(d.dresserName || '') + '" />' +
+            buildLocationDropdown(locs, ch.cue.changeLocation || 'backstage-left', { includeCustom: false, cssClass: 'form-select qc-loc' }) +
+            '<label style="font-size:11px;color:var(--text-muted);white-space:nowrap;"><input type="checkbox" class="qc-flag"' + (ch.cue.isQuickChange ? ' checked' : '') + ' style="margin-right:4px;" />QC</label>' +
+            '<button class="settings-btn qc-save">Save</button>' +
+          '</div>'
+        : '<div class="qc-row__assign" style="font-size:12px;color:var(--text-secondary);">' + escapeHtml(d.dresserName || 'No dresser') + ' · ' + escapeHtml(locs.find(l => l.id === ch.cue.changeLocation)?.shortName || ch.cue.changeLocation || '—') + '</div>') +
+    '</div>';
+  }).join('');
+
+  container.innerHTML = '<div style="padding:24px;">' +
+    '<div style="display:flex;justify-content:space-between;align-items:center;gap:12px;margin-bottom:8px;">' +
+      '<h3 style="font-size:16px;color:var(--track-costume);margin:0;">Quick-Change Planner</h3>' +
+      (owner
+        ? '<label style="font-size:12px;color:var(--text-muted);display:flex;align-items:center;gap:6px;">Flag under <input class="form-input" id="qc-threshold" type="number" min="5" step="5" value="' + threshold + '" style="width:70px;" /> s</label>'
+        : '<span style="font-size:12px;color:var(--text-muted);">Flagged under ' + threshold + 's</span>') +
+    '</div>' +
+    '<div style="font-size:12px;color:var(--text-muted);margin-bottom:16px;">' +
+      (timing.runs ? 'Times averaged over ' + timing.runs + ' recorded run' + (timing.runs !== 1 ? 's' : '') + '.' : 'No recorded runs yet — times appear after a run is ended in Run Show.') +
+      (tight ? ' <span style="color:var(--qc-alert);">' + tight + ' change' + (tight !== 1 ? 's' : '') + ' under ' + threshold + 's.</span>' : '') +
+    '</div>' +
+    (rows || '<div style="color:var(--text-muted);font-size:13px;">No costume changes yet. Give a character two or more costumes with cues to plan changes.</div>') +
+    '</div>';
+
+  if (!owner) return;
+  container.querySelector('#qc-threshold')?.addEventListener('change', async e => {
+    const seconds = Math.max(5, parseInt(e.target.value) || DEFAULT_THRESHOLD);
+    try {
+      await updateDoc(doc(db, 'productions', state.activeProduction.id), { quickChangeThresholdSeconds: seconds });
+      state.activeProduction.quickChangeThresholdSeconds = seconds;
+    } catch (err) {
+      console.error('Save quick-change threshold error:', err);
+      toast('Failed to save threshold.', 'error');
+    }
+    renderQuickChangePlanner(container);
+  });
+
+  container.querySelectorAll('.qc-row').forEach(row => {
+    const ch = changes[parseInt(row.dataset.idx)];
+    let picked = { castId: ch.cue.quickChangeDetails?.dresserCastId || '', castName: ch.cue.quickChangeDetails?.dresserName || '' };
+    const picker = row.querySelector('.qc-dresser');
+    buildCastPicker(picker, sel => { picked = sel ? { castId: sel.castId, castName: sel.castName } : { castId: '', castName: '' }; }, picker.value);
+    row.querySelector('.qc-save').addEventListener('click', async () => {
+      const name = sanitizeName(row.querySelector('.cast-picker-input')?.value || '');
+      const castId = name && name === picked.castName ? picked.castId : (getCastMembers().find(m => m.name === name)?.id || '');
+      const cues = (ch.costume.cues || []).map(c => ({ ...c }));
+      const cue = cues[ch.cueIndex];
+      if (!cue) return;
+      cue.changeLocation = row.querySelector('.qc-loc')?.value || cue.changeLocation;
+      cue.isQuickChange = !!row.querySelector('.qc-flag')?.checked;
+      cue.quickChangeDetails = {
+        ...(cue.quickChangeDetails || { notes: '' }),
+        dresserName: name, dresserCastId: castId,
+        estimatedSeconds: ch.seconds ?? (cue.quickChangeDetails?.estimatedSeconds || 0),
+      };
+      try {
+        await updateDoc(doc(db, 'productions', state.activeProduction.id, 'costumes', ch.costume.id), { cues });
+        toast('Quick change saved.', 'success');
+      } catch (e) {
+        console.error('Save quick change error:', e);
+        toast('Failed to save.', 'error');
+      }
+    });
+  });
+}
@@ -0,0 +1,539 @@
+/**
+ * scenic.js — Scenic Tracking (2-state: Off / On) with Shift Cue Groups
+ *
+ * Pieces live in productions/{id}/scenicPieces:
+ *   { name, track, presetLocation, crew: [names], spikes: [{ id, label, color }],
+ *     cues: [{ enterPage, exitPage, enterLocation, exitLocation, spike, mover }] }
+ *
+ * A cue group (productions/{id}/scenicCueGroups) is one shift that moves
+ * several pieces at once:
+ *   { name, page, notes, crew: [names], moves: [{ pieceId, action: 'in'|'out', location, spike, crew }] }
+ *
+ * A piece's effective cues are its own cues merged with the group moves that
+ * name it — see resolveScenicCues(). A shift on page P is in place from P on,
+ * so an 'out' move ends the piece's run on page P - 1.
+ */
+import { db } from '../firebase.js';
+import { state } from '../shared/state.js';
+import { isOwner } from '../shared/roles.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml, sanitizeName, confirmDialog, genId } from '../shared/ui.js';
+import { downloadCSV } from '../shared/ui.js';
+import { getItemStatus, resolveLocation } from './core.js';
+import { getProductionLocations, locationOptionsHtml } from './locations.js';
+import { getActiveTrackingType } from './tracking-tab.js';
+import {
+  collection, doc, addDoc, updateDoc, deleteDoc, onSnapshot, serverTimestamp
+} from 'firebase/firestore';
+
+const SPIKE_COLORS = ['#e05252', '#5b9bd4', '#2d8a4e', '#f5d547', '#9b7bc8', '#e89b3e', '#e8e4dc'];
+
+let pieces = [];
+let cueGroups = [];
+let _unsubPieces = null;
+let _unsubGroups = null;
+let activeInnerTab = 'view';
+let _editingPieceId = null;
+let _pieceDraft = null;   // { track, crew, spikes: [], cues: [] }
+let _editingGroupId = null;
+let _groupDraft = null;   // { name, page, notes, crew, moves: [] }
+
+/** Raw scenic piece docs. */
+export function getScenicPieces() { return pieces; }
+
+/** Shift cue groups, sorted by page. */
+export function getScenicCueGroups() { return cueGroups; }
+
+/** Pieces with their cue-group moves merged into `cues`, ready for getItemStatus(). */
+export function getScenicItems() {
+  return pieces.map(p => ({ ...p, cues: resolveScenicCues(p, cueGroups) }));
+}
+
+/**
+ * Merge a piece's own cues with the cue-group moves that name it into one
+ * sorted list of enter/exit cues.
+ * @param {Object} piece
+ * @param {Array}  groups
+ * @returns {Array} cues in the two-state getItemStatus() shape, plus groupId/groupName
+ */
+export function resolveScenicCues(piece, groups) {
+  const own = (piece.cues || []).filter(c => c.enterPage > 0);
+  const moves = [];
+  (groups || []).forEach(g => (g.moves || []).forEach(m => {
+    if (m.pieceId === piece.id && g.page > 0) moves.push({ ...m, page: g.page, groupId: g.id, groupName: g.name, groupCrew: (g.crew || []).join(', ') });
+  }));
+  if (!moves.length) return own.slice().sort((a, b) => a.enterPage - b.enterPage);
+
+  const events = [];
+  own.forEach(c => {
+    events.push({ page: c.enterPage, action: 'in', location: c.enterLocation, spike: c.spike || '', mover: c.mover || '' });
+    events.push({ page: (c.exitPage || 9998) + 1, action: 'out', location: c.exitLocation, mover: c.mover || '' });
+  });
+  moves.forEach(m => events.push({
+    page: m.page, action: m.action, location: m.location, spike: m.spike || '',
+    mover: m.crew || m.groupCrew || '', groupId: m.groupId, groupName: m.groupName,
+  }));
+  // Outs before ins on the same page, so a piece can be struck and reset in one shift
+  const outFirst = ev => (ev.action === 'out' ? 0 : 1);
+  events.sort((a, b) => a.page - b.page || outFirst(a) - outFirst(b));
+
+  const cues = [];
+  let open = null;
+  events.forEach(ev => {
+    if (ev.action === 'in' && !open) {
+      open = { enterPage: ev.page, enterLocation: ev.location || piece.presetLocation || 'backstage-left', spike: ev.spike, mover: ev.mover, groupId: ev.groupId || null, groupName: ev.groupName || null };
+    } else if (ev.action === 'out' && open) {
+      cues.push({ ...open, exitPage: ev.page - 1, exitLocation: ev.location || open.enterLocation, exitGroupId: ev.groupId || null });
+      open = null;
+    }
+  });
+  if (open) cues.push({ ...open, exitPage: 9999, exitLocation: open.enterLocation, exitGroupId: null });
+  return cues;
+}
+
+/** Label of a piece's spike mark, or '' if none. */
+export function spikeLabel(piece, spikeId) {
+  return (piece?.spikes || []).find(s => s.id === spikeId)?.label || '';
+}
+
+export function subscribeToScenic(productionId) {
+  if (_unsubPieces) { _unsubPieces(); _unsubPieces = null; }
+  if (_unsubGroups) { _unsubGroups(); _unsubGroups = null; }
+  const rerender = () => {
+    if (getActiveTrackingType() === 'scenic' && !_pieceDraft && !_groupDraft) {
+      const el = document.getElementById('props-content');
+      if (el) renderScenicContent(el);
+    }
+  };
+  _unsubPieces = onSnapshot(collection(db, 'productions', productionId, 'scenicPieces'), snap => {
+    pieces = snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    rerender();
+  }, e => {
+    console.error('Scenic pieces subscription error:', e);
+    toast('Could not load scenic pieces.', 'error');
+  });
+  _unsubGroups = onSnapshot(collection(db, 'productions', productionId, 'scenicCueGroups'), snap => {
+    cueGroups = snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => (a.page || 0) - (b.page || 0));
+    rerender();
+  }, e => {
+    console.error('Scenic cue groups subscription error:', e);
+    toast('Could not load shift cues.', 'error');
+  });
+  state.unsubscribers.push(() => {
+    if (_unsubPieces) { _unsubPieces(); _unsubPieces = null; }
+    if (_unsubGroups) { _unsubGroups(); _unsubGroups = null; }
+  });
+}
+
+export function renderScenicContent(container) {
+  if (!container) return;
+  const owner = isOwner();
+  const tabs = owner ? ['manage', 'view'] : ['view'];
+  let html = '<div class="props-subtabs" style="display:flex;border-bottom:1px solid var(--bg-border);background:var(--bg-base);flex-shrink:0;">';
+  tabs.forEach(t => {
+    const label = t === 'manage' ? 'Manage Scenic' : 'View Show';
+    html += '<button class="props-subtab scenic-inner-tab' + (activeInnerTab === t ? ' props-subtab--active' : '') + '" data-tab="' + t + '">' + label + '</button>';
+  });
+  html += '</div>';
+
+  if (activeInnerTab === 'manage' && owner) html += _buildManageHtml();
+  else html += _buildViewHtml();
+
+  container.innerHTML = html;
+
+  container.querySelectorAll('.scenic-inner-tab').forEach(btn => {
+    btn.addEventListener('click', () => { activeInnerTab = btn.dataset.tab; renderScenicContent(container); });
+  });
+
+  if (activeInnerTab === 'manage' && owner) _wireManageEvents(container);
+}
+
+function _rerender() {
+  renderScenicContent(document.getElementById('props-content'));
+}
+
+function _spikeOpts(piece, selected) {
+  return '<option value="">No spike</option>' + (piece?.spikes || []).map(s =>
+    '<option value="' + escapeHtml(s.id) + '"' + (s.id === selected ? ' selected' : '') + '>' + escapeHtml(s.label) + '</option>').join('');
+}
+
+function _splitCrew(val) {
+  return (val || '').split(',').map(s => sanitizeName(s)).filter(Boolean);
+}
+
+/* ── MANAGE ───────────────────────────────────── */
+
+function _buildManageHtml() {
+  const rows = pieces.map(p => {
+    const cueCount = (p.cues || []).length;
+    const groupCount = cueGroups.filter(g => (g.moves || []).some(m => m.pieceId === p.id)).length;
+    return '<div style="display:flex;align-items:center;gap:10px;padding:8px 0;border-bottom:1px solid var(--bg-border);">' +
+      '<span style="color:var(--track-scenic);font-weight:600;flex:1;">' + escapeHtml(p.name || '?') + '</span>' +
+      (p.track ? '<span style="color:var(--text-muted);font-size:12px;">' + escapeHtml(p.track) + '</span>' : '') +
+      '<span style="color:var(--text-muted);font-size:12px;">' + (p.spikes || []).length + ' spike' + ((p.spikes || []).length !== 1 ? 's' : '') + '</span>' +
+      '<span style="color:var(--text-muted);font-size:12px;">' + cueCount + ' cue' + (cueCount !== 1 ? 's' : '') + (groupCount ? ' · ' + groupCount + ' shift' + (groupCount !== 1 ? 's' : '') : '') + '</span>' +
+      '<button class="settings-btn scenic-edit-btn" data-id="' + escapeHtml(p.id) + '">Edit</button>' +
+      '<button class="settings-btn settings-btn--danger scenic-del-btn" data-id="' + escapeHtml(p.id) + '">Delete</button></div>';
+  }).join('') || '<div style="color:var(--text-muted);padding:16px 0;">No scenic pieces tracked yet.</div>';
+
+  const groupRows = cueGroups.map(g => {
+    const names = (g.moves || []).map(m => {
+      const piece = pieces.find(p => p.id === m.pieceId);
+      return (m.action === 'out' ? '↓ ' : '↑ ') + (piece?.name || '?');
+    });
+    return '<div style="display:flex;align-items:center;gap:10px;padding:8px 0;border-bottom:1px solid var(--bg-border);">' +
+      '<span style="font-family:\'DM Mono\',monospace;font-size:12px;color:var(--text-muted);min-width:44px;">p.' + (g.page || '?') + '</span>' +
+      '<span style="color:var(--track-scenic);font-weight:600;">' + escapeHtml(g.name || 'Shift') + '</span>' +
+      '<span style="color:var(--text-secondary);font-size:12px;flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">' + escapeHtml(names.join(', ')) + '</span>' +
+      '<button class="settings-btn scenic-group-edit-btn" data-id="' + escapeHtml(g.id) + '">Edit</button>' +
+      '<button class="settings-btn settings-btn--danger scenic-group-del-btn" data-id="' + escapeHtml(g.id) + '">Delete</button></div>';
+  }).join('') || '<div style="color:var(--text-muted);padding:16px 0;">No shift cues yet. A shift cue moves several pieces on one page.</div>';
+
+  return '<div style="padding:24px;">' +
+    '<div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px;"><h3 style="font-size:16px;color:var(--track-scenic);margin:0;">Manage Scenic</h3><div style="display:flex;gap:8px;"><button class="settings-btn" id="scenic-export-btn">Export CSV</button></div></div>' +
+    _buildPieceEditHtml() +
+    _buildGroupEditHtml() +
+    '<div style="background:var(--bg-raised);border:1px solid var(--bg-border);border-radius:8px;padding:16px;margin-bottom:16px;">' +
+    '<div style="display:flex;gap:8px;flex-wrap:wrap;">' +
+    '<input class="form-input" id="scenic-name-input" placeholder="Piece name (e.g. Kitchen wagon)" maxlength="100" style="flex:1;" />' +
+    '<input class="form-input" id="scenic-track-input" placeholder="Track / line set" maxlength="60" style="width:160px;" />' +
+    '<select class="form-select" id="scenic-preset-select">' + locationOptionsHtml('backstage-left') + '</select>' +
+    '<button class="modal-btn-primary" id="scenic-add-btn">+ Add Piece</button></div></div>' +
+    '<div id="scenic-list">' + rows + '</div>' +
+    '<div style="display:flex;justify-content:space-between;align-items:center;margin:24px 0 8px;"><h4 style="font-size:12px;text-transform:uppercase;color:var(--text-muted);margin:0;">Shift Cues</h4>' +
+    '<button class="settings-btn" id="scenic-group-add-btn">+ Add Shift</button></div>' +
+    '<div id="scenic-group-list">' + groupRows + '</div></div>';
+}
+
+function _buildPieceEditHtml() {
+  if (!_editingPieceId) return '';
+  const piece = pieces.find(p => p.id === _editingPieceId);
+  if (!piece) return '';
+  const draftPiece = { spikes: _pieceDraft.spikes };
+  const spikeRows = _pieceDraft.spikes.map((s, i) => '<div class="scenic-spike-row" data-idx="' + i + '" style="display:flex;gap:6px;align-items:center;margin-bottom:4px;">' +
+    '<input type="color" class="sc-spike-color" value="' + escapeHtml(s.color) + '" style="width:28px;height:24px;padding:0;border:none;background:none;" />' +
+    '<input class="form-input sc-spike-label" placeholder="Spike mark (e.g. DSC, Act 2 table)" maxlength="40" value="' + escapeHtml(s.label) + '" style="flex:1;" />' +
+    '<button class="remove-cue-btn sc-spike-remove" data-idx="' + i + '" title="Remove">×</button></div>').join('') ||
+    '<div style="color:var(--text-muted);font-size:12px;padding:4px 0;">No spike marks.</div>';
+
+  const cueRows = _pieceDraft.cues.length === 0
+    ? '<div style="color:var(--text-muted);font-size:12px;padding:8px 0;">No cues of its own. Shift cues can still move it.</div>'
+    : _pieceDraft.cues.map((c, i) => '<div class="cue-row" data-idx="' + i + '">' +
+        '<span class="cue-num">#' + (i + 1) + '</span>' +
+        '<label style="font-size:11px;color:var(--text-muted);">In pg</label><input class="form-input sc-enter" type="number" min="1" value="' + (c.enterPage || '') + '" style="width:60px;" />' +
+        '<span class="arrow">→</span>' +
+        '<label style="font-size:11px;color:var(--text-muted);">Out pg</label><input class="form-input sc-exit" type="number" min="1" value="' + (c.exitPage || '') + '" style="width:60px;" />' +
+        '<label style="font-size:11px;color:var(--text-muted);">From</label><select class="form-select sc-enter-loc">' + locationOptionsHtml(c.enterLocation) + '</select>' +
+        '<label style="font-size:11px;color:var(--text-muted);">To</label><select class="form-select sc-exit-loc">' + locationOptionsHtml(c.exitLocation) + '</select>' +
+        '<label style="font-size:11px;color:var(--text-muted);">Spike</label><select class="form-select sc-spike">' + _spikeOpts(draftPiece, c.spike) + '</select>' +
+        '<input class="form-input sc-mover" placeholder="Crew" maxlength="60" value="' + escapeHtml(c.mover || '') + '" style="width:100px;" />' +
+        '<button class="remove-cue-btn sc-cue-remove" data-idx="' + i + '" title="Remove">×</button></div>').join('');
+
+  return '<div style="background:var(--bg-raised);border:1px solid var(--bg-border);border-radius:8px;padding:16px;margin-bottom:16px;">' +
+    '<h4 style="color:var(--track-scenic);font-size:14px;margin-bottom:12px;">' + escapeHtml(piece.name) + '</h4>' +
+    '<div style="display:flex;gap:8px;flex-wrap:wrap;margin-bottom:12px;">' +
+    '<label style="font-size:11px;color:var(--text-muted);display:flex;flex-direction:column;gap:2px;">Track / line set<input class="form-input" id="sc-track" maxlength="60" value="' + escapeHtml(_pieceDraft.track) + '" /></label>' +
+    '<label style="font-size:11px;color:var(--text-muted);display:flex;flex-direction:column;gap:2px;">Preset<select class="form-select" id="sc-preset">' + locationOptionsHtml(_pieceDraft.presetLocation) + '</select></label>' +
+    '<label style="font-size:11px;color:var(--text-muted);display:flex;flex-direction:column;gap:2px;flex:1;">Shift crew (comma separated)<input class="form-input" id="sc-crew" maxlength="200" value="' + escapeHtml(_pieceDraft.crew) + '" /></label></div>' +
+    '<div style="font-size:11px;text-transform:uppercase;color:var(--text-muted);margin-bottom:6px;">Spike Marks</div>' +
+    spikeRows +
+    '<button class="add-cue-btn" id="sc-add-spike-btn">+ Add Spike</button>' +
+    '<div style="font-size:11px;text-transform:uppercase;color:var(--text-muted);margin:12px 0 6px;">Cues</div>' +
+    '<div class="cue-rows">' + cueRows + '</div>' +
+    '<button class="add-cue-btn" id="sc-add-cue-btn">+ Add Cue</button>' +
+    '<div style="display:flex;gap:8px;margin-top:12px;"><button class="modal-btn-primary" id="sc-save-piece-btn">Save</button>' +
+    '<button class="modal-btn-cancel" id="sc-cancel-piece-btn">Cancel</button></div></div>';
+}
+
+function _buildGroupEditHtml() {
+  if (!_groupDraft) return '';
+  const pieceOpts = sel => '<option value="">Piece…</option>' + pieces.map(p =>
+    '<option value="' + escapeHtml(p.id) + '"' + (p.id === sel ? ' selected' : '') + '>' + escapeHtml(p.name) + '</option>').join('');
+  const moveRows = _groupDraft.moves.length === 0
+    ? '<div style="color:var(--text-muted);font-size:12px;padding:8px 0;">No pieces in this shift.</div>'
+    : _groupDraft.moves.map((m, i) => {
+        const piece = pieces.find(p => p.id === m.pieceId);
+        return '<div class="cue-row scenic-move-row" data-idx="' + i + '">' +
+          '<select class="form-select sg-piece">' + pieceOpts(m.pieceId) + '</select>' +
+          '<select class="form-select sg-action"><option value="in"' + (m.action !== 'out' ? ' selected' : '') + '>On</option><option value="out"' + (m.action === 'out' ? ' selected' : '') + '>Off</option></select>' +
+          '<label style="font-size:11px;color:var(--text-muted);">' + (m.action === 'out' ? 'To' : 'From') + '</label><select class="form-select sg-loc">' + locationOptionsHtml(m.location) + '</select>' +
+          (m.action === 'out' ? '' : '<label style="font-size:11px;color:var(--text-muted);">Spike</label><select class="form-select sg-spike">' + _spikeOpts(piece, m.spike) + '</select>') +
+          '<input class="form-input sg-crew" placeholder="Crew (default: shift crew)" maxlength="60" value="' + escapeHtml(m.crew || '') + '" style="width:150px;" />' +
+          '<button class="remove-cue-btn sg-remove" data-idx="' + i + '" title="Remove">×</button></div>';
+      }).join('');
+
+  return '<div style="background:var(--bg-raised);border:1px solid var(--bg-border);border-radius:8px;padding:16px;margin-bottom:16px;">' +
+    '<h4 style="color:var(--track-scenic);font-size:14px;margin-bottom:12px;">' + (_editingGroupId ? 'Edit Shift' : 'New Shift') + '</h4>' +
+    '<div style="display:flex;gap:8px;flex-wrap:wrap;margin-bottom:12px;">' +
+    '<label style="font-size:11px;color:var(--text-muted);display:flex;flex-direction:column;gap:2px;flex:1;">Name<input class="form-input" id="sg-name" placeholder="e.g. Into Act 2 Sc 1" maxlength="80" value="' + escapeHtml(_groupDraft.name) + '" /></label>' +
+    '<label style="font-size:11px;color:var(--text-muted);display:flex;flex-direction:column;gap:2px;">Page<input class="form-input" id="sg-page" type="number" min="1" value="' + (_groupDraft.page || '') + '" style="width:70px;" /></label>' +
+    '<label style="font-size:11px;color:var(--text-muted);display:flex;flex-direction:column;gap:2px;flex:1;">Shift crew (comma separated)<input class="form-input" id="sg-crew" maxlength="200" value="' + escapeHtml(_groupDraft.crew) + '" /></label></div>' +
+    '<label style="font-size:11px;color:var(--text-muted);display:flex;flex-direction:column;gap:2px;margin-bottom:12px;">Notes<input class="form-input" id="sg-notes" maxlength="300" value="' + escapeHtml(_groupDraft.notes) + '" /></label>' +
+    '<div class="cue-rows">' + moveRows + '</div>' +
+    '<button class="add-cue-btn" id="sg-add-move-btn">+ Add Piece</button>' +
+    '<div style="display:flex;gap:8px;margin-top:12px;"><button class="modal-btn-primary" id="sg-save-btn">Save Shift</button>' +
+    '<button class="modal-btn-cancel" id="sg-cancel-btn">Cancel</button></div></div>';
+}
+
+function _syncPieceDraft(container) {
+  if (!_pieceDraft) return;
+  _pieceDraft.track = container.querySelector('#sc-track')?.value ?? _pieceDraft.track;
+  _pieceDraft.presetLocation = container.querySelector('#sc-preset')?.value || _pieceDraft.presetLocation;
+  _pieceDraft.crew = container.querySelector('#sc-crew')?.value ?? _pieceDraft.crew;
+  container.querySelectorAll('.scenic-spike-row').forEach((row, i) => {
+    if (!_pieceDraft.spikes[i]) return;
+    _pieceDraft.spikes[i].label = row.querySelector('.sc-spike-label')?.value || '';
+    _pieceDraft.spikes[i].color = row.querySelector('.sc-spike-color')?.value || SPIKE_COLORS[0];
+  });
+  container.querySelectorAll('.cue-row:not(.scenic-move-row)').forEach((row, i) => {
+    const c = _pieceDraft.cues[i];
+    if (!c) return;
+    c.enterPage = row.querySelector('.sc-enter')?.value || '';
+    c.exitPage = row.querySelector('.sc-exit')?.value || '';
+    c.enterLocation = row.querySelector('.sc-enter-loc')?.value || '';
+    c.exitLocation = row.querySelector('.sc-exit-loc')?.value || '';
+    c.spike = row.querySelector('.sc-spike')?.value || '';
+    c.mover = row.querySelector('.sc-mover')?.value || '';
+  });
+}
+
+function _syncGroupDraft(container) {
+  if (!_groupDraft) return;
+  _groupDraft.name = container.querySelector('#sg-name')?.value ?? _groupDraft.name;
+  _groupDraft.page = container.querySelector('#sg-page')?.value ?? _groupDraft.page;
+  _groupDraft.crew = container.querySelector('#sg-crew')?.value ?? _groupDraft.crew;
+  _groupDraft.notes = container.querySelector('#sg-notes')?.value ?? _groupDraft.notes;
+  container.querySelectorAll('.scenic-move-row').forEach((row, i) => {
+    const m = _groupDraft.moves[i];
+    if (!m) return;
+    m.pieceId = row.querySelector('.sg-piece')?.value || '';
+    m.action = row.querySelector('.sg-action')?.value || 'in';
+    m.location = row.querySelector('.sg-loc')?.value || '';
+    m.spike = row.querySelector('.sg-spike')?.value || '';
+    m.crew = row.querySelector('.sg-crew')?.value || '';
+  });
+}
+
+function _wireManageEvents(container) {
+  const pid = state.activeProduction.id;
+
+  container.querySelector('#scenic-add-btn')?.addEventListener('click', async () => {
+    const name = sanitizeName(container.querySelector('#scenic-name-input')?.value);
+    if (!name) { toast('Name required.', 'error'); return; }
+    try {
+      await addDoc(collection(db, 'productions', pid, 'scenicPieces'), {
+        name, track: sanitizeName(container.querySelector('#scenic-track-input')?.value || ''), trackingType: 'scenic',
+        presetLocation: container.querySelector('#scenic-preset-select')?.value || 'backstage-left',
+        crew: [], spikes: [], cues: [], notes: '', createdAt: serverTimestamp(),
+      });
+      toast('Piece added!', 'success');
+    } catch (e) { console.error('Add scenic piece error:', e); toast('Failed.', 'error'); }
+  });
+
+  container.querySelectorAll('.scenic-del-btn').forEach(btn => btn.addEventListener('click', async () => {
+    const inGroups = cueGroups.filter(g => (g.moves || []).some(m => m.pieceId === btn.dataset.id));
+    if (!confirmDialog('Delete this scenic piece?' + (inGroups.length ? ' It will be removed from ' + inGroups.length + ' shift cue' + (inGroups.length !== 1 ? 's' : '') + '.' : ''))) return;
+    try {
+      await deleteDoc(doc(db, 'productions', pid, 'scenicPieces', btn.dataset.id));
+      await Promise.all(inGroups.map(g => updateDoc(doc(db, 'productions', pid, 'scenicCueGroups', g.id), {
+        moves: (g.moves || []).filter(m => m.pieceId !== btn.dataset.id),
+      })));
+      toast('Deleted.', 'success');
+    } catch (e) { console.error('Delete scenic piece error:', e); toast('Failed.', 'error'); }
+  }));
+
+  container.querySelectorAll('.scenic-edit-btn').forEach(btn => btn.addEventListener('click', () => {
+    const piece = pieces.find(p => p.id === btn.dataset.id);
+    if (!piece) return;
+    _editingGroupId = null; _groupDraft = null;
+    _editingPieceId = piece.id;
+    _pieceDraft = {
+      track: piece.track || '', presetLocation: piece.presetLocation || 'backstage-left', crew: (piece.crew || []).join(', '),
+      spikes: (piece.spikes || []).map(s => ({ ...s })), cues: (piece.cues || []).map(c => ({ ...c })),
+    };
+    _rerender();
+    const cont = document.getElementById('props-content');
+    if (cont) cont.scrollTop = 0;
+  }));
+
+  container.querySelector('#sc-add-spike-btn')?.addEventListener('click', () => {
+    _syncPieceDraft(container);
+    _pieceDraft.spikes.push({ id: genId(), label: '', color: SPIKE_COLORS[_pieceDraft.spikes.length % SPIKE_COLORS.length] });
+    _rerender();
+  });
+  container.querySelectorAll('.sc-spike-remove').forEach(btn => btn.addEventListener('click', () => {
+    _syncPieceDraft(container);
+    const [removed] = _pieceDraft.spikes.splice(parseInt(btn.dataset.idx), 1);
+    _pieceDraft.cues.forEach(c => { if (c.spike === removed?.id) c.spike = ''; });
+    _rerender();
+  }));
+  container.querySelector('#sc-add-cue-btn')?.addEventListener('click', () => {
+    _syncPieceDraft(container);
+    _pieceDraft.cues.push({ enterPage: '', exitPage: '', enterLocation: _pieceDraft.presetLocation, exitLocation: _pieceDraft.presetLocation, spike: '', mover: '' });
+    _rerender();
+  });
+  container.querySelectorAll('.sc-cue-remove').forEach(btn => btn.addEventListener('click', () => {
+    _syncPieceDraft(container); _pieceDraft.cues.splice(parseInt(btn.dataset.idx), 1);
+    _rerender();
+  }));
+  container.querySelector('#sc-save-piece-btn')?.addEventListener('click', async () => {
+    _syncPieceDraft(container);
+    const spikes = _pieceDraft.spikes.map(s => ({ id: s.id, label: sanitizeName(s.label), color: s.color })).filter(s => s.label);
+    const cues = _pieceDraft.cues.map(c => ({
+      enterPage: parseInt(c.enterPage) || 0, exitPage: parseInt(c.exitPage) || 0,
+      enterLocation: c.enterLocation || 'backstage-left', exitLocation: c.exitLocation || 'backstage-left',
+      spike: spikes.some(s => s.id === c.spike) ? c.spike : '', mover: sanitizeName(c.mover || ''),
+    }));
+    for (let i = 0; i < cues.length; i++) {
+      if (!cues[i].enterPage || !cues[i].exitPage) { toast('Cue #' + (i + 1) + ': in and out pages required.', 'error'); return; }
+      if (cues[i].exitPage < cues[i].enterPage) { toast('Cue #' + (i + 1) + ': out page is before in page.', 'error'); return; }
+    }
+    try {
+      await updateDoc(doc(db, 'productions', pid, 'scenicPieces', _editingPieceId), {
+        track: sanitizeName(_pieceDraft.track), presetLocation: _pieceDraft.presetLocation,
+        crew: _splitCrew(_pieceDraft.crew), spikes, cues,
+      });
+      toast('Piece saved!', 'success'); _editingPieceId = null; _pieceDraft = null;
+      _rerender();
+    } catch (e) { console.error('Save scenic piece error:', e); toast('Failed to save.', 'error'); }
+  });
+  container.querySelector('#sc-cancel-piece-btn')?.addEventListener('click', () => {
+    _editingPieceId = null; _pieceDraft = null;
+    _rerender();
+  });
+
+  // ── Shift cue groups ──
+  container.querySelector('#scenic-group-add-btn')?.addEventListener('click', () => {
+    _editingPieceId = null; _pieceDraft = null;
+    _editingGroupId = null;
+    _groupDraft = { name: '', page: '', notes: '', crew: '', moves: [] };
+    _rerender();
+    const cont = document.getElementById('props-content');
+    if (cont) cont.scrollTop = 0;
+  });
+  container.querySelectorAll('.scenic-group-edit-btn').forEach(btn => btn.addEventListener('click', () => {
+    const g = cueGroups.find(x => x.id === btn.dataset.id);
+    if (!g) return;
+    _editingPieceId = null; _pieceDraft = null;
+    _editingGroupId = g.id;
+    _groupDraft = { name: g.name || '', page: g.page || '', notes: g.notes || '', crew: (g.crew || []).join(', '), moves: (g.moves || []).map(m => ({ ...m })) };
+    _rerender();
+    const cont = document.getElementById('props-content');
+    if (cont) cont.scrollTop = 0;
+  }));
+  container.querySelectorAll('.scenic-group-del-btn').forEach(btn => btn.addEventListener('click', async () => {
+    if (!confirmDialog('Delete this shift cue? Its pieces keep their own cues.')) return;
+    try { await deleteDoc(doc(db, 'productions', pid, 'scenicCueGroups', btn.dataset.id)); toast('Deleted.', 'success'); }
+    catch (e) { console.error('Delete shift cue error:', e); toast('Failed.', 'error'); }
+  }));
+
+  container.querySelector('#sg-add-move-btn')?.addEventListener('click', () => {
+    _syncGroupDraft(container);
+    _groupDraft.moves.push({ pieceId: '', action: 'in', location: 'backstage-left', spike: '', crew: '' });
+    _rerender();
+  });
+  container.querySelectorAll('.sg-remove').forEach(btn => btn.addEventListener('click', () => {
+    _syncGroupDraft(container); _groupDraft.moves.splice(parseInt(btn.dataset.idx), 1);
+    _rerender();
+  }));
+  // Piece and action change which spike and location fields apply
+  container.querySelectorAll('.sg-piece, .sg-action').forEach(sel => sel.addEventListener('change', () => {
+    _syncGroupDraft(container);
+    _rerender();
+  }));
+  container.querySelector('#sg-save-btn')?.addEventListener('click', async () => {
+    _syncGroupDraft(container);
+    const name = sanitizeName(_groupDraft.name);
+    const page = parseInt(_groupDraft.page) || 0;
+    if (!name) { toast('Shift name required.', 'error'); return; }
+    if (!page) { toast('Shift page required.', 'error'); return; }
+    const moves = _groupDraft.moves.filter(m => m.pieceId).map(m => ({
+      pieceId: m.pieceId, action: m.action === 'out' ? 'out' : 'in', location: m.location || 'backstage-left',
+      spike: m.action === 'out' ? '' : (m.spike || ''), crew: sanitizeName(m.crew || ''),
+    }));
+    if (!moves.length) { toast('Add at least one piece to the shift.', 'error'); return; }
+    if (new Set(moves.map(m => m.pieceId)).size !== moves.length) { toast('Each piece can only move once per shift.', 'error'); return; }
+    const data = { name, page, notes: sanitizeName(_groupDraft.notes), crew: _splitCrew(_groupDraft.crew), moves };
+    try {
+      if (_editingGroupId) await updateDoc(doc(db, 'productions', pid, 'scenicCueGroups', _editingGroupId), data);
+      else await addDoc(collection(db, 'productions', pid, 'scenicCueGroups'), { ...data, createdAt: serverTimestamp() });
+      toast('Shift saved!', 'success'); _editingGroupId = null; _groupDraft = null;
+      _rerender();
+    } catch (e) { console.error('Save shift cue error:', e); toast('Failed to save.', 'error'); }
+  });
+  container.querySelector('#sg-cancel-btn')?.addEventListener('click', () => {
+    _editingGroupId = null; _groupDraft = null;
+    _rerender();
+  });
+
+  container.querySelector('#scenic-export-btn')?.addEventListener('click', () => _exportScenicCSV());
+}
+
+function _exportScenicCSV() {
+  if (pieces.length === 0) { toast('No scenic pieces to export.', 'warn'); return; }
+  const items = getScenicItems();
+  const maxCues = Math.max(1, ...items.map(p => p.cues.length));
+  const header = ['name', 'track', 'presetLocation', 'crew', 'spikes'];
+  for (let i = 1; i <= maxCues; i++) { header.push('cue_' + i + '_inPage', 'cue_' + i + '_outPage', 'cue_' + i + '_from', 'cue_' + i + '_to', 'cue_' + i + '_spike', 'cue_' + i + '_shift'); }
+  const rows = [header];
+  items.forEach(p => {
+    const row = [p.name || '', p.track || '', p.presetLocation || '', (p.crew || []).join('; '), (p.spikes || []).map(s => s.label).join('; ')];
+    for (let i = 0; i < maxCues; i++) {
+      const q = p.cues[i];
+      if (q) row.push(q.enterPage || '', q.exitPage === 9999 ? '' : q.exitPage, q.enterLocation || '', q.exitLocation || '', spikeLabel(p, q.spike), q.groupName || '');
+      else row.push('', '', '', '', '', '');
+    }
+    rows.push(row);
+  });
+  const title = (state.activeProduction?.title || 'production').replace(/[^a-zA-Z0-9]/g, '_');
+  downloadCSV(rows, 'scenic_' + title + '_' + new Date().toISOString().split('T')[0] + '.csv');
+  toast('Scenic exported.', 'success');
+}
+
+/* ── VIEW ─────────────────────────────────────── */
+
+function _buildViewHtml() {
+  const page = state.runSession?.currentPage || 1;
+  const warnPgs = state.runSession?.timerWarnPages || 5;
+  const locs = getProductionLocations();
+  const onStage = [], offStage = [];
+  getScenicItems().forEach(p => {
+    const r = getItemStatus(p, page);
+    const item = { piece: p, r, where: resolveLocation(r.location, locs).shortName };
+    if (r.status === 'ON') onStage.push(item); else offStage.push(item);
+  });
+  const upcoming = cueGroups.filter(g => g.page > page && g.page - page <= warnPgs * 2);
+
+  const shiftHtml = upcoming.length ? upcoming.map(g => {
+    const pagesUntil = g.page - page;
+    const moves = (g.moves || []).map(m => {
+      const piece = pieces.find(p => p.id === m.pieceId);
+      const spike = m.action === 'out' ? '' : spikeLabel(piece, m.spike);
+      return '<div style="font-size:12px;color:var(--text-secondary);padding-left:22px;">' + (m.action === 'out' ? '↓ ' : '↑ ') + escapeHtml(piece?.name || '?') +
+        ' <span style="color:var(--text-muted);">' + (m.action === 'out' ? 'to ' : 'from ') + escapeHtml(resolveLocation(m.location, locs).shortName) + (spike ? ' → ' + escapeHtml(spike) : '') +
+        (m.crew ? ' · ' + escapeHtml(m.crew) : '') + '</span></div>';
+    }).join('');
+    return '<div style="padding:8px 10px;background:rgba(110,168,200,0.08);border:1px solid var(--track-scenic);border-radius:6px;margin-bottom:6px;' + (pagesUntil <= warnPgs ? 'animation:badge-pulse 1.5s ease-in-out infinite;' : '') + '">' +
+      '<div style="display:flex;align-items:center;gap:6px;"><span style="font-size:14px;">⇅</span><span style="color:var(--track-scenic);font-weight:600;font-size:13px;">' + escapeHtml(g.name) + '</span>' +
+      '<span style="color:var(--text-muted);font-size:11px;">p.' + g.page + (g.crew?.length ? ' · ' + escapeHtml(g.crew.join(', ')) : '') + '</span>' +
+      '<span style="color:var(--text-muted);font-size:11px;margin-left:auto;">in ' + pagesUntil + ' pg' + (pagesUntil !== 1 ? 's' : '') + '</span></div>' + moves + '</div>';
+  }).join('') : '<div style="color:var(--text-muted);font-size:12px;">No upcoming shifts.</div>';
+
+  const row = ({ piece: p, r, where }, on) => {
+    const spike = on ? spikeLabel(p, r.activeCue?.spike) : '';
+    const color = on ? (p.spikes || []).find(s => s.id === r.activeCue?.spike)?.color : null;
+    return '<div style="padding:4px 8px;background:var(--bg-card);border-radius:5px;margin-bottom:3px;font-size:12px;' + (on ? 'border-left:3px solid var(--track-scenic);' : '') + '">' +
+      '<span style="color:var(--text-primary);">' + escapeHtml(p.name) + '</span>' +
+      (p.track ? ' <span style="color:var(--text-muted);">' + escapeHtml(p.track) + '</span>' : '') +
+      (spike ? ' <span style="color:var(--text-secondary);">@ <span style="display:inline-block;width:8px;height:8px;border-radius:2px;background:' + escapeHtml(color || 'var(--text-muted)') + ';"></span> ' + escapeHtml(spike) + '</span>' : '') +
+      (!on ? ' <span style="color:var(--text-muted);">' + escapeHtml(where) + (r.upcomingEnter ? ' · on p.' + r.upcomingEnter : '') + '</span>' : '') + '</div>';
+  };
+
+  return '<div style="padding:24px;">' +
+    '<h4 style="font-size:12px;text-transform:uppercase;color:var(--track-scenic);margin-bottom:8px;">Upcoming Shifts</h4>' + shiftHtml +
+    '<h4 style="font-size:12px;text-transform:uppercase;color:var(--text-muted);margin:20px 0 8px;">On Stage (' + onStage.length + ')</h4>' +
+    (onStage.map(i => row(i, true)).join('') || '—') +
+    '<h4 style="font-size:12px;text-transform:uppercase;color:var(--text-muted);margin:20px 0 8px;">Off Stage (' + offStage.length + ')</h4>' +
+    (offStage.map(i => row(i, false)).join('') || '—') +
+    '</div>';
+}
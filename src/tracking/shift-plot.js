@@ -0,0 +1,333 @@
+/**
+ * shift-plot.js — Shift Plot / Running-Crew Sheets
+ *
+ * Generated from tracking data: one run sheet per person listing every move
+ * they make in page order.
+ *
+ *   props    — carrierOn takes the prop on at its enter page, carrierOff
+ *              takes it off at its exit page, and mover handles the crossover
+ *              getItemStatus() detects before an enter on the other side.
+ *              Legacy enters[]/exits[] props are read as cues with no crew.
+ *   actors   — the actor's own entrances (from their hold page, if any) and
+ *              exits, plus crossovers to a different entrance side
+ *   scenic   — each piece cue and each shift cue move, crewed by the move's
+ *              crew, else the shift's crew, else the piece's shift crew
+ *   costumes — the dresser on a quick change, for the change's window in
+ *              the quick-change planner
+ *
+ * A person is double-booked when two of their moves overlap in pages at
+ * different backstage locations.
+ */
+
+import { state } from '../shared/state.js';
+import { toast } from '../shared/toast.js';
+import { escapeHtml, downloadCSV } from '../shared/ui.js';
+import { getItemStatus, resolveLocation } from './core.js';
+import { getProps } from '../props/props.js';
+import { getScenicPieces, getScenicCueGroups, spikeLabel } from './scenic.js';
+import { getCostumes } from './costumes.js';
+import { getActorCues } from './actors.js';
+import { buildQuickChanges } from './quick-changes.js';
+import { getCastMembers } from '../cast/cast.js';
+import { getProductionLocations } from './locations.js';
+
+const KIND_LABELS = {
+  'carry-on':  'Carry on',
+  'carry-off': 'Carry off',
+  'crossover': 'Crossover',
+  'enter':     'Entrance',
+  'exit':      'Exit',
+  'shift-in':  'Shift on',
+  'shift-out': 'Shift off',
+  'dress':     'Quick change',
+};
+
+/* ── MODEL ────────────────────────────────────── */
+
+function _people(names) {
+  return [...new Set((names || '').split(',').map(n => n.trim()).filter(Boolean))];
+}
+
+function _personKey(name) {
+  return name.toLowerCase().replace(/\s+/g, ' ');
+}
+
+/** A prop's cues, reading legacy enters[]/exits[] the way getItemStatus() does. */
+function _propCues(p) {
+  if (p.cues?.length) return p.cues;
+  return (p.enters || []).map((enterPage, i) => ({
+    enterPage, exitPage: p.exits?.[i] || 9999, enterLocation: '', exitLocation: p.endLocation || 'backstage-left',
+  }));
+}
+
+function _propMoves(locs) {
+  const moves = [];
+  getProps().forEach(prop => {
+    const p = { ...prop, cues: _propCues(prop) };
+    p.cues.forEach((cue, i) => {
+      const before = cue.enterPage > 1 ? getItemStatus(p, cue.enterPage - 1) : { location: p.start || 'backstage-left', crossover: null };
+      const from = resolveLocation(cue.enterLocation || before.location, locs).id;
+      const to = resolveLocation(cue.exitLocation || 'backstage-left', locs).id;
+      if (before.crossover?.cueIndex === i && resolveLocation(before.crossover.from, locs).id !== from) {
+        moves.push({
+          page: cue.enterPage - 1, order: 0, kind: 'crossover', type: 'Prop', item: p.name || '?',
+          from: resolveLocation(before.crossover.from, locs).id, to: from, names: cue.mover,
+          note: 'Before p.' + cue.enterPage,
+        });
+      }
+      moves.push({ page: cue.enterPage, order: 1, kind: 'carry-on', type: 'Prop', item: p.name || '?', from, to: 'on-stage', names: cue.carrierOn, note: '' });
+      moves.push({ page: cue.exitPage, order: 2, kind: 'carry-off', type: 'Prop', item: p.name || '?', from: 'on-stage', to, names: cue.carrierOff, note: '' });
+    });
+  });
+  return moves;
+}
+
+function _actorMoves(locs) {
+  const cast = getCastMembers();
+  const moves = [];
+  getActorCues().forEach(a => {
+    const name = cast.find(m => m.id === a.castId)?.name || a.actorName || '';
+    const item = a.characterName || '?';
+    (a.cues || []).forEach((cue, i) => {
+      if (!(cue.enterPage > 0)) return;
+      const hold = cue.holdPage > 0 && cue.holdPage < cue.enterPage ? cue.holdPage : cue.enterPage;
+      const before = hold > 1 ? getItemStatus(a, hold - 1, { stateModel: 'three-state' }) : { crossover: null };
+      const from = resolveLocation(cue.holdLocation || cue.enterLocation || before.location || a.defaultHoldLocation || 'backstage-left', locs).id;
+      if (before.crossover?.cueIndex === i) {
+        moves.push({
+          page: hold - 1, order: 0, kind: 'crossover', type: 'Actor', item,
+          from: resolveLocation(before.crossover.from, locs).id, to: resolveLocation(before.crossover.to, locs).id,
+          names: cue.mover || name, note: 'Before p.' + hold,
+        });
+      }
+      moves.push({
+        page: hold, endPage: cue.enterPage, order: 1, kind: 'enter', type: 'Actor', item, from, to: 'on-stage', names: name,
+        note: hold < cue.enterPage ? 'Hold from p.' + hold : '',
+      });
+      moves.push({ page: cue.exitPage, order: 2, kind: 'exit', type: 'Actor', item, from: 'on-stage', to: resolveLocation(cue.exitLocation || 'backstage-left', locs).id, names: name, note: '' });
+    });
+  });
+  return moves;
+}
+
+function _scenicMoves(locs) {
+  const moves = [];
+  const pieces = getScenicPieces();
+  pieces.forEach(p => {
+    const crew = (p.crew || []).join(', ');
+    (p.cues || []).forEach(cue => {
+      const spike = spikeLabel(p, cue.spike);
+      moves.push({ page: cue.enterPage, order: 1, kind: 'shift-in', type: 'Scenic', item: p.name || '?', from: resolveLocation(cue.enterLocation, locs).id, to: 'on-stage', names: cue.mover || crew, note: spike ? 'Spike: ' + spike : '' });
+      moves.push({ page: cue.exitPage, order: 2, kind: 'shift-out', type: 'Scenic', item: p.name || '?', from: 'on-stage', to: resolveLocation(cue.exitLocation, locs).id, names: cue.mover || crew, note: '' });
+    });
+  });
+  getScenicCueGroups().forEach(g => {
+    (g.moves || []).forEach(m => {
+      const p = pieces.find(x => x.id === m.pieceId);
+      if (!p) return;
+      const loc = resolveLocation(m.location, locs).id;
+      const spike = m.action === 'out' ? '' : spikeLabel(p, m.spike);
+      moves.push({
+        page: g.page, order: m.action === 'out' ? 1 : 2, kind: m.action === 'out' ? 'shift-out' : 'shift-in', type: 'Scenic', item: p.name || '?',
+        from: m.action === 'out' ? 'on-stage' : loc, to: m.action === 'out' ? loc : 'on-stage',
+        names: m.crew || (g.crew || []).join(', ') || (p.crew || []).join(', '),
+        note: [g.name, spike ? 'Spike: ' + spike : ''].filter(Boolean).join(' · '),
+      });
+    });
+  });
+  return moves;
+}
+
+function _costumeMoves(locs) {
+  const windows = new Map(buildQuickChanges(new Map()).map(ch => [ch.costume.id + '/' + ch.cueIndex, ch]));
+  const moves = [];
+  getCostumes().forEach(c => {
+    (c.cues || []).forEach((cue, i) => {
+      if (!cue.isQuickChange) return;
+      const loc = resolveLocation(cue.changeLocation, locs).id;
+      const d = cue.quickChangeDetails || {};
+      const win = windows.get(c.id + '/' + i);
+      const page = win?.exitPage || cue.startPage;
+      moves.push({
+        page, endPage: Math.max(page, win?.enterPage || cue.startPage), order: 0, kind: 'dress', type: 'Costume', item: (c.characterName ? c.characterName + ' — ' : '') + (c.name || '?'),
+        from: loc, to: loc, names: d.dresserName,
+        note: [d.estimatedSeconds ? d.estimatedSeconds + 's' : '', d.notes || ''].filter(Boolean).join(' · '),
+      });
+    });
+  });
+  return moves;
+}
+
+/** Where the person has to be for a move — the backstage end of it. */
+function _station(move) {
+  return move.to === 'on-stage' ? move.from : move.to;
+}
+
+function _overlaps(a, b) {
+  return a.page <= b.endPage && b.page <= a.endPage;
+}
+
+/**
+ * Build every person's run sheet from the loaded tracking data.
+ * @returns {{ sheets: Array<{ name, moves, conflicts: number }>, unassigned: Array }}
+ *   Each move: { page, endPage, kind, type, item, from, to, note, conflict: string|null }
+ */
+export function buildShiftPlot() {
+  const locs = getProductionLocations();
+  const all = [..._propMoves(locs), ..._actorMoves(locs), ..._scenicMoves(locs), ..._costumeMoves(locs)]
+    .filter(m => m.page > 0 && m.page < 9999)
+    .map(m => ({ ...m, endPage: Math.min(m.endPage || m.page, 9998) }))
+    .sort((a, b) => a.page - b.page || a.order - b.order || a.item.localeCompare(b.item));
+
+  const byPerson = new Map();
+  const unassigned = [];
+  all.forEach(m => {
+    const people = _people(m.names);
+    if (!people.length) { unassigned.push({ ...m, person: '', conflict: null }); return; }
+    people.forEach(name => {
+      const key = _personKey(name);
+      if (!byPerson.has(key)) byPerson.set(key, { name, moves: [], conflicts: 0 });
+      byPerson.get(key).moves.push({ ...m, person: name, conflict: null });
+    });
+  });
+
+  byPerson.forEach(sheet => {
+    sheet.moves.forEach((m, i) => {
+      const clash = sheet.moves.find((o, j) => j !== i && _overlaps(o, m) && _station(o) !== _station(m));
+      if (clash) m.conflict = KIND_LABELS[clash.kind] + ' ' + clash.item + ' at ' + resolveLocation(_station(clash), locs).shortName;
+    });
+    sheet.conflicts = sheet.moves.filter(m => m.conflict).length;
+  });
+
+  const sheets = [...byPerson.values()].sort((a, b) => b.conflicts - a.conflicts || a.name.localeCompare(b.name));
+  return { sheets, unassigned };
+}
+
+/* ── RENDERING ────────────────────────────────── */
+
+function _where(id, locs) {
+  return id === 'on-stage' ? 'Stage' : resolveLocation(id, locs).shortName;
+}
+
+function _pages(m) {
+  return m.endPage > m.page ? m.page + '–' + m.endPage : String(m.page);
+}
+
+function _tableHtml(moves, locs) {
+  if (!moves.length) return '<div class="sp-empty">No moves.</div>';
+  return `<table class="sp-table">
+    <thead><tr><th>Page</th><th>Move</th><th>Item</th><th>From</th><th>To</th><th>Notes</th></tr></thead>
+    <tbody>${moves.map(m => `<tr class="${m.conflict ? 'sp-row--conflict' : ''}">
+      <td class="sp-page">${_pages(m)}</td>
+      <td>${escapeHtml(KIND_LABELS[m.kind])}</td>
+      <td><span class="sp-type">${escapeHtml(m.type)}</span> ${escapeHtml(m.item)}</td>
+      <td>${escapeHtml(_where(m.from, locs))}</td>
+      <td>${escapeHtml(_where(m.to, locs))}</td>
+      <td>${escapeHtml(m.note)}${m.conflict ? `<div class="sp-conflict">⚠ Also: ${escapeHtml(m.conflict)}</div>` : ''}</td>
+    </tr>`).join('')}</tbody>
+  </table>`;
+}
+
+function _printHtml(sheets, locs) {
+  const show = state.activeProduction?.title || '';
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Shift Plot — ${escapeHtml(show)}</title>
+<style>
+@import url('https://fonts.googleapis.com/css2?family=DM+Mono:wght@400;500&family=Instrument+Serif:ital@0;1&family=DM+Sans:wght@400;500&display=swap');
+*{box-sizing:border-box;margin:0;padding:0}body{font-family:'DM Sans',sans-serif;color:#1a1814;padding:24px 28px}
+.sheet{page-break-after:always;margin-bottom:32px}.sheet:last-child{page-break-after:auto}
+h1{font-family:'Instrument Serif',serif;font-size:26px;margin-bottom:4px}
+.meta{font-family:'DM Mono',monospace;font-size:11px;color:#999;margin-bottom:16px}
+table{border-collapse:collapse;font-size:12px;width:100%}th,td{border:1px solid #e0dcd2;padding:5px 8px;text-align:left;vertical-align:top}
+thead th{font-family:'DM Mono',monospace;font-size:9px;font-weight:500;text-transform:uppercase;color:#666}
+.sp-page{font-family:'DM Mono',monospace;width:48px;white-space:nowrap}.sp-type{font-family:'DM Mono',monospace;font-size:9px;color:#999;text-transform:uppercase}
+.sp-row--conflict td{background:#fbe9e9;-webkit-print-color-adjust:exact;print-color-adjust:exact}.sp-conflict{color:#b03030;font-size:11px}
+.sp-empty{color:#999}
+@media print{body{padding:8px}}
+</style></head><body>
+${sheets.map(s => `<div class="sheet">
+<h1>${escapeHtml(s.name || 'Unassigned moves')}</h1>
+<div class="meta">${escapeHtml(show)} · Shift plot · ${s.moves.length} move${s.moves.length !== 1 ? 's' : ''}${s.conflicts ? ` · ${s.conflicts} double-booked` : ''}</div>
+${_tableHtml(s.moves, locs)}
+</div>`).join('')}
+</body></html>`;
+}
+
+function _csvRows(plot, locs) {
+  const rows = [['Person', 'Page', 'Move', 'Type', 'Item', 'From', 'To', 'Notes', 'Double-booked with']];
+  [...plot.sheets, { name: '', moves: plot.unassigned }].forEach(s => s.moves.forEach(m => rows.push([
+    s.name || 'Unassigned', _pages(m), KIND_LABELS[m.kind], m.type, m.item, _where(m.from, locs), _where(m.to, locs), m.note, m.conflict || '',
+  ])));
+  return rows;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   MODAL
+   ═══════════════════════════════════════════════════════════ */
+
+/** Open the shift plot for the active production. */
+export function openShiftPlot() {
+  const plot = buildShiftPlot();
+  const locs = getProductionLocations();
+  if (!plot.sheets.length && !plot.unassigned.length) {
+    toast('No tracked moves yet — add prop, actor, scenic or quick-change cues first.', 'error');
+    return;
+  }
+  const unassignedSheet = { name: '', moves: plot.unassigned, conflicts: 0 };
+  const sheets = plot.unassigned.length ? [...plot.sheets, unassignedSheet] : plot.sheets;
+  let selected = 0;
+
+  document.getElementById('shift-plot-modal')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  backdrop.id = 'shift-plot-modal';
+  backdrop.innerHTML = `
+    <div class="modal-card" style="max-width:none;width:min(1000px,95vw);max-height:90vh;display:flex;flex-direction:column;">
+      <h2 style="margin-bottom:4px;">Shift Plot</h2>
+      <div style="font-size:12px;color:var(--text-muted);margin-bottom:12px;">
+        Every move per person, in page order, from prop carriers and movers, actor entrances and exits, scenic crews and quick-change dressers.
+      </div>
+      <div style="display:flex;gap:12px;flex:1;min-height:0;">
+        <div class="sp-people">
+          ${sheets.map((s, i) => `<button class="sp-person" data-idx="${i}">
+            <span>${escapeHtml(s.name || 'Unassigned')}</span>
+            <span class="sp-person__count">${s.moves.length}${s.conflicts ? ` <span class="sp-person__conflict">⚠ ${s.conflicts}</span>` : ''}</span>
+          </button>`).join('')}
+        </div>
+        <div id="sp-sheet" style="flex:1;min-width:0;overflow:auto;"></div>
+      </div>
+      <div class="modal-btns">
+        <button class="modal-btn-cancel" id="sp-close">Close</button>
+        <button class="settings-btn" id="sp-csv">Export CSV</button>
+        <button class="settings-btn" id="sp-print-all">Print All</button>
+        <button class="modal-btn-primary" id="sp-print">Print Sheet</button>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  const sheetEl = backdrop.querySelector('#sp-sheet');
+  const render = () => {
+    const s = sheets[selected];
+    backdrop.querySelectorAll('.sp-person').forEach(b => b.classList.toggle('sp-person--active', Number(b.dataset.idx) === selected));
+    sheetEl.innerHTML = (s.conflicts ? `<div class="sp-warning">⚠ ${s.conflicts} move${s.conflicts !== 1 ? 's' : ''} overlapping another move at a different location.</div>` : '') +
+      (!s.name ? '<div class="sp-warning">These moves have no carrier, mover or crew assigned.</div>' : '') +
+      _tableHtml(s.moves, locs);
+  };
+  const print = list => {
+    const w = window.open('', '_blank');
+    if (!w) { toast('Allow popups to print.', 'error'); return; }
+    w.document.write(_printHtml(list, locs));
+    w.document.close();
+  };
+
+  const close = () => backdrop.remove();
+  backdrop.querySelector('#sp-close').addEventListener('click', close);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+  backdrop.querySelectorAll('.sp-person').forEach(b => b.addEventListener('click', () => { selected = Number(b.dataset.idx); render(); }));
+  backdrop.querySelector('#sp-csv').addEventListener('click', () => {
+    const slug = (state.activeProduction?.title || 'show').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    downloadCSV(_csvRows(plot, locs), `${slug}-shift-plot.csv`);
+  });
+  backdrop.querySelector('#sp-print').addEventListener('click', () => print([sheets[selected]]));
+  backdrop.querySelector('#sp-print-all').addEventListener('click', () => print(plot.sheets));
+  render();
+}
@@ -1,15 +1,18 @@
 /**
  * stage-widget.js — Tabbed Tracking Widget for Run Show Right Panel
  *
- * Tabs: Props | Actors | Costumes
+ * Tabs: Props | Actors | Scenic | Costumes
  */
 import { escapeHtml } from '../shared/ui.js';
 import { state } from '../shared/state.js';
 import { getItemStatus, computeBadgeCounts, resolveLocation } from './core.js';
-import { getPropStatus, getProps } from '../props/props.js';
+import { getProps } from '../props/props.js';
 import { getActorCues } from './actors.js';
+import { getScenicItems, getScenicCueGroups, getScenicPieces } from './scenic.js';
 import { getCostumes } from './costumes.js';
 import { getProductionLocations } from './locations.js';
+import { validateTracking, issuesNearPage } from './validator.js';
+import { groupStageColumns } from '../shared/stage-columns.js';
 
 let _activeWidgetTab = 'props';
 
@@ -19,15 +22,14 @@ let _activeWidgetTab = 'props';
  */
 export function renderTrackingWidget(container, page, warnPages) {
   if (!container) return;
-  if (_activeWidgetTab === 'scenic') _activeWidgetTab = 'props';
-
-  const tabs   = ['props', 'actors', 'costumes'];
-  const labels = { props: 'Props', actors: 'Actors', costumes: 'Costumes' };
-  const colors = { props: 'var(--track-prop)', actors: 'var(--track-actor)', costumes: 'var(--track-costume)' };
+  const tabs   = ['props', 'actors', 'scenic', 'costumes'];
+  const labels = { props: 'Props', actors: 'Actors', scenic: 'Scenic', costumes: 'Costumes' };
+  const colors = { props: 'var(--track-prop)', actors: 'var(--track-actor)', scenic: 'var(--track-scenic)', costumes: 'var(--track-costume)' };
 
   const badges = {
     props:    computeBadgeCounts('props',    getProps(),     page, warnPages),
     actors:   computeBadgeCounts('actors',   getActorCues(), page, warnPages),
+    scenic:   computeBadgeCounts('scenic',   getScenicItems(), page, warnPages),
     costumes: computeBadgeCounts('costumes', getCostumes(),  page, warnPages),
   };
 
@@ -42,10 +44,11 @@ export function renderTrackingWidget(container, page, warnPages) {
   });
   tabBarHtml += '</div>';
 
-  let contentHtml = '<div class="sw-content">';
+  let contentHtml = '<div class="sw-content">' + _renderConflictStrip(page, warnPages);
   switch (_activeWidgetTab) {
     case 'props':    contentHtml += _renderPropsView(page, warnPages); break;
     case 'actors':   contentHtml += _renderActorsView(page, warnPages); break;
+    case 'scenic':   contentHtml += _renderScenicView(page, warnPages); break;
     case 'costumes': contentHtml += _renderCostumesView(page, warnPages); break;
   }
   contentHtml += '</div>';
@@ -66,6 +69,7 @@ export function refreshWidgetBadges(container, page, warnPages) {
   const badges = {
     props:    computeBadgeCounts('props',    getProps(),     page, warnPages),
     actors:   computeBadgeCounts('actors',   getActorCues(), page, warnPages),
+    scenic:   computeBadgeCounts('scenic',   getScenicItems(), page, warnPages),
     costumes: computeBadgeCounts('costumes', getCostumes(),  page, warnPages),
   };
   container.querySelectorAll('.sw-tab').forEach(btn => {
@@ -88,13 +92,24 @@ export function refreshWidgetContent(container, page, warnPages) {
   if (!container) return;
   const contentEl = container.querySelector('.sw-content');
   if (!contentEl) return;
+  const strip = _renderConflictStrip(page, warnPages);
   switch (_activeWidgetTab) {
-    case 'props':    contentEl.innerHTML = _renderPropsView(page, warnPages); break;
-    case 'actors':   contentEl.innerHTML = _renderActorsView(page, warnPages); break;
-    case 'costumes': contentEl.innerHTML = _renderCostumesView(page, warnPages); break;
+    case 'props':    contentEl.innerHTML = strip + _renderPropsView(page, warnPages); break;
+    case 'actors':   contentEl.innerHTML = strip + _renderActorsView(page, warnPages); break;
+    case 'scenic':   contentEl.innerHTML = strip + _renderScenicView(page, warnPages); break;
+    case 'costumes': contentEl.innerHTML = strip + _renderCostumesView(page, warnPages); break;
   }
 }
 
+// ── Tracking conflicts on or just ahead of this page ──
+function _renderConflictStrip(page, warnPages) {
+  const near = issuesNearPage(validateTracking(), page, warnPages).filter(i => i.severity === 'error');
+  if (!near.length) return '';
+  return '<div class="sw-conflicts">' + near.slice(0, 3).map(i =>
+    '<div title="' + escapeHtml(i.message) + '">\u26a0 ' + escapeHtml(i.item) + ' <span style="color:var(--text-muted);">p' + i.fromPage + (i.toPage !== i.fromPage && i.toPage < 9999 ? '\u2013' + i.toPage : '') + '</span> \u00b7 ' + escapeHtml(i.message) + '</div>'
+  ).join('') + (near.length > 3 ? '<div style="color:var(--text-muted);">+' + (near.length - 3) + ' more \u2014 see Tracking \u203a Conflicts</div>' : '') + '</div>';
+}
+
 // ── Props view ──
 function _renderPropsView(page, warnPages) {
   const props = getProps();
@@ -103,22 +118,7 @@ function _renderPropsView(page, warnPages) {
   }
 
   const locs = getProductionLocations();
-  const sl = [], on = [], sr = [];
-  const otherGroups = {}; // keyed by location id
-
-  props.forEach(p => {
-    const r = getPropStatus(p, page);
-    const warn = r.upcomingEnter && (r.upcomingEnter - page) <= warnPages && (r.upcomingEnter - page) > 0;
-    const resolved = resolveLocation(r.location, locs);
-    const item = { name: p.name || '?', resolved, warn, activeCue: r.activeCue, crossover: r.crossover, upcomingEnter: r.upcomingEnter, status: r.status };
-    if (r.status === 'ON') on.push(item);
-    else if (resolved.side === 'right') sr.push(item);
-    else if (resolved.side === 'left') sl.push(item);
-    else if (resolved.side === 'other') {
-      if (!otherGroups[resolved.id]) otherGroups[resolved.id] = { label: resolved.shortName || resolved.id, items: [] };
-      otherGroups[resolved.id].items.push(item);
-    } else sl.push(item);
-  });
+  const { sl, on, sr, others } = groupStageColumns(props, page, warnPages);
 
   const slLabel = locs.find(l => l.side === 'left')?.shortName   || 'BSL';
   const onLabel = locs.find(l => l.side === 'center')?.shortName || 'ON';
@@ -129,21 +129,21 @@ function _renderPropsView(page, warnPages) {
     if (it.warn) suffix += '<span style="font-size:9px;color:var(--gold,#c8a96e);margin-left:3px;">p' + it.upcomingEnter + '</span>';
     if (it.crossover) suffix += '<span style="font-size:9px;color:var(--qc-alert,#e63946);margin-left:3px;">\u26a0</span>';
     if (it.activeCue?.carrierOn) suffix += '<span style="font-size:9px;color:var(--text-muted,#666);margin-left:3px;">\u2191' + escapeHtml(it.activeCue.carrierOn) + '</span>';
-    return '<span style="display:inline-flex;align-items:center;background:var(--bg-card,#2a2823);border:1px solid var(--bg-border,#3d3a36);border-radius:4px;padding:2px 6px;font-size:11px;margin:2px;">' + escapeHtml(it.name) + suffix + '</span>';
+    return '<span style="display:inline-flex;align-items:center;background:var(--bg-card,#2a2823);border:1px solid var(--bg-border,#3d3a36);border-radius:4px;padding:2px 6px;font-size:11px;margin:2px;">' + escapeHtml(it.prop.name || '?') + suffix + '</span>';
   };
 
   const col = (items, label) => {
     const inner = items.length
       ? items.map(pill).join('')
       : '<span style="color:rgba(255,255,255,0.18);font-size:11px;">\u2014</span>';
-    return '<div style="flex:1;min-width:0;padding:0 4px;"><div style="font-size:10px;font-weight:600;color:var(--text-muted,#666);margin-bottom:4px;text-align:center;">' + label + '</div><div style="display:flex;flex-wrap:wrap;justify-content:center;">' + inner + '</div></div>';
+    return '<div style="flex:1;min-width:0;padding:0 4px;"><div style="font-size:10px;font-weight:600;color:var(--text-muted,#666);margin-bottom:4px;text-align:center;">' + escapeHtml(label) + '</div><div style="display:flex;flex-wrap:wrap;justify-content:center;">' + inner + '</div></div>';
   };
 
   let html = '<div style="display:flex;gap:4px;padding:4px 0;">';
   html += col(sl, slLabel);
   html += col(on, onLabel);
   html += col(sr, srLabel);
-  Object.values(otherGroups).forEach(g => { html += col(g.items, g.label); });
+  others.forEach(g => { html += col(g.items, g.location.shortName || g.location.id); });
   html += '</div>';
   return html;
 }
@@ -189,6 +189,38 @@ function _renderActorsView(page, warnPages) {
     '</div>';
 }
 
+// ── Scenic view ──
+function _renderScenicView(page, warnPages) {
+  const items = getScenicItems();
+  if (!items.length) {
+    return '<div style="color:var(--text-muted);font-size:12px;text-align:center;padding:12px;">No scenic pieces tracked.</div>';
+  }
+
+  const next = getScenicCueGroups().find(g => g.page > page && (g.page - page) <= warnPages);
+  let html = '';
+  if (next) {
+    const pieces = getScenicPieces();
+    const moves = (next.moves || []).map(m => (m.action === 'out' ? '↓' : '↑') + escapeHtml(pieces.find(p => p.id === m.pieceId)?.name || '?')).join(' ');
+    html += '<div style="padding:4px 8px;background:rgba(110,168,200,0.12);border-left:3px solid var(--track-scenic);border-radius:4px;margin-bottom:4px;font-size:11px;' + ((next.page - page) <= 2 ? 'animation:badge-pulse 1.5s ease-in-out infinite;' : '') + '">⇅ ' + escapeHtml(next.name) + ' <span style="color:var(--text-muted);">p' + next.page + (next.crew?.length ? ' · ' + escapeHtml(next.crew.join(', ')) : '') + '</span><div style="color:var(--text-secondary);">' + moves + '</div></div>';
+  }
+
+  const on = [], off = [];
+  items.forEach(p => {
+    const r = getItemStatus(p, page);
+    if (r.status === 'ON') on.push({ p, r }); else off.push({ p, r });
+  });
+  const locs = getProductionLocations();
+  html += on.map(({ p, r }) => {
+    const spike = (p.spikes || []).find(s => s.id === r.activeCue?.spike);
+    return '<div style="padding:3px 8px;background:var(--bg-card);border-radius:4px;margin-bottom:3px;font-size:11px;border-left:3px solid ' + escapeHtml(spike?.color || 'var(--track-scenic)') + ';">' + escapeHtml(p.name) + (spike ? ' <span style="color:var(--text-muted);">@ ' + escapeHtml(spike.label) + '</span>' : '') + '</div>';
+  }).join('') || '<div style="color:var(--text-muted);font-size:11px;">Nothing on stage.</div>';
+  const soon = off.filter(({ r }) => r.upcomingEnter && (r.upcomingEnter - page) <= warnPages);
+  if (soon.length) {
+    html += '<div style="font-size:10px;color:var(--text-muted);margin-top:4px;">' + soon.map(({ p, r }) => escapeHtml(p.name) + ' ' + escapeHtml(resolveLocation(r.location, locs).shortName) + ' → p' + r.upcomingEnter + (r.crossover ? ' ⚠' : '')).join(' · ') + '</div>';
+  }
+  return html;
+}
+
 // ── Costumes view ──
 function _renderCostumesView(page, warnPages) {
   const all = getCostumes();
@@ -1,7 +1,7 @@
 /**
  * tracking-tab.js — Tracking Tab Controller
  *
- * Manages the outer tracking-type subtabs (Props | Actors | Costumes)
+ * Manages the outer tracking-type subtabs (Props | Actors | Scenic | Costumes)
  * and delegates rendering to the active tracking type's module.
  *
  * The inner subtabs (Manage | View Show | Pre/Post Check) are owned by each
@@ -10,20 +10,25 @@
 
 import { onPropsTabActivated } from '../props/props.js';
 import { subscribeToActorCues, renderActorsContent } from './actors.js';
+import { subscribeToScenic, renderScenicContent } from './scenic.js';
 import { subscribeToCostumes, renderCostumesContent } from './costumes.js';
 import { subscribeToLocations } from './locations.js';
+import { openShiftPlot } from './shift-plot.js';
+import { openTrackingValidator } from './validator.js';
 import { state } from '../shared/state.js';
 import { isOwner } from '../shared/roles.js';
 
 let activeTrackingType = 'props';
 
 // Per-type scroll positions, preserved across tab switches
-const _scrollPositions = { props: 0, actors: 0, costumes: 0 };
+const _scrollPositions = { props: 0, actors: 0, scenic: 0, costumes: 0 };
 
 /**
  * Called by tabs.js when the Tracking tab is activated.
  */
 export function onTrackingTabActivated() {
+  // The shift plot and conflict check read every tracking type, so load them all up front
+  _ensureTrackingSubs();
   _renderOuterTabs();
   _activateTrackingType(activeTrackingType);
 }
@@ -45,6 +50,8 @@ export function initTrackingTab() {
       _activateTrackingType(type);
     }
   });
+  document.getElementById('tracking-shift-plot-btn')?.addEventListener('click', openShiftPlot);
+  document.getElementById('tracking-conflicts-btn')?.addEventListener('click', openTrackingValidator);
 }
 
 function _renderOuterTabs() {
@@ -76,6 +83,11 @@ function _activateTrackingType(type) {
       if (propsSubtabs) propsSubtabs.style.display = 'none';
       if (propsContent) { propsContent.style.display = ''; renderActorsContent(propsContent); }
       break;
+    case 'scenic':
+      _ensureTrackingSubs();
+      if (propsSubtabs) propsSubtabs.style.display = 'none';
+      if (propsContent) { propsContent.style.display = ''; renderScenicContent(propsContent); }
+      break;
     case 'costumes':
       _ensureTrackingSubs();
       if (propsSubtabs) propsSubtabs.style.display = 'none';
@@ -106,6 +118,7 @@ function _ensureTrackingSubs() {
   if (!pid) return;
   _trackingSubbed = true;
   subscribeToActorCues(pid);
+  subscribeToScenic(pid);
   subscribeToCostumes(pid);
 }
 
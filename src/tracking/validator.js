@@ -0,0 +1,256 @@
+/**
+ * validator.js — Tracking Conflict Validator
+ *
+ * Checks that the loaded tracking data is physically possible:
+ *
+ *   props    — a cue whose pages run backwards or overlap the previous cue,
+ *              and an enter on a different side from where the last exit left
+ *              the prop with no crossover mover (the same crossover
+ *              getItemStatus() reports in Run Show)
+ *   actors   — overlapping cues for one character, and one performer on
+ *              stage as two characters at once
+ *   costumes — two costumes on one character at once, and a costume worn
+ *              over a page range where its character is never on stage
+ *
+ * Each issue carries a page range so owners can find it before tech.
+ */
+
+import { state } from '../shared/state.js';
+import { isOwner } from '../shared/roles.js';
+import { escapeHtml, downloadCSV } from '../shared/ui.js';
+import { getItemStatus, resolveLocation } from './core.js';
+import { getProps } from '../props/props.js';
+import { getActorCues } from './actors.js';
+import { getCostumes } from './costumes.js';
+import { getProductionLocations } from './locations.js';
+
+const TYPE_LABELS = { props: 'Props', actors: 'Actors', costumes: 'Costumes' };
+
+// Last result, reused until a snapshot replaces one of the data arrays
+let _cache = null;   // { props, actors, costumes, locKey, issues }
+
+/* ── CHECKS ───────────────────────────────────── */
+
+function _range(from, to) {
+  if (!to || to >= 9999) return 'p.' + from + '+';
+  return from === to ? 'p.' + from : 'p.' + from + '–' + to;
+}
+
+function _overlaps(a1, a2, b1, b2) {
+  return a1 <= b2 && b1 <= a2;
+}
+
+function _normName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+function _checkPageOrder(issues, type, item, cues, startKey, endKey) {
+  const sorted = cues.map((c, i) => ({ c, i })).filter(x => x.c[startKey] > 0).sort((a, b) => a.c[startKey] - b.c[startKey]);
+  sorted.forEach(({ c, i }, n) => {
+    const from = c[startKey];
+    const to = c[endKey] || 9999;
+    if (to < from) {
+      issues.push({ severity: 'error', type, item, fromPage: to, toPage: from, message: 'Cue #' + (i + 1) + ' ends on p.' + to + ', before it starts on p.' + from + '.' });
+      return;
+    }
+    const prev = sorted[n - 1];
+    if (prev && (prev.c[endKey] || 9999) >= from) {
+      issues.push({ severity: 'error', type, item, fromPage: from, toPage: Math.min(to, prev.c[endKey] || 9999), message: 'Cue #' + (i + 1) + ' overlaps cue #' + (prev.i + 1) + '.' });
+    }
+  });
+}
+
+function _checkProps(issues, locs) {
+  getProps().forEach(p => {
+    const cues = p.cues || [];
+    const name = p.name || '?';
+    _checkPageOrder(issues, 'props', name, cues, 'enterPage', 'exitPage');
+    cues.forEach((cue, i) => {
+      if (!(cue.enterPage > 1)) return;
+      const before = getItemStatus(p, cue.enterPage - 1);
+      const xo = before.crossover;
+      if (xo?.cueIndex !== i || xo.mover) return;
+      const prevExit = i > 0 ? (cues[i - 1].exitPage || 1) : 1;
+      issues.push({
+        severity: 'error', type: 'props', item: name, fromPage: prevExit, toPage: cue.enterPage,
+        message: 'Enters from ' + resolveLocation(xo.to, locs).shortName + ' on p.' + cue.enterPage + ' but was left at ' +
+          resolveLocation(xo.from, locs).shortName + (i > 0 ? ' on p.' + prevExit : '') + ', with no crossover mover.',
+      });
+    });
+  });
+}
+
+function _onRanges(actor) {
+  return (actor.cues || []).filter(c => c.enterPage > 0).map(c => ({ from: c.enterPage, to: c.exitPage || 9999, hold: c.holdPage || c.enterPage }));
+}
+
+function _checkActors(issues) {
+  const actors = getActorCues();
+  actors.forEach(a => _checkPageOrder(issues, 'actors', a.characterName || '?', a.cues || [], 'enterPage', 'exitPage'));
+
+  // One performer doubling two characters can't be on for both at once
+  const byPerformer = new Map();
+  actors.forEach(a => {
+    if (!a.castId) return;
+    if (!byPerformer.has(a.castId)) byPerformer.set(a.castId, []);
+    byPerformer.get(a.castId).push(a);
+  });
+  byPerformer.forEach(list => {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        _onRanges(list[i]).forEach(r1 => _onRanges(list[j]).forEach(r2 => {
+          if (!_overlaps(r1.from, r1.to, r2.from, r2.to)) return;
+          const performer = list[i].actorName || 'The same performer';
+          issues.push({
+            severity: 'error', type: 'actors', item: list[i].characterName + ' / ' + list[j].characterName,
+            fromPage: Math.max(r1.from, r2.from), toPage: Math.min(r1.to, r2.to),
+            message: performer + ' is on stage as both ' + list[i].characterName + ' (' + _range(r1.from, r1.to) + ') and ' + list[j].characterName + ' (' + _range(r2.from, r2.to) + ').',
+          });
+        }));
+      }
+    }
+  });
+}
+
+function _checkCostumes(issues) {
+  const actors = getActorCues();
+  const costumes = getCostumes();
+  const actorFor = c => actors.find(a => c.castId && a.castId === c.castId && _normName(a.characterName) === _normName(c.characterName)) ||
+    actors.find(a => _normName(a.characterName) === _normName(c.characterName));
+
+  costumes.forEach(c => _checkPageOrder(issues, 'costumes', c.name || '?', c.cues || [], 'startPage', 'endPage'));
+
+  // Two costumes on one character at once; one ending on the page the next
+  // starts is the change itself, not an overlap
+  const byChar = new Map();
+  costumes.forEach(c => {
+    const key = _normName(c.characterName);
+    if (!key) return;
+    if (!byChar.has(key)) byChar.set(key, []);
+    byChar.get(key).push(c);
+  });
+  byChar.forEach(list => {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        (list[i].cues || []).forEach(q1 => (list[j].cues || []).forEach(q2 => {
+          if (!(q1.startPage > 0 && q2.startPage > 0)) return;
+          if (!_overlaps(q1.startPage, q1.endPage || 9999, q2.startPage, q2.endPage || 9999)) return;
+          if (q1.endPage === q2.startPage || q2.endPage === q1.startPage) return;
+          issues.push({
+            severity: 'error', type: 'costumes', item: list[i].characterName,
+            fromPage: Math.max(q1.startPage, q2.startPage), toPage: Math.min(q1.endPage || 9999, q2.endPage || 9999),
+            message: list[i].characterName + ' is wearing both ' + list[i].name + ' and ' + list[j].name + '.',
+          });
+        }));
+      }
+    }
+  });
+
+  // Worn while the character is never on stage
+  costumes.forEach(c => {
+    const actor = c.characterName && actorFor(c);
+    if (!actor) return;
+    const ranges = _onRanges(actor);
+    (c.cues || []).forEach(q => {
+      if (!(q.startPage > 0)) return;
+      const to = q.endPage || 9999;
+      if (ranges.some(r => _overlaps(q.startPage, to, r.hold, r.to))) return;
+      issues.push({
+        severity: 'warn', type: 'costumes', item: c.name || '?', fromPage: q.startPage, toPage: to,
+        message: c.characterName + ' is never on stage while wearing ' + (c.name || 'this costume') + ' (' + _range(q.startPage, to) + ').',
+      });
+    });
+  });
+}
+
+/**
+ * Run every check over the loaded props, actor cues and costumes. The result
+ * is cached until a snapshot or location change, so the Run Show widget can
+ * call this on every page turn; treat it as read-only.
+ * @returns {Array<{ severity: 'error'|'warn', type: 'props'|'actors'|'costumes', item: string, fromPage: number, toPage: number, message: string }>}
+ */
+export function validateTracking() {
+  const props = getProps(), actors = getActorCues(), costumes = getCostumes();
+  const locs = getProductionLocations();
+  const locKey = locs.map(l => l.id + ':' + l.shortName).join('|');
+  if (_cache && _cache.props === props && _cache.actors === actors && _cache.costumes === costumes && _cache.locKey === locKey) {
+    return _cache.issues;
+  }
+  const issues = [];
+  _checkProps(issues, locs);
+  _checkActors(issues);
+  _checkCostumes(issues);
+  const errorsFirst = i => (i.severity === 'error' ? 0 : 1);
+  issues.sort((a, b) => a.fromPage - b.fromPage || errorsFirst(a) - errorsFirst(b));
+  _cache = { props, actors, costumes, locKey, issues };
+  return issues;
+}
+
+/**
+ * Issues live on a page, or starting within the next `ahead` pages.
+ * @param {Array}  issues
+ * @param {number} page
+ * @param {number} [ahead=0]
+ */
+export function issuesNearPage(issues, page, ahead = 0) {
+  return issues.filter(i => _overlaps(i.fromPage, i.toPage, page, page + ahead));
+}
+
+/* ═══════════════════════════════════════════════════════════
+   MODAL
+   ═══════════════════════════════════════════════════════════ */
+
+/** Open the conflict report for the active production. */
+export function openTrackingValidator() {
+  const issues = validateTracking();
+  let filter = 'all';
+
+  document.getElementById('tracking-validator-modal')?.remove();
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  backdrop.id = 'tracking-validator-modal';
+  const counts = Object.fromEntries(Object.keys(TYPE_LABELS).map(t => [t, issues.filter(i => i.type === t).length]));
+  backdrop.innerHTML = `
+    <div class="modal-card" style="width:680px;max-width:95vw;max-height:85vh;display:flex;flex-direction:column;">
+      <h2 style="margin-bottom:4px;">Tracking Conflicts</h2>
+      <div style="font-size:12px;color:var(--text-muted);margin-bottom:12px;">
+        ${issues.length ? `${issues.filter(i => i.severity === 'error').length} impossible, ${issues.filter(i => i.severity === 'warn').length} to check.` : 'No conflicts found in props, actors or costumes.'}
+        ${isOwner() ? '' : ' Ask an owner to fix these in Manage.'}
+      </div>
+      <div style="display:flex;gap:6px;margin-bottom:12px;">
+        <button class="settings-btn tv-filter" data-type="all">All (${issues.length})</button>
+        ${Object.entries(TYPE_LABELS).map(([t, label]) => `<button class="settings-btn tv-filter" data-type="${t}">${label} (${counts[t]})</button>`).join('')}
+      </div>
+      <div id="tv-list" style="overflow-y:auto;flex:1;min-height:0;"></div>
+      <div class="modal-btns">
+        <button class="modal-btn-cancel" id="tv-close">Close</button>
+        <button class="settings-btn" id="tv-csv"${issues.length ? '' : ' disabled'}>Export CSV</button>
+      </div>
+    </div>`;
+  document.body.appendChild(backdrop);
+
+  const listEl = backdrop.querySelector('#tv-list');
+  const render = () => {
+    backdrop.querySelectorAll('.tv-filter').forEach(b => b.classList.toggle('settings-btn--primary', b.dataset.type === filter));
+    const shown = filter === 'all' ? issues : issues.filter(i => i.type === filter);
+    listEl.innerHTML = shown.length ? shown.map(i => `<div class="tv-row tv-row--${i.severity}">
+        <span class="tv-row__range">${escapeHtml(_range(i.fromPage, i.toPage))}</span>
+        <div style="flex:1;min-width:0;">
+          <div class="tv-row__item"><span class="sp-type">${escapeHtml(TYPE_LABELS[i.type])}</span> ${escapeHtml(i.item)}</div>
+          <div class="tv-row__msg">${escapeHtml(i.message)}</div>
+        </div>
+      </div>`).join('') : '<div class="sp-empty">Nothing to fix here.</div>';
+  };
+
+  const close = () => backdrop.remove();
+  backdrop.querySelector('#tv-close').addEventListener('click', close);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+  backdrop.querySelectorAll('.tv-filter').forEach(b => b.addEventListener('click', () => { filter = b.dataset.type; render(); }));
+  backdrop.querySelector('#tv-csv').addEventListener('click', () => {
+    const slug = (state.activeProduction?.title || 'show').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    downloadCSV([['Severity', 'Type', 'Item', 'From page', 'To page', 'Problem'],
+      ...issues.map(i => [i.severity === 'error' ? 'Impossible' : 'Check', TYPE_LABELS[i.type], i.item, i.fromPage, i.toPage >= 9999 ? '' : i.toPage, i.message])],
+      `${slug}-tracking-conflicts.csv`);
+  });
+  render();
+}